@@ -0,0 +1,305 @@
+/**
+ * QRS detector benchmark against the MIT-BIH reference annotations
+ *
+ * Runs the app's ECG pipeline (src/utils/ecgPipeline.js) over every bundled
+ * record, matches detected R-peaks to annotated beats within a tolerance
+ * window (150 ms by default) and reports sensitivity (Se), positive
+ * predictivity (+P) and F1 per record and in aggregate. It also compares
+ * calculateStableBPM on detected versus annotated beats.
+ *
+ * Usage:
+ *   npm run benchmark -- [--records 100,105] [--tolerance 0.15] [--json results.json]
+ *                        [--min-se 0.99] [--min-ppv 0.98] [--margin 0.002]
+ *                        [--baseline scripts/benchmarkBaseline.json] [--update-baseline]
+ *
+ * Exits with status 1 when the aggregate Se or +P falls below the minimums, or
+ * when any record does worse than in the checked-in baseline (Se or +P lower
+ * by more than --margin, or a BPM further from the reference than before), so
+ * it can guard changes to the detection or BPM logic. --update-baseline
+ * records the current results as the new baseline.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { register } from 'node:module';
+
+register('./resolveHooks.mjs', import.meta.url);
+
+// Imported after the hook is registered so extensionless imports resolve
+const { parseHeader, decodeRecord } = await import('../src/utils/wfdb.js');
+const { parseAnnotations, BEAT_SYMBOLS } = await import('../src/utils/wfdbAnnotations.js');
+const { processEcg } = await import('../src/utils/ecgPipeline.js');
+const { calculateStableBPM } = await import('../src/utils/heartRate.js');
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DATASET_DIR = path.resolve(SCRIPT_DIR, '../datasets/mit-bih-arrhythmia-database-1.0.0');
+const BASELINE_FILE = path.join(SCRIPT_DIR, 'benchmarkBaseline.json');
+const BPM_TOLERANCE = 1; // BPM difference still counted as a match
+
+/**
+ * Parses command line flags of the form --name value
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options with defaults applied
+ */
+const parseArgs = (argv) => {
+  const options = {
+    records: null,
+    tolerance: 0.15,
+    json: null,
+    minSe: 0.99,
+    minPpv: 0.98,
+    margin: 0.002,
+    baseline: BASELINE_FILE,
+    updateBaseline: false
+  };
+  const args = [...argv];
+  while (args.length) {
+    const flag = args.shift();
+    if (flag === '--update-baseline') {
+      options.updateBaseline = true;
+      continue;
+    }
+    const value = args.shift();
+    switch (flag) {
+      case '--records': options.records = value.split(','); break;
+      case '--tolerance': options.tolerance = parseFloat(value); break;
+      case '--json': options.json = value; break;
+      case '--min-se': options.minSe = parseFloat(value); break;
+      case '--min-ppv': options.minPpv = parseFloat(value); break;
+      case '--margin': options.margin = parseFloat(value); break;
+      case '--baseline': options.baseline = value; break;
+      default: throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return options;
+};
+
+const readBuffer = (file) => {
+  const data = fs.readFileSync(path.join(DATASET_DIR, file));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+};
+
+/**
+ * Matches detections to reference beats in time order, each used at most once
+ * @param {Array<number>} reference - Annotated beat sample indices, ascending
+ * @param {Array<number>} detected - Detected R-peak sample indices, ascending
+ * @param {number} tolerance - Maximum distance in samples
+ * @returns {{tp: number, fn: number, fp: number}} Match counts
+ */
+const matchBeats = (reference, detected, tolerance) => {
+  let tp = 0;
+  let next = 0; // First detection not yet consumed
+
+  reference.forEach(beat => {
+    while (next < detected.length && detected[next] < beat - tolerance) next++;
+    if (next >= detected.length || detected[next] > beat + tolerance) return;
+
+    tp++;
+    next++;
+  });
+
+  return { tp, fn: reference.length - tp, fp: detected.length - tp };
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+/**
+ * Computes Se, +P and F1 from match counts
+ * @param {{tp: number, fn: number, fp: number}} counts - Match counts
+ * @returns {{sensitivity: number, positivePredictivity: number, f1: number}}
+ */
+const scores = ({ tp, fn, fp }) => ({
+  sensitivity: ratio(tp, tp + fn),
+  positivePredictivity: ratio(tp, tp + fp),
+  f1: ratio(2 * tp, 2 * tp + fn + fp)
+});
+
+/**
+ * Runs calculateStableBPM on beat times
+ * @param {Array<number>} beatTimes - Beat times in seconds
+ * @returns {number|null} BPM, or null when calculateStableBPM rejects the data
+ */
+const stableBpm = (beatTimes) => {
+  try {
+    return calculateStableBPM(beatTimes.map(entry => ({ entry, duration: 0.1, phase: 'QRS' })));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Distance between the BPM on detected and on annotated beats
+ * @param {Object} result - Per-record result
+ * @returns {number} Absolute difference, Infinity when either BPM is missing
+ */
+const bpmDifference = ({ referenceBpm, detectedBpm }) => (referenceBpm === null || detectedBpm === null
+  ? Infinity
+  : Math.abs(referenceBpm - detectedBpm));
+
+/**
+ * Benchmarks a single record
+ * @param {string} recordName - MIT-BIH record name
+ * @param {number} toleranceSeconds - Matching window in seconds
+ * @returns {Object} Per-record result
+ */
+const benchmarkRecord = (recordName, toleranceSeconds) => {
+  const header = parseHeader(fs.readFileSync(path.join(DATASET_DIR, `${recordName}.hea`), 'utf8'));
+  const leads = decodeRecord(header, readBuffer(header.signals[0].fileName));
+  const samplingRate = header.samplingRate;
+
+  const started = Date.now();
+  const { rPeaks, intervals } = processEcg(leads[0].signal, samplingRate);
+  const elapsedMs = Date.now() - started;
+
+  const reference = parseAnnotations(readBuffer(`${recordName}.atr`), samplingRate)
+    .filter(annotation => BEAT_SYMBOLS.has(annotation.symbol))
+    .map(annotation => annotation.sample);
+
+  const counts = matchBeats(reference, rPeaks, Math.round(toleranceSeconds * samplingRate));
+  const detectedQrs = intervals.filter(interval => interval.phase === 'QRS').map(interval => interval.entry);
+
+  return {
+    record: recordName,
+    lead: leads[0].name,
+    beats: reference.length,
+    detected: rPeaks.length,
+    ...counts,
+    ...scores(counts),
+    referenceBpm: stableBpm(reference.map(sample => sample / samplingRate)),
+    detectedBpm: stableBpm(detectedQrs),
+    elapsedMs
+  };
+};
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+const pad = (value, width) => String(value).padStart(width);
+
+const printTable = (results, aggregate) => {
+  const header = ['Record', 'Lead', 'Beats', 'Det', 'TP', 'FN', 'FP', 'Se', '+P', 'F1', 'BPM ref', 'BPM det'];
+  const widths = [6, 5, 6, 6, 6, 5, 5, 8, 8, 8, 8, 8];
+  const row = (cells) => cells.map((cell, i) => pad(cell, widths[i])).join(' ');
+
+  console.log(row(header));
+  console.log(widths.map(width => '-'.repeat(width)).join(' '));
+  results.forEach(r => console.log(row([
+    r.record, r.lead, r.beats, r.detected, r.tp, r.fn, r.fp,
+    percent(r.sensitivity), percent(r.positivePredictivity), percent(r.f1),
+    r.referenceBpm ?? '-', r.detectedBpm ?? '-'
+  ])));
+  console.log(widths.map(width => '-'.repeat(width)).join(' '));
+  console.log(row([
+    'Total', '', aggregate.beats, aggregate.detected, aggregate.tp, aggregate.fn, aggregate.fp,
+    percent(aggregate.sensitivity), percent(aggregate.positivePredictivity), percent(aggregate.f1), '', ''
+  ]));
+  console.log(`\nMean per-record Se ${percent(aggregate.meanSensitivity)}, +P ${percent(aggregate.meanPositivePredictivity)}; ` +
+    `BPM mismatches (>1 bpm): ${aggregate.bpmMismatches.join(', ') || 'none'}`);
+};
+
+/**
+ * Per-record scores as stored in the baseline file
+ * @param {Array<Object>} results - Per-record results
+ * @param {number} toleranceSeconds - Matching window the results were computed with
+ * @returns {Object} Baseline {toleranceSeconds, records: {[record]: {sensitivity, positivePredictivity, bpmDifference}}}
+ */
+const toBaseline = (results, toleranceSeconds) => ({
+  toleranceSeconds,
+  records: Object.fromEntries(results.map(r => [r.record, {
+    sensitivity: Number(r.sensitivity.toFixed(6)),
+    positivePredictivity: Number(r.positivePredictivity.toFixed(6)),
+    bpmDifference: Number.isFinite(bpmDifference(r)) ? bpmDifference(r) : null
+  }]))
+});
+
+/**
+ * Finds the records that do worse than in the baseline
+ * @param {Array<Object>} results - Per-record results
+ * @param {Object} baseline - Result of toBaseline, as read from the baseline file
+ * @param {number} margin - Drop in Se or +P still accepted
+ * @returns {Array<string>} One message per regression
+ */
+const findRegressions = (results, baseline, margin) => results.flatMap(r => {
+  const expected = baseline.records[r.record];
+  if (!expected) return [];
+
+  const regressions = [];
+  if (r.sensitivity < expected.sensitivity - margin) {
+    regressions.push(`${r.record}: Se ${percent(r.sensitivity)}, baseline ${percent(expected.sensitivity)}`);
+  }
+  if (r.positivePredictivity < expected.positivePredictivity - margin) {
+    regressions.push(`${r.record}: +P ${percent(r.positivePredictivity)}, baseline ${percent(expected.positivePredictivity)}`);
+  }
+  // A BPM mismatch already in the baseline may not grow; any other record must match
+  const allowed = Math.max(BPM_TOLERANCE, expected.bpmDifference ?? Infinity);
+  if (bpmDifference(r) > allowed) {
+    regressions.push(`${r.record}: BPM ${r.detectedBpm ?? '-'} vs reference ${r.referenceBpm ?? '-'}, ` +
+      `baseline off by ${expected.bpmDifference ?? '-'}`);
+  }
+  return regressions;
+});
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const records = options.records ||
+    fs.readFileSync(path.join(DATASET_DIR, 'RECORDS'), 'utf8').split(/\s+/).filter(Boolean);
+
+  const results = records.map(record => benchmarkRecord(record, options.tolerance));
+
+  const totals = results.reduce((acc, r) => ({
+    beats: acc.beats + r.beats,
+    detected: acc.detected + r.detected,
+    tp: acc.tp + r.tp,
+    fn: acc.fn + r.fn,
+    fp: acc.fp + r.fp
+  }), { beats: 0, detected: 0, tp: 0, fn: 0, fp: 0 });
+
+  const aggregate = {
+    ...totals,
+    ...scores(totals),
+    meanSensitivity: results.reduce((acc, r) => acc + r.sensitivity, 0) / results.length,
+    meanPositivePredictivity: results.reduce((acc, r) => acc + r.positivePredictivity, 0) / results.length,
+    bpmMismatches: results.filter(r => bpmDifference(r) > BPM_TOLERANCE).map(r => r.record)
+  };
+
+  printTable(results, aggregate);
+
+  if (options.json) {
+    const report = JSON.stringify({ toleranceSeconds: options.tolerance, aggregate, records: results }, null, 2);
+    if (options.json === '-') console.log(report);
+    else fs.writeFileSync(options.json, report);
+  }
+
+  if (options.updateBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(toBaseline(results, options.tolerance), null, 2) + '\n');
+    console.log(`\nBaseline of ${results.length} records written to ${options.baseline}`);
+    return;
+  }
+
+  // 1. Aggregate minimums
+  let failed = false;
+  if (aggregate.sensitivity < options.minSe || aggregate.positivePredictivity < options.minPpv) {
+    console.error(`\nFAIL: aggregate Se ${percent(aggregate.sensitivity)} / +P ${percent(aggregate.positivePredictivity)} ` +
+      `below minimum ${percent(options.minSe)} / ${percent(options.minPpv)}`);
+    failed = true;
+  }
+
+  // 2. Per-record regressions against the baseline recorded with the same tolerance
+  if (!fs.existsSync(options.baseline)) {
+    console.warn(`\nNo baseline at ${options.baseline}; per-record results were not checked`);
+  } else {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+    if (baseline.toleranceSeconds !== options.tolerance) {
+      console.warn(`\nBaseline was recorded with a ${baseline.toleranceSeconds} s tolerance; per-record results were not checked`);
+    } else {
+      const regressions = findRegressions(results, baseline, options.margin);
+      if (regressions.length) {
+        console.error(`\nFAIL: ${regressions.length} per-record regression(s) against ${options.baseline}:`);
+        regressions.forEach(message => console.error(`  ${message}`));
+        failed = true;
+      }
+    }
+  }
+
+  if (failed) process.exit(1);
+};
+
+main();
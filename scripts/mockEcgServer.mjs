@@ -0,0 +1,268 @@
+/**
+ * Mock live ECG server replaying an MIT-BIH record over WebSocket
+ *
+ * Streams a bundled record in real time with the app's live protocol
+ * (src/utils/ecgStream.js): a start message, then binary or JSON sample
+ * frames. The stream runs on the server's clock from the moment it starts, so
+ * a client that reconnects resumes at the current sample, and the frames can
+ * be delayed and dropped at random to exercise the client's jitter buffer and
+ * gap detection. The record loops unless --seconds ends the stream.
+ *
+ * Usage:
+ *   npm run stream -- [--port 8765] [--record 100] [--format binary|json]
+ *                     [--frame 0.05] [--jitter 0] [--drop 0] [--seconds 0]
+ *
+ * --frame is the frame length in seconds, --jitter the largest random delay of
+ * a frame in ms, --drop the fraction of frames never sent and --seconds the
+ * stream length (0 streams forever).
+ */
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { register } from 'node:module';
+
+register('./resolveHooks.mjs', import.meta.url);
+
+// Imported after the hook is registered so extensionless imports resolve
+const { parseHeader, decodeRecord } = await import('../src/utils/wfdb.js');
+const { encodeBinaryFrame } = await import('../src/utils/ecgStream.js');
+
+const DATASET_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../datasets/mit-bih-arrhythmia-database-1.0.0'
+);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const GAIN = 1000; // ADC units per mV in binary frames (µV)
+const OPCODES = { TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+/**
+ * Parses command line flags of the form --name value
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options with defaults applied
+ * @throws {Error} On an unknown option or format
+ */
+const parseArgs = (argv) => {
+  const options = { port: 8765, record: '100', format: 'binary', frame: 0.05, jitter: 0, drop: 0, seconds: 0 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    switch (flag) {
+      case '--port': options.port = parseInt(value, 10); break;
+      case '--record': options.record = value; break;
+      case '--format': options.format = value; break;
+      case '--frame': options.frame = parseFloat(value); break;
+      case '--jitter': options.jitter = parseFloat(value); break;
+      case '--drop': options.drop = parseFloat(value); break;
+      case '--seconds': options.seconds = parseFloat(value); break;
+      default: throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  if (options.format !== 'binary' && options.format !== 'json') {
+    throw new Error(`Unknown format ${options.format}; use binary or json`);
+  }
+  return options;
+};
+
+/**
+ * Loads a bundled record's leads
+ * @param {string} recordName - MIT-BIH record name
+ * @returns {{samplingRate: number, leads: Array<{name: string, signal: Float32Array}>}}
+ */
+const loadLeads = (recordName) => {
+  const header = parseHeader(fs.readFileSync(path.join(DATASET_DIR, `${recordName}.hea`), 'utf8'));
+  const data = fs.readFileSync(path.join(DATASET_DIR, header.signals[0].fileName));
+  const leads = decodeRecord(header, data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  return { samplingRate: header.samplingRate, leads };
+};
+
+/**
+ * Builds an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Frame bytes
+ */
+const encodeFrame = (opcode, payload) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt8(0x80 | opcode, 0);
+    header.writeUInt8(126, 1);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt8(0x80 | opcode, 0);
+    header.writeUInt8(127, 1);
+    // 64-bit length; frames stay far below 4 GiB, so the high word is 0
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Splits complete client frames off the front of the received bytes
+ * @param {Buffer} bytes - Bytes received and not yet parsed
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+const decodeFrames = (bytes) => {
+  const frames = [];
+  let offset = 0;
+  while (bytes.length - offset >= 2) {
+    const opcode = bytes[offset] & 0x0f;
+    const masked = (bytes[offset + 1] & 0x80) !== 0;
+    let length = bytes[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (bytes.length < cursor + 2) break;
+      length = bytes.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (bytes.length < cursor + 8) break;
+      length = bytes.readUInt32BE(cursor) * 2 ** 32 + bytes.readUInt32BE(cursor + 4);
+      cursor += 8;
+    }
+    const maskBytes = masked ? 4 : 0;
+    if (bytes.length < cursor + maskBytes + length) break;
+
+    const payload = Buffer.from(bytes.subarray(cursor + maskBytes, cursor + maskBytes + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= bytes[cursor + (i % 4)];
+    }
+    frames.push({ opcode, payload });
+    offset = cursor + maskBytes + length;
+  }
+  return { frames, rest: bytes.subarray(offset) };
+};
+
+const options = parseArgs(process.argv.slice(2));
+const { samplingRate, leads } = loadLeads(options.record);
+const recordLength = leads[0].signal.length;
+const frameSamples = Math.max(1, Math.round(options.frame * samplingRate));
+const endSeq = options.seconds > 0 ? Math.round(options.seconds * samplingRate) : Infinity;
+const clients = new Set();
+
+/**
+ * Sends a frame to a client after a random delay, or drops it
+ * @param {Object} client - Connected client {socket}
+ * @param {Buffer} frame - Encoded WebSocket frame
+ */
+const sendJittered = (client, frame) => {
+  if (Math.random() < options.drop) return;
+  const delay = Math.random() * options.jitter;
+  if (delay < 1) client.socket.write(frame);
+  else setTimeout(() => !client.socket.destroyed && client.socket.write(frame), delay);
+};
+
+/**
+ * Encodes the samples [seq, seq + length) of the looping record as one frame
+ * @param {number} seq - First sample
+ * @param {number} length - Samples per lead
+ * @returns {Buffer} WebSocket frame
+ */
+const samplesFrame = (seq, length) => {
+  const data = leads.map(({ signal }) => {
+    const values = new Float32Array(length);
+    for (let i = 0; i < length; i++) values[i] = signal[(seq + i) % recordLength];
+    return values;
+  });
+  if (options.format === 'binary') {
+    return encodeFrame(OPCODES.BINARY, Buffer.from(encodeBinaryFrame(seq, data, GAIN)));
+  }
+  const message = { type: 'samples', seq, data: data.map(values => Array.from(values, value => Math.round(value * 1000) / 1000)) };
+  return encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message)));
+};
+
+const endMessage = () => encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify({ type: 'end' })));
+
+// 1. The stream's clock: sample `seq` is due `seq / samplingRate` seconds after the start
+const startedAt = performance.now();
+let nextSeq = 0;
+const dueSeq = () => Math.min(endSeq, Math.floor(((performance.now() - startedAt) / 1000) * samplingRate));
+
+// 2. Send every whole frame that has come due to every client
+const timer = setInterval(() => {
+  while (dueSeq() - nextSeq >= frameSamples || (dueSeq() === endSeq && nextSeq < endSeq)) {
+    const length = Math.min(frameSamples, endSeq - nextSeq);
+    const frame = samplesFrame(nextSeq, length);
+    clients.forEach(client => sendJittered(client, frame));
+    nextSeq += length;
+  }
+  if (nextSeq >= endSeq) {
+    clearInterval(timer);
+    // Let delayed frames go out before ending
+    setTimeout(() => {
+      clients.forEach(client => client.socket.end(endMessage()));
+      console.log(`Stream ended after ${options.seconds} s`);
+      server.close();
+    }, options.jitter + 100);
+  }
+}, Math.max(10, (frameSamples / samplingRate) * 500));
+
+// 3. HTTP server that only upgrades to WebSocket
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('This server streams ECG over WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = { socket };
+  let pending = Buffer.alloc(0);
+  console.log(`Client connected from ${socket.remoteAddress}, resuming at sample ${nextSeq}`);
+
+  // The start message names the next sample, so a returning client resumes its session
+  const start = {
+    type: 'start',
+    samplingRate,
+    leads: leads.map(lead => lead.name),
+    gain: GAIN,
+    seq: nextSeq,
+    name: options.record
+  };
+  socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(start))));
+  if (nextSeq >= endSeq) socket.end(endMessage());
+  else clients.add(client);
+
+  socket.on('data', (bytes) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, bytes]));
+    pending = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === OPCODES.CLOSE) socket.end(encodeFrame(OPCODES.CLOSE, payload.subarray(0, 2)));
+      else if (opcode === OPCODES.PING) socket.write(encodeFrame(OPCODES.PONG, payload));
+    });
+  });
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    clients.delete(client);
+    console.log('Client disconnected');
+  });
+});
+
+server.listen(options.port, () => {
+  console.log(`Streaming record ${options.record} (${leads.map(lead => lead.name).join(', ')}, ${samplingRate} Hz) ` +
+    `as ${options.format} frames on ws://localhost:${options.port}`);
+});
+
+process.on('SIGINT', () => {
+  clearInterval(timer);
+  clients.forEach(client => client.socket.end(endMessage()));
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 500);
+});
@@ -0,0 +1,15 @@
+/**
+ * Node module resolution hooks for running src/ modules outside webpack
+ *
+ * The app imports sibling modules without file extensions ('./wfdb'), which
+ * webpack resolves but Node's ESM loader does not. This hook retries relative
+ * specifiers with a '.js' suffix.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
@@ -1,48 +1,92 @@
-import React, { useState, useRef, useEffect, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import HeartModel from './components/HeartModel/HeartModel';
 import ECGVisualization from './components/ECGVisualization/ECGVisualization';
 import ControlsUI from './components/ControlsUI/ControlsUI';
 import AnimationManager from './components/AnimationManage/AnimationManager';
-import { loadEcgData, loadHeartData } from './utils/dataLoaders';
+import { loadRecord, loadFallbackSource, loadScenario, loadImportedSource } from './utils/dataLoaders';
+import { DEFAULT_RECORD } from './utils/wfdb';
 import './App.css';
 import ReverseECG from './components/ECGVisualization/ReverseECG';
+import RecordBrowser from './components/RecordBrowser/RecordBrowser';
+import HRVPanel from './components/HRVPanel/HRVPanel';
+import IntervalPanel from './components/IntervalPanel/IntervalPanel';
+import ExportPanel from './components/ExportPanel/ExportPanel';
+import ReportPanel from './components/ReportPanel/ReportPanel';
+import AlarmBanner from './components/AlarmBanner/AlarmBanner';
+import TransportBar from './components/TransportBar/TransportBar';
+import TwelveLeadECG from './components/TwelveLeadECG/TwelveLeadECG';
+import Vectorcardiogram from './components/Vectorcardiogram/Vectorcardiogram';
+import { REFERENCE_DELAY } from './components/ECGVisualization/monitorConfig';
+import { DEFAULT_PAPER } from './utils/ecgPaper';
+import { DEFAULT_ALARM_SETTINGS } from './utils/alarms';
+import { DEFAULT_SOUND_SETTINGS } from './utils/heartSounds';
+import { DEFAULT_HEATMAP_SETTINGS } from './utils/cardiacActivation';
+import { createTimeline } from './utils/timeline';
+import { useTimelineValue } from './hooks/useTimelineValue';
+import { useHeartSounds } from './hooks/useHeartSounds';
+import { useLiveStream } from './hooks/useLiveStream';
 
 /**
  * Main App component that serves as the root of the application.
  * Manages state and coordinates between different components:
- * - HeartModel: 3D heart visualization
+ * - HeartModel: 3D heart visualization, shaded by electrical activation
  * - ECGVisualization: ECG graph display
+ * - AlarmBanner: Bedside-monitor alarms over the ECG monitor
  * - ControlsUI: User interface controls
+ * - RecordBrowser: MIT-BIH record and rhythm scenario picker, import of the user's own files and live streams
+ * - HRVPanel: Heart rate variability of the loaded source
+ * - IntervalPanel: PR, QRS, QT and QTc measured from the loaded signal
+ * - ExportPanel: CSV, WFDB and EDF+ export of the loaded signal
+ * - ReportPanel: Printable PDF/PNG rhythm strip report
+ * - TransportBar: Scrubbing, seeking, stepping and A–B looping
+ * - TwelveLeadECG: 12-lead page from the dipole model or the recorded leads
+ * - Vectorcardiogram: 3D loops of the heart's electrical vector, linked to the heart view
  * - AnimationManager: Handles animation timing and phases
+ * All of them follow a single simulation timeline, which owns time, speed and pause.
  */
 const App = () => {
   // Refs for accessing child component methods
   const heartModelRef = useRef();  // Reference to HeartModel component
   const animationManagerRef = useRef();  // Reference to AnimationManager component
 
+  // Simulation clock; phase and beats are reported at the ECG monitor's reference line
+  const timeline = useMemo(() => createTimeline({ referenceDelay: REFERENCE_DELAY }), []);
+  const isPlaying = useTimelineValue(timeline, state => state.playing);  // Play/pause state
+  const speedMultiplier = useTimelineValue(timeline, state => state.speed);  // Animation speed multiplier
+
   // State variables
   const [loading, setLoading] = useState(true);  // Loading state flag
-  const [currentPhase, setCurrentPhase] = useState("ST");  // Current cardiac phase (ST, QRS, etc.)
-  const [speedMultiplier, setSpeedMultiplier] = useState(1);  // Animation speed multiplier
   const [color, setColor] = useState("#ffffff");  // Light color for heart model
-  const [timeElapsed, setTimeElapsed] = useState(0);  // Time elapsed in animation
   const [lightIntensity, setLightIntensity] = useState(1);  // Light intensity for heart model
-  const [isPlaying, setIsPlaying] = useState(true);  // Play/pause state
   const [realBPM, setRealBPM] = useState(72);  // Real beats per minute (from ECG data)
+  const [paper, setPaper] = useState(DEFAULT_PAPER);  // ECG paper speed, gain and screen DPI
+  const [alarmSettings, setAlarmSettings] = useState(DEFAULT_ALARM_SETTINGS);  // Alarm limits, latching and audio
+  const [sound, setSound] = useState(DEFAULT_SOUND_SETTINGS);  // Volume, QRS beep and heart sounds
+  const [heatmap, setHeatmap] = useState(DEFAULT_HEATMAP_SETTINGS);  // Activation heatmap on the heart
   const [virtualBPM, setVirtualBPM] = useState(72);  // Virtual beats per minute (for animation)
-  const [ecgData, setEcgData] = useState([]);  // ECG data points
-  const [heartData, setHeartData] = useState([]); // Cardiac phase intervals
+  const [source, setSource] = useState(null);  // Loaded record (signal, leads, header)
+  const [recordLoading, setRecordLoading] = useState(false);  // Record switch in progress
   const [pqrstIntervals, setPqrstIntervals] = useState([]); // Cardiac phase intervals
+  const [annotations, setAnnotations] = useState([]); // Reference beat/rhythm annotations
+  const [sourceKey, setSourceKey] = useState(0); // Bumped whenever a new source starts
+
+  // QRS beep and heart sounds, on the simulation clock
+  useHeartSounds(timeline, pqrstIntervals, sound);
 
   /**
    * Handles play/pause functionality
    * @param {boolean} shouldPlay - Whether the animation should play or pause
    */
   const handlePlayPause = (shouldPlay) => {
-    setIsPlaying(shouldPlay);
-    if (heartModelRef.current) {
-      heartModelRef.current.setPlaying(shouldPlay);
-    }
+    timeline.setPlaying(shouldPlay);
+  };
+
+  /**
+   * Handles speed slider changes
+   * @param {number} speed - New speed multiplier
+   */
+  const handleSpeedChange = (speed) => {
+    timeline.setSpeed(speed);
   };
 
   /**
@@ -58,6 +102,102 @@ const App = () => {
     }
   };
 
+  /**
+   * Camera of the heart view, for views that orbit with it
+   * @returns {Object|null} Three.js camera, or null before the heart has mounted
+   */
+  const getHeartCamera = () => heartModelRef.current?.getCamera() || null;
+
+  /**
+   * Snapshot of the heart view posed at a cardiac phase, for the printed report
+   * @param {Object} options - Snapshot options (see HeartModel captureSnapshot)
+   * @returns {HTMLCanvasElement|null} Snapshot, or null before the heart has loaded
+   */
+  const getHeartSnapshot = (options) => heartModelRef.current?.captureSnapshot(options) || null;
+
+  /**
+   * Makes a loaded source the one every component plays, restarting from zero
+   * @param {Object} newSource - Result of loadRecord / loadFallbackSource
+   */
+  const applySource = useCallback((newSource) => {
+    setSource(newSource);
+    setPqrstIntervals(newSource.intervals);
+    setAnnotations(newSource.annotations);
+    setRealBPM(newSource.bpm);
+    setSourceKey(key => key + 1);
+    timeline.setIntervals(newSource.intervals);
+    timeline.seek(0);
+  }, [timeline]);
+
+  /**
+   * Takes a snapshot of the live stream; a snapshot of the same session grows the source
+   * in place so the clock keeps running
+   * @param {Object} liveSource - Snapshot from the live source
+   * @param {boolean} restarted - Whether the snapshot starts a new session
+   */
+  const handleLiveSource = (liveSource, restarted) => {
+    if (restarted) {
+      applySource(liveSource);
+      return;
+    }
+    setSource(liveSource);
+    setPqrstIntervals(liveSource.intervals);
+    setRealBPM(liveSource.bpm);
+    if (liveSource.intervals !== timeline.getIntervals()) timeline.updateIntervals(liveSource.intervals);
+  };
+
+  // WebSocket stream playing as a growing source
+  const liveStream = useLiveStream(timeline, handleLiveSource);
+
+  /**
+   * Handles record selection from the record browser
+   * @param {string} recordName - MIT-BIH record name
+   */
+  const handleRecordSelect = async (recordName) => {
+    if (recordName === source?.name || recordLoading) return;
+    liveStream.disconnect();
+    setRecordLoading(true);
+    try {
+      applySource(await loadRecord(recordName));
+    } catch (error) {
+      console.error(`Failed to load record ${recordName}:`, error);
+    } finally {
+      setRecordLoading(false);
+    }
+  };
+
+  /**
+   * Handles rhythm scenario selection from the record browser
+   * @param {string} scenarioId - Id from RHYTHM_SCENARIOS
+   */
+  const handleScenarioSelect = async (scenarioId) => {
+    if (scenarioId === source?.name || recordLoading) return;
+    liveStream.disconnect();
+    setRecordLoading(true);
+    try {
+      applySource(await loadScenario(scenarioId));
+    } catch (error) {
+      console.error(`Failed to generate scenario ${scenarioId}:`, error);
+    } finally {
+      setRecordLoading(false);
+    }
+  };
+
+  /**
+   * Plays a recording imported from the user's files
+   * @param {Object} recording - Imported recording (see ecgImport)
+   * @throws {Error} When the recording cannot be turned into a source; the importer shows it
+   */
+  const handleImport = async (recording) => {
+    liveStream.disconnect();
+    setRecordLoading(true);
+    try {
+      applySource(await loadImportedSource(recording));
+    } finally {
+      setRecordLoading(false);
+    }
+  };
+
   // Effect hook for initializing the application
   useEffect(() => {
     /**
@@ -66,14 +206,15 @@ const App = () => {
      */
     const initializeApp = async () => {
       try {
-        // Load ECG and heart data in parallel
-        const [ecgData, heartData] = await Promise.all([
-          loadEcgData(setRealBPM),
-          loadHeartData()
-        ]);
-        
-        setEcgData(ecgData);
-        setHeartData(heartData || []);
+        // Load signal, intervals, annotations and BPM through the single record loader
+        let initialSource;
+        try {
+          initialSource = await loadRecord(DEFAULT_RECORD);
+        } catch (error) {
+          console.error("Record loading error:", error.message);
+          initialSource = await loadFallbackSource();
+        }
+        applySource(initialSource);
         
         // Initialize animation manager with heart model's mixer
         if (heartModelRef.current && animationManagerRef.current) {
@@ -90,45 +231,14 @@ const App = () => {
     };
 
     initializeApp();
-  }, []);  // Empty dependency array means this runs only once on mount
-
-  // Load interval data on mount
-  useEffect(() => {
-    const loadIntervals = async () => {
-      try {
-        const response = await fetch('/pqrst_intervals.json');
-        const intervals = await response.json();
-        setPqrstIntervals(intervals);
-      } catch (error) {
-        console.error('Error loading intervals:', error);
-      }
-    };
-    loadIntervals();
-  }, []);
+  }, [applySource]);  // applySource is stable, so this runs only once on mount
 
-  // Calculate current phase based on ECGVisualization logic
+  // Run the simulation clock while the app is mounted
   useEffect(() => {
-    if (!pqrstIntervals.length) return;
-    // Use ECGVisualization's reference line logic
-    const ECG_CONFIG = {
-      POINTS: 800,
-      SAMPLING_RATE: 300,
-      REFERENCE_LINE_POSITION: 50
-    };
-    const totalPoints = ECG_CONFIG.POINTS;
-    const referencePosition = ECG_CONFIG.REFERENCE_LINE_POSITION;
-    const timeAtReference = timeElapsed - ((totalPoints - referencePosition) / ECG_CONFIG.SAMPLING_RATE);
-    let newPhase = 'ST';
-    for (const interval of pqrstIntervals) {
-      if (timeAtReference >= interval.entry && timeAtReference < interval.entry + interval.duration) {
-        newPhase = interval.phase;
-        break;
-      }
-    }
-    setCurrentPhase(newPhase);
-  }, [timeElapsed, pqrstIntervals]);
+    timeline.start();
+    return () => timeline.stop();
+  }, [timeline]);
 
- 
   return (
     <div className="app-container">
       {/* Loading indicator */}
@@ -141,12 +251,9 @@ const App = () => {
             ref={heartModelRef}
             color={color}
             lightIntensity={lightIntensity}
-            isPlaying={isPlaying}
-            speedMultiplier={speedMultiplier}
-            onTimeUpdate={setTimeElapsed}
-            pqrstIntervals={pqrstIntervals}
-            currentPhase={currentPhase}
-            timeElapsed={timeElapsed}
+            timeline={timeline}
+            annotations={annotations}
+            heatmap={heatmap}
           />
         </div>
         
@@ -154,37 +261,103 @@ const App = () => {
         <div className="control-section">
           {/* Control Panel Component */}
           <ControlsUI
-            currentPhase={currentPhase}
-            timeElapsed={timeElapsed}
+            timeline={timeline}
             realBPM={realBPM}
             virtualBPM={virtualBPM}
             speedMultiplier={speedMultiplier}
-            setSpeedMultiplier={setSpeedMultiplier}
+            setSpeedMultiplier={handleSpeedChange}
             color={color}
             lightIntensity={lightIntensity}
             onLightChange={handleLightChange}
+            heatmap={heatmap}
+            onHeatmapChange={setHeatmap}
             isPlaying={isPlaying}
             setIsPlaying={handlePlayPause}
+            sound={sound}
+            onSoundChange={setSound}
+          />
+
+          {/* Scrubber, beat/phase/frame stepping and A–B loop */}
+          <TransportBar timeline={timeline} />
+
+          {/* Heart rate variability of the loaded source */}
+          <HRVPanel intervals={pqrstIntervals} sourceLabel={source?.label} />
+
+          {/* Clinical intervals delineated from the loaded signal */}
+          <IntervalPanel
+            timeline={timeline}
+            signal={source?.signal}
+            samplingRate={source?.samplingRate}
+            sourceLabel={source?.label}
+          />
+
+          {/* CSV, WFDB and EDF+ export of the loaded or simulated signal */}
+          <ExportPanel timeline={timeline} source={source} intervals={pqrstIntervals} />
+
+          {/* Printable rhythm strip report */}
+          <ReportPanel
+            timeline={timeline}
+            source={source}
+            intervals={pqrstIntervals}
+            getHeartSnapshot={getHeartSnapshot}
+          />
+
+          {/* Electrical vector, orbiting with the heart */}
+          <Vectorcardiogram
+            timeline={timeline}
+            intervals={pqrstIntervals}
+            getLinkedCamera={getHeartCamera}
+          />
+
+          {/* 12-lead page (dipole model or recorded leads) */}
+          <TwelveLeadECG
+            timeline={timeline}
+            intervals={pqrstIntervals}
+            leads={source?.leads}
+            samplingRate={source?.samplingRate}
+          />
+
+          {/* Record and scenario picker */}
+          <RecordBrowser
+            selectedRecord={source?.name}
+            selectedLabel={source?.label}
+            onSelectRecord={handleRecordSelect}
+            onSelectScenario={handleScenarioSelect}
+            onImport={handleImport}
+            liveStream={liveStream}
+            loadingRecord={recordLoading}
           />
           
           {/* ECG Visualization Components */}
           <div className="ecg-section">
             <ECGVisualization 
-              ecgData={ecgData}
-              isPlaying={isPlaying}
-              timeElapsed={timeElapsed}
-              currentPhase={currentPhase}
+              timeline={timeline}
               realBPM={realBPM}
               pqrstIntervals={pqrstIntervals}
-            />
+              annotations={annotations}
+              signal={source?.signal}
+              signalRate={source?.samplingRate}
+              live={Boolean(source?.live)}
+              sourceKey={sourceKey}
+              paper={paper}
+              onPaperChange={setPaper}
+            >
+              <AlarmBanner
+                timeline={timeline}
+                intervals={pqrstIntervals}
+                signal={source?.signal}
+                samplingRate={source?.samplingRate}
+                sourceKey={sourceKey}
+                settings={alarmSettings}
+                onSettingsChange={setAlarmSettings}
+              />
+            </ECGVisualization>
             </div>
             <div className="reverse-section">
             <ReverseECG
-              isPlaying={isPlaying}
-              timeElapsed={timeElapsed}
-              currentPhase={currentPhase}
+              timeline={timeline}
               realBPM={realBPM}
-              speedMultiplier={speedMultiplier}
+              paper={paper}
             />
           </div>
         </div>
@@ -193,8 +366,8 @@ const App = () => {
       {/* Animation Manager Component (handles timing and phases) */}
       <AnimationManager
         ref={animationManagerRef}
-        setCurrentPhase={setCurrentPhase}
-        setVirtualBPM={setVirtualBPM}
+        timeline={timeline}
+        onVirtualBPMChange={setVirtualBPM}
         isPlaying={isPlaying}
         speedMultiplier={speedMultiplier}
       />
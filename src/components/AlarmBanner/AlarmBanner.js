@@ -0,0 +1,160 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { TIMELINE_EVENTS } from '../../utils/timeline';
+import { alarmBeats, createAlarmEngine, detectAlarmConditions } from '../../utils/alarms';
+import { createAlarmTones } from '../../utils/alarmTones';
+import AlarmSettings from './AlarmSettings';
+import './AlarmBanner.css';
+
+const EVALUATION_STEP = 0.25; // Simulation seconds between alarm checks
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Duration
+ * @returns {string} e.g. "1:45"
+ */
+const formatCountdown = (seconds) => {
+  const whole = Math.ceil(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+/**
+ * AlarmBanner Component
+ * Bedside-monitor alarms for the rhythm at the ECG monitor's reference line
+ *
+ * Features:
+ * - HR limits, asystole, pause, V-Tach, V-Fib and signal loss alarms
+ * - High, medium and low priority, each with its colour and Web Audio tone
+ * - Latching alarms stay after their condition clears until acknowledged
+ * - Acknowledge and a timed audio silence; a new alarm ends the silence
+ * - Settings for the limits, which alarms are on, latching and audio
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline
+ * @param {Array} props.intervals - Cardiac phase intervals of the loaded source
+ * @param {Float32Array} [props.signal] - Signal of the loaded source (mV)
+ * @param {number} [props.samplingRate] - Sampling rate of `signal` (Hz)
+ * @param {number} [props.sourceKey] - Changes when a new source starts; a live source keeps
+ *   its key while its signal grows
+ * @param {Object} props.settings - Alarm settings (see DEFAULT_ALARM_SETTINGS)
+ * @param {function} props.onSettingsChange - Called with new settings
+ */
+const AlarmBanner = ({ timeline, intervals, signal, samplingRate, sourceKey, settings, onSettingsChange }) => {
+  const engine = useMemo(() => createAlarmEngine(), []);
+  const tonesRef = useRef(null);
+  const settingsRef = useRef(settings);
+  const [alarms, setAlarms] = useState([]);
+  const [silenceRemaining, setSilenceRemaining] = useState(0);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const beats = useMemo(() => alarmBeats(intervals), [intervals]);
+  const silenced = silenceRemaining > 0;
+
+  // Tone player; the audio context may only start from a user gesture
+  useEffect(() => {
+    const tones = createAlarmTones();
+    tonesRef.current = tones;
+    const resume = () => tones.resume();
+    window.addEventListener('pointerdown', resume);
+    return () => {
+      window.removeEventListener('pointerdown', resume);
+      tones.dispose();
+      tonesRef.current = null;
+    };
+  }, []);
+
+  // Settings used by the detection loop without resubscribing
+  useEffect(() => {
+    settingsRef.current = settings;
+    engine.setLatching(settings.latching);
+  }, [engine, settings]);
+
+  // Show the engine's alarms and sound the tone it asks for
+  useEffect(() => {
+    const refresh = () => {
+      setAlarms(engine.getAlarms());
+      setSilenceRemaining(engine.getSilenceRemaining());
+      tonesRef.current?.play(settingsRef.current.audible ? engine.getTone() : null);
+    };
+    refresh();
+    return engine.subscribe(refresh);
+  }, [engine, settings.audible]);
+
+  // Count the silence down, resuming the tone when it runs out
+  useEffect(() => {
+    if (!silenced) return;
+    const timer = setInterval(() => {
+      const remaining = engine.getSilenceRemaining();
+      setSilenceRemaining(remaining);
+      if (remaining <= 0) tonesRef.current?.play(settingsRef.current.audible ? engine.getTone() : null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [engine, silenced]);
+
+  // A new source starts afresh
+  useEffect(() => {
+    engine.reset();
+  }, [engine, sourceKey]);
+
+  // Check the alarm conditions as the reference line moves
+  useEffect(() => {
+    let lastTime = null;
+
+    const evaluate = (state) => {
+      if (lastTime !== null && Math.abs(state.time - lastTime) < EVALUATION_STEP) return;
+      lastTime = state.time;
+      const conditions = detectAlarmConditions({
+        beats,
+        signal: signal || null,
+        samplingRate: samplingRate || null,
+        time: state.recordTime,
+        settings: settingsRef.current
+      });
+      engine.update(conditions, state.recordTime);
+    };
+
+    evaluate(timeline.getState());
+    return timeline.subscribe(TIMELINE_EVENTS.FRAME, evaluate);
+  }, [timeline, engine, beats, signal, samplingRate]);
+
+  const top = alarms[0];
+
+  return (
+    <div className={`alarm-banner ${top ? `alarm-${top.priority}` : 'alarm-clear'}${top && !top.acknowledged ? ' alarm-unacknowledged' : ''}`}>
+      <div className="alarm-row">
+        <div className="alarm-list" aria-live="polite">
+          {alarms.length ? alarms.map(alarm => (
+            <span
+              key={alarm.type}
+              className={`alarm-chip alarm-${alarm.priority}${alarm.active ? '' : ' alarm-latched'}${alarm.acknowledged ? ' alarm-acknowledged' : ''}`}
+              title={`${alarm.priority} priority since ${alarm.onset.toFixed(1)} s${alarm.active ? '' : ' (latched, condition cleared)'}`}
+            >
+              <strong>{alarm.label}</strong> {alarm.message}
+            </span>
+          )) : (
+            <span className="alarm-none">No alarms</span>
+          )}
+        </div>
+        <div className="alarm-actions">
+          {silenced && <span className="alarm-silenced" title="Audio paused">🔕 {formatCountdown(silenceRemaining)}</span>}
+          <button onClick={() => engine.acknowledge()} disabled={!alarms.length}>Acknowledge</button>
+          <button
+            onClick={() => (silenced ? engine.resumeAudio() : engine.silence(settings.silenceSeconds))}
+            aria-pressed={silenced}
+          >
+            {silenced ? 'Resume audio' : `Silence ${formatCountdown(settings.silenceSeconds)}`}
+          </button>
+          <button
+            className={showSettings ? 'active' : ''}
+            onClick={() => setShowSettings(!showSettings)}
+            aria-expanded={showSettings}
+          >
+            Limits
+          </button>
+        </div>
+      </div>
+      {showSettings && <AlarmSettings settings={settings} onChange={onSettingsChange} />}
+    </div>
+  );
+};
+
+export default AlarmBanner;
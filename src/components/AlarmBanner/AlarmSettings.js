@@ -0,0 +1,95 @@
+import React from 'react';
+import { ALARM_DEFINITIONS, ALARM_PRIORITIES, ALARM_TYPES } from '../../utils/alarms';
+
+// Numeric limits: settings key, label, unit and input bounds
+const LIMIT_FIELDS = [
+  { key: 'hrLow', label: 'HR low', unit: 'bpm', min: 20, max: 120, step: 1 },
+  { key: 'hrHigh', label: 'HR high', unit: 'bpm', min: 60, max: 250, step: 1 },
+  { key: 'asystoleSeconds', label: 'Asystole', unit: 's', min: 2, max: 10, step: 0.5 },
+  { key: 'pauseSeconds', label: 'Pause', unit: 's', min: 1.5, max: 5, step: 0.5 },
+  { key: 'vtRate', label: 'VT rate', unit: 'bpm', min: 80, max: 200, step: 5 },
+  { key: 'vtBeats', label: 'VT run', unit: 'beats', min: 3, max: 12, step: 1 }
+];
+
+/**
+ * Alarm settings: limits, which alarms are on, latching per priority and audio
+ * @param {Object} props - Component properties
+ * @param {Object} props.settings - Alarm settings (see DEFAULT_ALARM_SETTINGS)
+ * @param {function} props.onChange - Called with the new settings
+ */
+const AlarmSettings = ({ settings, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  /**
+   * Applies a limit once it has been typed, clamped to its bounds; anything else restores it
+   * @param {Object} field - Entry of LIMIT_FIELDS
+   * @param {HTMLInputElement} input - Limit input
+   */
+  const commitLimit = ({ key, min, max }, input) => {
+    const value = parseFloat(input.value);
+    const limit = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : settings[key];
+    input.value = limit;
+    if (limit !== settings[key]) update({ [key]: limit });
+  };
+
+  return (
+    <div className="alarm-settings">
+      <div className="alarm-limits">
+        {LIMIT_FIELDS.map(field => (
+          <label key={field.key}>
+            {field.label}
+            {/* Committed on blur or Enter, so a half-typed limit never raises an alarm */}
+            <input
+              key={settings[field.key]}
+              type="number"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              defaultValue={settings[field.key]}
+              onBlur={(e) => commitLimit(field, e.target)}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            />
+            <span className="alarm-unit">{field.unit}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="alarm-switches">
+        {Object.values(ALARM_TYPES).map(type => (
+          <label key={type}>
+            <input
+              type="checkbox"
+              checked={settings.enabled[type]}
+              onChange={(e) => update({ enabled: { ...settings.enabled, [type]: e.target.checked } })}
+            />
+            {ALARM_DEFINITIONS[type].label}
+          </label>
+        ))}
+      </div>
+
+      <div className="alarm-switches">
+        <span>Latching:</span>
+        {Object.values(ALARM_PRIORITIES).map(priority => (
+          <label key={priority}>
+            <input
+              type="checkbox"
+              checked={settings.latching[priority]}
+              onChange={(e) => update({ latching: { ...settings.latching, [priority]: e.target.checked } })}
+            />
+            {priority}
+          </label>
+        ))}
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.audible}
+            onChange={(e) => update({ audible: e.target.checked })}
+          />
+          Audible
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default AlarmSettings;
@@ -1,4 +1,7 @@
 import React from "react";
+import { useTimelineValue } from "../../hooks/useTimelineValue";
+import SoundControls from "./SoundControls";
+import HeatmapControls from "./HeatmapControls";
 import "./ControlsUI.css";
 
 /**
@@ -9,25 +12,29 @@ import "./ControlsUI.css";
  * - Play/pause animation control
  * - Animation speed adjustment
  * - Lighting controls (color and intensity)
+ * - Activation heatmap on the heart: on/off, strength and colour legend
+ * - Sound: volume, mute, QRS beep and heart sounds
  * - Real-time display of cardiac phase, BPM, and elapsed time
  * - Responsive UI with intuitive sliders and buttons
  * 
  * @param {Object} props - Component properties
- * @param {string} [props.currentPhase="ST"] - Current cardiac phase (ST, QRS, etc.)
- * @param {number} [props.timeElapsed=0] - Elapsed time in seconds
+ * @param {Object} props.timeline - Simulation timeline (source of the phase and elapsed time)
  * @param {number} [props.realBPM=72] - Real heart rate in beats per minute
- * @param {number} [props.virtualBPM=72] - Virtual/animated heart rate
+ * @param {number} [props.virtualBPM=72] - Smoothed beat-to-beat heart rate at the current time
  * @param {number} [props.speedMultiplier=1] - Animation speed multiplier
  * @param {function} props.setSpeedMultiplier - Callback to update speed
  * @param {string} [props.color="#ffffff"] - Current light color (hex)
  * @param {number} [props.lightIntensity=1] - Current light intensity
  * @param {function} props.onLightChange - Callback for light property changes
+ * @param {Object} [props.heatmap] - Activation heatmap settings (see DEFAULT_HEATMAP_SETTINGS)
+ * @param {function} [props.onHeatmapChange] - Callback with new heatmap settings
  * @param {boolean} [props.isPlaying=true] - Whether animation is playing
  * @param {function} props.setIsPlaying - Callback to toggle play/pause
+ * @param {Object} [props.sound] - Sound settings (see DEFAULT_SOUND_SETTINGS)
+ * @param {function} [props.onSoundChange] - Callback with new sound settings
  */
 const ControlsUI = ({
-  currentPhase = "ST",
-  timeElapsed = 0,
+  timeline,
   realBPM = 72,
   virtualBPM = 72,
   speedMultiplier = 1,
@@ -35,9 +42,17 @@ const ControlsUI = ({
   color = "#ffffff",
   lightIntensity = 1,
   onLightChange,
+  heatmap,
+  onHeatmapChange,
   isPlaying = true,
   setIsPlaying,
+  sound,
+  onSoundChange,
 }) => {
+  const currentPhase = useTimelineValue(timeline, state => state.phase);
+  // Displayed to 0.05 s so the panel re-renders at most 20 times per simulated second
+  const timeElapsed = useTimelineValue(timeline, state => Math.floor(state.time * 20) / 20);
+
   /**
    * Handles color change events
    * @param {Object} e - Change event from color input
@@ -82,7 +97,7 @@ const ControlsUI = ({
         <p>
           BPM: <span className="bpm-value" aria-label={`Heart rate: ${realBPM} beats per minute`}>
             {realBPM}
-          </span> (Virtual: {virtualBPM})
+          </span> (Now: {virtualBPM})
         </p>
       </div>
 
@@ -134,6 +149,12 @@ const ControlsUI = ({
         </label>
       </div>
 
+      {/* Activation Heatmap Controls */}
+      {heatmap && onHeatmapChange && <HeatmapControls heatmap={heatmap} onChange={onHeatmapChange} />}
+
+      {/* Sound Controls */}
+      {sound && onSoundChange && <SoundControls sound={sound} onChange={onSoundChange} />}
+
       {/* Play/Pause Button */}
       <button
         className={`play-button ${isPlaying ? "pause" : "play"}`}
@@ -0,0 +1,45 @@
+import React from "react";
+import { ACTIVATION_RAMP } from "../../utils/cardiacActivation";
+
+/**
+ * Activation heatmap settings: on/off, how strongly it covers the model's colours and the colour ramp
+ * @param {Object} props - Component properties
+ * @param {Object} props.heatmap - Heatmap settings (see DEFAULT_HEATMAP_SETTINGS)
+ * @param {function} props.onChange - Called with the new settings
+ */
+const HeatmapControls = ({ heatmap, onChange }) => {
+  const update = (changes) => onChange({ ...heatmap, ...changes });
+
+  return (
+    <div className="control-group heatmap-controls">
+      <label>
+        <input type="checkbox" checked={heatmap.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        Activation heatmap
+      </label>
+      <label aria-label="Heatmap strength control">
+        Strength:
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={heatmap.strength}
+          onChange={(e) => update({ strength: parseFloat(e.target.value) })}
+          disabled={!heatmap.enabled}
+          aria-valuemin="0.1"
+          aria-valuemax="1"
+          aria-valuenow={heatmap.strength}
+        />
+        <span>{Math.round(heatmap.strength * 100)}%</span>
+      </label>
+      <div className="heatmap-legend" aria-hidden="true">
+        <span style={{ background: ACTIVATION_RAMP.resting }} /> Resting
+        <span style={{ background: ACTIVATION_RAMP.front }} /> Wavefront
+        <span style={{ background: ACTIVATION_RAMP.depolarized }} /> Depolarized
+        <span style={{ background: ACTIVATION_RAMP.junction }} /> AV junction
+      </div>
+    </div>
+  );
+};
+
+export default HeatmapControls;
@@ -0,0 +1,95 @@
+import React from "react";
+import { MURMUR_LABELS, MURMURS } from "../../utils/heartSounds";
+
+/**
+ * Sound settings: volume and mute, the QRS beep and the heart sounds used for teaching
+ * @param {Object} props - Component properties
+ * @param {Object} props.sound - Sound settings (see DEFAULT_SOUND_SETTINGS)
+ * @param {function} props.onChange - Called with the new settings
+ */
+const SoundControls = ({ sound, onChange }) => {
+  const update = (changes) => onChange({ ...sound, ...changes });
+
+  return (
+    <div className="control-group sound-controls">
+      <label aria-label="Volume control">
+        Volume:
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={sound.volume}
+          onChange={(e) => update({ volume: parseFloat(e.target.value) })}
+          disabled={sound.muted}
+          aria-valuemin="0"
+          aria-valuemax="1"
+          aria-valuenow={sound.volume}
+        />
+        <button
+          className={`mute-button ${sound.muted ? "muted" : ""}`}
+          onClick={() => update({ muted: !sound.muted })}
+          aria-pressed={sound.muted}
+          aria-label={sound.muted ? "Unmute" : "Mute"}
+        >
+          {sound.muted ? "🔇" : "🔊"}
+        </button>
+      </label>
+
+      <div className="sound-options">
+        <label>
+          <input type="checkbox" checked={sound.beep} onChange={(e) => update({ beep: e.target.checked })} />
+          QRS beep
+        </label>
+        <label title="Beep pitch falls one semitone per % of saturation, like a pulse oximeter">
+          <input type="checkbox" checked={sound.spo2Pitch} onChange={(e) => update({ spo2Pitch: e.target.checked })} />
+          SpO₂ pitch
+        </label>
+        {sound.spo2Pitch && (
+          <label>
+            <input
+              type="range"
+              min="70"
+              max="100"
+              step="1"
+              value={sound.spo2}
+              onChange={(e) => update({ spo2: parseInt(e.target.value, 10) })}
+              aria-label="SpO₂"
+            />
+            <span>{sound.spo2}%</span>
+          </label>
+        )}
+      </div>
+
+      <div className="sound-options">
+        <label>
+          <input type="checkbox" checked={sound.heartSounds} onChange={(e) => update({ heartSounds: e.target.checked })} />
+          Heart sounds
+        </label>
+        <label>
+          <input type="checkbox" checked={sound.s3} onChange={(e) => update({ s3: e.target.checked })} disabled={!sound.heartSounds} />
+          S3
+        </label>
+        <label>
+          <input type="checkbox" checked={sound.s4} onChange={(e) => update({ s4: e.target.checked })} disabled={!sound.heartSounds} />
+          S4
+        </label>
+      </div>
+
+      <label>
+        Murmur:
+        <select
+          value={sound.murmur}
+          onChange={(e) => update({ murmur: e.target.value })}
+          disabled={!sound.heartSounds}
+        >
+          {Object.values(MURMURS).map(murmur => (
+            <option key={murmur} value={murmur}>{MURMUR_LABELS[murmur]}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default SoundControls;
@@ -1,70 +1,158 @@
 import React, { useEffect, useRef, useState, useMemo } from 'react';
 import { Chart } from 'chart.js/auto';
+import zoomPlugin from 'chartjs-plugin-zoom';
 import './ECGVisualization.css';
 import EventEmitter from 'events';
+import { annotationsInRange, BEAT_DESCRIPTIONS, BEAT_SYMBOLS, describeRhythm, rhythmAt } from '../../utils/wfdbAnnotations';
+import { loadRecordedTrace } from '../../utils/dataLoaders';
+import { applyAmplitudeScale, fitTraceScale, resampleLinear } from '../../utils/signalUtils';
+import { beatTimesFromIntervals } from '../../utils/ecgGenerator';
+import { runEcgSynthesis } from '../../utils/runEcgSynthesis';
+import { TIMELINE_EVENTS } from '../../utils/timeline';
+import { useTimelineValue } from '../../hooks/useTimelineValue';
+import Tachogram from '../Tachogram/Tachogram';
+import { MONITOR_CONFIG } from './monitorConfig';
+import { createPaperPlugin, DEFAULT_PAPER, PAPER_COLORS, stripLayout } from '../../utils/ecgPaper';
+import PaperControls from './PaperControls';
+import { createCaliperPlugin, formatCaliper, markerAt, pointerToTrace } from './calipers';
 
-// Web Worker for background ECG generation
-const createWorker = () => {
-  const workerCode = `
-    self.onmessage = function(e) {
-      const { intervals, samplingRate } = e.data;
-      
-      const generateECGPoint = (time) => {
-        for (const interval of intervals) {
-          if (time >= interval.entry && time < interval.entry + interval.duration) {
-            const phaseTime = time - interval.entry;
-            const phaseProgress = phaseTime / interval.duration;
-            
-            switch(interval.phase) {
-              case 'QRS':
-                if (phaseProgress < 0.15) return -0.3 * (1 - Math.cos(phaseProgress/0.15 * Math.PI/2));
-                else if (phaseProgress < 0.35) return 1.8 * Math.sin((phaseProgress-0.15)/0.2 * Math.PI);
-                else if (phaseProgress < 0.6) return -0.4 * (1 - (phaseProgress-0.35)/0.25);
-                else return 0;
-              case 'PQ': 
-                return 0.2 * Math.sin(Math.PI * phaseProgress * 2.5);
-              case 'ST':
-                return phaseProgress < 0.4 ? 0.05 : 0.35 * Math.sin((phaseProgress-0.4)/0.6 * Math.PI) * Math.exp(-(phaseProgress-0.4)/0.6*2);
-              default: 
-                return 0;
-            }
-          }
-        }
-        return 0;
-      };
-
-      const totalDuration = intervals[intervals.length-1].entry + intervals[intervals.length-1].duration;
-      const sampleInterval = 1 / samplingRate;
-      const ecgData = [];
-      
-      for (let time = 0; time < totalDuration; time += sampleInterval) {
-        ecgData.push({ time, value: generateECGPoint(time) });
-      }
-      
-      postMessage(ecgData);
-    };
-  `;
-  
-  const blob = new Blob([workerCode], { type: 'application/javascript' });
-  return new Worker(URL.createObjectURL(blob));
+// Signal sources for the monitor trace
+const SOURCE_MODES = {
+  RECORDED: 'recorded',   // Recorded record 105 trace, resampled to the display rate
+  SYNTHETIC: 'synthetic'  // ECGSYN model waveform following the loaded beat times
+};
+
+// A live trace is refitted to the screen until it holds this many seconds, then only grows
+const LIVE_FIT_SECONDS = 10;
+
+// Offset and gain of a trace shown as it is (the synthetic waveform is already in mV)
+const IDENTITY_FIT = { baseline: 0, scale: 1 };
+const NO_TRACE = { samples: [], fit: IDENTITY_FIT };
+
+// Beat symbol colours: ventricular ectopy red, supraventricular ectopy blue
+const BEAT_SYMBOL_COLORS = {
+  V: '#ff5252', r: '#ff5252', E: '#ff5252', F: '#ff9f43',
+  A: '#4fc3f7', a: '#4fc3f7', J: '#4fc3f7', S: '#4fc3f7', j: '#4fc3f7', e: '#4fc3f7', n: '#4fc3f7'
 };
 
+/**
+ * Chart.js plugin that marks annotated beats and rhythm changes on the trace
+ * @param {Object} overlayRef - Ref holding { annotations, segments, referenceIndex } for the current
+ *   window, where each segment {x, recordStart, length} is a run of consecutive record samples on
+ *   screen and referenceIndex is the sample under the reference line
+ * @param {Object} config - ECG configuration (SAMPLING_RATE)
+ * @returns {Object} Chart.js plugin
+ */
+const createAnnotationPlugin = (overlayRef, config) => ({
+  id: 'beatAnnotations',
+  afterDatasetsDraw(chart) {
+    const { annotations, segments, referenceIndex } = overlayRef.current;
+    if (!annotations.length) return;
+
+    const { ctx, chartArea, scales: { x } } = chart;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 11px Arial';
+
+    // A looped or extended record shows several stretches of the record side by side
+    const visible = segments.flatMap(segment => annotationsInRange(
+      annotations,
+      segment.recordStart / config.SAMPLING_RATE,
+      (segment.recordStart + segment.length - 1) / config.SAMPLING_RATE
+    ).map(annotation => ({
+      annotation,
+      index: segment.x + annotation.time * config.SAMPLING_RATE - segment.recordStart
+    })));
+
+    visible.forEach(({ annotation, index }) => {
+      const xPos = x.getPixelForValue(index);
+      const passed = index <= referenceIndex; // Already crossed the reference line
+      ctx.globalAlpha = passed ? 1 : 0.55;
+
+      if (BEAT_SYMBOLS.has(annotation.symbol)) {
+        ctx.fillStyle = BEAT_SYMBOL_COLORS[annotation.symbol] || '#ffffff';
+        ctx.fillText(annotation.symbol, xPos, chartArea.top + 12);
+      } else if (annotation.symbol === '+' && annotation.aux) {
+        // Rhythm change: dashed marker with the rhythm label along the bottom
+        ctx.strokeStyle = '#ffd54f';
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xPos, chartArea.top + 18);
+        ctx.lineTo(xPos, chartArea.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffd54f';
+        ctx.textAlign = 'left';
+        ctx.fillText(describeRhythm(annotation.aux), xPos + 3, chartArea.bottom - 6);
+        ctx.textAlign = 'center';
+      }
+    });
+
+    ctx.restore();
+  }
+});
+
 const heartEvents = new EventEmitter();
 function onHeartPhaseChange(newPhase) {
   heartEvents.emit('phaseChange', newPhase);
 }
 
-const ECGVisualization = ({ isPlaying, timeElapsed, realBPM, pqrstIntervals = [], currentPhase }) => {
+/**
+ * Scrolling single-lead ECG monitor
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline; the trace scrolls with its time,
+ *   is coloured by its phase and follows its loop/extension of the record
+ * @param {number} props.realBPM - Heart rate shown in the footer
+ * @param {Array} [props.pqrstIntervals=[]] - Phase intervals driving the synthetic waveform
+ * @param {Array} [props.annotations=[]] - Beat/rhythm annotations to overlay
+ * @param {Float32Array} [props.signal] - Recorded signal of the loaded record (mV)
+ * @param {number} [props.signalRate] - Sampling rate of `signal` (Hz)
+ * @param {boolean} [props.live=false] - Whether `signal` is a live stream that grows between
+ *   renders; only its new samples are converted and no synthetic waveform is made
+ * @param {number} [props.sourceKey] - Changes when a new source starts (see App)
+ * @param {Object} [props.paper] - ECG paper settings {enabled, speed, gain, dpi}
+ * @param {function} [props.onPaperChange] - Called with new paper settings
+ * @param {React.ReactNode} [props.children] - Shown above the monitor, e.g. the alarm banner
+ */
+const ECGVisualization = ({
+  timeline,
+  realBPM,
+  pqrstIntervals = [],
+  annotations = [],
+  signal,
+  signalRate,
+  live = false,
+  sourceKey,
+  paper = DEFAULT_PAPER,
+  onPaperChange,
+  children
+}) => {
   const ecgCanvasRef = useRef(null);
   const chartRef = useRef(null);
-  const animationRef = useRef();
-  const [ecgData, setEcgData] = useState([]);
-  const workerRef = useRef();
+  const [syntheticData, setSyntheticData] = useState([]);
+  const [recordedTrace, setRecordedTrace] = useState(NO_TRACE); // {samples, fit} of the recorded signal
+  const liveTraceRef = useRef(null); // {sourceKey, calibrated, samples, fit} of the live trace shown so far
+  const [sourceMode, setSourceMode] = useState(SOURCE_MODES.RECORDED);
+  const overlayRef = useRef({ annotations, segments: [], referenceIndex: MONITOR_CONFIG.REFERENCE_LINE_POSITION });
+  const paperRef = useRef({ paper, mm: null });
+  const [calipersOn, setCalipersOn] = useState(false);
+  const [activeCaliper, setActiveCaliper] = useState(null);
+  const [pinnedCalipers, setPinnedCalipers] = useState([]);
+  const [march, setMarch] = useState(false);
+  const [zoomed, setZoomed] = useState(false);
+  const caliperRef = useRef({ active: null, pinned: [], march: false });
+  const traceWindowRef = useRef({ firstIdx: 0, samplingRate: MONITOR_CONFIG.SAMPLING_RATE, fit: IDENTITY_FIT });
+  const playing = useTimelineValue(timeline, state => state.playing);
+  const currentPhase = useTimelineValue(timeline, state => state.phase);
+  const ended = useTimelineValue(timeline, state => state.ended);
+  // Labels and footer follow the time in 0.1 s steps rather than every frame
+  const timeElapsed = useTimelineValue(timeline, state => Math.floor(state.time * 10) / 10);
+  const referenceTime = useTimelineValue(timeline, state => Math.floor(state.recordTime * 10) / 10);
 
   // ECG Configuration
   const ECG_CONFIG = useMemo(() => ({
-    POINTS: 800,
-    SAMPLING_RATE: 300,
+    ...MONITOR_CONFIG,
     COLOR: '#00FF40',
     GRID_COLOR: 'rgba(255, 255, 255, 0.2)',
     PHASE_COLORS: {
@@ -74,49 +162,85 @@ const ECGVisualization = ({ isPlaying, timeElapsed, realBPM, pqrstIntervals = []
     },
     REFERENCE_LINE_COLOR: 'rgba(255, 255, 0, 0.7)',
     REFERENCE_LINE_WIDTH: 2,
-    REFERENCE_LINE_POSITION: 50 // Fixed position (in pixels from left)
+    Y_MIN: -0.8,
+    Y_MAX: 2.2
   }), []);
 
-  // Load interval data
+  // Synthesize a waveform whose R-peaks follow the loaded intervals; a live stream shows its
+  // own samples, and synthesizing its whole length again for every new beat would not keep up
+  useEffect(() => {
+    if (!pqrstIntervals.length || live) return;
+    let cancelled = false;
+
+    const lastInterval = pqrstIntervals[pqrstIntervals.length - 1];
+    runEcgSynthesis({
+      duration: lastInterval.entry + lastInterval.duration,
+      samplingRate: ECG_CONFIG.SAMPLING_RATE,
+      beatTimes: beatTimesFromIntervals(pqrstIntervals)
+    })
+      .then(({ samples }) => {
+        if (!cancelled) setSyntheticData(samples);
+      })
+      .catch(error => console.error('ECG synthesis failed:', error.message));
+
+    return () => { cancelled = true; };
+  }, [pqrstIntervals, live, ECG_CONFIG.SAMPLING_RATE]);
+
+  // Load the recorded trace, resampled from its native rate to the display rate; on paper it
+  // stays in mV, otherwise it is fitted to the screen
+  const calibrated = paper.enabled;
   useEffect(() => {
-    const loadIntervals = async () => {
+    let cancelled = false;
+
+    // A live trace only grows: once it is long enough to fit the scale, convert just the new samples
+    const trace = liveTraceRef.current;
+    liveTraceRef.current = null;
+    if (live && signal) {
+      const toSample = (value, i) => ({ time: i / ECG_CONFIG.SAMPLING_RATE, value });
+      const reusable = trace && trace.sourceKey === sourceKey && trace.calibrated === calibrated;
+      if (reusable && signal.length / signalRate >= LIVE_FIT_SECONDS) {
+        const start = trace.samples.length;
+        const added = applyAmplitudeScale(resampleLinear(signal, signalRate, ECG_CONFIG.SAMPLING_RATE, start), trace.fit);
+        const samples = trace.samples.concat(Array.from(added, (value, i) => toSample(value, start + i)));
+        liveTraceRef.current = { ...trace, samples };
+      } else {
+        const resampled = resampleLinear(signal, signalRate, ECG_CONFIG.SAMPLING_RATE);
+        const fit = fitTraceScale(resampled, calibrated);
+        liveTraceRef.current = { sourceKey, calibrated, fit, samples: Array.from(applyAmplitudeScale(resampled, fit), toSample) };
+      }
+      setRecordedTrace(liveTraceRef.current);
+      return;
+    }
+
+    const loadRecorded = async () => {
       try {
-        const response = await fetch('/pqrst_intervals.json');
-        const intervals = await response.json();
-        
-        workerRef.current = createWorker();
-        workerRef.current.postMessage({
-          intervals,
-          samplingRate: ECG_CONFIG.SAMPLING_RATE
-        });
-        
-        workerRef.current.onmessage = (e) => {
-          setEcgData(e.data);
-        };
-        
+        // Prefer the loaded record; fall back to the trace shipped in /public
+        const { values, samplingRate } = signal
+          ? { values: signal, samplingRate: signalRate }
+          : await loadRecordedTrace();
+        const resampled = resampleLinear(values, samplingRate, ECG_CONFIG.SAMPLING_RATE);
+        const fit = fitTraceScale(resampled, calibrated);
+        const samples = Array.from(applyAmplitudeScale(resampled, fit), (value, i) => ({ time: i / ECG_CONFIG.SAMPLING_RATE, value }));
+        if (!cancelled) setRecordedTrace({ samples, fit });
       } catch (error) {
-        console.error("Error loading data:", error);
+        console.error('Recorded signal unavailable, using synthetic waveform:', error.message);
+        if (!cancelled) setSourceMode(SOURCE_MODES.SYNTHETIC);
       }
     };
 
-    loadIntervals();
+    loadRecorded();
+    return () => { cancelled = true; };
+  }, [signal, signalRate, live, sourceKey, calibrated, ECG_CONFIG.SAMPLING_RATE]);
 
-    return () => {
-      if (workerRef.current) {
-        workerRef.current.terminate();
-      }
-    };
-  }, [ECG_CONFIG.SAMPLING_RATE]);
+  // Trace currently shown on the monitor, and the fit that maps its signal (mV) to chart values
+  const { samples: ecgData, fit: traceFit } = sourceMode === SOURCE_MODES.RECORDED && recordedTrace.samples.length
+    ? recordedTrace
+    : { samples: syntheticData, fit: IDENTITY_FIT };
 
-  // Initialize chart with static reference line
+  // Initialize chart with static reference line; its position is set by the strip layout
   useEffect(() => {
     if (!ecgCanvasRef.current) return;
 
-    // Create vertical line data (fixed at position 50)
-    const lineData = Array(ECG_CONFIG.POINTS).fill(null);
-    lineData[ECG_CONFIG.REFERENCE_LINE_POSITION] = -0.8; // Bottom
-    lineData[ECG_CONFIG.REFERENCE_LINE_POSITION + 1] = 2.2; // Top
-
     chartRef.current = new Chart(ecgCanvasRef.current.getContext('2d'), {
       type: 'line',
       data: {
@@ -133,7 +257,7 @@ const ECGVisualization = ({ isPlaying, timeElapsed, realBPM, pqrstIntervals = []
           },
           // Static reference line
           {
-            data: lineData,
+            data: [],
             borderColor: ECG_CONFIG.REFERENCE_LINE_COLOR,
             borderWidth: ECG_CONFIG.REFERENCE_LINE_WIDTH,
             pointRadius: 0,
@@ -153,8 +277,8 @@ const ECGVisualization = ({ isPlaying, timeElapsed, realBPM, pqrstIntervals = []
         scales: {
           x: { display: false },
           y: { 
-            min: -0.8,
-            max: 2.2,
+            min: ECG_CONFIG.Y_MIN,
+            max: ECG_CONFIG.Y_MAX,
             grid: { 
               color: ECG_CONFIG.GRID_COLOR,
               lineWidth: 1,
@@ -165,61 +289,235 @@ const ECGVisualization = ({ isPlaying, timeElapsed, realBPM, pqrstIntervals = []
         },
         plugins: { 
           legend: { display: false },
-          tooltip: { enabled: false }
+          tooltip: { enabled: false },
+          // Zoom and pan are switched on while paused
+          zoom: {
+            zoom: { wheel: { enabled: false }, pinch: { enabled: false }, mode: 'xy', onZoomComplete: () => setZoomed(true) },
+            pan: { enabled: false, mode: 'xy', onPanComplete: () => setZoomed(true) },
+            limits: { x: { min: 'original', max: 'original' } }
+          }
         }
-      }
+      },
+      plugins: [
+        createPaperPlugin(paperRef),
+        createAnnotationPlugin(overlayRef, ECG_CONFIG),
+        createCaliperPlugin(caliperRef, traceWindowRef),
+        zoomPlugin
+      ]
     });
 
     return () => chartRef.current?.destroy();
   }, [ECG_CONFIG]);
 
-  // Update ECG waveform (without modifying reference line)
+  // Update ECG waveform (without modifying reference line) on timeline frames
   useEffect(() => {
     if (!chartRef.current || !ecgData.length) return;
 
+    const chart = chartRef.current;
     let lastUpdate = 0;
+    let lastSampleIdx = null;
+    let layout = null;
+    let layoutSize = null;
     const updateInterval = 1000 / 30;
+    const delaySamples = ECG_CONFIG.POINTS - ECG_CONFIG.REFERENCE_LINE_POSITION;
+
+    /**
+     * Fits the strip to the chart: on paper the number of samples and the voltage range follow the
+     * sweep speed and gain, and the reference line keeps its delay behind the newest sample
+     */
+    const applyLayout = () => {
+      if (chart.isZoomedOrPanned()) {
+        chart.resetZoom('none');
+        setZoomed(false);
+      }
+      layoutSize = `${chart.width}x${chart.height}`;
+      layout = stripLayout({
+        paper,
+        width: chart.width,
+        height: chart.height,
+        samplingRate: ECG_CONFIG.SAMPLING_RATE,
+        monitor: { points: ECG_CONFIG.POINTS, yMin: ECG_CONFIG.Y_MIN, yMax: ECG_CONFIG.Y_MAX }
+      });
+      layout.referenceIndex = Math.min(
+        layout.points - 2,
+        Math.max(ECG_CONFIG.REFERENCE_LINE_POSITION, layout.points - delaySamples)
+      );
+      paperRef.current = { paper, mm: layout.mm };
+
+      const lineData = Array(layout.points).fill(null);
+      lineData[layout.referenceIndex] = layout.yMin; // Bottom
+      lineData[layout.referenceIndex + 1] = layout.yMax; // Top
+      chart.data.labels = Array(layout.points).fill('');
+      chart.data.datasets[1].data = lineData;
+      chart.options.scales.y.min = layout.yMin;
+      chart.options.scales.y.max = layout.yMax;
+      chart.options.scales.y.display = !paper.enabled; // Paper draws its own grid edge to edge
+    };
+
+    const updateECG = ({ time, phase, playing }, force = false) => {
+      // Throttled while playing; seeks and steps while paused always redraw
+      const now = performance.now();
+      if (!force && playing && now - lastUpdate < updateInterval) return;
+
+      const sampleIdx = Math.floor(time * ECG_CONFIG.SAMPLING_RATE);
+      const resized = layoutSize !== `${chart.width}x${chart.height}`;
+      if (!force && !resized && sampleIdx === lastSampleIdx) return;
+      lastUpdate = now;
+      lastSampleIdx = sampleIdx;
+      if (resized) applyLayout();
+
+      // Map every on-screen sample to the record sample it shows (loops and extensions repeat
+      // part of the record), grouping consecutive record samples into segments for the overlay
+      const displayData = new Array(layout.points);
+      const segments = [];
+      const firstIdx = sampleIdx - delaySamples - layout.referenceIndex;
+      for (let k = 0; k < layout.points; k++) {
+        if (k < layout.calibrationPoints) {
+          displayData[k] = null; // Paper starts with the calibration pulse
+          continue;
+        }
+        const traceIdx = firstIdx + k;
+        const recordIdx = traceIdx < 0
+          ? -1
+          : Math.round(timeline.toRecordTime(traceIdx / ECG_CONFIG.SAMPLING_RATE) * ECG_CONFIG.SAMPLING_RATE);
+        const inRecord = recordIdx >= 0 && recordIdx < ecgData.length;
+        displayData[k] = inRecord ? ecgData[recordIdx].value : 0;
 
-    const updateECG = (timestamp) => {
-      if (!lastUpdate || timestamp - lastUpdate >= updateInterval) {
-        lastUpdate = timestamp;
-        
-        const sampleIdx = Math.min(
-          Math.floor(timeElapsed * ECG_CONFIG.SAMPLING_RATE),
-          ecgData.length - 1
-        );
-        const windowStart = Math.max(0, sampleIdx - ECG_CONFIG.POINTS);
-        const displayData = ecgData.slice(windowStart, sampleIdx).map(d => d.value);
-
-        if (displayData.length > 0) {
-          chartRef.current.data.datasets[0].data = [
-            ...Array(Math.max(0, ECG_CONFIG.POINTS - displayData.length)).fill(0),
-            ...displayData
-          ];
-          
-          chartRef.current.data.datasets[0].borderColor = 
-            ECG_CONFIG.PHASE_COLORS[currentPhase] || ECG_CONFIG.COLOR;
-          
-          chartRef.current.update('none');
+        const segment = segments[segments.length - 1];
+        if (!inRecord) continue;
+        if (segment && recordIdx === segment.recordStart + segment.length && k === segment.x + segment.length) {
+          segment.length++;
+        } else {
+          segments.push({ x: k, recordStart: recordIdx, length: 1 });
         }
       }
+      overlayRef.current = { annotations, segments, referenceIndex: layout.referenceIndex };
+      traceWindowRef.current = { firstIdx, samplingRate: ECG_CONFIG.SAMPLING_RATE, fit: traceFit };
 
-      animationRef.current = requestAnimationFrame(updateECG);
+      chart.data.datasets[0].data = displayData;
+      chart.data.datasets[0].borderColor = paper.enabled
+        ? PAPER_COLORS.TRACE
+        : ECG_CONFIG.PHASE_COLORS[phase] || ECG_CONFIG.COLOR;
+      chart.update('none');
     };
 
-    if (isPlaying) {
-      animationRef.current = requestAnimationFrame(updateECG);
-    } else {
-      cancelAnimationFrame(animationRef.current);
+    // Draw the current window immediately (e.g. after a source switch while paused)
+    applyLayout();
+    updateECG(timeline.getState(), true);
+    return timeline.subscribe(TIMELINE_EVENTS.FRAME, updateECG);
+  }, [timeline, ecgData, traceFit, annotations, paper, ECG_CONFIG]);
+
+  // Zoom and pan only make sense on a still strip; playing returns to the full strip
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const { zoom } = chart.options.plugins;
+    zoom.zoom.wheel.enabled = !playing;
+    zoom.zoom.pinch.enabled = !playing;
+    zoom.pan.enabled = !playing;
+    zoom.pan.modifierKey = calipersOn ? 'shift' : null; // Plain drags place calipers
+    if (playing && chart.isZoomedOrPanned()) {
+      chart.resetZoom('none');
+      setZoomed(false);
     }
+    chart.update('none');
+  }, [playing, calipersOn]);
+
+  // Redraw when calipers change; pinned calipers stay on screen with the calipers switched off
+  useEffect(() => {
+    caliperRef.current = { active: calipersOn ? activeCaliper : null, pinned: pinnedCalipers, march };
+    chartRef.current?.draw();
+  }, [calipersOn, activeCaliper, pinnedCalipers, march]);
+
+  // Place and drag caliper markers on the trace
+  useEffect(() => {
+    const canvas = ecgCanvasRef.current;
+    if (!calipersOn || !canvas) return;
+
+    let dragging = null; // Marker being dragged
+    let caliper = null;
 
-    return () => cancelAnimationFrame(animationRef.current);
-  }, [isPlaying, timeElapsed, ecgData, currentPhase, ECG_CONFIG]);
+    const handleMouseDown = (e) => {
+      const chart = chartRef.current;
+      if (!chart || e.shiftKey) return; // Shift-drag pans
+      caliper = caliperRef.current.active;
+      const point = pointerToTrace(chart, e.offsetX, e.offsetY, traceWindowRef.current);
+      dragging = markerAt(chart, caliper, e.offsetX, traceWindowRef.current);
+      if (!dragging) {
+        caliper = { start: point, end: point };
+        dragging = 'end';
+      }
+      setActiveCaliper(caliper);
+    };
+
+    const handleMouseMove = (e) => {
+      const chart = chartRef.current;
+      if (!dragging || !chart) return;
+      const rect = canvas.getBoundingClientRect();
+      const point = pointerToTrace(chart, e.clientX - rect.left, e.clientY - rect.top, traceWindowRef.current);
+      caliper = { ...caliper, [dragging]: point };
+      setActiveCaliper(caliper);
+    };
+
+    const handleMouseUp = () => { dragging = null; };
+
+    canvas.style.cursor = 'crosshair';
+    canvas.addEventListener('mousedown', handleMouseDown);
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      canvas.style.cursor = '';
+      canvas.removeEventListener('mousedown', handleMouseDown);
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [calipersOn]);
+
+  /**
+   * Keeps the active caliper on the strip and starts a new one
+   */
+  const handlePin = () => {
+    setPinnedCalipers([...pinnedCalipers, activeCaliper]);
+    setActiveCaliper(null);
+  };
+
+  const handleResetZoom = () => {
+    chartRef.current?.resetZoom('none');
+    setZoomed(false);
+  };
+
+  // Rhythm and most recent beat at the reference line
+  const referenceLabels = useMemo(() => {
+    if (!annotations.length) return null;
+    const recentBeats = annotationsInRange(annotations, referenceTime - 2, referenceTime)
+      .filter(annotation => BEAT_SYMBOLS.has(annotation.symbol));
+    const rhythm = rhythmAt(annotations, referenceTime);
+    const lastBeat = recentBeats[recentBeats.length - 1];
+
+    return {
+      rhythm: rhythm ? describeRhythm(rhythm) : null,
+      beat: lastBeat ? `${lastBeat.symbol} · ${BEAT_DESCRIPTIONS[lastBeat.symbol] || 'Beat'}` : null
+    };
+  }, [annotations, referenceTime]);
 
   return (
     <div className="ecg-container">
+      {children}
       <div className="ecg-header">
         <h3>ECG Monitor</h3>
+        <div className="source-toggle" role="group" aria-label="ECG signal source">
+          {Object.values(SOURCE_MODES).map(mode => (
+            <button
+              key={mode}
+              className={sourceMode === mode ? 'active' : ''}
+              onClick={() => setSourceMode(mode)}
+              disabled={mode === SOURCE_MODES.RECORDED && !recordedTrace.samples.length}
+              aria-pressed={sourceMode === mode}
+            >
+              {mode === SOURCE_MODES.RECORDED ? 'Recorded' : 'Synthetic'}
+            </button>
+          ))}
+        </div>
         {ecgData.length ? (
           <div className="phase-indicator" style={{ 
             backgroundColor: ECG_CONFIG.PHASE_COLORS[currentPhase] || '#666'
@@ -230,13 +528,50 @@ const ECGVisualization = ({ isPlaying, timeElapsed, realBPM, pqrstIntervals = []
           <div className="loading-text">Loading ECG...</div>
         )}
       </div>
+      {onPaperChange && <PaperControls paper={paper} onChange={onPaperChange} />}
+      <div
+        className="caliper-bar"
+        title={playing ? undefined : `Wheel to zoom, ${calipersOn ? 'Shift+drag' : 'drag'} to pan`}
+      >
+        <button
+          className={calipersOn ? 'active' : ''}
+          onClick={() => setCalipersOn(!calipersOn)}
+          aria-pressed={calipersOn}
+        >
+          Calipers
+        </button>
+        {calipersOn && (
+          <>
+            <label>
+              <input type="checkbox" checked={march} onChange={(e) => setMarch(e.target.checked)} />
+              March
+            </label>
+            <span className="caliper-readout">
+              {activeCaliper ? formatCaliper(activeCaliper) : 'Drag across the trace'}
+            </span>
+            <button onClick={handlePin} disabled={!activeCaliper}>Pin</button>
+          </>
+        )}
+        {pinnedCalipers.length > 0 && (
+          <button onClick={() => setPinnedCalipers([])}>Clear pins ({pinnedCalipers.length})</button>
+        )}
+        {zoomed && <button onClick={handleResetZoom}>Reset zoom</button>}
+      </div>
+      {referenceLabels && (
+        <div className="annotation-bar">
+          <span className="rhythm-label">{referenceLabels.rhythm || 'Rhythm: —'}</span>
+          <span className="beat-label">{referenceLabels.beat || ''}</span>
+        </div>
+      )}
       <div className="ecg-graph">
         <canvas 
           ref={ecgCanvasRef} 
           width={500}
           height={250}
         />
+        {ended && <div className="end-of-record">End of record</div>}
       </div>
+      <Tachogram intervals={pqrstIntervals} timeline={timeline} />
       <div className="ecg-footer">
         <span className="bpm">♥ {realBPM} BPM</span>
         <span className="time">{timeElapsed.toFixed(2)}s</span>
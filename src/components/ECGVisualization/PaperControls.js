@@ -0,0 +1,68 @@
+import React from 'react';
+import { nominalDpi, PAPER_GAINS, PAPER_SPEEDS } from '../../utils/ecgPaper';
+
+/**
+ * ECG paper settings: paper on/off, sweep speed, gain and the screen's DPI for true millimetres
+ * @param {Object} props - Component properties
+ * @param {Object} props.paper - Paper settings {enabled, speed, gain, dpi}
+ * @param {function} props.onChange - Called with the new settings
+ */
+const PaperControls = ({ paper, onChange }) => {
+  const update = (changes) => onChange({ ...paper, ...changes });
+
+  /**
+   * Accepts a positive DPI, or an empty field for the nominal scale
+   * @param {string} text - Input value
+   */
+  const handleDpi = (text) => {
+    if (text.trim() === '') {
+      update({ dpi: null });
+      return;
+    }
+    const dpi = parseFloat(text);
+    if (dpi > 0) update({ dpi });
+  };
+
+  return (
+    <div className="paper-controls">
+      <label>
+        <input
+          type="checkbox"
+          checked={paper.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        ECG paper
+      </label>
+      <select
+        value={paper.speed}
+        onChange={(e) => update({ speed: parseFloat(e.target.value) })}
+        disabled={!paper.enabled}
+        aria-label="Sweep speed"
+      >
+        {PAPER_SPEEDS.map(speed => <option key={speed} value={speed}>{speed} mm/s</option>)}
+      </select>
+      <select
+        value={paper.gain}
+        onChange={(e) => update({ gain: parseFloat(e.target.value) })}
+        disabled={!paper.enabled}
+        aria-label="Gain"
+      >
+        {PAPER_GAINS.map(gain => <option key={gain} value={gain}>{gain} mm/mV</option>)}
+      </select>
+      <label title="Physical pixels per inch of this screen. The calibration pulse should measure 10 mm at 10 mm/mV.">
+        DPI
+        <input
+          type="number"
+          min="30"
+          step="1"
+          value={paper.dpi ?? ''}
+          placeholder={Math.round(nominalDpi()).toString()}
+          onChange={(e) => handleDpi(e.target.value)}
+          disabled={!paper.enabled}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default PaperControls;
@@ -1,22 +1,48 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Chart } from 'chart.js/auto';
+import { TIMELINE_EVENTS } from '../../utils/timeline';
+import { useTimelineValue } from '../../hooks/useTimelineValue';
+import { createPaperPlugin, DEFAULT_PAPER, PAPER_COLORS, stripLayout } from '../../utils/ecgPaper';
 import './ReverseECG.css';
 
-const ReverseECG = ({ isPlaying, timeElapsed, currentPhase, realBPM, speedMultiplier = 1 }) => {
+// Voltage range of the monitor strip (paper derives its own from the gain)
+const Y_MIN = -1;
+const Y_MAX = 2;
+
+/**
+ * Buffer as drawn: the calibration pulse takes the start of a paper strip
+ * @param {Array<number>} buffer - Signal buffer
+ * @param {number} calibrationPoints - Samples hidden by the pulse
+ * @returns {Array<number|null>} Dataset values
+ */
+const withCalibrationGap = (buffer, calibrationPoints) => (calibrationPoints
+  ? buffer.map((value, i) => (i < calibrationPoints ? null : value))
+  : buffer);
+
+/**
+ * Reverse ECG: a waveform built from the heart's phases rather than a recording
+ * A complex is queued each time the timeline enters QRS and scrolls in simulation time.
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline
+ * @param {number} props.realBPM - Heart rate shown in the footer
+ * @param {Object} [props.paper] - ECG paper settings {enabled, speed, gain, dpi}, shared with the monitor
+ */
+const ReverseECG = ({ timeline, realBPM, paper = DEFAULT_PAPER }) => {
   const canvasRef = useRef(null);
   const chartRef = useRef(null);
   const containerRef = useRef(null);
-  const animationFrameRef = useRef(null);
 
   const POINTS_ON_SCREEN = 800;
   const SAMPLE_RATE = 300;
   const REF_LINE_INDEX = 30;
 
-  const [ecgData, setEcgData] = useState(Array(POINTS_ON_SCREEN).fill(0));
   const signalBufferRef = useRef(Array(POINTS_ON_SCREEN).fill(0));
   const waveQueueRef = useRef([]);
-  const simTimeRef = useRef(0);
-  const lastUpdateTimeRef = useRef(performance.now());
+  const sampleTimeRef = useRef(null); // Simulation time of the newest sample in the buffer
+  const paperRef = useRef({ paper, mm: null });
+  const [chartReady, setChartReady] = useState(false);
+  const layoutRef = useRef({ points: POINTS_ON_SCREEN, calibrationPoints: 0 });
+  const timeElapsed = useTimelineValue(timeline, state => Math.floor(state.time * 10) / 10);
 
   // Generate synthetic spikes/dips
   const generateSpike = (length, height) =>
@@ -71,17 +97,13 @@ const ReverseECG = ({ isPlaying, timeElapsed, currentPhase, realBPM, speedMultip
       canvas.width = width;
       canvas.height = height;
 
-      const refLine = Array(POINTS_ON_SCREEN).fill(null);
-      refLine[REF_LINE_INDEX] = -1;
-      refLine[REF_LINE_INDEX + 1] = 2;
-
       chartRef.current = new Chart(canvas, {
         type: 'line',
         data: {
           labels: Array(POINTS_ON_SCREEN).fill(''),
           datasets: [
             {
-              data: ecgData,
+              data: signalBufferRef.current,
               borderColor: '#00FF40',
               borderWidth: 1.5,
               pointRadius: 0,
@@ -89,7 +111,7 @@ const ReverseECG = ({ isPlaying, timeElapsed, currentPhase, realBPM, speedMultip
               fill: false,
             },
             {
-              data: refLine,
+              data: [],
               borderColor: 'rgba(255, 255, 0, 0.8)',
               borderWidth: 1,
               pointRadius: 0,
@@ -111,15 +133,17 @@ const ReverseECG = ({ isPlaying, timeElapsed, currentPhase, realBPM, speedMultip
           scales: {
             x: { display: false },
             y: {
-              min: -1,
-              max: 2,
+              min: Y_MIN,
+              max: Y_MAX,
               ticks: { display: false },
               grid: { color: 'rgba(255,255,255,0.2)' }
             }
           },
           plugins: { legend: { display: false }, tooltip: { enabled: false } }
-        }
+        },
+        plugins: [createPaperPlugin(paperRef)]
       });
+      setChartReady(true);
     };
 
     const timeout = setTimeout(resizeAndInitChart, 0); // Delay to wait for DOM layout
@@ -127,52 +151,75 @@ const ReverseECG = ({ isPlaying, timeElapsed, currentPhase, realBPM, speedMultip
     return () => {
       clearTimeout(timeout);
       chartRef.current?.destroy();
+      chartRef.current = null;
     };
   }, []);
 
-  // Animation logic
+  // Fit the strip to the paper settings, keeping the newest samples
   useEffect(() => {
-    if (!isPlaying) {
-      cancelAnimationFrame(animationFrameRef.current);
+    const chart = chartRef.current;
+    if (!chartReady || !chart) return;
+
+    const layout = stripLayout({
+      paper,
+      width: chart.width,
+      height: chart.height,
+      samplingRate: SAMPLE_RATE,
+      monitor: { points: POINTS_ON_SCREEN, yMin: Y_MIN, yMax: Y_MAX }
+    });
+    layoutRef.current = layout;
+    paperRef.current = { paper, mm: layout.mm };
+
+    const buffer = signalBufferRef.current.slice(-layout.points);
+    signalBufferRef.current = [...Array(layout.points - buffer.length).fill(0), ...buffer];
+
+    const refLine = Array(layout.points).fill(null);
+    refLine[REF_LINE_INDEX] = layout.yMin;
+    refLine[REF_LINE_INDEX + 1] = layout.yMax;
+    chart.data.labels = Array(layout.points).fill('');
+    chart.data.datasets[0].data = withCalibrationGap(signalBufferRef.current, layout.calibrationPoints);
+    chart.data.datasets[0].borderColor = paper.enabled ? PAPER_COLORS.TRACE : '#00FF40';
+    chart.data.datasets[1].data = refLine;
+    chart.options.scales.y.min = layout.yMin;
+    chart.options.scales.y.max = layout.yMax;
+    chart.options.scales.y.display = !paper.enabled; // Paper draws its own grid edge to edge
+    chart.update('none');
+  }, [paper, chartReady]);
+
+  // Advance the buffer by the simulation time elapsed since the last frame
+  useEffect(() => timeline.subscribe(TIMELINE_EVENTS.FRAME, ({ time }) => {
+    if (sampleTimeRef.current === null || time < sampleTimeRef.current) {
+      sampleTimeRef.current = time; // First frame or a seek backwards
       return;
     }
 
-    const update = (time) => {
-      const dt = (time - lastUpdateTimeRef.current) / 1000;
-      lastUpdateTimeRef.current = time;
-      simTimeRef.current += dt * speedMultiplier;
-
-      const samplesToAdd = Math.floor(simTimeRef.current * SAMPLE_RATE);
-      simTimeRef.current -= samplesToAdd / SAMPLE_RATE;
-
-      for (let i = 0; i < samplesToAdd; i++) {
-        let next = waveQueueRef.current.length > 0 ? waveQueueRef.current.shift() : 0;
-        let noise = (Math.random() * 0.03 - 0.015);
-        let baseline = 0.03 * Math.sin(2 * Math.PI * time / 1000 * 0.5);
-        signalBufferRef.current.push(next + noise + baseline);
-      }
-
-      signalBufferRef.current = signalBufferRef.current.slice(-POINTS_ON_SCREEN);
-      setEcgData([...signalBufferRef.current]);
-      animationFrameRef.current = requestAnimationFrame(update);
-    };
-
-    animationFrameRef.current = requestAnimationFrame(update);
-    return () => cancelAnimationFrame(animationFrameRef.current);
-  }, [isPlaying, speedMultiplier]);
-
-  // Trigger waveform on QRS
-  useEffect(() => {
-    if (currentPhase === 'QRS') injectQRSComplex();
-  }, [currentPhase]);
+    const { points } = layoutRef.current;
+    const samplesToAdd = Math.min(
+      points,
+      Math.floor((time - sampleTimeRef.current) * SAMPLE_RATE)
+    );
+    if (samplesToAdd === 0) return;
+    sampleTimeRef.current += samplesToAdd / SAMPLE_RATE;
+
+    for (let i = 0; i < samplesToAdd; i++) {
+      let next = waveQueueRef.current.length > 0 ? waveQueueRef.current.shift() : 0;
+      let noise = (Math.random() * 0.03 - 0.015);
+      let baseline = 0.03 * Math.sin(2 * Math.PI * time * 0.5);
+      signalBufferRef.current.push(next + noise + baseline);
+    }
 
-  // Update chart
-  useEffect(() => {
+    signalBufferRef.current = signalBufferRef.current.slice(-points);
     if (chartRef.current) {
-      chartRef.current.data.datasets[0].data = ecgData;
+      chartRef.current.data.datasets[0].data =
+        withCalibrationGap(signalBufferRef.current, layoutRef.current.calibrationPoints);
       chartRef.current.update('none');
     }
-  }, [ecgData]);
+  }), [timeline]);
+
+  // Trigger waveform on QRS
+  useEffect(() => timeline.subscribe(TIMELINE_EVENTS.PHASE, ({ phase }) => {
+    if (phase === 'QRS') injectQRSComplex();
+  }), [timeline]);
 
   return (
     <div className="reverse-ecg-container">
@@ -0,0 +1,179 @@
+/**
+ * Electronic calipers for the ECG monitor
+ *
+ * A caliper is two points {time, value} on the trace. Times are simulation times of the trace
+ * samples rather than screen positions, so calipers scroll with the strip and stay on the
+ * waves they were placed on. Values are signal voltages (mV): the chart shows the trace offset
+ * and scaled by its fit ({baseline, scale}, see fitTraceScale), which is undone on placement.
+ */
+
+const CALIPER_COLORS = {
+  ACTIVE: '#4fc3f7',
+  PINNED: '#ffd54f',
+  MARCH: 'rgba(79, 195, 247, 0.6)'
+};
+
+const GRAB_DISTANCE = 6; // px either side of a marker that picks it up
+
+/**
+ * Measurements across a caliper
+ * @param {{start: {time: number, value: number}, end: {time: number, value: number}}} caliper - Caliper
+ * @returns {{ms: number, mv: number, bpm: number|null}} Interval (ms), voltage difference (mV) and
+ *   the rate implied by the interval (null when the interval is zero)
+ */
+export function measureCaliper({ start, end }) {
+  const seconds = Math.abs(end.time - start.time);
+  return {
+    ms: seconds * 1000,
+    mv: end.value - start.value,
+    bpm: seconds > 0 ? 60 / seconds : null
+  };
+}
+
+/**
+ * Formats a caliper measurement for display
+ * @param {Object} caliper - Caliper
+ * @returns {string} e.g. "820 ms · 73 bpm · ΔV 1.05 mV"
+ */
+export function formatCaliper(caliper) {
+  const { ms, mv, bpm } = measureCaliper(caliper);
+  const rate = bpm === null ? '—' : Math.round(bpm);
+  return `${Math.round(ms)} ms · ${rate} bpm · ΔV ${mv.toFixed(2)} mV`;
+}
+
+/**
+ * Converts a pointer position on the chart to a trace point
+ * @param {Object} chart - Chart.js instance
+ * @param {number} px - Pointer x relative to the canvas (CSS px)
+ * @param {number} py - Pointer y relative to the canvas (CSS px)
+ * @param {{firstIdx: number, samplingRate: number, fit: Object}} traceWindow - Trace sample at
+ *   index 0, its rate and the fit of the trace on the chart
+ * @returns {{time: number, value: number}} Trace point, with the value in mV
+ */
+export function pointerToTrace(chart, px, py, { firstIdx, samplingRate, fit }) {
+  const { x, y } = chart.scales;
+  const index = x.min + x.getDecimalForPixel(px) * (x.max - x.min);
+  return { time: (firstIdx + index) / samplingRate, value: y.getValueForPixel(py) / fit.scale + fit.baseline };
+}
+
+/**
+ * Screen x of a trace time
+ * @param {Object} chart - Chart.js instance
+ * @param {number} time - Trace time (s)
+ * @param {{firstIdx: number, samplingRate: number}} traceWindow - Trace sample at index 0 and its rate
+ * @returns {number} Pixel x
+ */
+const traceToPixel = (chart, time, { firstIdx, samplingRate }) =>
+  chart.scales.x.getPixelForValue(time * samplingRate - firstIdx);
+
+/**
+ * Marker of the active caliper under the pointer
+ * @param {Object} chart - Chart.js instance
+ * @param {Object|null} caliper - Active caliper
+ * @param {number} px - Pointer x (CSS px)
+ * @param {Object} traceWindow - Trace window {firstIdx, samplingRate, fit}
+ * @returns {'start'|'end'|null} Marker to drag, or null to start a new caliper
+ */
+export function markerAt(chart, caliper, px, traceWindow) {
+  if (!caliper) return null;
+  const hit = ['end', 'start'].find(marker =>
+    Math.abs(traceToPixel(chart, caliper[marker].time, traceWindow) - px) <= GRAB_DISTANCE);
+  return hit || null;
+}
+
+/**
+ * Draws one caliper: two vertical markers, voltage ticks and a labelled bracket
+ * @param {Object} chart - Chart.js instance
+ * @param {Object} caliper - Caliper
+ * @param {string} color - Stroke colour
+ * @param {Object} traceWindow - Trace window {firstIdx, samplingRate, fit}
+ * @param {number} row - Bracket row from the top, so pinned labels do not overlap
+ */
+const drawCaliper = (chart, caliper, color, traceWindow, row) => {
+  const { ctx, chartArea, scales: { y } } = chart;
+  const x1 = traceToPixel(chart, caliper.start.time, traceWindow);
+  const x2 = traceToPixel(chart, caliper.end.time, traceWindow);
+  if (Math.max(x1, x2) < chartArea.left || Math.min(x1, x2) > chartArea.right) return;
+
+  const bracketY = chartArea.top + 28 + row * 14;
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 1;
+
+  // 1. Markers
+  ctx.beginPath();
+  [x1, x2].forEach(x => {
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+  });
+  ctx.stroke();
+
+  // 2. Voltage ticks at each marker's point
+  const { baseline, scale } = traceWindow.fit;
+  ctx.setLineDash([2, 2]);
+  ctx.beginPath();
+  [[x1, caliper.start.value], [x2, caliper.end.value]].forEach(([x, value]) => {
+    const py = y.getPixelForValue((value - baseline) * scale);
+    ctx.moveTo(x - 8, py);
+    ctx.lineTo(x + 8, py);
+  });
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // 3. Bracket with the measurement
+  ctx.beginPath();
+  ctx.moveTo(x1, bracketY);
+  ctx.lineTo(x2, bracketY);
+  ctx.stroke();
+  ctx.textAlign = 'center';
+  ctx.fillText(formatCaliper(caliper), (x1 + x2) / 2, bracketY - 3);
+};
+
+/**
+ * Chart.js plugin that draws the active caliper, its march-out and pinned calipers
+ * @param {Object} caliperRef - Ref holding { active, pinned, march }
+ * @param {Object} windowRef - Ref holding the trace window { firstIdx, samplingRate, fit }
+ * @returns {Object} Chart.js plugin
+ */
+export const createCaliperPlugin = (caliperRef, windowRef) => ({
+  id: 'calipers',
+  afterDatasetsDraw(chart) {
+    const { active, pinned, march } = caliperRef.current;
+    if (!active && !pinned.length) return;
+
+    const { ctx, chartArea } = chart;
+    const traceWindow = windowRef.current;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.font = '11px Arial';
+
+    pinned.forEach((caliper, i) => drawCaliper(chart, caliper, CALIPER_COLORS.PINNED, traceWindow, i + 1));
+
+    if (active) {
+      // March the interval out across the strip to check a regular rhythm
+      const interval = active.end.time - active.start.time;
+      if (march && Math.abs(interval) * traceWindow.samplingRate >= 1) {
+        const { x } = chart.scales;
+        const first = (x.min + traceWindow.firstIdx) / traceWindow.samplingRate;
+        const last = (x.max + traceWindow.firstIdx) / traceWindow.samplingRate;
+        const step = Math.abs(interval);
+        const origin = Math.min(active.start.time, active.end.time);
+        ctx.strokeStyle = CALIPER_COLORS.MARCH;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        for (let t = origin + Math.ceil((first - origin) / step) * step; t <= last; t += step) {
+          const px = traceToPixel(chart, t, traceWindow);
+          ctx.moveTo(px, chartArea.top);
+          ctx.lineTo(px, chartArea.bottom);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      drawCaliper(chart, active, CALIPER_COLORS.ACTIVE, traceWindow, 0);
+    }
+
+    ctx.restore();
+  }
+});
@@ -0,0 +1,36 @@
+import { formatCaliper, measureCaliper, pointerToTrace } from './calipers';
+
+// Chart 1000 px wide showing 500 samples, and 100 px per chart unit with 0 at y = 400 px
+const chart = {
+  scales: {
+    x: { min: 0, max: 500, getDecimalForPixel: px => px / 1000 },
+    y: { getValueForPixel: py => (400 - py) / 100 }
+  }
+};
+
+describe('pointerToTrace', () => {
+  test('reads the signal voltage back from a fitted trace', () => {
+    // A 0.8 mV R wave on a 0.3 mV baseline drawn 1.875 times taller, as fitted to the screen
+    const traceWindow = { firstIdx: 250, samplingRate: 250, fit: { baseline: 0.3, scale: 1.875 } };
+    const start = pointerToTrace(chart, 100, 400, traceWindow);
+    const end = pointerToTrace(chart, 300, 250, traceWindow);
+    expect(start.time).toBeCloseTo(1.2, 9);
+    expect(start.value).toBeCloseTo(0.3, 9);
+    expect(end.value).toBeCloseTo(1.1, 9);
+    expect(measureCaliper({ start, end }).mv).toBeCloseTo(0.8, 9);
+  });
+
+  test('reads a trace in mV unchanged', () => {
+    const traceWindow = { firstIdx: 0, samplingRate: 500, fit: { baseline: 0, scale: 1 } };
+    expect(pointerToTrace(chart, 0, 250, traceWindow)).toEqual({ time: 0, value: 1.5 });
+  });
+});
+
+describe('measureCaliper', () => {
+  test('reports the interval, rate and voltage difference', () => {
+    const caliper = { start: { time: 1, value: 0.1 }, end: { time: 1.8, value: 1.15 } };
+    expect(measureCaliper(caliper)).toEqual({ ms: expect.closeTo(800, 9), mv: expect.closeTo(1.05, 9), bpm: expect.closeTo(75, 9) });
+    expect(formatCaliper(caliper)).toBe('800 ms · 75 bpm · ΔV 1.05 mV');
+    expect(measureCaliper({ start: caliper.start, end: caliper.start }).bpm).toBeNull();
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Geometry of the scrolling ECG monitor, shared with the timeline
+ */
+export const MONITOR_CONFIG = {
+  POINTS: 800,               // Samples across the screen
+  SAMPLING_RATE: 300,        // Display rate (Hz)
+  REFERENCE_LINE_POSITION: 50 // Sample index of the reference line from the left
+};
+
+// Seconds between a sample entering on the right and reaching the reference line
+export const REFERENCE_DELAY =
+  (MONITOR_CONFIG.POINTS - MONITOR_CONFIG.REFERENCE_LINE_POSITION) / MONITOR_CONFIG.SAMPLING_RATE;
@@ -0,0 +1,177 @@
+import React, { useState } from "react";
+import {
+  downloadFiles,
+  EXPORT_FORMAT_LABELS,
+  EXPORT_FORMATS,
+  exportRecording,
+  sanitizeRecordName
+} from "../../utils/ecgExport";
+import { useTimelineValue } from "../../hooks/useTimelineValue";
+import "./ExportPanel.css";
+
+const STRIP_LENGTH = 10; // s; a custom range starts as the strip up to the reference line
+
+const RANGES = {
+  ALL: "all",
+  LOOP: "loop",
+  CUSTOM: "custom"
+};
+
+/**
+ * ExportPanel Component
+ * Saves the loaded or simulated signal for analysis outside the app
+ *
+ * Features:
+ * - CSV with a phase column, WFDB record (.hea, format 212 .dat, .atr) or EDF+ file
+ * - Annotations built from the cardiac phase intervals, with the source's beat and rhythm labels
+ * - Whole recording, the transport bar's A–B loop or a custom range
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline (A–B loop and current record time)
+ * @param {Object} [props.source] - Loaded signal source (see loadRecord)
+ * @param {Array} props.intervals - Cardiac phase intervals of the source
+ */
+const ExportPanel = ({ timeline, source, intervals }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [format, setFormat] = useState(EXPORT_FORMATS.WFDB);
+  const [range, setRange] = useState(RANGES.ALL);
+  const [custom, setCustom] = useState({ start: "0", end: String(STRIP_LENGTH) });
+  const [name, setName] = useState("");
+  const [status, setStatus] = useState(null);
+  const loop = useTimelineValue(timeline, state => state.loop);
+
+  const duration = source?.signal && source.samplingRate ? source.signal.length / source.samplingRate : 0;
+  const fileName = sanitizeRecordName(name || (source ? `${source.name}_export` : "ecg"));
+
+  /**
+   * Sets the custom range to the strip ending at the reference line
+   */
+  const selectCurrentStrip = () => {
+    const end = Math.min(duration, timeline.getState().recordTime);
+    setCustom({ start: Math.max(0, end - STRIP_LENGTH).toFixed(2), end: end.toFixed(2) });
+    setRange(RANGES.CUSTOM);
+  };
+
+  /**
+   * Range to export in record seconds
+   * @returns {{start: number, end: number}} Range
+   * @throws {Error} When the chosen range is unavailable or invalid
+   */
+  const selectedRange = () => {
+    if (range === RANGES.LOOP) {
+      if (!loop) throw new Error("Set an A–B loop on the transport bar first");
+      return loop;
+    }
+    if (range === RANGES.CUSTOM) {
+      const start = parseFloat(custom.start);
+      const end = parseFloat(custom.end);
+      if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+        throw new Error("Custom range needs a start before its end");
+      }
+      return { start, end };
+    }
+    return { start: 0, end: Infinity };
+  };
+
+  const handleExport = () => {
+    try {
+      const files = exportRecording({ source, intervals, format, name: fileName, ...selectedRange() });
+      downloadFiles(files);
+      setStatus({ error: false, message: `Saved ${files.map(file => file.fileName).join(", ")}` });
+    } catch (error) {
+      setStatus({ error: true, message: error.message });
+    }
+  };
+
+  return (
+    <div className="ui-box export-box">
+      <h3>
+        <button
+          className="export-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? "▾" : "▸"} Export
+        </button>
+      </h3>
+
+      {expanded && (
+        <>
+          <p className="export-source">
+            {source?.label || "No source"}
+            {duration > 0 && ` · ${duration.toFixed(1)} s`}
+          </p>
+
+          <label className="export-option">
+            Format{" "}
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {Object.values(EXPORT_FORMATS).map(option => (
+                <option key={option} value={option}>{EXPORT_FORMAT_LABELS[option]}</option>
+              ))}
+            </select>
+          </label>
+
+          <fieldset className="export-range">
+            <legend>Range</legend>
+            <label>
+              <input type="radio" checked={range === RANGES.ALL} onChange={() => setRange(RANGES.ALL)} />
+              Whole recording
+            </label>
+            <label>
+              <input type="radio" checked={range === RANGES.LOOP} onChange={() => setRange(RANGES.LOOP)} />
+              A–B loop{loop ? ` (${loop.start.toFixed(2)}–${loop.end.toFixed(2)} s)` : ""}
+            </label>
+            <label>
+              <input type="radio" checked={range === RANGES.CUSTOM} onChange={() => setRange(RANGES.CUSTOM)} />
+              From
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={custom.start}
+                onChange={(e) => setCustom({ ...custom, start: e.target.value })}
+                onFocus={() => setRange(RANGES.CUSTOM)}
+                aria-label="Range start (s)"
+              />
+              to
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={custom.end}
+                onChange={(e) => setCustom({ ...custom, end: e.target.value })}
+                onFocus={() => setRange(RANGES.CUSTOM)}
+                aria-label="Range end (s)"
+              />
+              s
+            </label>
+            <button className="export-strip" onClick={selectCurrentStrip}>
+              Last {STRIP_LENGTH} s at the reference line
+            </button>
+          </fieldset>
+
+          <label className="export-option">
+            Name{" "}
+            <input
+              type="text"
+              value={name}
+              placeholder={fileName}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </label>
+
+          <button className="export-button" onClick={handleExport} disabled={!source?.signal}>
+            Export
+          </button>
+
+          {!source?.signal && <p className="export-status">The loaded source has no signal to export</p>}
+          {status && (
+            <p className={`export-status ${status.error ? "export-error" : ""}`}>{status.message}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,172 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Chart } from "chart.js/auto";
+import { analyzeHrv, HRV_BANDS } from "../../utils/hrv";
+import "./HRVPanel.css";
+
+// Spectrum colours per band
+const BAND_COLORS = {
+  VLF: "rgba(170, 170, 170, 0.5)",
+  LF: "rgba(79, 195, 247, 0.6)",
+  HF: "rgba(255, 213, 79, 0.6)"
+};
+
+const bandOf = (frequency) =>
+  Object.keys(HRV_BANDS).find(band => frequency >= HRV_BANDS[band][0] && frequency < HRV_BANDS[band][1]);
+
+/**
+ * HRVPanel Component
+ * Heart rate variability of the loaded source, computed from the QRS entries of its intervals
+ *
+ * Features:
+ * - Time-domain metrics (mean NN, SDNN, RMSSD, pNN50)
+ * - Poincaré plot with SD1/SD2
+ * - Lomb-Scargle spectrum with VLF/LF/HF band powers and LF/HF ratio
+ * - Optional exclusion of ectopic RR intervals
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} [props.intervals=[]] - Cardiac phase intervals of the loaded source
+ * @param {string} [props.sourceLabel] - Label of the loaded record or scenario
+ */
+const HRVPanel = ({ intervals = [], sourceLabel }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [excludeEctopic, setExcludeEctopic] = useState(true);
+  const poincareCanvasRef = useRef(null);
+  const spectrumCanvasRef = useRef(null);
+
+  // Analysed only while the panel is open (the spectrum of a long record takes a moment)
+  const hrv = useMemo(
+    () => (expanded && intervals.length ? analyzeHrv(intervals, { excludeEctopic }) : null),
+    [expanded, intervals, excludeEctopic]
+  );
+
+  // Poincaré and spectrum charts, rebuilt when the analysis changes
+  useEffect(() => {
+    if (!expanded || !hrv || !poincareCanvasRef.current || !spectrumCanvasRef.current) return;
+
+    const axisOptions = (title) => ({
+      title: { display: true, text: title, color: "#aaa", font: { size: 10 } },
+      ticks: { color: "#888", font: { size: 9 }, maxTicksLimit: 5 },
+      grid: { color: "rgba(255, 255, 255, 0.1)" }
+    });
+
+    const poincareChart = new Chart(poincareCanvasRef.current.getContext("2d"), {
+      type: "scatter",
+      data: {
+        datasets: [{
+          data: hrv.poincare.points,
+          pointRadius: 1.5,
+          backgroundColor: "rgba(0, 255, 64, 0.6)"
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { display: false }, tooltip: { enabled: false } },
+        scales: { x: axisOptions("NN(n) ms"), y: axisOptions("NN(n+1) ms") }
+      }
+    });
+
+    const { frequencies, psd } = hrv.frequencyDomain;
+    const spectrumChart = new Chart(spectrumCanvasRef.current.getContext("2d"), {
+      type: "bar",
+      data: {
+        labels: frequencies.map(f => f.toFixed(3)),
+        datasets: [{
+          data: Array.from(psd),
+          backgroundColor: frequencies.map(f => BAND_COLORS[bandOf(f)] || BAND_COLORS.HF),
+          barPercentage: 1,
+          categoryPercentage: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { display: false }, tooltip: { enabled: false } },
+        scales: { x: axisOptions("Hz"), y: axisOptions("ms²/Hz") }
+      }
+    });
+
+    return () => {
+      poincareChart.destroy();
+      spectrumChart.destroy();
+    };
+  }, [expanded, hrv]);
+
+  const format = (value, digits = 1) => (Number.isFinite(value) ? value.toFixed(digits) : "–");
+
+  return (
+    <div className="ui-box hrv-box">
+      <h3>
+        <button
+          className="hrv-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? "▾" : "▸"} Heart Rate Variability
+        </button>
+      </h3>
+
+      {expanded && (
+        <>
+          <p className="hrv-source">
+            {sourceLabel || "No source"}
+            {hrv && ` · ${hrv.nnCount}/${hrv.totalRr} NN · ${format(hrv.duration / 60)} min`}
+          </p>
+
+          <label className="hrv-option">
+            <input
+              type="checkbox"
+              checked={excludeEctopic}
+              onChange={(e) => setExcludeEctopic(e.target.checked)}
+            />
+            Exclude ectopic intervals (&gt;20% change)
+          </label>
+
+          {!hrv ? (
+            <p className="hrv-status">Not enough normal RR intervals</p>
+          ) : (
+            <>
+              <table className="hrv-table">
+                <tbody>
+                  <tr>
+                    <td>Mean NN</td><td>{format(hrv.timeDomain.meanNN, 0)} ms</td>
+                    <td>Mean HR</td><td>{format(hrv.timeDomain.meanHR)} bpm</td>
+                  </tr>
+                  <tr>
+                    <td>SDNN</td><td>{format(hrv.timeDomain.sdnn)} ms</td>
+                    <td>RMSSD</td><td>{format(hrv.timeDomain.rmssd)} ms</td>
+                  </tr>
+                  <tr>
+                    <td>pNN50</td><td>{format(hrv.timeDomain.pnn50)} %</td>
+                    <td>SD1/SD2</td><td>{format(hrv.poincare.sd1)}/{format(hrv.poincare.sd2)}</td>
+                  </tr>
+                  <tr>
+                    <td>LF</td><td>{format(hrv.frequencyDomain.lf, 0)} ms²</td>
+                    <td>HF</td><td>{format(hrv.frequencyDomain.hf, 0)} ms²</td>
+                  </tr>
+                  <tr>
+                    <td>LF/HF</td><td>{format(hrv.frequencyDomain.lfHfRatio, 2)}</td>
+                    <td>LF/HF nu</td><td>{format(hrv.frequencyDomain.lfNu, 0)}/{format(hrv.frequencyDomain.hfNu, 0)}</td>
+                  </tr>
+                </tbody>
+              </table>
+
+              <div className="hrv-charts">
+                <div className="hrv-chart">
+                  <canvas ref={poincareCanvasRef} aria-label="Poincaré plot" />
+                </div>
+                <div className="hrv-chart">
+                  <canvas ref={spectrumCanvasRef} aria-label="Lomb-Scargle spectrum" />
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HRVPanel;
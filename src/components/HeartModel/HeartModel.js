@@ -1,7 +1,15 @@
-import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef } from 'react';
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import {
+  DEFAULT_HEATMAP_SETTINGS,
+  SEQUENCE_LABELS,
+  activationStateAt,
+  activationStateForPhase,
+  buildActivationBeats
+} from '../../utils/cardiacActivation';
+import { applyActivationHeatmap, createActivationUniforms, updateActivationUniforms } from './activationShader';
 import './HeartModel.css';
 
 // Matches Unity frame configuration
@@ -12,102 +20,189 @@ const HEARTBEAT_FRAMES = {
 };
 const TOTAL_FRAMES = 61;
 
+const PHASE_COLORS = {
+  PQ: '#4e79a7',
+  QRS: '#e15759',
+  ST: '#59a14f'
+};
+
+// Shared default, so a source without annotations keeps the beat patterns cached across renders
+const NO_ANNOTATIONS = [];
+
+/**
+ * 3D heart whose animation frame follows the phase at the timeline's reference time
+ * The render loop reads the timeline directly, so playback never re-renders React.
+ * The surface is shaded by electrical activation: the wave spreads from the SA node over
+ * the atria, through the AV junction and over the ventricles in the pattern of each beat.
+ * @param {Object} props - Component properties
+ * @param {string} [props.color='#ffffff'] - Directional light colour
+ * @param {number} [props.lightIntensity=0.2] - Directional light intensity
+ * @param {Object} props.timeline - Simulation timeline from createTimeline
+ * @param {Array} [props.annotations=[]] - Beat annotations of the source; they set each
+ *   beat's conduction pattern (bundle branch block, ectopic beats)
+ * @param {Object} [props.heatmap=DEFAULT_HEATMAP_SETTINGS] - Activation heatmap {enabled, strength}
+ */
 const HeartModel = forwardRef(({ 
   color = '#ffffff', 
   lightIntensity = 0.2, 
-  isPlaying = true,
-  speedMultiplier = 1,
-  onTimeUpdate,
-  pqrstIntervals = [],
-  currentPhase = 'ST',
-  timeElapsed = 0 
+  timeline,
+  annotations = NO_ANNOTATIONS,
+  heatmap = DEFAULT_HEATMAP_SETTINGS
 }, ref) => {
   const canvasRef = useRef(null);
   const sceneRef = useRef(null);
+  const cameraRef = useRef(null);
   const mixerRef = useRef(null);
   const modelRef = useRef(null);
   const animationsRef = useRef([]);
   const directionalLightRef = useRef(null);
-  const clockRef = useRef(new THREE.Clock());
+  const rendererRef = useRef(null);
   const animationIdRef = useRef(null);
-  const isPlayingRef = useRef(isPlaying);
-  const speedMultiplierRef = useRef(speedMultiplier);
+  const timelineRef = useRef(timeline);
   const lastPhaseRef = useRef('');
-  const [debugInfo, setDebugInfo] = useState('Loading...');
-  const [currentFrame, setCurrentFrame] = useState(0);
+  const debugInfoRef = useRef('Loading...');
+  const currentFrameRef = useRef(0);
+  const debugTextRef = useRef(null);
+  const progressBarRef = useRef(null);
+  const annotationsRef = useRef(annotations);
+  const heatmapRef = useRef(heatmap);
+  const activationBeatsRef = useRef({ intervals: null, annotations: null, beats: null });
+  const conductionRef = useRef('normal'); // Ventricular activation pattern of the current beat
+  const activationUniforms = useMemo(() => createActivationUniforms(), []);
 
-  // Sync props with refs
-  useEffect(() => { 
-    isPlayingRef.current = isPlaying;
-    if (isPlaying) clockRef.current.start();
-    else clockRef.current.stop();
-  }, [isPlaying]);
+  useEffect(() => {
+    timelineRef.current = timeline;
+  }, [timeline]);
 
-  useEffect(() => { 
-    speedMultiplierRef.current = speedMultiplier; 
-  }, [speedMultiplier]);
+  useEffect(() => {
+    annotationsRef.current = annotations;
+    heatmapRef.current = heatmap;
+  }, [annotations, heatmap]);
+
+  const showDebugInfo = useCallback((text) => {
+    debugInfoRef.current = text;
+    if (debugTextRef.current) debugTextRef.current.textContent = text;
+  }, []);
 
   // Set exact frame based on Unity mapping
-  const setExactFrame = (targetFrame) => {
+  const setExactFrame = useCallback((targetFrame) => {
     if (!mixerRef.current || targetFrame < 0 || targetFrame > TOTAL_FRAMES) return;
     
     const normalizedTime = targetFrame / TOTAL_FRAMES;
     animationsRef.current.forEach(clip => {
       const action = mixerRef.current.clipAction(clip);
       action.time = normalizedTime * clip.duration;
-      action.paused = !isPlayingRef.current;
+      action.paused = true; // Time comes from the timeline, not the mixer
     });
-    setCurrentFrame(targetFrame);
-  };
+    mixerRef.current.update(0);
+    currentFrameRef.current = targetFrame;
+  }, []);
 
-  // Phase-based animation control
-  useEffect(() => {
-    if (!mixerRef.current || !pqrstIntervals.length) return;
+  /**
+   * Poses the model for the timeline's current phase
+   * @param {Object} state - Timeline state
+   */
+  const applyTimelineState = useCallback((state) => {
+    if (!mixerRef.current || state.intervalIndex < 0) return;
 
-    // Find current phase
-    let currentPhaseData = null;
-    let phaseIndex = 0;
-    let phaseProgress = 0;
+    const frameRange = HEARTBEAT_FRAMES[state.phase];
+    const targetFrame = Math.min(
+      frameRange.end,
+      frameRange.start + Math.floor((frameRange.end - frameRange.start) * state.progress)
+    );
+    if (lastPhaseRef.current === state.phase && currentFrameRef.current === targetFrame) return;
 
-    for (let i = 0; i < pqrstIntervals.length; i++) {
-      const phase = pqrstIntervals[i];
-      if (timeElapsed >= phase.entry && timeElapsed < phase.entry + phase.duration) {
-        currentPhaseData = phase;
-        phaseIndex = i;
-        phaseProgress = (timeElapsed - phase.entry) / phase.duration;
-        break;
-      }
+    // Reset animation when changing phases
+    if (lastPhaseRef.current !== state.phase) {
+      mixerRef.current.stopAllAction();
+      animationsRef.current.forEach(clip => {
+        const action = mixerRef.current.clipAction(clip)
+          .setLoop(THREE.LoopOnce)
+          .play();
+        action.clampWhenFinished = true;
+      });
+      lastPhaseRef.current = state.phase;
     }
 
-    if (currentPhaseData) {
-      const frameRange = HEARTBEAT_FRAMES[currentPhaseData.phase];
-      const targetFrame = Math.min(
-        frameRange.end,
-        frameRange.start + Math.floor((frameRange.end - frameRange.start) * phaseProgress)
-      );
+    setExactFrame(targetFrame);
 
-      // Reset animation when changing phases
-      if (lastPhaseRef.current !== currentPhaseData.phase) {
-        mixerRef.current.stopAllAction();
-        animationsRef.current.forEach(clip => {
-          const action = mixerRef.current.clipAction(clip)
-            .setLoop(THREE.LoopOnce)
-            .play();
-          action.clampWhenFinished = true;
-          action.paused = !isPlayingRef.current;
-        });
-        lastPhaseRef.current = currentPhaseData.phase;
-      }
+    showDebugInfo(
+      `Phase: ${state.phase} (${state.intervalIndex + 1}/${timelineRef.current.getIntervals().length})\n` +
+      `Frame: ${targetFrame}/${TOTAL_FRAMES}\n` +
+      `Progress: ${(state.progress * 100).toFixed(1)}%\n` +
+      `Conduction: ${SEQUENCE_LABELS[conductionRef.current]}`
+    );
+    if (progressBarRef.current) {
+      progressBarRef.current.style.width = `${(targetFrame / TOTAL_FRAMES) * 100}%`;
+      progressBarRef.current.style.backgroundColor = PHASE_COLORS[state.phase];
+    }
+  }, [setExactFrame, showDebugInfo]);
 
-      setExactFrame(targetFrame);
-      
-      setDebugInfo(
-        `Phase: ${currentPhaseData.phase} (${phaseIndex+1}/${pqrstIntervals.length})\n` +
-        `Frame: ${targetFrame}/${TOTAL_FRAMES}\n` +
-        `Progress: ${(phaseProgress * 100).toFixed(1)}%`
-      );
+  /**
+   * Shades the heart by its electrical activation at the timeline's reference time
+   * @param {Object} state - Timeline state
+   */
+  const applyActivation = useCallback((state) => {
+    // Beat patterns are worked out again only when the source's beats change
+    const intervals = timelineRef.current.getIntervals();
+    const cache = activationBeatsRef.current;
+    if (cache.intervals !== intervals || cache.annotations !== annotationsRef.current) {
+      activationBeatsRef.current = {
+        intervals,
+        annotations: annotationsRef.current,
+        beats: buildActivationBeats(intervals, annotationsRef.current)
+      };
     }
-  }, [timeElapsed, pqrstIntervals]);
+    const activation = activationStateAt(activationBeatsRef.current.beats, state.recordTime);
+    conductionRef.current = activation.ventricular.sequence;
+    const { enabled, strength } = heatmapRef.current;
+    updateActivationUniforms(activationUniforms, activation, enabled ? strength : 0);
+  }, [activationUniforms]);
+
+  /**
+   * Renders the heart once, posed at a point of a cardiac phase, into a new 2D canvas
+   * The render loop restores the timeline's pose and activation on its next frame.
+   * @param {Object} options - Snapshot options
+   * @param {string} options.phase - 'PQ', 'QRS' or 'ST'
+   * @param {number} [options.progress=0.5] - Point within the phase, 0 to 1
+   * @param {number} options.width - Snapshot width (px)
+   * @param {number} options.height - Snapshot height (px)
+   * @param {string} [options.background] - Background colour, e.g. white for print
+   * @returns {HTMLCanvasElement|null} Snapshot, or null before the model has loaded
+   */
+  const captureSnapshot = ({ phase, progress = 0.5, width, height, background }) => {
+    const renderer = rendererRef.current;
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    if (!renderer || !scene || !camera || !mixerRef.current) return null;
+
+    // 1. Pose and size for the snapshot
+    const frameRange = HEARTBEAT_FRAMES[phase];
+    setExactFrame(Math.round(frameRange.start + (frameRange.end - frameRange.start) * progress));
+    const { enabled, strength } = heatmapRef.current;
+    updateActivationUniforms(activationUniforms, activationStateForPhase(phase, progress), enabled ? strength : 0);
+    const previousBackground = scene.background;
+    if (background) scene.background = new THREE.Color(background);
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // 2. Copy the frame while the drawing buffer still holds it
+    renderer.render(scene, camera);
+    const snapshot = document.createElement('canvas');
+    snapshot.width = width;
+    snapshot.height = height;
+    snapshot.getContext('2d').drawImage(renderer.domElement, 0, 0);
+
+    // 3. Back to the on-screen view
+    scene.background = previousBackground;
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    return snapshot;
+  };
 
   // Three.js initialization
   useEffect(() => {
@@ -128,9 +223,10 @@ const HeartModel = forwardRef(({
     });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
+    rendererRef.current = renderer;
 
-    // Lighting
-    const directionalLight = new THREE.DirectionalLight(color, lightIntensity);
+    // Lighting; colour and intensity come from the light effect below
+    const directionalLight = new THREE.DirectionalLight();
     directionalLight.position.set(5, 5, 5);
     scene.add(directionalLight);
     directionalLightRef.current = directionalLight;
@@ -147,6 +243,7 @@ const HeartModel = forwardRef(({
       process.env.PUBLIC_URL + '/human_heart_3d_model.glb',
       (gltf) => {
         modelRef.current = gltf.scene;
+        applyActivationHeatmap(gltf.scene, activationUniforms);
         scene.add(gltf.scene);
         animationsRef.current = gltf.animations || [];
 
@@ -162,32 +259,29 @@ const HeartModel = forwardRef(({
               .setLoop(THREE.LoopOnce)
               .play();
             action.clampWhenFinished = true;
-            action.paused = !isPlayingRef.current;
+            action.paused = true;
           });
-          setDebugInfo('Model loaded with animations');
+          showDebugInfo('Model loaded with animations');
         } else {
-          setDebugInfo('Model loaded but no animations found!');
+          showDebugInfo('Model loaded but no animations found!');
         }
       },
       undefined,
       (error) => {
         console.error("Error loading model:", error);
-        setDebugInfo('Error loading model!');
+        showDebugInfo('Error loading model!');
       }
     );
 
     sceneRef.current = scene;
+    cameraRef.current = camera;
     
     // Animation loop
     const animate = () => {
       animationIdRef.current = requestAnimationFrame(animate);
-      const delta = clockRef.current.getDelta() * speedMultiplierRef.current;
-      
-      if (mixerRef.current) {
-        mixerRef.current.update(delta);
-        if (onTimeUpdate) onTimeUpdate(t => t + delta);
-      }
-      
+      const state = timelineRef.current.getState();
+      applyTimelineState(state);
+      applyActivation(state);
       orbitControls.update();
       renderer.render(scene, camera);
     };
@@ -207,6 +301,7 @@ const HeartModel = forwardRef(({
       window.removeEventListener('resize', handleResize);
       cancelAnimationFrame(animationIdRef.current);
       renderer.dispose();
+      rendererRef.current = null;
       if (sceneRef.current) {
         sceneRef.current.traverse(child => {
           if (child.isMesh) {
@@ -216,7 +311,7 @@ const HeartModel = forwardRef(({
         });
       }
     };
-  }, []);
+  }, [activationUniforms, applyActivation, applyTimelineState, showDebugInfo]);
 
   // Light updates
   useEffect(() => {
@@ -230,31 +325,24 @@ const HeartModel = forwardRef(({
   useImperativeHandle(ref, () => ({
     getMixer: () => mixerRef.current,
     getScene: () => sceneRef.current,
+    getCamera: () => cameraRef.current,
     updateLight: (newColor, newIntensity) => {
       if (directionalLightRef.current) {
         directionalLightRef.current.color.set(newColor);
         directionalLightRef.current.intensity = newIntensity;
       }
     },
-    setPlaying: (playing) => {
-      isPlayingRef.current = playing;
-      if (playing) clockRef.current.start();
-      else clockRef.current.stop();
-    },
-    getDebugInfo: () => debugInfo,
-    getCurrentFrame: () => currentFrame
+    getDebugInfo: () => debugInfoRef.current,
+    getCurrentFrame: () => currentFrameRef.current,
+    captureSnapshot
   }));
 
   return (
     <div className="heart-container">
       <canvas ref={canvasRef} className="heart-canvas" />
       <div className="debug-overlay">
-        <pre>{debugInfo}</pre>
-        <div className="phase-progress" style={{
-          width: `${(currentFrame / TOTAL_FRAMES) * 100}%`,
-          backgroundColor: currentPhase === 'PQ' ? '#4e79a7' :
-                          currentPhase === 'QRS' ? '#e15759' : '#59a14f'
-        }} />
+        <pre ref={debugTextRef}>{debugInfoRef.current}</pre>
+        <div className="phase-progress" ref={progressBarRef} style={{ width: 0 }} />
       </div>
     </div>
   );
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import {
+  ACTIVATION_RAMP,
+  ATRIAL_SEQUENCES,
+  VENTRICULAR_SEQUENCES,
+  buildActivationMap
+} from '../../utils/cardiacActivation';
+
+// Axes of the loaded model in the heart frame: the model's +X is the patient's left,
+// +Y points from the apex to the base and +Z is anterior
+const MODEL_AXES = { left: 0, base: 1, anterior: 2 };
+
+const FRONT_WIDTH = 0.2;   // Width of the depolarisation front, as a fraction of the wave
+const FRONT_GLOW = 0.6;    // Emissive strength of the front and the AV junction
+
+/**
+ * Creates the uniforms shared by every patched material
+ * @returns {Object} Three.js uniforms
+ */
+export function createActivationUniforms() {
+  return {
+    uHeatmapStrength: { value: 0 },
+    uActivationClock: { value: new THREE.Vector3(-1, -1, -1) },   // Atria, junction, ventricles
+    uActivationRecovery: { value: new THREE.Vector2(0, 0) },      // Atria, ventricles
+    uAtrialSequence: { value: new THREE.Vector2(1, 0) },          // One-hot over ATRIAL_SEQUENCES
+    uVentricularSequence: { value: new THREE.Vector4(1, 0, 0, 0) }, // One-hot over VENTRICULAR_SEQUENCES
+    uReversedRecovery: { value: 1 },
+    uRestingColor: { value: new THREE.Color(ACTIVATION_RAMP.resting) },
+    uFrontColor: { value: new THREE.Color(ACTIVATION_RAMP.front) },
+    uDepolarizedColor: { value: new THREE.Color(ACTIVATION_RAMP.depolarized) },
+    uJunctionColor: { value: new THREE.Color(ACTIVATION_RAMP.junction) }
+  };
+}
+
+const VERTEX_DECLARATIONS = `
+attribute float activationChamber;
+attribute vec2 atrialActivation;
+attribute vec4 ventricularActivation;
+attribute float junctionActivation;
+varying float vActivationChamber;
+varying vec2 vAtrialActivation;
+varying vec4 vVentricularActivation;
+varying float vJunctionActivation;
+`;
+
+const VERTEX_ASSIGNMENTS = `
+vActivationChamber = activationChamber;
+vAtrialActivation = atrialActivation;
+vVentricularActivation = ventricularActivation;
+vJunctionActivation = junctionActivation;
+`;
+
+const FRAGMENT_DECLARATIONS = `
+uniform float uHeatmapStrength;
+uniform vec3 uActivationClock;
+uniform vec2 uActivationRecovery;
+uniform vec2 uAtrialSequence;
+uniform vec4 uVentricularSequence;
+uniform float uReversedRecovery;
+uniform vec3 uRestingColor;
+uniform vec3 uFrontColor;
+uniform vec3 uDepolarizedColor;
+uniform vec3 uJunctionColor;
+varying float vActivationChamber;
+varying vec2 vAtrialActivation;
+varying vec4 vVentricularActivation;
+varying float vJunctionActivation;
+
+// Colour of tissue activated at 'activation' (0-1) when its wave is at 'clock'; 'glow' is the front
+vec3 activationColor(float clock, float activation, float recovery, float recoverAt, out float glow) {
+  float local = clock - activation;
+  glow = 0.0;
+  if (clock < 0.0 || local < 0.0) return uRestingColor;
+  float front = 1.0 - smoothstep(0.0, ${FRONT_WIDTH.toFixed(2)}, local);
+  float depolarized = 1.0 - smoothstep(recoverAt - 0.15, recoverAt, recovery);
+  glow = front * depolarized;
+  return mix(uRestingColor, mix(uDepolarizedColor, uFrontColor, front), depolarized);
+}
+`;
+
+const FRAGMENT_COLOR = `
+float activationGlow = 0.0;
+vec3 activationTint;
+if (vActivationChamber < 0.5) {
+  float activation = dot(vAtrialActivation, uAtrialSequence);
+  activationTint = activationColor(uActivationClock.x, activation, uActivationRecovery.x,
+    mix(0.2, 0.9, activation), activationGlow);
+} else {
+  float activation = dot(vVentricularActivation, uVentricularSequence);
+  float order = mix(activation, 1.0 - activation, uReversedRecovery);
+  activationTint = activationColor(uActivationClock.z, activation, uActivationRecovery.y,
+    mix(0.2, 0.9, order), activationGlow);
+}
+// The AV node and His bundle light up as the impulse passes through them
+float junctionGlow = vJunctionActivation >= 0.0 && uActivationClock.y >= vJunctionActivation ? 1.0 : 0.0;
+activationTint = mix(activationTint, uJunctionColor, junctionGlow);
+diffuseColor.rgb = mix(diffuseColor.rgb, activationTint, uHeatmapStrength);
+`;
+
+const FRAGMENT_EMISSIVE = `
+totalEmissiveRadiance += uHeatmapStrength * ${FRONT_GLOW.toFixed(2)} *
+  (uFrontColor * activationGlow + uJunctionColor * junctionGlow);
+`;
+
+/**
+ * Adds the activation heatmap to a material's shader
+ * @param {THREE.Material} material - Material of the heart model (standard or physical)
+ * @param {Object} uniforms - Result of createActivationUniforms
+ */
+const patchMaterial = (material, uniforms) => {
+  if (material.userData.activationHeatmap) return;
+  material.userData.activationHeatmap = true;
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${VERTEX_DECLARATIONS}`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>\n${VERTEX_ASSIGNMENTS}`);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${FRAGMENT_DECLARATIONS}`)
+      .replace('#include <color_fragment>', `#include <color_fragment>\n${FRAGMENT_COLOR}`)
+      .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>\n${FRAGMENT_EMISSIVE}`);
+  };
+  material.customProgramCacheKey = () => 'activation-heatmap';
+  material.needsUpdate = true;
+};
+
+/**
+ * Gives every mesh of the model an activation map and a heatmap shader
+ * Positions are normalised to the model's bounding box and mapped to the heart frame with MODEL_AXES.
+ * @param {THREE.Object3D} model - Loaded heart model
+ * @param {Object} uniforms - Result of createActivationUniforms
+ */
+export function applyActivationHeatmap(model, uniforms) {
+  // 1. Heart frame from the model's bounding box
+  model.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3()).toArray();
+  const halfSize = box.getSize(new THREE.Vector3()).multiplyScalar(0.5).toArray().map(size => size || 1);
+  const axes = [MODEL_AXES.left, MODEL_AXES.base, MODEL_AXES.anterior];
+  const point = new THREE.Vector3();
+
+  model.traverse(child => {
+    if (!child.isMesh || !child.geometry.attributes.position) return;
+
+    // 2. Map of this mesh's vertices
+    const { geometry } = child;
+    const position = geometry.attributes.position;
+    const positions = new Float32Array(position.count * 3);
+    for (let v = 0; v < position.count; v++) {
+      const coordinates = point.fromBufferAttribute(position, v).applyMatrix4(child.matrixWorld).toArray();
+      for (let axis = 0; axis < 3; axis++) {
+        positions[v * 3 + axis] = (coordinates[axes[axis]] - center[axes[axis]]) / halfSize[axes[axis]];
+      }
+    }
+    const map = buildActivationMap(positions);
+    geometry.setAttribute('activationChamber', new THREE.BufferAttribute(map.chamber, 1));
+    geometry.setAttribute('atrialActivation', new THREE.BufferAttribute(map.atrial, ATRIAL_SEQUENCES.length));
+    geometry.setAttribute('ventricularActivation', new THREE.BufferAttribute(map.ventricular, VENTRICULAR_SEQUENCES.length));
+    geometry.setAttribute('junctionActivation', new THREE.BufferAttribute(map.junction, 1));
+
+    // 3. Shader
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => patchMaterial(material, uniforms));
+  });
+}
+
+/**
+ * Sets the uniforms for an activation state
+ * @param {Object} uniforms - Result of createActivationUniforms
+ * @param {Object} state - Result of activationStateAt
+ * @param {number} strength - Heatmap strength, 0 (off) to 1
+ */
+export function updateActivationUniforms(uniforms, { atrial, junction, ventricular }, strength) {
+  uniforms.uHeatmapStrength.value = strength;
+  uniforms.uActivationClock.value.set(atrial.clock, junction.clock, ventricular.clock);
+  uniforms.uActivationRecovery.value.set(atrial.recovery, ventricular.recovery);
+  uniforms.uAtrialSequence.value.fromArray(ATRIAL_SEQUENCES.map(sequence => (sequence === atrial.sequence ? 1 : 0)));
+  uniforms.uVentricularSequence.value.fromArray(VENTRICULAR_SEQUENCES.map(sequence => (sequence === ventricular.sequence ? 1 : 0)));
+  uniforms.uReversedRecovery.value = ventricular.reversedRecovery ? 1 : 0;
+}
@@ -0,0 +1,276 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Chart } from "chart.js/auto";
+import { runEcgPipeline } from "../../utils/runEcgPipeline";
+import {
+  INTERVAL_LIMITS,
+  intervalFlags,
+  measureBeatIntervals,
+  QTC_FORMULA_LABELS,
+  QTC_FORMULAS,
+  summarizeIntervals
+} from "../../utils/intervalMeasurement";
+import { lastBeatIndex } from "../../utils/heartRate";
+import { useTimelineValue } from "../../hooks/useTimelineValue";
+import "./IntervalPanel.css";
+
+const RECENT_BEATS = 6;     // Rows of the running table
+const TREND_POINTS = 1500;  // Beats plotted at most; longer records are decimated
+
+const TREND_SERIES = [
+  { key: "PR", label: "PR", color: "#4e79a7", limit: INTERVAL_LIMITS.PR.high },
+  { key: "QRS", label: "QRS", color: "#e15759", limit: INTERVAL_LIMITS.QRS.high },
+  { key: "QTC", label: "QTc", color: "#59a14f", limit: INTERVAL_LIMITS.QTC.high }
+];
+
+/**
+ * Value of a trend series for one beat
+ * @param {Object} measurement - One entry of measureBeatIntervals
+ * @param {string} key - Series key
+ * @param {string} formula - QTc formula
+ * @returns {number|null} Interval (ms)
+ */
+const seriesValue = (measurement, key, formula) => {
+  if (key === "PR") return measurement.pr;
+  if (key === "QRS") return measurement.qrs;
+  return measurement.qtc?.[formula] ?? null;
+};
+
+/**
+ * Chart.js plugin that marks the current beat on the trend
+ * @param {Object} markerRef - Ref holding the current beat time (s) or null
+ * @returns {Object} Chart.js plugin
+ */
+const createMarkerPlugin = (markerRef) => ({
+  id: "currentBeat",
+  afterDatasetsDraw(chart) {
+    if (markerRef.current === null) return;
+    const { ctx, chartArea, scales: { x } } = chart;
+    const xPos = x.getPixelForValue(markerRef.current);
+    if (xPos < chartArea.left || xPos > chartArea.right) return;
+    ctx.save();
+    ctx.strokeStyle = "rgba(255, 255, 0, 0.7)";
+    ctx.beginPath();
+    ctx.moveTo(xPos, chartArea.top);
+    ctx.lineTo(xPos, chartArea.bottom);
+    ctx.stroke();
+    ctx.restore();
+  }
+});
+
+/**
+ * IntervalPanel Component
+ * Clinical intervals measured by delineating the loaded signal
+ *
+ * Features:
+ * - PR, QRS, QT and RR of every beat from P onset, QRS onset/offset and T end
+ * - QTc by Bazett, Fridericia or Framingham
+ * - Median summary and a running table of the beats up to the reference line
+ * - Trend of PR, QRS and QTc with their upper limits, values outside normal limits flagged
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline; the current beat follows its record time
+ * @param {Float32Array} [props.signal] - Signal of the loaded source (mV)
+ * @param {number} [props.samplingRate] - Sampling rate of `signal` (Hz)
+ * @param {string} [props.sourceLabel] - Label of the loaded record or scenario
+ */
+const IntervalPanel = ({ timeline, signal, samplingRate, sourceLabel }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [formula, setFormula] = useState(QTC_FORMULAS.BAZETT);
+  const [analysis, setAnalysis] = useState({ signal: null, measurements: [], error: null });
+  const trendCanvasRef = useRef(null);
+  const trendChartRef = useRef(null);
+  const markerRef = useRef(null);
+
+  const analysed = analysis.signal === signal && !!signal;
+
+  // Delineate the loaded signal in a worker, once per source, while the panel is open
+  useEffect(() => {
+    if (!expanded || !signal || !samplingRate || analysis.signal === signal) return;
+    let cancelled = false;
+
+    runEcgPipeline(signal, samplingRate)
+      .then(({ boundaries }) => {
+        if (!cancelled) setAnalysis({ signal, measurements: measureBeatIntervals(boundaries, samplingRate), error: null });
+      })
+      .catch(error => {
+        if (!cancelled) setAnalysis({ signal, measurements: [], error: error.message });
+      });
+
+    return () => { cancelled = true; };
+  }, [expanded, signal, samplingRate, analysis.signal]);
+
+  const measurements = useMemo(() => (analysed ? analysis.measurements : []), [analysed, analysis.measurements]);
+  const beatTimes = useMemo(() => measurements.map(m => m.time), [measurements]);
+  const summary = useMemo(() => (measurements.length ? summarizeIntervals(measurements) : null), [measurements]);
+  const currentIndex = useTimelineValue(timeline, state => lastBeatIndex(beatTimes, state.recordTime));
+
+  // Trend chart, rebuilt for a new analysis or formula
+  useEffect(() => {
+    if (!expanded || !measurements.length || !trendCanvasRef.current) return;
+
+    const step = Math.ceil(measurements.length / TREND_POINTS);
+    const sampled = measurements.filter((_, i) => i % step === 0);
+    const start = measurements[0].time;
+    const end = measurements[measurements.length - 1].time;
+
+    const datasets = TREND_SERIES.flatMap(({ key, label, color, limit }) => [
+      {
+        label,
+        data: sampled.map(m => ({ x: m.time, y: seriesValue(m, key, formula) })),
+        borderColor: color,
+        borderWidth: 1,
+        pointRadius: 0,
+        spanGaps: false
+      },
+      {
+        label: `${label} limit`,
+        data: [{ x: start, y: limit }, { x: end, y: limit }],
+        borderColor: color,
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 0
+      }
+    ]);
+
+    trendChartRef.current = new Chart(trendCanvasRef.current.getContext("2d"), {
+      type: "line",
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        parsing: false,
+        plugins: { legend: { display: false }, tooltip: { enabled: false } },
+        scales: {
+          x: {
+            type: "linear",
+            min: start,
+            max: end,
+            ticks: { color: "#888", font: { size: 9 }, maxTicksLimit: 6 },
+            grid: { color: "rgba(255, 255, 255, 0.1)" }
+          },
+          y: {
+            title: { display: true, text: "ms", color: "#aaa", font: { size: 10 } },
+            ticks: { color: "#888", font: { size: 9 }, maxTicksLimit: 5 },
+            grid: { color: "rgba(255, 255, 255, 0.1)" }
+          }
+        }
+      },
+      plugins: [createMarkerPlugin(markerRef)]
+    });
+
+    return () => {
+      trendChartRef.current?.destroy();
+      trendChartRef.current = null;
+    };
+  }, [expanded, measurements, formula]);
+
+  // Move the current-beat marker
+  useEffect(() => {
+    markerRef.current = currentIndex >= 0 ? beatTimes[currentIndex] : null;
+    trendChartRef.current?.draw();
+  }, [currentIndex, beatTimes]);
+
+  const format = (value) => (value === null || value === undefined ? "–" : Math.round(value));
+
+  /**
+   * Table cells of one beat, flagged where outside normal limits
+   * @param {Object} measurement - Beat measurement or summary
+   * @returns {Array<JSX.Element>} Cells
+   */
+  const intervalCells = (measurement) => {
+    const flags = intervalFlags(measurement, formula);
+    return [
+      ["RR", measurement.rr],
+      ["PR", measurement.pr],
+      ["QRS", measurement.qrs],
+      [null, measurement.qt],
+      ["QTC", measurement.qtc?.[formula]]
+    ].map(([key, value], i) => (
+      <td key={i} className={key && flags[key] ? "interval-flag" : ""} title={key && flags[key] ? `${key === "QTC" ? "QTc" : key} ${flags[key]}` : undefined}>
+        {format(value)}
+      </td>
+    ));
+  };
+
+  const recent = currentIndex >= 0
+    ? measurements.slice(Math.max(0, currentIndex - RECENT_BEATS + 1), currentIndex + 1).reverse()
+    : [];
+
+  let status = null;
+  if (!signal) status = "No signal loaded to delineate";
+  else if (!analysed) status = "Delineating…";
+  else if (analysis.error) status = `Delineation failed: ${analysis.error}`;
+  else if (!measurements.length) status = "No beats found";
+
+  return (
+    <div className="ui-box interval-box">
+      <h3>
+        <button
+          className="interval-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? "▾" : "▸"} Intervals
+        </button>
+      </h3>
+
+      {expanded && (
+        <>
+          <p className="interval-source">
+            {sourceLabel || "No source"}
+            {analysed && measurements.length > 0 && ` · ${measurements.length} beats`}
+          </p>
+
+          <label className="interval-option">
+            QTc formula{" "}
+            <select value={formula} onChange={(e) => setFormula(e.target.value)}>
+              {Object.values(QTC_FORMULAS).map(option => (
+                <option key={option} value={option}>{QTC_FORMULA_LABELS[option]}</option>
+              ))}
+            </select>
+          </label>
+
+          {status ? (
+            <p className="interval-status">{status}</p>
+          ) : (
+            <>
+              <table className="interval-table">
+                <thead>
+                  <tr><th>Beat</th><th>RR</th><th>PR</th><th>QRS</th><th>QT</th><th>QTc</th></tr>
+                </thead>
+                <tbody>
+                  <tr className="interval-summary">
+                    <td>Median</td>
+                    {intervalCells(summary)}
+                  </tr>
+                  {recent.map((measurement, i) => (
+                    <tr key={measurement.time} className={i === 0 ? "interval-current" : ""}>
+                      <td>{measurement.time.toFixed(2)}s</td>
+                      {intervalCells(measurement)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="interval-units">
+                ms · limits PR {INTERVAL_LIMITS.PR.low}–{INTERVAL_LIMITS.PR.high}, QRS ≤ {INTERVAL_LIMITS.QRS.high},
+                QTc {INTERVAL_LIMITS.QTC.low}–{INTERVAL_LIMITS.QTC.high}
+              </p>
+
+              <div className="interval-legend">
+                {TREND_SERIES.map(({ key, label, color }) => (
+                  <span key={key} style={{ color }}>{label}</span>
+                ))}
+              </div>
+              <div className="interval-chart">
+                <canvas ref={trendCanvasRef} aria-label="Interval trend" />
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IntervalPanel;
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { DEFAULT_STREAM_URL, STREAM_STATUS } from "../../utils/ecgStream";
+import { LIVE_MAX_SECONDS } from "../../hooks/useLiveStream";
+
+const STATUS_LABELS = {
+  [STREAM_STATUS.IDLE]: "Not connected",
+  [STREAM_STATUS.CONNECTING]: "Connecting…",
+  [STREAM_STATUS.LIVE]: "Live",
+  [STREAM_STATUS.RECONNECTING]: "Reconnecting…",
+  [STREAM_STATUS.ENDED]: "Stream ended",
+  [STREAM_STATUS.ERROR]: "Error"
+};
+
+/**
+ * Connection form and health of a live WebSocket ECG stream
+ * @param {Object} props - Component properties
+ * @param {Object} props.liveStream - Result of useLiveStream ({status, stats, connect, disconnect})
+ * @param {boolean} [props.loadingRecord=false] - Whether a source is being loaded
+ */
+const LiveStream = ({ liveStream, loadingRecord = false }) => {
+  const [url, setUrl] = useState(DEFAULT_STREAM_URL);
+  const { status, stats, connect, disconnect } = liveStream;
+  const connected = status.status !== STREAM_STATUS.IDLE &&
+    status.status !== STREAM_STATUS.ERROR &&
+    status.status !== STREAM_STATUS.ENDED;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (connected) disconnect();
+    else connect(url.trim());
+  };
+
+  const gapSeconds = stats ? stats.gaps.reduce((sum, gap) => sum + gap.duration, 0) : 0;
+
+  return (
+    <form className="record-live" onSubmit={handleSubmit}>
+      <label>
+        WebSocket URL
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          disabled={connected}
+          spellCheck={false}
+        />
+      </label>
+      <button type="submit" className="record-import-button" disabled={loadingRecord || (!connected && !url.trim())}>
+        {connected ? "Disconnect" : "Connect"}
+      </button>
+
+      <p
+        className={`record-status ${status.status === STREAM_STATUS.ERROR ? "record-import-error" : ""}`}
+        role={status.status === STREAM_STATUS.ERROR ? "alert" : undefined}
+      >
+        <span className={`record-live-dot record-live-${status.status}`} /> {STATUS_LABELS[status.status]}
+        {status.message && ` · ${status.message}`}
+      </p>
+
+      {stats && (
+        <dl className="record-live-stats">
+          <dt>Received</dt>
+          <dd>{stats.duration.toFixed(1)} s · {stats.frames} frames</dd>
+          <dt>Buffered</dt>
+          <dd>{Math.round((1000 * stats.buffered) / stats.samplingRate)} ms</dd>
+          <dt>Gaps</dt>
+          <dd>{stats.gaps.length ? `${stats.gaps.length} (${gapSeconds.toFixed(2)} s)` : "none"}</dd>
+          <dt>Late frames</dt>
+          <dd>{stats.late}</dd>
+          <dt>Reconnects</dt>
+          <dd>{stats.reconnects}</dd>
+        </dl>
+      )}
+
+      <p className="record-live-hint">
+        Replay an MIT-BIH record with <code>npm run stream</code>; the session is kept after disconnecting
+        and rolls over every {LIVE_MAX_SECONDS / 60} minutes.
+      </p>
+    </form>
+  );
+};
+
+export default LiveStream;
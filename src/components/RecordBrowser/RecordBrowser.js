@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { loadRecordCatalog } from "../../utils/recordCatalog";
+import { describeRhythm } from "../../utils/wfdbAnnotations";
+import { RHYTHM_SCENARIOS } from "../../utils/rhythmScenarios";
+import RecordImport from "./RecordImport";
+import LiveStream from "./LiveStream";
+import "./RecordBrowser.css";
+
+const TAB_LABELS = {
+  records: "MIT-BIH records",
+  scenarios: "Rhythm scenarios",
+  import: "Import",
+  live: "Live"
+};
+
+/**
+ * RecordBrowser Component
+ * Lists the bundled MIT-BIH records and the simulated rhythm scenarios and lets
+ * the user switch what is playing
+ * 
+ * Features:
+ * - Patient metadata from each record's .hea comments (age, sex, medications)
+ * - Rhythm types and beat counts from the record's .atr annotations
+ * - Text filter over record number, medications, rhythms and notes
+ * - Scenarios tab with the arrhythmia scenario library
+ * - Import tab: drop or pick a CSV, EDF/EDF+ or WFDB recording of one's own
+ * - Live tab: connect to a WebSocket ECG stream and watch its health
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.selectedRecord - Name of the record or scenario id currently playing
+ * @param {string} [props.selectedLabel] - Display label of the playing source
+ * @param {function} props.onSelectRecord - Callback receiving the chosen record name
+ * @param {function} props.onSelectScenario - Callback receiving the chosen scenario id
+ * @param {function} props.onImport - Async callback receiving an imported recording
+ * @param {Object} props.liveStream - Live stream connection (see useLiveStream)
+ * @param {boolean} [props.loadingRecord=false] - Whether a record is being loaded
+ */
+const RecordBrowser = ({
+  selectedRecord,
+  selectedLabel,
+  onSelectRecord,
+  onSelectScenario,
+  onImport,
+  liveStream,
+  loadingRecord = false
+}) => {
+  const [catalog, setCatalog] = useState([]);
+  const [status, setStatus] = useState("Loading records...");
+  const [filter, setFilter] = useState("");
+  const [expanded, setExpanded] = useState(true);
+  const [tab, setTab] = useState("records"); // "records" | "scenarios" | "import" | "live"
+
+  // Load record metadata once
+  useEffect(() => {
+    let cancelled = false;
+
+    loadRecordCatalog()
+      .then(entries => {
+        if (cancelled) return;
+        setCatalog(entries);
+        setStatus(entries.length ? "" : "No records found");
+      })
+      .catch(error => {
+        console.error("Record catalog error:", error);
+        if (!cancelled) setStatus("Records unavailable");
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  /**
+   * Records matching the filter text
+   */
+  const visibleRecords = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    if (!query) return catalog;
+
+    return catalog.filter(entry => [
+      entry.name,
+      entry.sex,
+      entry.notes,
+      ...entry.medications,
+      ...entry.rhythms.map(describeRhythm)
+    ].some(text => text && text.toLowerCase().includes(query)));
+  }, [catalog, filter]);
+
+  return (
+    <div className="ui-box record-box">
+      <h3>
+        <button
+          className="record-box-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? "▾" : "▸"} Sources
+        </button>
+        <span className="record-current">
+          {loadingRecord ? "Loading..." : selectedLabel || selectedRecord}
+        </span>
+      </h3>
+
+      {expanded && (
+        <div className="record-tabs" role="tablist">
+          {["records", "scenarios", "import", "live"].map(name => (
+            <button
+              key={name}
+              role="tab"
+              aria-selected={tab === name}
+              className={tab === name ? "active" : ""}
+              onClick={() => setTab(name)}
+            >
+              {TAB_LABELS[name]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {expanded && tab === "scenarios" && (
+        <ul className="record-list">
+          {RHYTHM_SCENARIOS.map(scenario => (
+            <li key={scenario.id}>
+              <button
+                className={`record-item ${scenario.id === selectedRecord ? "selected" : ""}`}
+                onClick={() => onSelectScenario(scenario.id)}
+                disabled={loadingRecord}
+              >
+                <div className="record-item-header">
+                  <strong>{scenario.label}</strong>
+                </div>
+                <div className="record-meds">{scenario.description}</div>
+                <div className="record-rhythms">
+                  <span className="rhythm-chip">{describeRhythm(scenario.rhythm)}</span>
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {expanded && tab === "import" && (
+        <RecordImport onImport={onImport} loadingRecord={loadingRecord} />
+      )}
+
+      {expanded && tab === "live" && (
+        <LiveStream liveStream={liveStream} loadingRecord={loadingRecord} />
+      )}
+
+      {expanded && tab === "records" && (
+        <>
+          <input
+            type="search"
+            className="record-filter"
+            placeholder="Filter by record, rhythm, drug..."
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            aria-label="Filter records"
+          />
+
+          {status && <p className="record-status">{status}</p>}
+
+          <ul className="record-list">
+            {visibleRecords.map(entry => (
+              <li key={entry.name}>
+                <button
+                  className={`record-item ${entry.name === selectedRecord ? "selected" : ""}`}
+                  onClick={() => onSelectRecord(entry.name)}
+                  disabled={loadingRecord}
+                  title={entry.notes}
+                >
+                  <div className="record-item-header">
+                    <strong>{entry.name}</strong>
+                    <span>
+                      {entry.age !== null ? entry.age : "?"} {entry.sex || ""} · {entry.leads.join("/")}
+                    </span>
+                  </div>
+                  <div className="record-meds">
+                    {entry.medications.length ? entry.medications.join(", ") : "No medications"}
+                  </div>
+                  <div className="record-rhythms">
+                    {entry.rhythms.map(rhythm => (
+                      <span key={rhythm} className="rhythm-chip">{describeRhythm(rhythm)}</span>
+                    ))}
+                  </div>
+                  <div className="record-beats">
+                    {Object.entries(entry.beatCounts)
+                      .sort((a, b) => b[1] - a[1])
+                      .map(([symbol, count]) => `${symbol} ${count}`)
+                      .join(" · ")}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecordBrowser;
@@ -0,0 +1,175 @@
+import React, { useRef, useState } from "react";
+import { csvRecording, readImportFiles, SIGNAL_UNITS, TIME_UNITS } from "../../utils/ecgImport";
+
+/**
+ * Drop zone and file picker for the user's own recordings
+ * CSV files get a column mapping step (time column or sampling rate, signal columns, units);
+ * EDF/EDF+ files and WFDB record sets load directly.
+ * @param {Object} props - Component properties
+ * @param {function} props.onImport - Async callback receiving the recording; rejects when it cannot be played
+ * @param {boolean} [props.loadingRecord=false] - Whether a source is being loaded
+ */
+const RecordImport = ({ onImport, loadingRecord = false }) => {
+  const [pendingCsv, setPendingCsv] = useState(null); // {name, table, mapping} awaiting a mapping
+  const [message, setMessage] = useState(null);       // {error: boolean, text: string}
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  /**
+   * Hands a recording to the app and reports what was loaded
+   * @param {Object} recording - Imported recording
+   */
+  const importRecording = async (recording) => {
+    await onImport(recording);
+    const notes = [
+      `${recording.leads.length} lead${recording.leads.length === 1 ? "" : "s"}`,
+      `${recording.samplingRate} Hz`,
+      `${(recording.leads[0].signal.length / recording.samplingRate).toFixed(1)} s`,
+      recording.annotations.length ? `${recording.annotations.length} annotations` : null,
+      recording.skipped?.length ? `skipped ${recording.skipped.join(", ")} (other sampling rate)` : null
+    ].filter(Boolean);
+    setMessage({ error: false, text: `Loaded ${recording.name}: ${notes.join(" · ")}` });
+  };
+
+  /**
+   * Reads dropped or picked files
+   * @param {FileList} files - Files
+   */
+  const handleFiles = async (files) => {
+    setPendingCsv(null);
+    setMessage(null);
+    try {
+      const result = await readImportFiles(files);
+      if (result.kind === "csv") setPendingCsv(result);
+      else await importRecording(result.recording);
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const handleCsvImport = async () => {
+    try {
+      await importRecording(csvRecording(pendingCsv.table, pendingCsv.mapping, pendingCsv.name));
+      setPendingCsv(null);
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const updateMapping = (changes) => setPendingCsv({ ...pendingCsv, mapping: { ...pendingCsv.mapping, ...changes } });
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!loadingRecord) handleFiles(e.dataTransfer.files);
+  };
+
+  const mapping = pendingCsv?.mapping;
+
+  return (
+    <div className="record-import">
+      <div
+        className={`record-drop ${dragging ? "dragging" : ""}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") inputRef.current?.click(); }}
+      >
+        Drop a CSV or EDF file, or the .hea/.dat/.atr files of a WFDB record
+        <span>or click to choose files</span>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept=".csv,.txt,.tsv,.edf,.hea,.dat,.atr"
+          onChange={(e) => { handleFiles(e.target.files); e.target.value = ""; }}
+          hidden
+        />
+      </div>
+
+      {pendingCsv && (
+        <div className="record-csv">
+          <p className="record-status">
+            {pendingCsv.name}: {pendingCsv.table.rows.length} rows, {pendingCsv.table.columns.length} columns
+          </p>
+
+          <label>
+            Time column
+            <select
+              value={mapping.timeColumn}
+              onChange={(e) => {
+                const timeColumn = parseInt(e.target.value, 10);
+                updateMapping({
+                  timeColumn,
+                  samplingRate: null, // Measured again from the new time column
+                  leadColumns: mapping.leadColumns.filter(column => column !== timeColumn)
+                });
+              }}
+            >
+              <option value={-1}>None (enter the rate)</option>
+              {pendingCsv.table.columns.map((column, i) => <option key={i} value={i}>{column}</option>)}
+            </select>
+            {mapping.timeColumn >= 0 && (
+              <select value={mapping.timeUnit} onChange={(e) => updateMapping({ timeUnit: e.target.value, samplingRate: null })}>
+                {Object.values(TIME_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            )}
+          </label>
+
+          <label>
+            Sampling rate
+            <input
+              type="number"
+              min="1"
+              step="any"
+              value={mapping.samplingRate ?? ""}
+              placeholder={mapping.timeColumn >= 0 ? "from time column" : "Hz"}
+              onChange={(e) => updateMapping({ samplingRate: e.target.value === "" ? null : parseFloat(e.target.value) })}
+            />
+            Hz
+          </label>
+
+          <fieldset>
+            <legend>Signal columns</legend>
+            {pendingCsv.table.columns.map((column, i) => i !== mapping.timeColumn && (
+              <label key={i}>
+                <input
+                  type="checkbox"
+                  checked={mapping.leadColumns.includes(i)}
+                  onChange={(e) => updateMapping({
+                    leadColumns: e.target.checked
+                      ? [...mapping.leadColumns, i].sort((a, b) => a - b)
+                      : mapping.leadColumns.filter(column => column !== i)
+                  })}
+                />
+                {column}
+              </label>
+            ))}
+          </fieldset>
+
+          <label>
+            Units
+            <select value={mapping.units} onChange={(e) => updateMapping({ units: e.target.value })}>
+              {SIGNAL_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+            </select>
+          </label>
+
+          <button className="record-import-button" onClick={handleCsvImport} disabled={loadingRecord}>
+            Load CSV
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`record-status ${message.error ? "record-import-error" : ""}`} role={message.error ? "alert" : undefined}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RecordImport;
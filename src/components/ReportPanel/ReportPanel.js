@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import {
+  buildReport,
+  measureStrip,
+  renderReportFile,
+  REPORT_DPIS,
+  REPORT_FORMATS,
+  REPORT_PHASES,
+  REPORT_STRIP
+} from "../../utils/ecgReport";
+import { QTC_FORMULA_LABELS, QTC_FORMULAS } from "../../utils/intervalMeasurement";
+import { downloadFiles, sanitizeRecordName } from "../../utils/ecgExport";
+import "./ReportPanel.css";
+
+const SNAPSHOT_PIXELS = 1200; // Square heart snapshot, enough for 55 mm at 300 dpi
+
+/**
+ * ReportPanel Component
+ * Prints a rhythm strip report of the loaded signal
+ *
+ * Features:
+ * - 10-second strip at 25 mm/s and 10 mm/mV on ECG paper, with calibration pulse and beat labels
+ * - Record and patient header, strip median HR/PR/QRS/QT/QTc with normal limits, recording HRV
+ *   and annotated beat counts
+ * - Snapshot of the heart model at a chosen cardiac phase
+ * - PDF or 150/300 dpi PNG, rendered in the browser
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline (current record time)
+ * @param {Object} [props.source] - Loaded signal source (see loadRecord)
+ * @param {Array} props.intervals - Cardiac phase intervals of the source
+ * @param {function} props.getHeartSnapshot - Returns a heart model snapshot canvas for
+ *   {phase, width, height, background}, or null before the model has loaded
+ */
+const ReportPanel = ({ timeline, source, intervals, getHeartSnapshot }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [start, setStart] = useState("0");
+  const [phase, setPhase] = useState("QRS");
+  const [formula, setFormula] = useState(QTC_FORMULAS.BAZETT);
+  const [format, setFormat] = useState(REPORT_FORMATS.PDF);
+  const [dpi, setDpi] = useState(REPORT_DPIS[REPORT_DPIS.length - 1]);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const duration = source?.signal && source.samplingRate ? source.signal.length / source.samplingRate : 0;
+  const latestStart = Math.max(0, duration - REPORT_STRIP.seconds);
+
+  /**
+   * Sets the strip to the one ending at the reference line
+   */
+  const selectCurrentStrip = () => {
+    const end = Math.min(duration, timeline.getState().recordTime);
+    setStart(Math.max(0, end - REPORT_STRIP.seconds).toFixed(2));
+  };
+
+  const handleGenerate = async () => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      // 1. Strip position, clamped so the whole strip lies in the recording
+      const stripStart = parseFloat(start);
+      if (!Number.isFinite(stripStart) || stripStart < 0) throw new Error("Strip start must be a time in seconds");
+      if (duration < REPORT_STRIP.seconds) throw new Error(`The report needs at least ${REPORT_STRIP.seconds} s of signal`);
+      const clampedStart = Math.min(stripStart, latestStart);
+
+      // 2. Measure, draw and save
+      const measurements = await measureStrip(source.signal, source.samplingRate, clampedStart);
+      const heartSnapshot = getHeartSnapshot({
+        phase,
+        width: SNAPSHOT_PIXELS,
+        height: SNAPSHOT_PIXELS,
+        background: "#ffffff"
+      });
+      const report = buildReport({ source, intervals, start: clampedStart, measurements, formula, phase, heartSnapshot });
+      const name = sanitizeRecordName(`${source.name}_report_${Math.round(clampedStart)}s`);
+      const file = await renderReportFile(report, { format, dpi, name });
+      downloadFiles([file]);
+      setStart(clampedStart.toFixed(2));
+      setStatus({ error: false, message: `Saved ${file.fileName}` });
+    } catch (error) {
+      setStatus({ error: true, message: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="ui-box report-box">
+      <h3>
+        <button
+          className="report-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? "▾" : "▸"} Report
+        </button>
+      </h3>
+
+      {expanded && (
+        <>
+          <p className="report-source">
+            {source?.label || "No source"}
+            {duration > 0 && ` · ${duration.toFixed(1)} s`}
+          </p>
+
+          <label className="report-option">
+            Strip from
+            <input
+              type="number"
+              min="0"
+              max={latestStart.toFixed(2)}
+              step="0.1"
+              value={start}
+              onChange={(e) => setStart(e.target.value)}
+            />
+            s, {REPORT_STRIP.seconds} s long
+          </label>
+          <button className="report-strip" onClick={selectCurrentStrip}>
+            Last {REPORT_STRIP.seconds} s at the reference line
+          </button>
+
+          <label className="report-option">
+            Heart at{" "}
+            <select value={phase} onChange={(e) => setPhase(e.target.value)}>
+              {Object.entries(REPORT_PHASES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="report-option">
+            QTc formula{" "}
+            <select value={formula} onChange={(e) => setFormula(e.target.value)}>
+              {Object.values(QTC_FORMULAS).map(option => (
+                <option key={option} value={option}>{QTC_FORMULA_LABELS[option]}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="report-option">
+            Output{" "}
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              <option value={REPORT_FORMATS.PDF}>PDF (A4 landscape)</option>
+              <option value={REPORT_FORMATS.PNG}>PNG</option>
+            </select>
+            <select value={dpi} onChange={(e) => setDpi(parseInt(e.target.value, 10))} aria-label="Resolution">
+              {REPORT_DPIS.map(option => <option key={option} value={option}>{option} dpi</option>)}
+            </select>
+          </label>
+
+          <button className="report-button" onClick={handleGenerate} disabled={!source?.signal || busy}>
+            {busy ? "Generating…" : "Generate report"}
+          </button>
+
+          {!source?.signal && <p className="report-status">The loaded source has no signal to report</p>}
+          {status && (
+            <p className={`report-status ${status.error ? "report-error" : ""}`}>{status.message}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReportPanel;
@@ -0,0 +1,128 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { Chart } from "chart.js/auto";
+import {
+  extractBeatTimes,
+  heartRateSeries,
+  instantaneousHeartRate,
+  lastBeatIndex,
+  smoothedHeartRate
+} from "../../utils/heartRate";
+import { TIMELINE_EVENTS } from "../../utils/timeline";
+import { useTimelineValue } from "../../hooks/useTimelineValue";
+import "./Tachogram.css";
+
+const WINDOW_SECONDS = 60;   // Time span shown, ending at the current time
+const REDRAW_STEP = 0.1;     // Simulation seconds between redraws while playing
+
+/**
+ * Tachogram Component
+ * Scrolling beat-to-beat heart rate shown under the ECG monitor
+ *
+ * Features:
+ * - Instantaneous BPM of every R-R interval in the last minute of simulation time
+ * - Smoothed (4-beat) BPM readout
+ * - Follows pause, speed changes and seeking, since it only depends on the simulation time
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} [props.intervals=[]] - Cardiac phase intervals of the loaded source
+ * @param {Object} props.timeline - Simulation timeline; the window ends at its record time
+ */
+const Tachogram = ({ intervals = [], timeline }) => {
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+  const lastDrawRef = useRef(null);
+
+  const beatTimes = useMemo(() => extractBeatTimes(intervals), [intervals]);
+  const series = useMemo(() => heartRateSeries(beatTimes), [beatTimes]);
+  const seriesTimes = useMemo(() => series.map(point => point.time), [series]);
+  // The readout only changes when a beat crosses the reference line
+  const beatIndex = useTimelineValue(timeline, state => state.beatIndex);
+
+  // Chart setup, rebuilt when the source changes
+  useEffect(() => {
+    if (!canvasRef.current) return;
+
+    chartRef.current = new Chart(canvasRef.current.getContext("2d"), {
+      type: "line",
+      data: {
+        datasets: [{
+          data: [],
+          parsing: false,
+          borderColor: "#ff3366",
+          backgroundColor: "#ff3366",
+          borderWidth: 1.5,
+          pointRadius: 2,
+          stepped: "before"
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { display: false }, tooltip: { enabled: false } },
+        scales: {
+          x: {
+            type: "linear",
+            ticks: { color: "#888", font: { size: 9 }, callback: (value) => `${Math.round(value)}s` },
+            grid: { color: "rgba(255, 255, 255, 0.08)" }
+          },
+          y: {
+            suggestedMin: 50,
+            suggestedMax: 100,
+            ticks: { color: "#888", font: { size: 9 }, maxTicksLimit: 4 },
+            grid: { color: "rgba(255, 255, 255, 0.08)" }
+          }
+        }
+      }
+    });
+    lastDrawRef.current = null;
+
+    return () => chartRef.current?.destroy();
+  }, [series]);
+
+  // Scroll the window with the simulation time
+  useEffect(() => {
+    const draw = ({ recordTime: time, playing }) => {
+      const chart = chartRef.current;
+      if (!chart) return;
+      if (playing && lastDrawRef.current !== null && Math.abs(time - lastDrawRef.current) < REDRAW_STEP) return;
+      lastDrawRef.current = time;
+
+      const start = time - WINDOW_SECONDS;
+      const first = Math.max(0, lastBeatIndex(seriesTimes, start));
+      const visible = [];
+      for (let i = first; i < series.length && series[i].time <= time; i++) {
+        visible.push({ x: series[i].time, y: series[i].bpm });
+      }
+
+      chart.data.datasets[0].data = visible;
+      chart.options.scales.x.min = start;
+      chart.options.scales.x.max = time;
+      chart.update("none");
+    };
+
+    draw(timeline.getState());
+    return timeline.subscribe(TIMELINE_EVENTS.FRAME, draw);
+  }, [timeline, series, seriesTimes]);
+
+  // Both rates depend only on the beats up to the most recent one
+  const lastBeatTime = beatIndex >= 0 && beatIndex < beatTimes.length ? beatTimes[beatIndex] : -Infinity;
+  const current = instantaneousHeartRate(beatTimes, lastBeatTime);
+  const smoothed = smoothedHeartRate(beatTimes, lastBeatTime);
+
+  return (
+    <div className="tachogram">
+      <div className="tachogram-header">
+        <span>Tachogram</span>
+        <span className="tachogram-values">
+          Beat: {current ? Math.round(current) : "–"} · Avg: {smoothed ? Math.round(smoothed) : "–"} BPM
+        </span>
+      </div>
+      <div className="tachogram-chart">
+        <canvas ref={canvasRef} aria-label="Beat-to-beat heart rate" />
+      </div>
+    </div>
+  );
+};
+
+export default Tachogram;
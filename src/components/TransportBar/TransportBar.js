@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from "react";
+import { useTimelineValue } from "../../hooks/useTimelineValue";
+import { END_BEHAVIORS } from "../../utils/timeline";
+import "./TransportBar.css";
+
+const END_BEHAVIOR_LABELS = {
+  [END_BEHAVIORS.LOOP]: "Loop record",
+  [END_BEHAVIORS.EXTEND]: "Extend rhythm",
+  [END_BEHAVIORS.STOP]: "Stop at end",
+  [END_BEHAVIORS.FOLLOW]: "Follow live stream"
+};
+
+/**
+ * Formats a time as m:ss.ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+const formatTime = (seconds) => {
+  const safe = Math.max(0, seconds);
+  const minutes = Math.floor(safe / 60);
+  const rest = (safe - minutes * 60).toFixed(2).padStart(5, "0");
+  return `${minutes}:${rest}`;
+};
+
+/**
+ * Parses a jump-to-time entry: plain seconds ("75.5") or minutes and seconds ("1:15.5")
+ * @param {string} text - User input
+ * @returns {number|null} Time in seconds, or null when the input is not a time
+ */
+const parseTime = (text) => {
+  const match = text.trim().match(/^(?:(\d+):)?(\d+(?:\.\d*)?)$/);
+  if (!match) return null;
+  return (match[1] ? parseInt(match[1], 10) * 60 : 0) + parseFloat(match[2]);
+};
+
+/**
+ * TransportBar Component
+ * Playback transport for the simulation timeline, in record time at the monitor's reference line
+ *
+ * Features:
+ * - Scrubber over the whole record and a jump-to-time field
+ * - Step to the previous/next beat or phase, and frame-step (pauses playback)
+ * - A–B loop over a chosen range, shown on the scrubber
+ * - End-of-data behaviour: loop the record, extend the rhythm, or stop with an "end of record" state;
+ *   a live stream follows its newest data
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline from createTimeline
+ */
+const TransportBar = ({ timeline }) => {
+  const [jumpText, setJumpText] = useState("");
+  const [loopStart, setLoopStart] = useState(null); // A marker waiting for its B
+  const playing = useTimelineValue(timeline, state => state.playing);
+  const loop = useTimelineValue(timeline, state => state.loop);
+  const duration = useTimelineValue(timeline, () => timeline.getDuration());
+  const phase = useTimelineValue(timeline, state => state.phase);
+  const endBehavior = useTimelineValue(timeline, state => state.endBehavior);
+  const endStatus = useTimelineValue(timeline, state => {
+    if (state.ended) return "End of record";
+    if (!state.repeating) return null;
+    return state.endBehavior === END_BEHAVIORS.EXTEND ? "Extending rhythm" : `Lap ${state.cycle + 1}`;
+  });
+  // Coarse while playing; fine enough for frame steps while paused
+  const time = useTimelineValue(timeline, state => {
+    const resolution = state.playing ? 10 : 1000;
+    return Math.floor(Math.max(0, state.recordTime) * resolution) / resolution;
+  });
+
+  // A pending A marker belongs to the previous source
+  useEffect(() => setLoopStart(null), [duration]);
+
+  /**
+   * Pauses and runs a step so the user can walk through a beat
+   * @param {function} step - Timeline step to run
+   */
+  const stepPaused = (step) => {
+    timeline.pause();
+    step();
+  };
+
+  /**
+   * Handles the jump-to-time form
+   * @param {Object} e - Submit event
+   */
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = parseTime(jumpText);
+    if (target === null) return;
+    timeline.seekReference(Math.min(target, duration));
+    setJumpText("");
+  };
+
+  /**
+   * Sets the A marker, or B when A is already set; a third press clears the loop
+   */
+  const handleLoop = () => {
+    if (loop) {
+      timeline.setLoop(null);
+    } else if (loopStart === null) {
+      setLoopStart(time);
+    } else {
+      timeline.setLoop({ start: Math.min(loopStart, time), end: Math.max(loopStart, time) });
+      setLoopStart(null);
+    }
+  };
+
+  const percent = (value) => (duration > 0 ? (100 * value) / duration : 0);
+  const loopLabel = loop ? "Clear A–B" : loopStart === null ? "Set A" : "Set B";
+
+  return (
+    <div className="ui-box transport-box">
+      <div className="transport-scrubber">
+        {loop && (
+          <div
+            className="transport-loop-range"
+            style={{ left: `${percent(loop.start)}%`, width: `${percent(loop.end - loop.start)}%` }}
+          />
+        )}
+        {loopStart !== null && (
+          <div className="transport-loop-marker" style={{ left: `${percent(loopStart)}%` }} />
+        )}
+        <input
+          type="range"
+          min="0"
+          max={duration || 0}
+          step="0.01"
+          value={Math.min(time, duration)}
+          onChange={(e) => timeline.seekReference(parseFloat(e.target.value))}
+          disabled={!duration}
+          aria-label="Record position"
+        />
+      </div>
+
+      <div className="transport-row">
+        <div className="transport-buttons" role="group" aria-label="Transport">
+          <button onClick={() => stepPaused(() => timeline.stepBeat(-1))} title="Previous beat" aria-label="Previous beat">⏮</button>
+          <button onClick={() => stepPaused(() => timeline.stepPhase(-1))} title="Previous phase" aria-label="Previous phase">⇤</button>
+          <button onClick={() => stepPaused(() => timeline.stepFrame(-1))} title="Frame back" aria-label="Frame back">‹</button>
+          <button
+            className="transport-play"
+            onClick={() => timeline.setPlaying(!playing)}
+            aria-label={playing ? "Pause" : "Play"}
+          >
+            {playing ? "⏸" : "▶"}
+          </button>
+          <button onClick={() => stepPaused(() => timeline.stepFrame(1))} title="Frame forward" aria-label="Frame forward">›</button>
+          <button onClick={() => stepPaused(() => timeline.stepPhase(1))} title="Next phase" aria-label="Next phase">⇥</button>
+          <button onClick={() => stepPaused(() => timeline.stepBeat(1))} title="Next beat" aria-label="Next beat">⏭</button>
+        </div>
+
+        <span className="transport-time">
+          {formatTime(time)} / {formatTime(duration)} · <span className={`transport-phase ${phase}`}>{phase}</span>
+        </span>
+      </div>
+
+      {endStatus && <div className={`transport-status ${endBehavior}`}>{endStatus}</div>}
+
+      <div className="transport-row">
+        <form className="transport-jump" onSubmit={handleJump}>
+          <input
+            type="text"
+            value={jumpText}
+            onChange={(e) => setJumpText(e.target.value)}
+            placeholder="Go to m:ss"
+            aria-label="Jump to time"
+          />
+          <button type="submit" disabled={parseTime(jumpText) === null}>Go</button>
+        </form>
+
+        <button
+          className={`transport-loop ${loop || loopStart !== null ? "active" : ""}`}
+          onClick={handleLoop}
+          disabled={!duration}
+        >
+          {loopLabel}
+        </button>
+        {loop && (
+          <span className="transport-loop-label">
+            {formatTime(loop.start)} – {formatTime(loop.end)}
+          </span>
+        )}
+
+        <select
+          className="transport-end"
+          value={endBehavior}
+          onChange={(e) => timeline.setEndBehavior(e.target.value)}
+          disabled={endBehavior === END_BEHAVIORS.FOLLOW}
+          aria-label="At the end of the data"
+        >
+          {/* Following is set by a live stream, not chosen here */}
+          {Object.values(END_BEHAVIORS)
+            .filter(mode => mode !== END_BEHAVIORS.FOLLOW || endBehavior === END_BEHAVIORS.FOLLOW)
+            .map(mode => (
+              <option key={mode} value={mode}>{END_BEHAVIOR_LABELS[mode]}</option>
+            ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default TransportBar;
@@ -0,0 +1,233 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  dipoleAt,
+  extractBeatFiducials,
+  projectLead,
+  standardLeadName
+} from "../../utils/cardiacDipole";
+import { drawPaperGrid } from "../../utils/ecgPaper";
+import { TIMELINE_EVENTS } from "../../utils/timeline";
+import "./TwelveLeadECG.css";
+
+// Standard 3x4 layout: each column covers the next 2.5 s of the 10 s page
+const GRID_COLUMNS = [["I", "II", "III"], ["aVR", "aVL", "aVF"], ["V1", "V2", "V3"], ["V4", "V5", "V6"]];
+const RHYTHM_LEAD = "II";
+const PAGE_SECONDS = 10;
+const COLUMN_SECONDS = PAGE_SECONDS / GRID_COLUMNS.length;
+
+const CANVAS_WIDTH = 600;
+const CANVAS_HEIGHT = 380;
+const ROW_HEIGHT = CANVAS_HEIGHT / 4;               // Three lead rows and the rhythm strip
+const MM = CANVAS_WIDTH / (PAGE_SECONDS * 25);      // 25 mm/s across the page
+const MV = 10 * MM;                                  // 10 mm/mV
+const PIXELS_PER_SECOND = CANVAS_WIDTH / PAGE_SECONDS;
+const SAMPLES_PER_PIXEL = 2;
+const REDRAW_INTERVAL = 1000 / 15;                   // ms between redraws while playing
+
+const MODES = {
+  MODEL: "model",       // Dipole projection onto all twelve leads
+  RECORDED: "recorded"  // The source's own leads, where it has them
+};
+
+/**
+ * Draws one trace from sampled values
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<number>} values - Voltages (mV), SAMPLES_PER_PIXEL per pixel; NaN leaves a gap
+ * @param {number} x0 - Left edge (px)
+ * @param {number} baseline - Isoelectric line (px)
+ */
+const drawTrace = (ctx, values, x0, baseline) => {
+  ctx.beginPath();
+  let drawing = false;
+  values.forEach((value, i) => {
+    if (Number.isNaN(value)) {
+      drawing = false;
+      return;
+    }
+    const x = x0 + i / SAMPLES_PER_PIXEL;
+    const y = baseline - value * MV;
+    if (drawing) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+    drawing = true;
+  });
+  ctx.stroke();
+};
+
+/**
+ * TwelveLeadECG Component
+ * Standard 12-lead page (3x4 grid plus a lead II rhythm strip) swept in simulation time
+ *
+ * Features:
+ * - Leads I–III, aVR/aVL/aVF and V1–V6 projected from a cardiac dipole that follows the current phase
+ * - Recorded mode showing the leads the source actually provides (e.g. MLII and V1 of MIT-BIH records)
+ * - 25 mm/s, 10 mm/mV paper with each column covering the next 2.5 s of the 10 s page
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline; the page ends at its reference line
+ * @param {Array} [props.intervals=[]] - Cardiac phase intervals driving the dipole
+ * @param {Array} [props.leads=[]] - Recorded leads of the source ({name, units, signal})
+ * @param {number} [props.samplingRate] - Sampling rate of the recorded leads (Hz)
+ */
+const TwelveLeadECG = ({ timeline, intervals = [], leads = [], samplingRate }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [mode, setMode] = useState(MODES.MODEL);
+  const canvasRef = useRef(null);
+
+  const beats = useMemo(() => extractBeatFiducials(intervals), [intervals]);
+
+  // Recorded leads by standard name, with their mean removed so they sit on the baseline
+  const recordedLeads = useMemo(() => {
+    const byName = {};
+    leads.forEach(({ name, signal }) => {
+      const standard = standardLeadName(name);
+      if (!standard || byName[standard] || !signal?.length) return;
+      const mean = signal.reduce((acc, value) => acc + value, 0) / signal.length;
+      byName[standard] = { signal, mean };
+    });
+    return byName;
+  }, [leads]);
+
+  const hasRecorded = Object.keys(recordedLeads).length > 0 && samplingRate > 0;
+  const activeMode = hasRecorded ? mode : MODES.MODEL;
+
+  // Sweep the page with the timeline
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!expanded || !canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = CANVAS_WIDTH * ratio;
+    canvas.height = CANVAS_HEIGHT * ratio;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    /**
+     * Samples a set of leads over a stretch of the reference clock
+     * Times after `now` are not drawn yet (NaN), like paper coming out of the printer.
+     * @param {Array<string>} names - Leads to sample
+     * @param {number} start - First time (s)
+     * @param {number} duration - Length of the stretch (s)
+     * @param {number} now - Current reference time (s)
+     * @returns {Object<string, Array<number>>} Values per lead, SAMPLES_PER_PIXEL per pixel
+     */
+    const sampleLeads = (names, start, duration, now) => {
+      const count = Math.round(duration * PIXELS_PER_SECOND * SAMPLES_PER_PIXEL);
+      const step = 1 / (PIXELS_PER_SECOND * SAMPLES_PER_PIXEL);
+      const values = Object.fromEntries(names.map(name => [name, new Array(count).fill(NaN)]));
+
+      for (let i = 0; i < count; i++) {
+        const time = start + i * step;
+        if (time > now || time < 0) continue;
+        const recordTime = timeline.toRecordTime(time);
+
+        if (activeMode === MODES.MODEL) {
+          const vector = dipoleAt(beats, recordTime);
+          for (const name of names) values[name][i] = projectLead(vector, name);
+        } else {
+          const index = Math.round(recordTime * samplingRate);
+          for (const name of names) {
+            const lead = recordedLeads[name];
+            if (lead && index < lead.signal.length) values[name][i] = lead.signal[index] - lead.mean;
+          }
+        }
+      }
+      return values;
+    };
+
+    let lastDraw = 0;
+    const draw = ({ referenceTime, playing }, force = false) => {
+      const now = performance.now();
+      if (!force && playing && now - lastDraw < REDRAW_INTERVAL) return;
+      lastDraw = now;
+
+      const pageStart = Math.floor(Math.max(0, referenceTime) / PAGE_SECONDS) * PAGE_SECONDS;
+      const columnWidth = CANVAS_WIDTH / GRID_COLUMNS.length;
+
+      drawPaperGrid(ctx, { left: 0, top: 0, right: CANVAS_WIDTH, bottom: CANVAS_HEIGHT }, MM);
+      ctx.lineWidth = 1.2;
+      ctx.lineJoin = "round";
+      ctx.font = "bold 11px Arial";
+
+      // 1. 3x4 grid, one time slice per column
+      GRID_COLUMNS.forEach((column, c) => {
+        const values = sampleLeads(column, pageStart + c * COLUMN_SECONDS, COLUMN_SECONDS, referenceTime);
+        column.forEach((name, r) => {
+          const baseline = ROW_HEIGHT * (r + 0.6);
+          ctx.strokeStyle = "#111";
+          drawTrace(ctx, values[name], c * columnWidth, baseline);
+          const missing = activeMode === MODES.RECORDED && !recordedLeads[name];
+          ctx.fillStyle = missing ? "#aaa" : "#333";
+          ctx.fillText(missing ? `${name} (n/a)` : name, c * columnWidth + 4, ROW_HEIGHT * r + 13);
+        });
+        if (c > 0) {
+          ctx.strokeStyle = "#333";
+          ctx.beginPath();
+          ctx.moveTo(c * columnWidth + 0.5, ROW_HEIGHT * 0.4);
+          ctx.lineTo(c * columnWidth + 0.5, ROW_HEIGHT * 2.8);
+          ctx.stroke();
+        }
+      });
+
+      // 2. Rhythm strip across the whole page
+      const rhythm = sampleLeads([RHYTHM_LEAD], pageStart, PAGE_SECONDS, referenceTime);
+      ctx.strokeStyle = "#111";
+      drawTrace(ctx, rhythm[RHYTHM_LEAD], 0, ROW_HEIGHT * 3.6);
+      ctx.fillStyle = "#333";
+      ctx.fillText(RHYTHM_LEAD, 4, ROW_HEIGHT * 3 + 13);
+
+      // 3. Sweep position
+      const sweepX = (referenceTime - pageStart) * PIXELS_PER_SECOND;
+      ctx.fillStyle = "rgba(79, 195, 247, 0.8)";
+      ctx.fillRect(sweepX, 0, 2, CANVAS_HEIGHT);
+    };
+
+    draw(timeline.getState(), true);
+    return timeline.subscribe(TIMELINE_EVENTS.FRAME, draw);
+  }, [expanded, timeline, beats, activeMode, recordedLeads, samplingRate]);
+
+  return (
+    <div className="ui-box twelve-lead-box">
+      <h3>
+        <button
+          className="twelve-lead-toggle"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+        >
+          {expanded ? "▾" : "▸"} 12-Lead ECG
+        </button>
+        {expanded && (
+          <span className="twelve-lead-modes" role="group" aria-label="12-lead source">
+            {Object.values(MODES).map(option => (
+              <button
+                key={option}
+                className={activeMode === option ? "active" : ""}
+                onClick={() => setMode(option)}
+                disabled={option === MODES.RECORDED && !hasRecorded}
+                aria-pressed={activeMode === option}
+                title={option === MODES.RECORDED && hasRecorded
+                  ? `Recorded: ${Object.keys(recordedLeads).join(", ")}`
+                  : undefined}
+              >
+                {option === MODES.MODEL ? "Dipole model" : "Recorded"}
+              </button>
+            ))}
+          </span>
+        )}
+      </h3>
+
+      {expanded && (
+        <>
+          <canvas
+            ref={canvasRef}
+            className="twelve-lead-canvas"
+            style={{ width: CANVAS_WIDTH, height: CANVAS_HEIGHT }}
+            aria-label="12-lead ECG"
+          />
+          <p className="twelve-lead-scale">25 mm/s · 10 mm/mV</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwelveLeadECG;
@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import * as THREE from "three";
+import { beatLoops, dipoleAt, extractBeatFiducials, findComplexIndex } from "../../utils/cardiacDipole";
+import "./Vectorcardiogram.css";
+
+const VIEW_SIZE = 240;
+const CAMERA_DISTANCE = 4;
+const MIN_ARROW_LENGTH = 0.02; // mV; shorter vectors hide the arrow
+
+const LOOP_COLORS = {
+  P: "#4e79a7",
+  QRS: "#e15759",
+  T: "#59a14f"
+};
+
+/**
+ * Maps a body-frame dipole (x left, y inferior, z anterior) into the scene,
+ * seen from the front like the heart model: the patient's left is on the right and feet point down
+ * @param {Array<number>} vector - Dipole [x, y, z]
+ * @returns {THREE.Vector3} Scene position
+ */
+const toScene = ([x, y, z]) => new THREE.Vector3(x, -y, z);
+
+/**
+ * Builds a labelled axis line
+ * @param {THREE.Vector3} direction - Unit direction of the positive end
+ * @param {string} color - Line colour
+ * @returns {THREE.Line} Axis through the origin
+ */
+const makeAxis = (direction, color) => {
+  const geometry = new THREE.BufferGeometry().setFromPoints([
+    direction.clone().multiplyScalar(-1.2),
+    direction.clone().multiplyScalar(1.2)
+  ]);
+  return new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.5 }));
+};
+
+/**
+ * Vectorcardiogram Component
+ * The heart's electrical vector in 3D, in a viewport linked to the heart model's camera
+ *
+ * Features:
+ * - P, QRS and T loops of the current beat, traced as the beat unfolds
+ * - Arrow for the instantaneous dipole, synced to the simulation timeline
+ * - Follows the heart view's orbit so anatomy and vector share one orientation
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.timeline - Simulation timeline; the vector is taken at its record time
+ * @param {Array} [props.intervals=[]] - Cardiac phase intervals driving the dipole model
+ * @param {function} [props.getLinkedCamera] - Returns the heart model's camera to follow
+ */
+const Vectorcardiogram = ({ timeline, intervals = [], getLinkedCamera }) => {
+  const [expanded, setExpanded] = useState(true);
+  const canvasRef = useRef(null);
+  const readoutRef = useRef(null);
+  const getLinkedCameraRef = useRef(getLinkedCamera);
+
+  useEffect(() => {
+    getLinkedCameraRef.current = getLinkedCamera;
+  }, [getLinkedCamera]);
+
+  const beats = useMemo(() => extractBeatFiducials(intervals), [intervals]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!expanded || !canvas) return;
+
+    // 1. Scene, camera and renderer
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(35, 1, 0.1, 100);
+    camera.position.set(0, 0, CAMERA_DISTANCE);
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    renderer.setSize(VIEW_SIZE, VIEW_SIZE, false);
+    renderer.setPixelRatio(window.devicePixelRatio);
+
+    // 2. Body axes: left (I), inferior (aVF) and anterior (V2)
+    scene.add(makeAxis(new THREE.Vector3(1, 0, 0), "#bbbbbb"));
+    scene.add(makeAxis(new THREE.Vector3(0, -1, 0), "#bbbbbb"));
+    scene.add(makeAxis(new THREE.Vector3(0, 0, 1), "#777777"));
+
+    // 3. One line per loop, refilled when the beat changes
+    const loopLines = Object.fromEntries(Object.entries(LOOP_COLORS).map(([wave, color]) => {
+      const line = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color }));
+      scene.add(line);
+      return [wave, line];
+    }));
+    let loops = {};
+    let beatIndex = null;
+
+    const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0xffd54f, 0.12, 0.07);
+    scene.add(arrow);
+
+    const showBeat = (index) => {
+      beatIndex = index;
+      loops = index >= 0 ? beatLoops(beats, index) : {};
+      Object.entries(loopLines).forEach(([wave, line]) => {
+        line.geometry.dispose();
+        line.geometry = new THREE.BufferGeometry().setFromPoints((loops[wave]?.points || []).map(toScene));
+      });
+    };
+
+    // 4. Render loop: the timeline sets the beat, the traced portion and the arrow
+    let animationId = null;
+    const render = () => {
+      animationId = requestAnimationFrame(render);
+      const { recordTime } = timeline.getState();
+
+      const index = findComplexIndex(beats, recordTime);
+      if (index !== beatIndex) showBeat(index);
+
+      Object.entries(loopLines).forEach(([wave, line]) => {
+        const loop = loops[wave];
+        if (!loop) return;
+        const traced = Math.floor(((recordTime - loop.start) / (loop.end - loop.start)) * loop.points.length);
+        line.geometry.setDrawRange(0, Math.max(0, Math.min(loop.points.length, traced + 1)));
+      });
+
+      const vector = dipoleAt(beats, recordTime);
+      const position = toScene(vector);
+      const length = position.length();
+      arrow.visible = length > MIN_ARROW_LENGTH;
+      if (arrow.visible) {
+        arrow.setDirection(position.clone().normalize());
+        arrow.setLength(length, Math.min(0.12, length * 0.4), Math.min(0.07, length * 0.25));
+      }
+      if (readoutRef.current) readoutRef.current.textContent = `|v| ${length.toFixed(2)} mV`;
+
+      // Follow the heart view's orbit around its target
+      const linked = getLinkedCameraRef.current?.();
+      if (linked) {
+        camera.quaternion.copy(linked.quaternion);
+        camera.position.set(0, 0, CAMERA_DISTANCE).applyQuaternion(linked.quaternion);
+      }
+      renderer.render(scene, camera);
+    };
+    animationId = requestAnimationFrame(render);
+
+    return () => {
+      cancelAnimationFrame(animationId);
+      scene.traverse(child => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      });
+      renderer.dispose();
+    };
+  }, [expanded, timeline, beats]);
+
+  return (
+    <div className="ui-box vcg-box">
+      <h3>
+        <button className="vcg-toggle" onClick={() => setExpanded(!expanded)} aria-expanded={expanded}>
+          {expanded ? "▾" : "▸"} Vectorcardiogram
+        </button>
+      </h3>
+
+      {expanded && (
+        <>
+          <canvas
+            ref={canvasRef}
+            className="vcg-canvas"
+            style={{ width: VIEW_SIZE, height: VIEW_SIZE }}
+            aria-label="Vectorcardiogram"
+          />
+          <div className="vcg-legend">
+            {Object.entries(LOOP_COLORS).map(([wave, color]) => (
+              <span key={wave} style={{ color }}>{wave} loop</span>
+            ))}
+            <span ref={readoutRef} className="vcg-readout" />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Vectorcardiogram;
@@ -0,0 +1,53 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { TIMELINE_EVENTS } from '../utils/timeline';
+import { cardiacSoundEvents, createHeartAudio, firstEventAfter } from '../utils/heartSounds';
+
+const MAX_STEP = 0.6; // Simulation seconds; longer moves are seeks and play nothing
+
+/**
+ * Plays the QRS beep and heart sounds as the simulation clock reaches them
+ * Sounds are triggered from timeline frames, so they follow speed changes, pause
+ * (no frames advance) and loops; jumps such as seeks stay silent.
+ * @param {Object} timeline - Timeline from createTimeline
+ * @param {Array} intervals - Cardiac phase intervals of the loaded source
+ * @param {Object} settings - Sound settings (see DEFAULT_SOUND_SETTINGS)
+ */
+export function useHeartSounds(timeline, intervals, settings) {
+  const audioRef = useRef(null);
+  const settingsRef = useRef(settings);
+  const events = useMemo(() => cardiacSoundEvents(intervals), [intervals]);
+
+  // Player; the audio context may only start from a user gesture
+  useEffect(() => {
+    const audio = createHeartAudio();
+    audioRef.current = audio;
+    const resume = () => audio.resume();
+    window.addEventListener('pointerdown', resume);
+    return () => {
+      window.removeEventListener('pointerdown', resume);
+      audio.dispose();
+      audioRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    audioRef.current?.setVolume(settings.volume, settings.muted);
+  }, [settings]);
+
+  // Play the events the reference line passed since the previous frame
+  useEffect(() => {
+    let previous = timeline.getState().referenceTime;
+
+    return timeline.subscribe(TIMELINE_EVENTS.FRAME, ({ referenceTime, recordTime, speed }) => {
+      const step = referenceTime - previous;
+      previous = referenceTime;
+      if (step <= 0 || step > MAX_STEP || !audioRef.current) return;
+
+      // The record time may have wrapped (loop, extension); the step is measured on the clock
+      for (let i = firstEventAfter(events, recordTime - step); i < events.length && events[i].time <= recordTime; i++) {
+        audioRef.current.play(events[i], settingsRef.current, speed);
+      }
+    });
+  }, [timeline, events]);
+}
@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createEcgStream, STREAM_EVENTS, STREAM_STATUS } from '../utils/ecgStream';
+import { createLiveSource } from '../utils/liveSource';
+import { END_BEHAVIORS } from '../utils/timeline';
+
+const PUBLISH_INTERVAL = 0.5;   // Seconds between snapshots handed to the views
+const DISPLAY_LAG = 0.75;       // Seconds the clock stays behind the newest sample, so views always have data
+const DRIFT_TOLERANCE = 0.3;    // Seconds the clock may drift from the stream before it is moved
+const DRAIN_DELAY = 1;          // Seconds an ended stream keeps playing its buffered samples
+export const LIVE_MAX_SECONDS = 300; // A session rolls over into a new one after 5 minutes
+
+/**
+ * Plays a live WebSocket ECG stream through the timeline
+ * Each session becomes a growing signal source: the clock follows the newest samples at
+ * 1×, beats detected online drive the phases, and snapshots go to `onSource` twice a
+ * second. Pausing holds the clock for review; playing again catches up with the stream.
+ * Disconnecting keeps the captured session as the loaded source.
+ * @param {Object} timeline - Timeline from createTimeline
+ * @param {function(Object, boolean)} onSource - Receives each snapshot of the live source
+ *   and whether it starts a new session
+ * @returns {{status: Object, stats: (Object|null), connect: function(string), disconnect: function()}}
+ *   Stream status {status, message}, statistics of the session (see createEcgStream getStats;
+ *   here `gaps` lists the source's gaps and samplingRate and duration are added) and the
+ *   connection controls
+ */
+export function useLiveStream(timeline, onSource) {
+  const sessionRef = useRef(null);
+  const onSourceRef = useRef(onSource);
+  const [status, setStatus] = useState({ status: STREAM_STATUS.IDLE, message: '' });
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    onSourceRef.current = onSource;
+  }, [onSource]);
+
+  const disconnect = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    session.unsubscribe.forEach(unsubscribe => unsubscribe());
+    session.stream.close();
+    setStatus(session.stream.getStatus());
+
+    // The captured session stays loaded and plays like a record
+    if (session.source && session.source.getDuration() > 0 && !session.restartPending) {
+      onSourceRef.current(session.source.snapshot(), false);
+    }
+    if (timeline.getState().endBehavior === END_BEHAVIORS.FOLLOW) timeline.setEndBehavior(session.endBehavior);
+  }, [timeline]);
+
+  const connect = useCallback((url) => {
+    disconnect();
+    const stream = createEcgStream({ url });
+    const previous = timeline.getState().endBehavior;
+    const session = {
+      stream,
+      source: null,
+      format: null,
+      offset: 0,              // Stream sample index of the source's first sample
+      restartPending: false,  // A new source waits for its first samples before it is shown
+      lastPublish: 0,
+      endBehavior: previous === END_BEHAVIORS.FOLLOW ? END_BEHAVIORS.LOOP : previous,
+      unsubscribe: []
+    };
+    sessionRef.current = session;
+
+    const newSource = (offset) => {
+      session.source = createLiveSource({ url, ...session.format, maxSeconds: LIVE_MAX_SECONDS });
+      session.offset = offset;
+      session.restartPending = true;
+    };
+
+    /**
+     * Hands a snapshot to the app and keeps the clock with the stream
+     */
+    const publish = () => {
+      const restart = session.restartPending;
+      session.restartPending = false;
+      session.lastPublish = performance.now();
+      const snapshot = session.source.snapshot();
+      onSourceRef.current(snapshot, restart);
+      setStats({
+        ...stream.getStats(),
+        samplingRate: snapshot.samplingRate,
+        duration: session.source.getDuration(),
+        gaps: snapshot.gaps
+      });
+
+      if (restart) {
+        timeline.setEndBehavior(END_BEHAVIORS.FOLLOW);
+        timeline.setSpeed(1);
+        timeline.play();
+      }
+      const { time, playing } = timeline.getState();
+      const target = Math.max(0, session.source.getDuration() - DISPLAY_LAG);
+      if (playing && Math.abs(time - target) > DRIFT_TOLERANCE) timeline.seek(target);
+    };
+
+    session.unsubscribe = [
+      stream.subscribe(STREAM_EVENTS.STATUS, (value) => {
+        setStatus(value);
+        // An ended or broken stream is finished once its buffer has played out
+        if (value.status === STREAM_STATUS.ENDED || value.status === STREAM_STATUS.ERROR) {
+          setTimeout(() => {
+            if (sessionRef.current === session) disconnect();
+          }, DRAIN_DELAY * 1000);
+        }
+      }),
+
+      stream.subscribe(STREAM_EVENTS.START, ({ samplingRate, leads, name }) => {
+        session.format = { samplingRate, leadNames: leads, name };
+        newSource(0);
+      }),
+
+      stream.subscribe(STREAM_EVENTS.SAMPLES, (block) => {
+        if (!session.source) return;
+        // 1. Append, rolling over into a new source when this one is full
+        if (!session.source.append({ ...block, start: block.start - session.offset })) {
+          newSource(block.start);
+          session.source.append({ ...block, start: 0 });
+        }
+        session.source.detect();
+
+        // 2. Show it once there is enough to draw, then at the publish rate
+        const elapsed = performance.now() - session.lastPublish;
+        if (session.source.getDuration() >= PUBLISH_INTERVAL && elapsed >= PUBLISH_INTERVAL * 1000) publish();
+      })
+    ];
+    stream.connect();
+  }, [timeline, disconnect]);
+
+  // Close the connection with the app
+  useEffect(() => () => disconnect(), [disconnect]);
+
+  return { status, stats, connect, disconnect };
+}
@@ -0,0 +1,23 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { TIMELINE_EVENTS } from '../utils/timeline';
+
+/**
+ * Subscribes a component to one value derived from the timeline state
+ * The component re-renders only when the selected value changes, so selectors should
+ * return primitives quantised to what is displayed (e.g. time rounded to 0.1 s).
+ * @param {Object} timeline - Timeline from createTimeline
+ * @param {function(Object): *} selector - Maps the timeline state to the value used
+ * @returns {*} Selected value
+ */
+export function useTimelineValue(timeline, selector) {
+  const subscribe = useCallback((onChange) => {
+    const unsubscribeFrame = timeline.subscribe(TIMELINE_EVENTS.FRAME, onChange);
+    const unsubscribeState = timeline.subscribe(TIMELINE_EVENTS.STATE, onChange);
+    return () => {
+      unsubscribeFrame();
+      unsubscribeState();
+    };
+  }, [timeline]);
+
+  return useSyncExternalStore(subscribe, () => selector(timeline.getState()));
+}
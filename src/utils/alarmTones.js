@@ -0,0 +1,127 @@
+/**
+ * Alarm tones played with the Web Audio API
+ *
+ * Each priority has its own pitch and burst pattern, after IEC 60601-1-8: ten pulses for high,
+ * three for medium and two for low priority, repeated less often as the priority falls.
+ */
+import { ALARM_PRIORITIES } from './alarms';
+
+export const ALARM_TONES = {
+  [ALARM_PRIORITIES.HIGH]: {
+    frequency: 960,
+    pulses: [0, 0.2, 0.4, 0.8, 1.0, 1.6, 1.8, 2.0, 2.4, 2.6], // Pulse starts within a burst (s)
+    repeat: 6 // Seconds between bursts
+  },
+  [ALARM_PRIORITIES.MEDIUM]: {
+    frequency: 720,
+    pulses: [0, 0.25, 0.5],
+    repeat: 8
+  },
+  [ALARM_PRIORITIES.LOW]: {
+    frequency: 520,
+    pulses: [0, 0.3],
+    repeat: 16
+  }
+};
+
+const PULSE_LENGTH = 0.15; // s
+const PULSE_RAMP = 0.02;   // Attack and release (s), so pulses do not click
+const DEFAULT_VOLUME = 0.25;
+
+/**
+ * Creates the alarm tone player
+ * Browsers only start audio after a user gesture, so the audio context is created and
+ * resumed lazily; call resume() from an input handler.
+ * @returns {Object} Player with:
+ *   - play(priority): repeats the tone of a priority from ALARM_PRIORITIES, or stops on null
+ *   - setVolume(volume): 0 to 1
+ *   - resume(): starts the audio context
+ *   - dispose(): stops and releases the audio context
+ */
+export function createAlarmTones() {
+  let context = null;
+  let current = null;
+  let timer = null;
+  let volume = DEFAULT_VOLUME;
+  const oscillators = new Set();
+
+  /**
+   * Audio context, created on first use
+   * @returns {AudioContext|null} Context, or null where Web Audio is unavailable
+   */
+  const getContext = () => {
+    if (!context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      context = new AudioContextClass();
+    }
+    if (context.state === 'suspended') context.resume().catch(() => {});
+    return context;
+  };
+
+  /**
+   * Schedules one burst of pulses
+   * @param {Object} tone - Entry of ALARM_TONES
+   */
+  const playBurst = (tone) => {
+    const audio = getContext();
+    if (!audio || volume <= 0) return;
+    const start = audio.currentTime + 0.05;
+
+    tone.pulses.forEach(offset => {
+      const at = start + offset;
+      const oscillator = audio.createOscillator();
+      const envelope = audio.createGain();
+
+      // Triangle wave: harmonics make the pitch easy to localise
+      oscillator.type = 'triangle';
+      oscillator.frequency.value = tone.frequency;
+      envelope.gain.setValueAtTime(0, at);
+      envelope.gain.linearRampToValueAtTime(volume, at + PULSE_RAMP);
+      envelope.gain.setValueAtTime(volume, at + PULSE_LENGTH - PULSE_RAMP);
+      envelope.gain.linearRampToValueAtTime(0, at + PULSE_LENGTH);
+
+      oscillator.connect(envelope).connect(audio.destination);
+      oscillator.onended = () => oscillators.delete(oscillator);
+      oscillators.add(oscillator);
+      oscillator.start(at);
+      oscillator.stop(at + PULSE_LENGTH);
+    });
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    oscillators.forEach(oscillator => oscillator.stop());
+    oscillators.clear();
+  };
+
+  return {
+    play(priority) {
+      if (priority === current) return;
+      stop();
+      current = priority;
+      if (!priority) return;
+
+      const tone = ALARM_TONES[priority];
+      if (!tone) throw new Error(`Unknown alarm priority "${priority}"`);
+      playBurst(tone);
+      timer = setInterval(() => playBurst(tone), tone.repeat * 1000);
+    },
+
+    setVolume(value) {
+      volume = Math.min(1, Math.max(0, value));
+    },
+
+    resume() {
+      getContext();
+    },
+
+    dispose() {
+      stop();
+      current = null;
+      context?.close();
+      context = null;
+    }
+  };
+}
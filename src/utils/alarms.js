@@ -0,0 +1,340 @@
+/**
+ * Bedside-monitor alarm engine
+ *
+ * Alarm conditions are detected at the reference line from the beats and the signal: heart
+ * rate limits, asystole, pauses, ventricular tachycardia and fibrillation, and signal loss.
+ * The engine turns conditions into alarms with a priority, keeps latching alarms after their
+ * condition clears until they are acknowledged, and pauses the audio on silence.
+ */
+import { lastBeatIndex, smoothedHeartRate } from './heartRate';
+
+export const ALARM_PRIORITIES = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const PRIORITY_RANK = {
+  [ALARM_PRIORITIES.HIGH]: 3,
+  [ALARM_PRIORITIES.MEDIUM]: 2,
+  [ALARM_PRIORITIES.LOW]: 1
+};
+
+export const ALARM_TYPES = {
+  ASYSTOLE: 'asystole',
+  VFIB: 'vfib',
+  VTACH: 'vtach',
+  PAUSE: 'pause',
+  HR_HIGH: 'hr-high',
+  HR_LOW: 'hr-low',
+  SIGNAL_LOSS: 'signal-loss'
+};
+
+// Label, priority and the alarms each one supersedes while active (same cause, lower priority)
+export const ALARM_DEFINITIONS = {
+  [ALARM_TYPES.ASYSTOLE]: {
+    label: 'Asystole',
+    priority: ALARM_PRIORITIES.HIGH,
+    supersedes: [ALARM_TYPES.PAUSE, ALARM_TYPES.HR_LOW]
+  },
+  [ALARM_TYPES.VFIB]: {
+    label: 'V-Fib',
+    priority: ALARM_PRIORITIES.HIGH,
+    supersedes: [ALARM_TYPES.VTACH, ALARM_TYPES.ASYSTOLE, ALARM_TYPES.PAUSE, ALARM_TYPES.HR_HIGH, ALARM_TYPES.HR_LOW]
+  },
+  [ALARM_TYPES.VTACH]: {
+    label: 'V-Tach',
+    priority: ALARM_PRIORITIES.HIGH,
+    supersedes: [ALARM_TYPES.HR_HIGH]
+  },
+  [ALARM_TYPES.PAUSE]: { label: 'Pause', priority: ALARM_PRIORITIES.MEDIUM, supersedes: [] },
+  [ALARM_TYPES.HR_HIGH]: { label: 'HR high', priority: ALARM_PRIORITIES.MEDIUM, supersedes: [] },
+  [ALARM_TYPES.HR_LOW]: { label: 'HR low', priority: ALARM_PRIORITIES.MEDIUM, supersedes: [] },
+  [ALARM_TYPES.SIGNAL_LOSS]: { label: 'ECG signal loss', priority: ALARM_PRIORITIES.LOW, supersedes: [] }
+};
+
+export const DEFAULT_ALARM_SETTINGS = {
+  hrLow: 50,            // BPM
+  hrHigh: 120,          // BPM
+  asystoleSeconds: 4,   // No QRS for this long
+  pauseSeconds: 2.5,    // RR gap
+  vtRate: 100,          // BPM of a ventricular run
+  vtBeats: 5,           // Consecutive wide beats in a run
+  silenceSeconds: 120,  // Audio pause on silence
+  audible: true,
+  latching: {           // Alarms that stay after their condition clears, until acknowledged
+    [ALARM_PRIORITIES.HIGH]: true,
+    [ALARM_PRIORITIES.MEDIUM]: false,
+    [ALARM_PRIORITIES.LOW]: false
+  },
+  enabled: Object.fromEntries(Object.values(ALARM_TYPES).map(type => [type, true]))
+};
+
+const WIDE_QRS = 0.1;            // Q-S duration (s) from which a beat counts as ventricular
+const SIGNAL_WINDOW = 2;         // Seconds checked for signal loss
+const FLAT_AMPLITUDE = 0.01;     // Peak-to-peak (mV) below which the trace is a flat line
+const VF_WINDOW = 4;             // Seconds analysed for fibrillation
+const VF_LEAKAGE = 0.625;        // VF filter leakage below which the waveform is sinusoidal (Kuo & Dillman)
+const VF_IRREGULARITY = 0.15;    // RR coefficient of variation above which detected beats are not an organised rhythm
+
+/**
+ * Beats as the alarm detectors see them
+ * @param {Array} intervals - Cardiac phase intervals ({entry, duration, phase})
+ * @returns {{times: Array<number>, widths: Array<number>}} Ascending QRS onsets and Q-S durations (s)
+ */
+export function alarmBeats(intervals) {
+  const complexes = intervals
+    .filter(event => event.phase === 'QRS' && typeof event.entry === 'number')
+    .sort((a, b) => a.entry - b.entry);
+  return {
+    times: complexes.map(event => event.entry),
+    widths: complexes.map(event => event.duration)
+  };
+}
+
+/**
+ * VF filter leakage: how much of the signal survives a notch at its own mean frequency
+ * A near-sinusoidal waveform (fibrillation, flutter) leaks little; QRS complexes leak a lot.
+ * @param {ArrayLike<number>} signal - ECG samples (mV)
+ * @param {number} start - First sample
+ * @param {number} end - Sample after the last
+ * @returns {number} Leakage in [0, 1]
+ */
+const vfLeakage = (signal, start, end) => {
+  let mean = 0;
+  for (let i = start; i < end; i++) mean += signal[i];
+  mean /= end - start;
+
+  // 1. Half period of the mean frequency, from the ratio of amplitude to slope
+  let amplitude = 0;
+  let slope = 0;
+  for (let i = start + 1; i < end; i++) {
+    amplitude += Math.abs(signal[i] - mean);
+    slope += Math.abs(signal[i] - signal[i - 1]);
+  }
+  if (slope === 0) return 1;
+  const halfPeriod = Math.floor((Math.PI * amplitude) / slope + 0.5);
+
+  // 2. Adding the signal half a period later cancels a sinusoid
+  let leaked = 0;
+  let total = 0;
+  for (let i = start + halfPeriod; i < end; i++) {
+    const current = signal[i] - mean;
+    const delayed = signal[i - halfPeriod] - mean;
+    leaked += Math.abs(current + delayed);
+    total += Math.abs(current) + Math.abs(delayed);
+  }
+  return total > 0 ? leaked / total : 1;
+};
+
+/**
+ * Coefficient of variation of the RR intervals of the beats in a window
+ * @param {Array<number>} times - Ascending beat times (s)
+ * @param {number} start - Window start (s)
+ * @param {number} end - Window end (s)
+ * @returns {number} Standard deviation over mean; Infinity with fewer than three beats
+ */
+const rrIrregularity = (times, start, end) => {
+  const first = lastBeatIndex(times, start) + 1;
+  const last = lastBeatIndex(times, end);
+  if (last - first < 2) return Infinity;
+  const rr = [];
+  for (let i = first + 1; i <= last; i++) rr.push(times[i] - times[i - 1]);
+  const mean = rr.reduce((sum, value) => sum + value, 0) / rr.length;
+  const variance = rr.reduce((sum, value) => sum + (value - mean) ** 2, 0) / rr.length;
+  return Math.sqrt(variance) / mean;
+};
+
+/**
+ * Alarm conditions present at a point of the record
+ * @param {Object} params - Detection inputs
+ * @param {{times: Array<number>, widths: Array<number>}} params.beats - Result of alarmBeats
+ * @param {ArrayLike<number>|null} params.signal - ECG samples (mV), or null when only beats are known
+ * @param {number|null} params.samplingRate - Sampling rate of `signal` (Hz)
+ * @param {number} params.time - Record time at the reference line (s)
+ * @param {Object} params.settings - Alarm settings (see DEFAULT_ALARM_SETTINGS)
+ * @returns {Array<{type: string, message: string}>} Enabled conditions, without superseded ones
+ */
+export function detectAlarmConditions({ beats, signal, samplingRate, time, settings }) {
+  const { times, widths } = beats;
+  const conditions = [];
+  const end = signal ? Math.min(signal.length, Math.floor(time * samplingRate)) : 0;
+
+  // 1. Signal loss: missing samples or a flat line; the rhythm cannot be analysed meanwhile
+  if (signal && end > 0) {
+    const start = Math.max(0, end - Math.round(SIGNAL_WINDOW * samplingRate));
+    let min = Infinity;
+    let max = -Infinity;
+    let missing = false;
+    for (let i = start; i < end; i++) {
+      if (!Number.isFinite(signal[i])) missing = true;
+      min = Math.min(min, signal[i]);
+      max = Math.max(max, signal[i]);
+    }
+    if (missing || max - min < FLAT_AMPLITUDE) {
+      conditions.push({ type: ALARM_TYPES.SIGNAL_LOSS, message: missing ? 'No ECG data' : 'Flat line, check leads' });
+      return conditions.filter(({ type }) => settings.enabled[type]);
+    }
+  }
+
+  const index = lastBeatIndex(times, time);
+  const gap = index >= 0 ? time - times[index] : time;
+  const lastRr = index >= 1 ? times[index] - times[index - 1] : 0;
+
+  // 2. Fibrillation: a sinusoidal waveform without an organised rhythm
+  const vfStart = end - Math.round(VF_WINDOW * samplingRate);
+  if (signal && vfStart >= 0 &&
+      vfLeakage(signal, vfStart, end) < VF_LEAKAGE &&
+      rrIrregularity(times, time - VF_WINDOW, time) > VF_IRREGULARITY) {
+    conditions.push({ type: ALARM_TYPES.VFIB, message: 'Fibrillatory waveform' });
+  }
+
+  // 3. Asystole and pauses
+  if (gap >= settings.asystoleSeconds) {
+    conditions.push({ type: ALARM_TYPES.ASYSTOLE, message: `No QRS for ${gap.toFixed(1)} s` });
+  }
+  const pause = Math.max(gap, lastRr);
+  if (pause >= settings.pauseSeconds) {
+    conditions.push({ type: ALARM_TYPES.PAUSE, message: `${pause.toFixed(1)} s without a beat` });
+  }
+
+  // 4. Ventricular tachycardia: a run of wide beats, still going, at or above the VT rate
+  let runStart = index;
+  while (runStart >= 0 && widths[runStart] >= WIDE_QRS) runStart--;
+  runStart++;
+  const runBeats = index - runStart + 1;
+  if (runBeats >= settings.vtBeats && runBeats >= 2) {
+    const meanRr = (times[index] - times[runStart]) / (runBeats - 1);
+    const rate = 60 / meanRr;
+    if (rate >= settings.vtRate && gap < 2 * meanRr) {
+      conditions.push({ type: ALARM_TYPES.VTACH, message: `Run of ${runBeats} at ${Math.round(rate)} bpm` });
+    }
+  }
+
+  // 5. Heart rate limits
+  const heartRate = smoothedHeartRate(times, time);
+  if (heartRate !== null && heartRate > settings.hrHigh) {
+    conditions.push({ type: ALARM_TYPES.HR_HIGH, message: `HR ${Math.round(heartRate)} > ${settings.hrHigh}` });
+  } else if (heartRate !== null && heartRate < settings.hrLow) {
+    conditions.push({ type: ALARM_TYPES.HR_LOW, message: `HR ${Math.round(heartRate)} < ${settings.hrLow}` });
+  }
+
+  // 6. Only enabled alarms, and none that an enabled alarm of the same cause supersedes
+  const enabled = conditions.filter(({ type }) => settings.enabled[type]);
+  const superseded = new Set(enabled.flatMap(({ type }) => ALARM_DEFINITIONS[type].supersedes));
+  return enabled.filter(({ type }) => !superseded.has(type));
+}
+
+/**
+ * Creates an alarm engine
+ * @param {Object} [options] - Engine options
+ * @param {Object} [options.latching=DEFAULT_ALARM_SETTINGS.latching] - Latching per priority
+ * @returns {Object} Engine with:
+ *   - update(conditions, time): applies the conditions detected at record time `time`
+ *   - acknowledge(): clears latched alarms and stops the tone of active ones
+ *   - silence(seconds): pauses the audio; a new alarm ends the pause
+ *   - resumeAudio(), reset(), setLatching(latching)
+ *   - getAlarms(): alarms {type, label, priority, message, onset, active, acknowledged},
+ *     highest priority first; `active` is false for a latched alarm whose condition cleared
+ *   - getTone(): priority of the tone to sound, or null
+ *   - getSilenceRemaining(): seconds of audio pause left
+ *   - subscribe(listener): called after every change; returns an unsubscribe function
+ */
+export function createAlarmEngine({ latching = DEFAULT_ALARM_SETTINGS.latching } = {}) {
+  const listeners = new Set();
+  const alarms = new Map();
+  let latchingByPriority = latching;
+  let silencedUntil = 0;
+
+  const emit = () => listeners.forEach(listener => listener());
+
+  const getSilenceRemaining = () => Math.max(0, (silencedUntil - Date.now()) / 1000);
+
+  return {
+    update(conditions, time) {
+      let changed = false;
+      let raised = false;
+      const present = new Set();
+
+      // 1. Raise new alarms and refresh the ones still present
+      conditions.forEach(({ type, message }) => {
+        present.add(type);
+        const alarm = alarms.get(type);
+        if (!alarm) {
+          const { label, priority } = ALARM_DEFINITIONS[type];
+          alarms.set(type, { type, label, priority, message, onset: time, active: true, acknowledged: false });
+          changed = raised = true;
+        } else if (!alarm.active || alarm.message !== message) {
+          alarms.set(type, { ...alarm, message, active: true });
+          changed = true;
+        }
+      });
+
+      // 2. Cleared conditions: latch unacknowledged latching alarms, drop the rest
+      alarms.forEach((alarm, type) => {
+        if (present.has(type)) return;
+        if (latchingByPriority[alarm.priority] && !alarm.acknowledged) {
+          if (alarm.active) {
+            alarms.set(type, { ...alarm, active: false });
+            changed = true;
+          }
+        } else {
+          alarms.delete(type);
+          changed = true;
+        }
+      });
+
+      if (raised) silencedUntil = 0;
+      if (changed) emit();
+    },
+
+    acknowledge() {
+      alarms.forEach((alarm, type) => {
+        if (alarm.active) alarms.set(type, { ...alarm, acknowledged: true });
+        else alarms.delete(type);
+      });
+      emit();
+    },
+
+    silence(seconds) {
+      silencedUntil = Date.now() + seconds * 1000;
+      emit();
+    },
+
+    resumeAudio() {
+      silencedUntil = 0;
+      emit();
+    },
+
+    reset() {
+      alarms.clear();
+      silencedUntil = 0;
+      emit();
+    },
+
+    setLatching(value) {
+      latchingByPriority = value;
+    },
+
+    getAlarms: () => [...alarms.values()].sort((a, b) =>
+      PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority] || a.onset - b.onset),
+
+    getTone() {
+      if (getSilenceRemaining() > 0) return null;
+      let tone = null;
+      alarms.forEach(alarm => {
+        if (!alarm.acknowledged && (!tone || PRIORITY_RANK[alarm.priority] > PRIORITY_RANK[tone])) {
+          tone = alarm.priority;
+        }
+      });
+      return tone;
+    },
+
+    getSilenceRemaining,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
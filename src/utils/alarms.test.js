@@ -0,0 +1,248 @@
+import {
+  ALARM_PRIORITIES,
+  ALARM_TYPES,
+  alarmBeats,
+  createAlarmEngine,
+  DEFAULT_ALARM_SETTINGS,
+  detectAlarmConditions
+} from './alarms';
+
+const SAMPLING_RATE = 250;
+const NARROW = 0.08;  // Q-S duration (s) of a supraventricular beat
+const WIDE = 0.12;    // Q-S duration (s) of a ventricular beat
+
+/**
+ * Beats in the shape of alarmBeats
+ * @param {Array<number>} times - Ascending QRS onsets (s)
+ * @param {Array<number>|number} [widths=NARROW] - Q-S durations, or one for every beat
+ * @returns {{times: Array<number>, widths: Array<number>}} Beats
+ */
+const beatsAt = (times, widths = NARROW) => ({
+  times,
+  widths: Array.isArray(widths) ? widths : times.map(() => widths)
+});
+
+/**
+ * Alarm types detected from beats alone
+ * @param {Object} beats - Result of beatsAt
+ * @param {number} time - Record time (s)
+ * @param {Object} [settings] - Settings overriding the defaults
+ * @returns {Array<string>} Alarm types
+ */
+const detect = (beats, time, settings = {}) => detectAlarmConditions({
+  beats,
+  signal: null,
+  samplingRate: null,
+  time,
+  settings: { ...DEFAULT_ALARM_SETTINGS, ...settings }
+}).map(condition => condition.type);
+
+/**
+ * Alarm types detected from a signal and its beats
+ * @param {(t: number) => number} waveform - Signal value (mV) at time t (s)
+ * @param {number} seconds - Signal length, also the record time of the check
+ * @param {Object} beats - Result of beatsAt
+ * @returns {Array<string>} Alarm types
+ */
+const detectWithSignal = (waveform, seconds, beats) => detectAlarmConditions({
+  beats,
+  signal: Float32Array.from({ length: seconds * SAMPLING_RATE }, (_, i) => waveform(i / SAMPLING_RATE)),
+  samplingRate: SAMPLING_RATE,
+  time: seconds,
+  settings: DEFAULT_ALARM_SETTINGS
+}).map(condition => condition.type);
+
+const regular = (count, rr = 1, start = 0) => Array.from({ length: count }, (_, i) => start + i * rr);
+
+describe('alarmBeats', () => {
+  test('takes QRS onsets and widths in time order', () => {
+    const intervals = [
+      { entry: 1.2, duration: 0.12, phase: 'QRS' },
+      { entry: 1, duration: 0.1, phase: 'P' },
+      { entry: 0.2, duration: 0.08, phase: 'QRS' }
+    ];
+    expect(alarmBeats(intervals)).toEqual({ times: [0.2, 1.2], widths: [0.08, 0.12] });
+  });
+});
+
+describe('detectAlarmConditions', () => {
+  test('raises asystole after asystoleSeconds without a QRS, superseding the pause', () => {
+    const beats = beatsAt(regular(4));
+    expect(detect(beats, 3.5)).toEqual([]);
+    expect(detect(beats, 5.9)).toEqual([ALARM_TYPES.PAUSE]);
+    expect(detect(beats, 7)).toEqual([ALARM_TYPES.ASYSTOLE]);
+  });
+
+  test('raises a pause for a long RR interval after the beat ends it', () => {
+    expect(detect(beatsAt([0, 1, 2, 4.4]), 4.5)).not.toContain(ALARM_TYPES.PAUSE);
+    expect(detect(beatsAt([0, 1, 2, 4.6]), 4.7)).toContain(ALARM_TYPES.PAUSE);
+  });
+
+  test('raises heart rate limits from the smoothed rate', () => {
+    expect(detect(beatsAt(regular(6, 0.45)), 2.3)).toEqual([ALARM_TYPES.HR_HIGH]);
+    expect(detect(beatsAt(regular(6, 1.5)), 7.6)).toEqual([ALARM_TYPES.HR_LOW]);
+    expect(detect(beatsAt(regular(6, 1.5)), 7.6, { hrLow: 35 })).toEqual([]);
+  });
+
+  describe('ventricular tachycardia', () => {
+    // Sinus beats at 60 bpm, then wide beats at 133 bpm from 4.45 s
+    const sinus = regular(5);
+    const run = (count) => regular(count, 0.45, 4.45);
+    const withRun = (count, after = []) => beatsAt(
+      [...sinus, ...run(count), ...after],
+      [...sinus.map(() => NARROW), ...run(count).map(() => WIDE), ...after.map(() => NARROW)]
+    );
+
+    test('needs vtBeats wide beats in a row', () => {
+      expect(detect(withRun(4), 5.85)).not.toContain(ALARM_TYPES.VTACH);
+      expect(detect(withRun(5), 6.3)).toContain(ALARM_TYPES.VTACH);
+    });
+
+    test('supersedes the high heart rate alarm', () => {
+      expect(detect(withRun(6), 6.75)).toEqual([ALARM_TYPES.VTACH]);
+      expect(detect(withRun(6), 6.75, { enabled: { ...DEFAULT_ALARM_SETTINGS.enabled, [ALARM_TYPES.VTACH]: false } }))
+        .toEqual([ALARM_TYPES.HR_HIGH]);
+    });
+
+    test('clears when a narrow beat ends the run or no beat follows it', () => {
+      expect(detect(withRun(5, [7.1]), 7.15)).not.toContain(ALARM_TYPES.VTACH);
+      expect(detect(withRun(5), 6.25 + 0.85)).toContain(ALARM_TYPES.VTACH);
+      expect(detect(withRun(5), 6.25 + 0.95)).not.toContain(ALARM_TYPES.VTACH);
+    });
+
+    test('ignores a wide run below vtRate', () => {
+      const slow = regular(6, 0.8);
+      expect(detect(beatsAt(slow, WIDE), 4.1)).not.toContain(ALARM_TYPES.VTACH);
+      expect(detect(beatsAt(slow, WIDE), 4.1, { vtRate: 70 })).toContain(ALARM_TYPES.VTACH);
+    });
+  });
+
+  describe('fibrillation', () => {
+    const sine = (t) => 0.5 * Math.sin(2 * Math.PI * 5 * t);
+    // Narrow 1 mV spikes at each beat: a QRS-like waveform that leaks through the VF filter
+    const spikes = (t) => Math.max(0, 1 - Math.abs((t % 1) - 0.5) / 0.02);
+
+    test('raises V-Fib for a sinusoidal waveform without organised beats, superseding asystole', () => {
+      expect(detectWithSignal(sine, 6, beatsAt([]))).toEqual([ALARM_TYPES.VFIB]);
+      expect(detectWithSignal(sine, 6, beatsAt([0.5, 0.9, 2.1, 2.6, 4.2, 4.5]))).toEqual([ALARM_TYPES.VFIB]);
+    });
+
+    test('ignores a sinusoidal waveform with a regular rhythm', () => {
+      expect(detectWithSignal(sine, 6, beatsAt(regular(6, 1, 0.5)))).not.toContain(ALARM_TYPES.VFIB);
+    });
+
+    test('ignores QRS complexes, which leak through the filter', () => {
+      expect(detectWithSignal(spikes, 6, beatsAt([0.5, 0.9, 2.1, 2.6, 4.2, 4.5]))).not.toContain(ALARM_TYPES.VFIB);
+    });
+
+    test('waits for a full analysis window', () => {
+      expect(detectWithSignal(sine, 3, beatsAt([]))).not.toContain(ALARM_TYPES.VFIB);
+    });
+  });
+
+  test('reports signal loss alone for a flat line or missing samples', () => {
+    expect(detectWithSignal(() => 0, 6, beatsAt([]))).toEqual([ALARM_TYPES.SIGNAL_LOSS]);
+    expect(detectWithSignal(t => (t > 5 ? NaN : Math.sin(t * 10)), 6, beatsAt([]))).toEqual([ALARM_TYPES.SIGNAL_LOSS]);
+  });
+
+  test('only an enabled alarm supersedes', () => {
+    const enabled = { ...DEFAULT_ALARM_SETTINGS.enabled, [ALARM_TYPES.ASYSTOLE]: false };
+    expect(detect(beatsAt(regular(4)), 7, { enabled })).toEqual([ALARM_TYPES.PAUSE]);
+  });
+});
+
+describe('createAlarmEngine', () => {
+  const asystole = { type: ALARM_TYPES.ASYSTOLE, message: 'No QRS for 4.0 s' };
+  const pause = { type: ALARM_TYPES.PAUSE, message: '2.6 s without a beat' };
+  const signalLoss = { type: ALARM_TYPES.SIGNAL_LOSS, message: 'Flat line, check leads' };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('raises alarms highest priority first and sounds the highest tone', () => {
+    const engine = createAlarmEngine();
+    engine.update([signalLoss, pause], 1);
+    engine.update([signalLoss, pause, asystole], 2);
+    expect(engine.getAlarms().map(alarm => [alarm.type, alarm.priority, alarm.onset])).toEqual([
+      [ALARM_TYPES.ASYSTOLE, ALARM_PRIORITIES.HIGH, 2],
+      [ALARM_TYPES.PAUSE, ALARM_PRIORITIES.MEDIUM, 1],
+      [ALARM_TYPES.SIGNAL_LOSS, ALARM_PRIORITIES.LOW, 1]
+    ]);
+    expect(engine.getTone()).toBe(ALARM_PRIORITIES.HIGH);
+  });
+
+  test('latches high priority alarms until acknowledged and drops the others when they clear', () => {
+    const engine = createAlarmEngine();
+    engine.update([asystole, pause], 1);
+    engine.update([], 2);
+    expect(engine.getAlarms()).toEqual([expect.objectContaining({ type: ALARM_TYPES.ASYSTOLE, active: false })]);
+    expect(engine.getTone()).toBe(ALARM_PRIORITIES.HIGH);
+
+    engine.update([asystole], 3);
+    expect(engine.getAlarms()).toEqual([expect.objectContaining({ active: true, onset: 1 })]);
+
+    engine.update([], 4);
+    engine.acknowledge();
+    expect(engine.getAlarms()).toEqual([]);
+  });
+
+  test('follows the latching settings per priority', () => {
+    const engine = createAlarmEngine({ latching: { ...DEFAULT_ALARM_SETTINGS.latching, [ALARM_PRIORITIES.HIGH]: false } });
+    engine.update([asystole], 1);
+    engine.update([], 2);
+    expect(engine.getAlarms()).toEqual([]);
+
+    engine.setLatching({ ...DEFAULT_ALARM_SETTINGS.latching, [ALARM_PRIORITIES.MEDIUM]: true });
+    engine.update([pause], 3);
+    engine.update([], 4);
+    expect(engine.getAlarms()).toEqual([expect.objectContaining({ type: ALARM_TYPES.PAUSE, active: false })]);
+  });
+
+  test('acknowledging stops the tone of an active alarm, which then clears without latching', () => {
+    const engine = createAlarmEngine();
+    engine.update([asystole], 1);
+    engine.acknowledge();
+    expect(engine.getAlarms()).toEqual([expect.objectContaining({ active: true, acknowledged: true })]);
+    expect(engine.getTone()).toBeNull();
+
+    engine.update([], 2);
+    expect(engine.getAlarms()).toEqual([]);
+  });
+
+  test('silence pauses the tone until it runs out or a new alarm is raised', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const engine = createAlarmEngine();
+    engine.update([pause], 1);
+    engine.silence(120);
+    expect(engine.getTone()).toBeNull();
+    expect(engine.getSilenceRemaining()).toBe(120);
+
+    now.mockReturnValue(1000000 + 119000);
+    expect(engine.getSilenceRemaining()).toBe(1);
+    engine.update([pause], 2);
+    expect(engine.getTone()).toBeNull();
+
+    engine.update([pause, asystole], 3);
+    expect(engine.getSilenceRemaining()).toBe(0);
+    expect(engine.getTone()).toBe(ALARM_PRIORITIES.HIGH);
+
+    engine.silence(120);
+    now.mockReturnValue(1000000 + 240000);
+    expect(engine.getTone()).toBe(ALARM_PRIORITIES.HIGH);
+  });
+
+  test('notifies subscribers only when the alarms change', () => {
+    const engine = createAlarmEngine();
+    const listener = jest.fn();
+    const unsubscribe = engine.subscribe(listener);
+    engine.update([pause], 1);
+    engine.update([pause], 2);
+    expect(listener).toHaveBeenCalledTimes(1);
+    engine.update([{ ...pause, message: '3.0 s without a beat' }], 3);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    engine.reset();
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(engine.getAlarms()).toEqual([]);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Electrical activation of the heart's surface over a beat
+ *
+ * Every vertex gets an activation time for each conduction pattern, as a fraction of its
+ * wave: the atria from the SA node (or an ectopic atrial focus) across the P wave, the AV
+ * node and His bundle across the PR segment, and the ventricles across the QRS from the
+ * Purkinje breakthrough sites of the beat's pattern: normal, left or right bundle branch
+ * block, or a single ventricular focus for PVCs and ventricular rhythms. Times come from the
+ * distance to the nearest site, so the map is a straight-line approximation of the spread.
+ *
+ * Positions are in the heart frame, normalised to the model's bounding box: x towards the
+ * patient's left, y from the apex (-1) to the base (1) and z anterior.
+ */
+import { extractBeatFiducials } from './cardiacDipole';
+import { BEAT_SYMBOLS } from './wfdbAnnotations';
+
+export const ATRIAL_SEQUENCES = ['sinus', 'ectopic'];
+export const VENTRICULAR_SEQUENCES = ['normal', 'lbbb', 'rbbb', 'ectopic'];
+
+export const SEQUENCE_LABELS = {
+  sinus: 'Sinus',
+  normal: 'Normal conduction',
+  lbbb: 'Left bundle branch block',
+  rbbb: 'Right bundle branch block',
+  ectopic: 'Ectopic focus'
+};
+
+export const DEFAULT_HEATMAP_SETTINGS = {
+  enabled: true,
+  strength: 0.8 // 0 shows the model's own colours, 1 only the activation colours
+};
+
+// Colour ramp: tissue at rest, the depolarisation front and depolarised tissue
+export const ACTIVATION_RAMP = {
+  resting: '#27408b',
+  front: '#fff4a3',
+  depolarized: '#e15759',
+  junction: '#ffd166'
+};
+
+// Landmarks in the heart frame
+const SA_NODE = [-0.45, 0.9, 0.1];          // High right atrium at the superior vena cava
+const ATRIAL_FOCUS = [0.5, 0.7, -0.3];      // Ectopic focus in the left atrium
+const AV_NODE = [-0.1, 0.3, -0.1];          // Low interatrial septum
+const HIS_BUNDLE = [0, 0.1, 0];             // Top of the interventricular septum
+const LEFT_SEPTUM = [0.05, -0.1, 0.1];      // Left septal fascicle
+const LV_APEX = [0.25, -0.75, 0];
+const LV_FREE_WALL = [0.65, -0.25, -0.1];
+const RV_APEX = [-0.3, -0.65, 0.25];
+const RV_SEPTUM = [-0.15, -0.2, 0.2];
+const VENTRICULAR_FOCUS = [0.55, -0.6, -0.25]; // PVC origin in the inferolateral left ventricle
+
+const ATRIAL_BOUNDARY = 0.25;  // Vertices above this y belong to the atria
+const JUNCTION_RADIUS = 0.15;  // Distance from the AV node–His bundle axis that glows in the PR segment
+
+const ATRIAL_FOCI = { sinus: SA_NODE, ectopic: ATRIAL_FOCUS };
+
+// Breakthrough sites of each ventricular pattern; delays are in units of myocardial travel across
+// the whole heart frame, so fast Purkinje sites start early and blocked regions fill in last
+const VENTRICULAR_SITES = {
+  normal: [
+    { position: LEFT_SEPTUM, delay: 0 },
+    { position: LV_APEX, delay: 0.15 },
+    { position: RV_APEX, delay: 0.2 },
+    { position: LV_FREE_WALL, delay: 0.25 }
+  ],
+  // The left ventricle is reached only through the septum from the right
+  lbbb: [
+    { position: RV_SEPTUM, delay: 0 },
+    { position: RV_APEX, delay: 0.1 }
+  ],
+  // The right ventricle is reached late from the left
+  rbbb: [
+    { position: LEFT_SEPTUM, delay: 0 },
+    { position: LV_APEX, delay: 0.15 },
+    { position: LV_FREE_WALL, delay: 0.25 }
+  ],
+  ectopic: [
+    { position: VENTRICULAR_FOCUS, delay: 0 }
+  ]
+};
+
+// Normal ventricles repolarise in the reverse order of activation (upright T); blocked and
+// ectopic beats repolarise in the same order (discordant T)
+const REVERSED_RECOVERY = new Set(['normal']);
+
+// Beat annotations that set the conduction pattern
+const SYMBOL_SEQUENCES = { L: 'lbbb', R: 'rbbb', V: 'ectopic', E: 'ectopic', r: 'ectopic' };
+const ATRIAL_ECTOPIC_SYMBOLS = new Set(['A', 'a', 'S', 'e']);
+
+// Timing (s)
+const P_DURATION = 0.1;          // P wave, centred on its peak
+const AV_ENTRY = 0.4;            // Fraction of the P wave after which the AV node is reached
+const MAX_PR = 0.5;              // Longest P peak to QRS onset that counts as conducted
+const BLOCKED_REACH = 0.4;       // Fraction of the AV junction a blocked impulse gets through
+const BLOCKED_TRAVEL = 0.1;      // Time a blocked impulse takes to die out in the AV node
+const JUNCTION_AFTERGLOW = 0.03; // The His bundle stays lit this long into the QRS
+const ATRIAL_RECOVERY = { delay: 0.1, duration: 0.15 }; // After the end of the P wave
+const T_TAIL = 0.1;              // Ventricular recovery ends this long after the T peak
+const MATCH_WINDOW = 0.1;        // Annotation to QRS distance for the beat's pattern
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Fraction along the segment a→b of the point nearest to p, and the distance to it
+ * @param {Array<number>} p - Point
+ * @param {Array<number>} a - Segment start
+ * @param {Array<number>} b - Segment end
+ * @returns {{along: number, distance: number}}
+ */
+const projectOnSegment = (p, a, b) => {
+  const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const lengthSquared = ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2;
+  const along = clamp01(((p[0] - a[0]) * ab[0] + (p[1] - a[1]) * ab[1] + (p[2] - a[2]) * ab[2]) / lengthSquared);
+  return { along, distance: distance(p, [a[0] + along * ab[0], a[1] + along * ab[1], a[2] + along * ab[2]]) };
+};
+
+/**
+ * Scales the times of the vertices in one chamber to 0-1
+ * @param {Float32Array} values - Interleaved times, `stride` per vertex
+ * @param {number} stride - Values per vertex
+ * @param {number} column - Value to scale
+ * @param {Array<number>} vertices - Vertex indices of the chamber
+ */
+const normalizeColumn = (values, stride, column, vertices) => {
+  let max = 0;
+  vertices.forEach(v => { max = Math.max(max, values[v * stride + column]); });
+  if (max > 0) vertices.forEach(v => { values[v * stride + column] /= max; });
+};
+
+/**
+ * Builds the activation map of a mesh
+ * @param {Float32Array} positions - Vertex positions in the heart frame, xyz interleaved
+ * @returns {{chamber: Float32Array, atrial: Float32Array, ventricular: Float32Array, junction: Float32Array}}
+ *   Per vertex: chamber (0 atria, 1 ventricles), activation fraction for each of
+ *   ATRIAL_SEQUENCES and VENTRICULAR_SEQUENCES (interleaved, 0 on the other chamber), and the
+ *   fraction along the AV node–His bundle axis (-1 away from it)
+ */
+export function buildActivationMap(positions) {
+  const count = positions.length / 3;
+  const chamber = new Float32Array(count);
+  const atrial = new Float32Array(count * ATRIAL_SEQUENCES.length);
+  const ventricular = new Float32Array(count * VENTRICULAR_SEQUENCES.length);
+  const junction = new Float32Array(count).fill(-1);
+  const atrialVertices = [];
+  const ventricularVertices = [];
+
+  // 1. Straight-line travel time from the nearest site of each pattern
+  for (let v = 0; v < count; v++) {
+    const p = [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+    const segment = projectOnSegment(p, AV_NODE, HIS_BUNDLE);
+    if (segment.distance < JUNCTION_RADIUS) junction[v] = segment.along;
+
+    if (p[1] > ATRIAL_BOUNDARY) {
+      atrialVertices.push(v);
+      ATRIAL_SEQUENCES.forEach((sequence, s) => {
+        atrial[v * ATRIAL_SEQUENCES.length + s] = distance(p, ATRIAL_FOCI[sequence]);
+      });
+    } else {
+      chamber[v] = 1;
+      ventricularVertices.push(v);
+      VENTRICULAR_SEQUENCES.forEach((sequence, s) => {
+        ventricular[v * VENTRICULAR_SEQUENCES.length + s] = Math.min(
+          ...VENTRICULAR_SITES[sequence].map(site => site.delay + distance(p, site.position))
+        );
+      });
+    }
+  }
+
+  // 2. Each pattern spans its whole wave
+  ATRIAL_SEQUENCES.forEach((_, s) => normalizeColumn(atrial, ATRIAL_SEQUENCES.length, s, atrialVertices));
+  VENTRICULAR_SEQUENCES.forEach((_, s) => normalizeColumn(ventricular, VENTRICULAR_SEQUENCES.length, s, ventricularVertices));
+
+  return { chamber, atrial, ventricular, junction };
+}
+
+/**
+ * Index of the last element whose key is <= time (binary search)
+ * @param {Array} items - Items sorted by key
+ * @param {number} time - Time in seconds
+ * @param {function} key - Key of an item
+ * @returns {number} Index, or -1 when every key is later
+ */
+const lastAtOrBefore = (items, time, key) => {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (key(items[mid]) <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low - 1;
+};
+
+/**
+ * Works out the activation pattern of every beat
+ * Beat annotations name the pattern where the source has them (L, R, V, A...); otherwise
+ * wide complexes are treated as ectopic ventricular beats.
+ * @param {Array<Object>} intervals - {entry, duration, phase} intervals
+ * @param {Array<Object>} [annotations=[]] - Beat annotations ({time, symbol}) of the source
+ * @returns {{pWaves: Array<{time: number, sequence: string, conductedTo: number}>,
+ *   complexes: Array<{q: number, s: number, t: number, sequence: string}>}} P waves with the
+ *   index of the complex they conduct to (-1 when blocked) and complexes, sorted by time
+ */
+export function buildActivationBeats(intervals, annotations = []) {
+  const fiducials = extractBeatFiducials(intervals);
+  const beatAnnotations = annotations.filter(annotation => BEAT_SYMBOLS.has(annotation.symbol));
+
+  const complexes = fiducials.complexes.map(({ q, s, t, ventricular }) => {
+    const index = lastAtOrBefore(beatAnnotations, s + MATCH_WINDOW, annotation => annotation.time);
+    const annotation = index >= 0 && beatAnnotations[index].time >= q - MATCH_WINDOW ? beatAnnotations[index] : null;
+    const sequence = annotation
+      ? SYMBOL_SEQUENCES[annotation.symbol] || 'normal'
+      : (ventricular ? 'ectopic' : 'normal');
+    return { q, s, t, sequence, atrialEctopic: Boolean(annotation && ATRIAL_ECTOPIC_SYMBOLS.has(annotation.symbol)) };
+  });
+
+  // A P wave conducts to the first complex after it, unless another P wave or a long PR comes between
+  const pWaves = fiducials.pWaves.map((time, i) => {
+    const next = lastAtOrBefore(complexes, time, complex => complex.q) + 1;
+    const nextP = fiducials.pWaves[i + 1];
+    const conducted = next < complexes.length &&
+      complexes[next].q - time <= MAX_PR &&
+      complexes[next].sequence !== 'ectopic' &&
+      !(nextP !== undefined && nextP < complexes[next].q);
+    return {
+      time,
+      sequence: conducted && complexes[next].atrialEctopic ? 'ectopic' : 'sinus',
+      conductedTo: conducted ? next : -1
+    };
+  });
+
+  return { pWaves, complexes: complexes.map(({ atrialEctopic, ...complex }) => complex) };
+}
+
+/**
+ * Activation state of each part of the heart at a record time
+ * A clock is the fraction of its wave that has passed (beyond 1 once the whole part is
+ * depolarised) or -1 when the part is at rest; recovery is the fraction of repolarisation done.
+ * @param {Object} beats - Result of buildActivationBeats
+ * @param {number} time - Record time in seconds
+ * @returns {{atrial: {clock: number, recovery: number, sequence: string},
+ *   junction: {clock: number},
+ *   ventricular: {clock: number, recovery: number, sequence: string, reversedRecovery: boolean}}}
+ */
+export function activationStateAt(beats, time) {
+  const state = {
+    atrial: { clock: -1, recovery: 0, sequence: 'sinus' },
+    junction: { clock: -1 },
+    ventricular: { clock: -1, recovery: 0, sequence: 'normal', reversedRecovery: true }
+  };
+
+  // 1. Atria and AV junction, from the latest P wave that has begun
+  const pIndex = lastAtOrBefore(beats.pWaves, time + P_DURATION / 2, p => p.time);
+  if (pIndex >= 0) {
+    const { time: peak, sequence, conductedTo } = beats.pWaves[pIndex];
+    const onset = peak - P_DURATION / 2;
+    const end = peak + P_DURATION / 2;
+    if (time <= end + ATRIAL_RECOVERY.delay + ATRIAL_RECOVERY.duration) {
+      state.atrial = {
+        clock: (time - onset) / P_DURATION,
+        recovery: clamp01((time - end - ATRIAL_RECOVERY.delay) / ATRIAL_RECOVERY.duration),
+        sequence
+      };
+    }
+
+    const entry = onset + AV_ENTRY * P_DURATION;
+    if (conductedTo >= 0) {
+      const { q } = beats.complexes[conductedTo];
+      if (time >= entry && time <= q + JUNCTION_AFTERGLOW) state.junction.clock = (time - entry) / (q - entry);
+    } else if (time >= entry && time <= entry + 2 * BLOCKED_TRAVEL) {
+      state.junction.clock = BLOCKED_REACH * clamp01((time - entry) / BLOCKED_TRAVEL);
+    }
+  }
+
+  // 2. Ventricles, from the latest complex that has begun
+  const complexIndex = lastAtOrBefore(beats.complexes, time, complex => complex.q);
+  if (complexIndex >= 0) {
+    const { q, s, t, sequence } = beats.complexes[complexIndex];
+    if (time <= t + T_TAIL) {
+      state.ventricular = {
+        clock: (time - q) / (s - q),
+        recovery: clamp01((time - s) / (t + T_TAIL - s)),
+        sequence,
+        reversedRecovery: REVERSED_RECOVERY.has(sequence)
+      };
+    }
+  }
+
+  return state;
+}
+
+// A typical normal beat for showing a phase on its own: P peak, QRS onset and end, T peak (s)
+const TYPICAL_BEAT = { p: 0, q: 0.16, s: 0.25, t: 0.55 };
+
+/**
+ * Activation state at a point of a cardiac phase of a typical normal beat
+ * @param {string} phase - 'PQ', 'QRS' or 'ST'
+ * @param {number} progress - Point within the phase, 0 to 1
+ * @returns {Object} Activation state (see activationStateAt)
+ */
+export function activationStateForPhase(phase, progress) {
+  const { p, q, s, t } = TYPICAL_BEAT;
+  const beats = {
+    pWaves: [{ time: p, sequence: 'sinus', conductedTo: 0 }],
+    complexes: [{ q, s, t, sequence: 'normal' }]
+  };
+  const spans = { PQ: [p, q], QRS: [q, s], ST: [s, t] };
+  const [start, end] = spans[phase];
+  return activationStateAt(beats, start + clamp01(progress) * (end - start));
+}
@@ -0,0 +1,254 @@
+/**
+ * Time-varying cardiac dipole model and its projection onto the 12 standard leads
+ *
+ * The heart's electrical activity is a single vector d(t) = (x, y, z) in the body frame:
+ * x towards the patient's left, y inferior (towards the feet) and z anterior. Each wave is a
+ * Gaussian pulse of a fixed direction, timed from the fiducials of the loaded intervals, so the
+ * vector follows the current phase. A lead's voltage is the dot product of d(t) with its lead
+ * vector (limb leads in the frontal plane, precordial leads in the horizontal plane).
+ */
+
+export const TWELVE_LEADS = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF', 'V1', 'V2', 'V3', 'V4', 'V5', 'V6'];
+
+const PRECORDIAL_GAIN = 1.5; // Chest electrodes sit closer to the heart than the limb leads
+
+const frontal = (degrees) => {
+  const angle = (degrees * Math.PI) / 180;
+  return [Math.cos(angle), Math.sin(angle), 0];
+};
+
+// Horizontal plane: 0° points left (V6), 90° anterior
+const horizontal = (degrees) => {
+  const angle = (degrees * Math.PI) / 180;
+  return [PRECORDIAL_GAIN * Math.cos(angle), 0, PRECORDIAL_GAIN * Math.sin(angle)];
+};
+
+// Hexaxial angles for the limb leads, approximate electrode angles for V1-V6
+export const LEAD_VECTORS = {
+  I: frontal(0),
+  II: frontal(60),
+  III: frontal(120),
+  aVR: frontal(-150),
+  aVL: frontal(-30),
+  aVF: frontal(90),
+  V1: horizontal(120),
+  V2: horizontal(94),
+  V3: horizontal(75),
+  V4: horizontal(60),
+  V5: horizontal(30),
+  V6: horizontal(0)
+};
+
+const WIDE_QRS = 0.12; // QRS wider than this (s) is modelled as a ventricular beat
+
+/**
+ * Dipole direction and size of each wave (mV)
+ * Normal conduction: septal Q to the right and front, main R to the left, inferior and back,
+ * terminal S to the right and up, T concordant with R. A ventricular focus depolarises
+ * the other way round and repolarises opposite to its QRS.
+ */
+export const DIPOLE_WAVES = {
+  normal: {
+    P: [0.08, 0.12, 0.03],
+    Q: [-0.12, 0.04, 0.15],
+    R: [1.0, 0.6, -0.12],
+    S: [-0.3, -0.15, -0.25],
+    T: [0.22, 0.2, 0.12]
+  },
+  ventricular: {
+    P: [0.08, 0.12, 0.03],
+    Q: [0, 0, 0],
+    R: [0.75, -0.65, -0.8],
+    S: [-0.2, 0.25, 0.2],
+    T: [-0.35, 0.3, 0.35]
+  }
+};
+
+/**
+ * Extracts the wave timing of every beat from the phase intervals
+ * PQ runs from the P peak to Q, QRS from Q to S and ST from S to the T peak.
+ * P waves are kept separately, so blocked P waves and P-less rhythms are both represented.
+ * @param {Array<Object>} intervals - {entry, duration, phase} intervals
+ * @returns {{pWaves: Array<number>, complexes: Array<Object>}} P peak times (s) and ventricular
+ *   complexes {q, s, t, ventricular} sorted by time
+ */
+export function extractBeatFiducials(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.entry - b.entry);
+  const pWaves = [];
+  const complexes = [];
+
+  sorted.forEach((interval, i) => {
+    if (interval.phase === 'PQ') {
+      pWaves.push(interval.entry);
+    } else if (interval.phase === 'QRS') {
+      const q = interval.entry;
+      const s = interval.entry + interval.duration;
+      const next = sorted[i + 1];
+      const t = next && next.phase === 'ST' ? next.entry + next.duration : s + 0.25;
+      complexes.push({ q, s, t, ventricular: interval.duration > WIDE_QRS });
+    }
+  });
+
+  return { pWaves, complexes };
+}
+
+/**
+ * Index of the first element whose key is >= time (binary search)
+ * @param {Array} items - Items sorted by key
+ * @param {number} time - Time in seconds
+ * @param {function} key - Key of an item
+ * @returns {number} Insertion index
+ */
+const lowerBound = (items, time, key) => {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (key(items[mid]) < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+const gaussian = (time, centre, sigma) => Math.exp(-((time - centre) ** 2) / (2 * sigma * sigma));
+
+const addWave = (vector, direction, weight) => {
+  vector[0] += direction[0] * weight;
+  vector[1] += direction[1] * weight;
+  vector[2] += direction[2] * weight;
+};
+
+/**
+ * Cardiac dipole vector at a time
+ * @param {{pWaves: Array<number>, complexes: Array<Object>}} beats - Result of extractBeatFiducials
+ * @param {number} time - Record time in seconds
+ * @returns {Array<number>} Dipole [x, y, z] in mV
+ */
+export function dipoleAt(beats, time) {
+  const vector = [0, 0, 0];
+
+  // 1. P waves within reach of this time
+  const pIndex = lowerBound(beats.pWaves, time - 0.1, p => p);
+  for (let i = pIndex; i < beats.pWaves.length && beats.pWaves[i] < time + 0.1; i++) {
+    addWave(vector, DIPOLE_WAVES.normal.P, gaussian(time, beats.pWaves[i], 0.022));
+  }
+
+  // 2. QRS and T of the complexes whose T wave can still reach this time
+  const first = Math.max(0, lowerBound(beats.complexes, time, complex => complex.t) - 1);
+  for (let i = first; i < beats.complexes.length && beats.complexes[i].q < time + 0.1; i++) {
+    const { q, s, t, ventricular } = beats.complexes[i];
+    const waves = ventricular ? DIPOLE_WAVES.ventricular : DIPOLE_WAVES.normal;
+    const width = s - q;
+    const tSigma = Math.max(0.03, 0.25 * (t - s));
+
+    addWave(vector, waves.Q, gaussian(time, q + 0.2 * width, 0.08 * width));
+    addWave(vector, waves.R, gaussian(time, q + 0.5 * width, (ventricular ? 0.2 : 0.14) * width));
+    addWave(vector, waves.S, gaussian(time, s - 0.2 * width, 0.1 * width));
+    addWave(vector, waves.T, gaussian(time, t, tSigma));
+  }
+
+  return vector;
+}
+
+/**
+ * Projects a dipole onto a lead
+ * @param {Array<number>} vector - Dipole [x, y, z]
+ * @param {string} lead - One of TWELVE_LEADS
+ * @returns {number} Lead voltage (mV)
+ */
+export function projectLead(vector, lead) {
+  const axis = LEAD_VECTORS[lead];
+  return vector[0] * axis[0] + vector[1] * axis[1] + vector[2] * axis[2];
+}
+
+/**
+ * Synthesizes lead voltages at a set of times
+ * @param {{pWaves: Array<number>, complexes: Array<Object>}} beats - Result of extractBeatFiducials
+ * @param {Array<number>|Float64Array} times - Record times in seconds
+ * @param {Array<string>} [leads=TWELVE_LEADS] - Leads to compute
+ * @returns {Object<string, Float32Array>} Voltage per lead (mV)
+ */
+export function synthesizeLeads(beats, times, leads = TWELVE_LEADS) {
+  const output = Object.fromEntries(leads.map(lead => [lead, new Float32Array(times.length)]));
+  for (let i = 0; i < times.length; i++) {
+    const vector = dipoleAt(beats, times[i]);
+    leads.forEach(lead => {
+      output[lead][i] = projectLead(vector, lead);
+    });
+  }
+  return output;
+}
+
+/**
+ * Maps a recorded signal description to a standard lead
+ * MIT-BIH names its modified limb lead "MLII"; precordial leads are named V1-V6.
+ * @param {string} name - Signal description from the record header
+ * @returns {string|null} One of TWELVE_LEADS, or null when the signal is not a standard lead
+ */
+export function standardLeadName(name = '') {
+  const trimmed = name.trim().replace(/^ML/i, '');
+  return TWELVE_LEADS.find(lead => lead.toLowerCase() === trimmed.toLowerCase()) || null;
+}
+
+const P_HALF_WIDTH = 0.06;  // P loop spans the P peak ± this (s)
+const T_TAIL = 0.1;         // T loop runs on past the T peak by this (s)
+
+/**
+ * P wave that conducted to a complex: the last one between the previous complex and this one
+ * @param {{pWaves: Array<number>, complexes: Array<Object>}} beats - Result of extractBeatFiducials
+ * @param {number} index - Complex index
+ * @returns {number|null} P peak time (s), or null when the beat has none
+ */
+const pWaveBefore = (beats, index) => {
+  const { q } = beats.complexes[index];
+  const previousEnd = index > 0 ? beats.complexes[index - 1].s : -Infinity;
+  const candidate = lowerBound(beats.pWaves, q, p => p) - 1;
+  return candidate >= 0 && beats.pWaves[candidate] > previousEnd ? beats.pWaves[candidate] : null;
+};
+
+/**
+ * Index of the beat a record time belongs to
+ * A beat starts with its P wave (or its QRS when it has none) and lasts until the next one starts.
+ * @param {{pWaves: Array<number>, complexes: Array<Object>}} beats - Result of extractBeatFiducials
+ * @param {number} time - Record time in seconds
+ * @returns {number} Index into beats.complexes, or -1 before the first beat
+ */
+export function findComplexIndex(beats, time) {
+  const { complexes } = beats;
+  const index = lowerBound(complexes, time, complex => complex.q);
+  // The next complex already counts once its own P wave, or its QRS, has started
+  if (index < complexes.length) {
+    const p = pWaveBefore(beats, index);
+    const start = p !== null ? p - P_HALF_WIDTH : complexes[index].q;
+    if (start <= time) return index;
+  }
+  return index - 1;
+}
+
+/**
+ * Samples the P, QRS and T loops of one beat
+ * @param {{pWaves: Array<number>, complexes: Array<Object>}} beats - Result of extractBeatFiducials
+ * @param {number} index - Complex index
+ * @param {number} [step=0.002] - Sampling step (s)
+ * @returns {Object<string, {start: number, end: number, points: Array<Array<number>>}>} Loops
+ *   keyed P, QRS and T, each with its time span and dipole samples; P is missing when the beat has none
+ * @throws {Error} If the index is out of range
+ */
+export function beatLoops(beats, index, step = 0.002) {
+  const complex = beats.complexes[index];
+  if (!complex) throw new Error(`No beat at index ${index}`);
+
+  const sample = (start, end) => {
+    const points = [];
+    for (let time = start; time <= end; time += step) points.push(dipoleAt(beats, time));
+    return { start, end, points };
+  };
+
+  const loops = {
+    QRS: sample(complex.q, complex.s),
+    T: sample(complex.s, complex.t + T_TAIL)
+  };
+  const p = pWaveBefore(beats, index);
+  if (p !== null) loops.P = sample(p - P_HALF_WIDTH, Math.min(p + P_HALF_WIDTH, complex.q));
+  return loops;
+}
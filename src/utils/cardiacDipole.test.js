@@ -0,0 +1,133 @@
+import {
+  beatLoops,
+  DIPOLE_WAVES,
+  dipoleAt,
+  extractBeatFiducials,
+  findComplexIndex,
+  standardLeadName,
+  synthesizeLeads
+} from './cardiacDipole';
+
+// Two sinus beats, a blocked P wave, then a P wave and a wide ventricular beat without an ST phase
+const INTERVALS = [
+  { entry: 2.6, duration: 0.14, phase: 'QRS' },
+  { entry: 0.2, duration: 0.12, phase: 'PQ' },
+  { entry: 0.32, duration: 0.08, phase: 'QRS' },
+  { entry: 0.4, duration: 0.22, phase: 'ST' },
+  { entry: 1.0, duration: 0.12, phase: 'PQ' },
+  { entry: 1.12, duration: 0.08, phase: 'QRS' },
+  { entry: 1.2, duration: 0.22, phase: 'ST' },
+  { entry: 1.8, duration: 0.12, phase: 'PQ' },
+  { entry: 2.5, duration: 0.1, phase: 'PQ' }
+];
+
+const BEATS = extractBeatFiducials(INTERVALS);
+
+const norm = ([x, y, z]) => Math.hypot(x, y, z);
+const cosine = (a, b) => (a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / (norm(a) * norm(b));
+
+describe('extractBeatFiducials', () => {
+  test('keeps every P wave and times each complex from its phases', () => {
+    expect(BEATS.pWaves).toEqual([0.2, 1.0, 1.8, 2.5]);
+    expect(BEATS.complexes).toEqual([
+      { q: 0.32, s: expect.closeTo(0.4, 9), t: expect.closeTo(0.62, 9), ventricular: false },
+      { q: 1.12, s: expect.closeTo(1.2, 9), t: expect.closeTo(1.42, 9), ventricular: false },
+      // No ST phase: the T wave is placed 0.25 s after S
+      { q: 2.6, s: expect.closeTo(2.74, 9), t: expect.closeTo(2.99, 9), ventricular: true }
+    ]);
+  });
+});
+
+describe('dipoleAt', () => {
+  test('points along each wave at its peak and vanishes between beats', () => {
+    expect(cosine(dipoleAt(BEATS, 0.2), DIPOLE_WAVES.normal.P)).toBeGreaterThan(0.99);
+    expect(cosine(dipoleAt(BEATS, 0.36), DIPOLE_WAVES.normal.R)).toBeGreaterThan(0.99);
+    expect(cosine(dipoleAt(BEATS, 0.62), DIPOLE_WAVES.normal.T)).toBeGreaterThan(0.99);
+    expect(cosine(dipoleAt(BEATS, 2.67), DIPOLE_WAVES.ventricular.R)).toBeGreaterThan(0.99);
+    expect(norm(dipoleAt(BEATS, 0.85))).toBeLessThan(1e-3);
+  });
+});
+
+describe('synthesizeLeads', () => {
+  const times = Array.from({ length: 1500 }, (_, i) => i / 500);
+  const leads = synthesizeLeads(BEATS, times);
+
+  test("obeys Einthoven's law, I + III = II", () => {
+    times.forEach((_, i) => expect(leads.I[i] + leads.III[i]).toBeCloseTo(leads.II[i], 5));
+    expect(Math.max(...leads.II)).toBeGreaterThan(0.5);
+  });
+
+  test('has augmented limb leads summing to zero', () => {
+    times.forEach((_, i) => expect(leads.aVR[i] + leads.aVL[i] + leads.aVF[i]).toBeCloseTo(0, 5));
+  });
+
+  test('has an upright R in II and a negative one in aVR for normal conduction', () => {
+    const r = Math.round(0.36 * 500);
+    expect(leads.II[r]).toBeGreaterThan(0.5);
+    expect(leads.aVR[r]).toBeLessThan(-0.5);
+  });
+});
+
+describe('standardLeadName', () => {
+  test('maps record signal names to standard leads', () => {
+    expect(standardLeadName('MLII')).toBe('II');
+    expect(standardLeadName('MLIII')).toBe('III');
+    expect(standardLeadName(' V5 ')).toBe('V5');
+    expect(standardLeadName('avf')).toBe('aVF');
+    expect(standardLeadName('ABP')).toBeNull();
+    expect(standardLeadName()).toBeNull();
+  });
+});
+
+describe('findComplexIndex', () => {
+  test('starts a beat with its P wave', () => {
+    expect(findComplexIndex(BEATS, 0.1)).toBe(-1);
+    expect(findComplexIndex(BEATS, 0.15)).toBe(0);
+    expect(findComplexIndex(BEATS, 0.9)).toBe(0);
+    expect(findComplexIndex(BEATS, 0.95)).toBe(1);
+  });
+
+  test('keeps a blocked P wave with the beat before it', () => {
+    expect(findComplexIndex(BEATS, 1.8)).toBe(1);
+  });
+
+  test('starts a beat without a P wave at its QRS', () => {
+    const withoutP = extractBeatFiducials(INTERVALS.filter(interval => interval.phase !== 'PQ'));
+    expect(findComplexIndex(withoutP, 0.2)).toBe(-1);
+    expect(findComplexIndex(withoutP, 0.32)).toBe(0);
+    expect(findComplexIndex(withoutP, 1.11)).toBe(0);
+    expect(findComplexIndex(withoutP, 1.12)).toBe(1);
+  });
+
+  test('starts a beat at its QRS when its only P wave is hidden in the previous QRS', () => {
+    const hidden = extractBeatFiducials([
+      { entry: 0.32, duration: 0.08, phase: 'QRS' },
+      { entry: 0.35, duration: 0.12, phase: 'PQ' },
+      { entry: 1.12, duration: 0.14, phase: 'QRS' }
+    ]);
+    expect(findComplexIndex(hidden, 1.0)).toBe(0);
+    expect(findComplexIndex(hidden, 1.12)).toBe(1);
+    expect(beatLoops(hidden, 1).P).toBeUndefined();
+  });
+});
+
+describe('beatLoops', () => {
+  test('samples the P, QRS and T loops of a beat', () => {
+    const loops = beatLoops(BEATS, 1, 0.01);
+    expect(loops.P).toMatchObject({ start: expect.closeTo(0.94, 9), end: expect.closeTo(1.06, 9) });
+    expect(loops.QRS).toMatchObject({ start: 1.12, end: expect.closeTo(1.2, 9) });
+    expect(loops.T).toMatchObject({ start: expect.closeTo(1.2, 9), end: expect.closeTo(1.52, 9) });
+    expect(loops.QRS.points).toHaveLength(9);
+    loops.QRS.points[4].forEach((value, axis) => expect(value).toBeCloseTo(dipoleAt(BEATS, 1.16)[axis], 9));
+  });
+
+  test('leaves out the P loop of a beat without a P wave', () => {
+    const withoutP = extractBeatFiducials(INTERVALS.filter(interval => interval.phase !== 'PQ'));
+    expect(beatLoops(withoutP, 0).P).toBeUndefined();
+    expect(Object.keys(beatLoops(BEATS, 0))).toEqual(['QRS', 'T', 'P']);
+  });
+
+  test('rejects an index without a beat', () => {
+    expect(() => beatLoops(BEATS, 3)).toThrow('No beat at index 3');
+  });
+});
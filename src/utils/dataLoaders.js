@@ -1,104 +1,65 @@
-import { generateRealisticECG } from './ecgGenerator';
-import { ECG_CONFIG } from '../components/AnimationManage/animationConfig';
+import { DEFAULT_RECORD, loadWfdbRecord } from './wfdb';
+import { loadAnnotations } from './wfdbAnnotations';
+import { runEcgPipeline } from './runEcgPipeline';
+import { calculateStableBPM } from './heartRate';
+import { runEcgSynthesis } from './runEcgSynthesis';
+import { generateScenario } from './rhythmScenarios';
 
-/**
- * Calculates stable heart rate (BPM) from cardiac phase interval data
- * @param {Array} intervals - Array of cardiac phase objects containing:
- *   - phase: string (e.g., "QRS")
- *   - entry: number (time in seconds when phase starts)
- *   - duration: number (how long phase lasts)
- * @returns {number} Calculated beats per minute (BPM)
- * @throws {Error} When insufficient data or physiologically impossible values are detected
- */
-const calculateStableBPM = (intervals) => {
-  // 1. Filter only QRS events with valid timing data
-  const qrsEvents = intervals
-    .filter(event => 
-      event.phase === "QRS" && 
-      typeof event.entry === 'number' && 
-      typeof event.duration === 'number'
-    );
-
-  if (qrsEvents.length < 2) {
-    throw new Error('Need at least 2 QRS complexes for accurate calculation');
-  }
+// Lead used for the single-lead monitor (MLII is the modified limb lead II in MIT-BIH)
+const PREFERRED_LEAD = 'MLII';
+const FALLBACK_BPM = 72; // Typical resting heart rate
 
-  // 2. Calculate average RR interval (time between QRS complexes)
-  let totalRR = 0;
-  let validRRCount = 0;
-
-  for (let i = 1; i < qrsEvents.length; i++) {
-    const rrInterval = qrsEvents[i].entry - qrsEvents[i-1].entry;
-    // Validate RR interval is within physiologically possible range (0.3-2.0 seconds)
-    if (rrInterval > 0.3 && rrInterval < 2.0) {
-      totalRR += rrInterval;
-      validRRCount++;
-    }
-  }
-
-  if (validRRCount === 0) {
-    throw new Error('No valid RR intervals found');
-  }
+// Synthesized fallback recording
+const SYNTHETIC_DURATION = 300;      // Seconds
+const SYNTHETIC_SAMPLING_RATE = 360; // Same rate as MIT-BIH
 
-  // 3. Convert average RR interval to BPM (beats per minute)
-  const avgRR = totalRR / validRRCount;
-  const bpm = Math.round(60 / avgRR); // 60 seconds / RR interval in seconds
+// Decoded records, keyed by record name, so re-selecting a record doesn't refetch it
+const recordCache = new Map();
 
-  // 4. Final validation - ensure BPM is within normal physiological range
-  if (bpm < 40 || bpm > 180) {
-    throw new Error(`Calculated BPM ${bpm} outside valid range`);
+/**
+ * Fetches a WFDB record once and reuses it for subsequent loads
+ * @param {string} recordName - MIT-BIH record name
+ * @returns {Promise<Object>} Decoded record (see loadWfdbRecord)
+ */
+const getRecord = (recordName) => {
+  if (!recordCache.has(recordName)) {
+    const pending = loadWfdbRecord(recordName).catch(error => {
+      recordCache.delete(recordName); // Allow a retry after a failed fetch
+      throw error;
+    });
+    recordCache.set(recordName, pending);
   }
-
-  console.log(`Stable BPM: ${bpm} (from ${validRRCount} RR intervals)`);
-  return bpm;
+  return recordCache.get(recordName);
 };
 
 /**
- * Loads and processes ECG data from server
- * @param {function} setRealBPM - State setter function for BPM value
- * @returns {Array} Generated ECG data points
- * @throws Will fallback to default values if data loading fails
+ * Picks the lead used for display and analysis
+ * @param {Object} record - Decoded record
+ * @returns {Object} Lead {name, units, signal}
  */
-export async function loadEcgData(setRealBPM) {
-  try {
-    // 1. Load cardiac phase interval data from server
-    const response = await fetch('/pqrst_intervals.json');
-    if (!response.ok) throw new Error('Failed to load interval data');
-    
-    const intervalData = await response.json();
-    
-    // Basic data validation
-    if (!Array.isArray(intervalData)) {
-      throw new Error('Expected array data');
-    }
-
-    // 2. Calculate stable heart rate from intervals
-    const stableBPM = calculateStableBPM(intervalData);
-    setRealBPM(stableBPM);
-
-    // 3. Generate synthetic ECG data matching this BPM
-    return generateRealisticECG(
-      1000, // Number of data points to generate
-      ECG_CONFIG.SAMPLING_RATE, // Samples per second
-      stableBPM // Target heart rate
-    );
+const getPrimaryLead = (record) =>
+  record.leads.find(l => l.name === PREFERRED_LEAD) || record.leads[0];
 
+/**
+ * Calculates the stable BPM of a set of intervals, falling back to a resting rate
+ * @param {Array} intervals - Cardiac phase intervals
+ * @returns {number} Beats per minute
+ */
+const stableBpmOrFallback = (intervals) => {
+  try {
+    return calculateStableBPM(intervals);
   } catch (error) {
     console.error('BPM calculation error:', error.message);
-    
-    // Fallback with warning when real data isn't available
-    const fallbackBPM = 72; // Typical resting heart rate
-    console.warn(`Using fallback BPM: ${fallbackBPM}`);
-    setRealBPM(fallbackBPM);
-    return generateRealisticECG(1000, ECG_CONFIG.SAMPLING_RATE, fallbackBPM);
+    console.warn(`Using fallback BPM: ${FALLBACK_BPM}`);
+    return FALLBACK_BPM;
   }
-}
+};
 
 /**
- * Loads heart animation timing data from server
+ * Loads the intervals preprocessed by the notebook (record 105 only)
  * @returns {Array|null} Cardiac phase interval data or null if loading fails
  */
-export async function loadHeartData() {
+const loadPreprocessedIntervals = async () => {
   try {
     const response = await fetch('/pqrst_intervals.json');
     if (!response.ok) throw new Error('Failed to load heart data');
@@ -114,4 +75,243 @@ export async function loadHeartData() {
     console.error('Heart data loading failed:', error.message);
     return null; // Explicit null return for error cases
   }
-}
\ No newline at end of file
+};
+
+/**
+ * Derives cardiac phase intervals from a record's raw signal (no Python step)
+ * @param {string} recordName - MIT-BIH record name
+ * @returns {Promise<Array>} Intervals produced by the ECG pipeline worker
+ */
+const detectRecordIntervals = async (recordName) => {
+  const record = await getRecord(recordName);
+  const { intervals, rPeaks } = await runEcgPipeline(getPrimaryLead(record).signal, record.samplingRate);
+  console.log(`Pipeline found ${rPeaks.length} beats in record ${recordName}`);
+  return intervals;
+};
+
+/**
+ * Loads heart animation timing data, detecting it from the recording when possible
+ * @param {string} [recordName=DEFAULT_RECORD] - MIT-BIH record to analyse
+ * @returns {Array|null} Cardiac phase interval data or null if loading fails
+ */
+export async function loadHeartData(recordName = DEFAULT_RECORD) {
+  try {
+    const intervals = await detectRecordIntervals(recordName);
+    if (intervals.length === 0) throw new Error('No beats detected');
+    return intervals;
+  } catch (error) {
+    console.error('Interval detection failed:', error.message);
+  }
+
+  // The preprocessed intervals were derived from the default record only
+  return recordName === DEFAULT_RECORD ? loadPreprocessedIntervals() : null;
+}
+
+/**
+ * Loads the reference beat and rhythm annotations of a record
+ * @param {string} [recordName=DEFAULT_RECORD] - MIT-BIH record name
+ * @param {number} [samplingRate=360] - Sampling rate of the record (Hz)
+ * @returns {Array} Decoded annotations, or an empty array if loading fails
+ */
+export async function loadBeatAnnotations(recordName = DEFAULT_RECORD, samplingRate = 360) {
+  try {
+    const annotations = await loadAnnotations(recordName, samplingRate);
+    console.log(`Loaded ${annotations.length} annotations for record ${recordName}`);
+    return annotations;
+  } catch (error) {
+    console.error('Annotation loading failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Single loader for everything the app plays: signal, intervals, annotations and BPM
+ * @param {string} [recordName=DEFAULT_RECORD] - MIT-BIH record name
+ * @returns {Promise<Object>} Signal source containing:
+ *   - name: string, label: string
+ *   - samplingRate: number (Hz)
+ *   - signal: Float32Array primary lead in mV, leadName: string
+ *   - leads: Array<{name, units, signal}> all recorded leads
+ *   - header: parsed WFDB header
+ *   - intervals: Array<{entry, duration, phase}>
+ *   - annotations: Array of decoded .atr annotations
+ *   - bpm: number
+ * @throws {Error} When the record's signal cannot be loaded
+ */
+export async function loadRecord(recordName = DEFAULT_RECORD) {
+  const record = await getRecord(recordName);
+  const lead = getPrimaryLead(record);
+
+  const [intervals, annotations] = await Promise.all([
+    loadHeartData(recordName),
+    loadBeatAnnotations(recordName, record.samplingRate)
+  ]);
+
+  console.log(`Loaded record ${recordName}: lead ${lead.name}, ${lead.signal.length} samples @ ${record.samplingRate} Hz`);
+
+  return {
+    name: recordName,
+    label: `Record ${recordName}`,
+    samplingRate: record.samplingRate,
+    signal: lead.signal,
+    leadName: lead.name,
+    leads: record.leads,
+    header: record.header,
+    intervals: intervals || [],
+    annotations,
+    bpm: stableBpmOrFallback(intervals || [])
+  };
+}
+
+/**
+ * Fallback source when the MIT-BIH files are not served: the notebook's
+ * preprocessed intervals without a signal (the monitor then uses the trace
+ * shipped in /public or the synthetic waveform). Without those either, a
+ * synthesized ECG and its intervals are played instead.
+ * @returns {Promise<Object>} Signal source (see loadRecord)
+ */
+export async function loadFallbackSource() {
+  const intervals = await loadPreprocessedIntervals();
+
+  if (!intervals) {
+    console.warn(`Using synthesized ECG at ${FALLBACK_BPM} BPM`);
+    const synthesized = await runEcgSynthesis({
+      duration: SYNTHETIC_DURATION,
+      samplingRate: SYNTHETIC_SAMPLING_RATE,
+      heartRate: FALLBACK_BPM
+    });
+
+    return {
+      name: 'synthetic',
+      label: `Synthetic ECG (${FALLBACK_BPM} BPM)`,
+      samplingRate: SYNTHETIC_SAMPLING_RATE,
+      signal: Float32Array.from(synthesized.samples, sample => sample.value),
+      leadName: 'Synthetic',
+      leads: [],
+      header: null,
+      intervals: synthesized.intervals,
+      annotations: [],
+      bpm: stableBpmOrFallback(synthesized.intervals)
+    };
+  }
+
+  return {
+    name: DEFAULT_RECORD,
+    label: `Record ${DEFAULT_RECORD} (preprocessed)`,
+    samplingRate: null,
+    signal: null,
+    leadName: null,
+    leads: [],
+    header: null,
+    intervals,
+    annotations: [],
+    bpm: stableBpmOrFallback(intervals)
+  };
+}
+
+/**
+ * Generates a rhythm scenario as a signal source
+ * @param {string} scenarioId - Id from RHYTHM_SCENARIOS
+ * @returns {Promise<Object>} Signal source (see loadRecord)
+ * @throws {Error} When the scenario id is unknown
+ */
+export async function loadScenario(scenarioId) {
+  const { scenario, samplingRate, signal, intervals, annotations } = generateScenario(scenarioId);
+  console.log(`Generated scenario ${scenario.label}: ${intervals.length} intervals`);
+
+  return {
+    name: scenario.id,
+    label: scenario.label,
+    samplingRate,
+    signal,
+    leadName: 'II',
+    leads: [{ name: 'II', units: 'mV', signal }],
+    header: null,
+    intervals,
+    annotations,
+    bpm: stableBpmOrFallback(intervals)
+  };
+}
+
+/**
+ * Turns an imported recording into a signal source, detecting its beats
+ * @param {Object} recording - Result of an importer in ecgImport ({name, samplingRate, leads, annotations, header})
+ * @returns {Promise<Object>} Signal source (see loadRecord)
+ * @throws {Error} When the recording has no samples
+ */
+export async function loadImportedSource(recording) {
+  const lead = getPrimaryLead(recording);
+  if (!lead || lead.signal.length === 0) throw new Error('The imported recording has no samples');
+
+  let intervals = [];
+  try {
+    const { intervals: detected, rPeaks } = await runEcgPipeline(lead.signal, recording.samplingRate);
+    console.log(`Pipeline found ${rPeaks.length} beats in imported ${recording.name}`);
+    intervals = detected;
+  } catch (error) {
+    console.error('Interval detection failed:', error.message);
+  }
+
+  return {
+    name: `imported:${recording.name}`,
+    label: `${recording.name} (imported)`,
+    samplingRate: recording.samplingRate,
+    signal: lead.signal,
+    leadName: lead.name,
+    leads: recording.leads,
+    header: recording.header,
+    intervals,
+    annotations: recording.annotations,
+    bpm: stableBpmOrFallback(intervals)
+  };
+}
+
+/**
+ * Parses ecg_timeseries.json, recovering the complete samples of a truncated file
+ * @param {string} text - File contents
+ * @returns {Array<{time: number, value: number}>} Recorded samples
+ * @throws {Error} When no samples can be recovered
+ */
+const parseTimeSeries = (text) => {
+  try {
+    return JSON.parse(text).records;
+  } catch (error) {
+    // Cut after the last complete sample object and close the array
+    const lastComplete = text.lastIndexOf('}');
+    if (lastComplete < 0) throw error;
+    const records = JSON.parse(`${text.slice(0, lastComplete + 1)}]}`).records;
+    console.warn(`ecg_timeseries.json is truncated, recovered ${records.length} samples`);
+    return records;
+  }
+};
+
+/**
+ * Loads the preprocessed record 105 trace shipped in /public
+ * Tries ecg_timeseries.json ({records: [{time, value}]}) first, then
+ * ecg_plot105.json (plain value array at 360 Hz).
+ * @returns {Promise<{values: Float32Array, samplingRate: number}>} Recorded trace
+ * @throws {Error} When neither file can be loaded
+ */
+export async function loadRecordedTrace() {
+  try {
+    const response = await fetch('/ecg_timeseries.json');
+    if (!response.ok) throw new Error('Failed to load ecg_timeseries.json');
+
+    const records = parseTimeSeries(await response.text());
+    if (!Array.isArray(records) || records.length < 2) throw new Error('Expected records array');
+
+    return {
+      values: Float32Array.from(records, record => record.value),
+      samplingRate: Math.round(1 / (records[1].time - records[0].time))
+    };
+  } catch (error) {
+    console.error('Time series loading failed, trying ecg_plot105.json:', error.message);
+  }
+
+  const response = await fetch('/ecg_plot105.json');
+  if (!response.ok) throw new Error('Failed to load ecg_plot105.json');
+  const values = await response.json();
+  if (!Array.isArray(values)) throw new Error('Expected array data');
+
+  return { values: Float32Array.from(values), samplingRate: 360 };
+}
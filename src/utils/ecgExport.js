@@ -0,0 +1,242 @@
+/**
+ * Export of the loaded signal source to CSV, WFDB and EDF+
+ *
+ * A time range of the source (or all of it) is written with its annotations: the WFDB
+ * `.atr` and the EDF+ annotation signal carry wave and beat marks built from the cardiac
+ * phase intervals, plus the source's rhythm labels, so exported records go through the
+ * same analysis as MIT-BIH data.
+ */
+import { formatHeader, toAdcUnits, encodeFormat212 } from './wfdb';
+import {
+  BEAT_DESCRIPTIONS,
+  BEAT_SYMBOLS,
+  createAnnotation,
+  describeRhythm,
+  encodeAnnotations,
+  rhythmAt
+} from './wfdbAnnotations';
+import { encodeEdf } from './edf';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  WFDB: 'wfdb',
+  EDF: 'edf'
+};
+
+export const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.CSV]: 'CSV (.csv)',
+  [EXPORT_FORMATS.WFDB]: 'WFDB (.hea, .dat, .atr)',
+  [EXPORT_FORMATS.EDF]: 'EDF+ (.edf)'
+};
+
+// Signal specification for sources without a WFDB header: 12-bit, 5 µV per unit
+const DEFAULT_SIGNAL_SPEC = { gain: 200, baseline: 0, adcResolution: 12, adcZero: 0 };
+const BEAT_MATCH_WINDOW = 0.1;  // s; a source beat label this close to mid-QRS is kept
+const WAVE_LABELS = {
+  p: 'P wave',
+  '(': 'QRS onset',
+  ')': 'QRS offset',
+  t: 'T wave peak'
+};
+
+/**
+ * Leads of a source, falling back to its display signal
+ * @param {Object} source - Signal source (see loadRecord)
+ * @returns {Array<{name: string, units: string, signal: Float32Array}>} Leads
+ */
+const sourceLeads = (source) => (source.leads.length
+  ? source.leads
+  : [{ name: source.leadName || 'ECG', units: 'mV', signal: source.signal }]);
+
+/**
+ * Record name the WFDB library accepts: letters, digits and underscores
+ * @param {string} name - Requested name
+ * @returns {string} Sanitized name
+ */
+export const sanitizeRecordName = (name) => name.trim().replace(/[^A-Za-z0-9_]+/g, '_') || 'ecg';
+
+/**
+ * Annotations built from the cardiac phase intervals
+ * Each QRS gets "(" at its onset, a beat label at its middle and ")" at its offset; the P
+ * wave ("p") opens the PQ interval and the T peak ("t") closes the ST interval. Beat labels
+ * come from the source's annotations where one lies close enough, otherwise "Q"
+ * (unclassified); the source's rhythm labels are carried over.
+ * @param {Array} intervals - Cardiac phase intervals ({entry, duration, phase})
+ * @param {number} samplingRate - Sampling rate of the signal (Hz)
+ * @param {Array<Object>} [sourceAnnotations=[]] - Decoded annotations of the source
+ * @returns {Array<Object>} Annotations sorted by sample (see parseAnnotations)
+ */
+export function phaseAnnotations(intervals, samplingRate, sourceAnnotations = []) {
+  const toSample = (time) => Math.max(0, Math.round(time * samplingRate));
+  const sourceBeats = sourceAnnotations.filter(annotation => BEAT_SYMBOLS.has(annotation.symbol));
+  const annotations = sourceAnnotations
+    .filter(annotation => annotation.symbol === '+' && annotation.aux)
+    .map(annotation => createAnnotation('+', annotation.sample, samplingRate, annotation.aux));
+
+  /**
+   * Symbol of the source beat nearest a time, by binary search
+   * @param {number} time - Mid-QRS time (s)
+   * @returns {string} Beat symbol
+   */
+  const beatSymbol = (time) => {
+    let low = 0;
+    let high = sourceBeats.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sourceBeats[mid].time < time) low = mid + 1;
+      else high = mid;
+    }
+    const nearest = [sourceBeats[low - 1], sourceBeats[low]]
+      .filter(beat => beat && Math.abs(beat.time - time) <= BEAT_MATCH_WINDOW)
+      .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0];
+    return nearest ? nearest.symbol : 'Q';
+  };
+
+  intervals.forEach(({ entry, duration, phase }) => {
+    if (phase === 'PQ') {
+      annotations.push(createAnnotation('p', toSample(entry), samplingRate));
+    } else if (phase === 'QRS') {
+      const middle = entry + duration / 2;
+      annotations.push(
+        createAnnotation('(', toSample(entry), samplingRate),
+        createAnnotation(beatSymbol(middle), toSample(middle), samplingRate),
+        createAnnotation(')', toSample(entry + duration), samplingRate)
+      );
+    } else if (phase === 'ST') {
+      annotations.push(createAnnotation('t', toSample(entry + duration), samplingRate));
+    }
+  });
+
+  return annotations.sort((a, b) => a.sample - b.sample);
+}
+
+/**
+ * Text of an annotation in an EDF+ file
+ * @param {Object} annotation - Decoded annotation
+ * @returns {string} Description, e.g. "Normal beat" or "Atrial fibrillation"
+ */
+const annotationText = ({ symbol, aux }) => {
+  if (symbol === '+') return describeRhythm(aux);
+  return BEAT_DESCRIPTIONS[symbol] || WAVE_LABELS[symbol] || symbol;
+};
+
+/**
+ * Writes leads as CSV: time, one column per lead and the cardiac phase at each sample
+ * @param {Array} leads - Leads, already cut to the range
+ * @param {number} samplingRate - Sampling rate (Hz)
+ * @param {Array} intervals - Cardiac phase intervals, shifted to the range
+ * @returns {string} CSV text
+ */
+const formatCsv = (leads, samplingRate, intervals) => {
+  const nSamples = leads[0].signal.length;
+  const phases = new Array(nSamples).fill('');
+  intervals.forEach(({ entry, duration, phase }) => {
+    const first = Math.max(0, Math.round(entry * samplingRate));
+    const last = Math.min(nSamples, Math.round((entry + duration) * samplingRate));
+    for (let i = first; i < last; i++) phases[i] = phase;
+  });
+
+  const lines = [['time (s)', ...leads.map(lead => `${lead.name} (${lead.units})`), 'phase'].join(',')];
+  for (let i = 0; i < nSamples; i++) {
+    const values = leads.map(lead => (Number.isFinite(lead.signal[i]) ? lead.signal[i].toFixed(4) : ''));
+    lines.push([(i / samplingRate).toFixed(4), ...values, phases[i]].join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Exports a time range of a signal source
+ * @param {Object} options - Export options
+ * @param {Object} options.source - Signal source (see loadRecord); it needs a signal
+ * @param {Array} options.intervals - Cardiac phase intervals of the source
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {number} [options.start=0] - Range start (s)
+ * @param {number} [options.end=Infinity] - Range end (s), clipped to the recording
+ * @param {string} [options.name] - Base file name, defaults to the source name
+ * @returns {Array<{fileName: string, data: (string|ArrayBuffer|Uint8Array), type: string}>} Files to save
+ * @throws {Error} When the source has no signal, the range is empty or the format is unknown
+ */
+export function exportRecording({ source, intervals, format, start = 0, end = Infinity, name }) {
+  if (!source?.signal || !source.samplingRate) throw new Error('The loaded source has no signal to export');
+
+  // 1. Range in samples, and everything in it shifted to start at zero
+  const { samplingRate } = source;
+  const firstSample = Math.max(0, Math.round(start * samplingRate));
+  const lastSample = Math.min(source.signal.length, Math.round(Math.min(end, source.signal.length / samplingRate) * samplingRate));
+  if (lastSample <= firstSample) throw new Error('The selected range is empty');
+
+  const offset = firstSample / samplingRate;
+  const duration = (lastSample - firstSample) / samplingRate;
+  const leads = sourceLeads(source).map(lead => ({ ...lead, signal: lead.signal.subarray(firstSample, lastSample) }));
+  const rangeIntervals = intervals
+    .map(interval => ({ ...interval, entry: interval.entry - offset }))
+    .filter(interval => interval.entry >= 0 && interval.entry + interval.duration <= duration);
+  const annotations = phaseAnnotations(intervals, samplingRate, source.annotations)
+    .filter(annotation => annotation.sample >= firstSample && annotation.sample < lastSample)
+    .map(annotation => ({ ...annotation, sample: annotation.sample - firstSample, time: annotation.time - offset }));
+  // The rhythm in effect at the cut opens the exported record, as in MIT-BIH files
+  const openingRhythm = firstSample > 0 && rhythmAt(source.annotations || [], offset);
+  if (openingRhythm && !annotations.some(annotation => annotation.sample === 0 && annotation.symbol === '+')) {
+    annotations.unshift(createAnnotation('+', 0, samplingRate, openingRhythm));
+  }
+  const recordName = sanitizeRecordName(name || source.name || 'ecg');
+  const description = `${source.label || recordName}, ${offset.toFixed(3)}–${(offset + duration).toFixed(3)} s`;
+
+  // 2. Encode
+  switch (format) {
+    case EXPORT_FORMATS.CSV:
+      return [{ fileName: `${recordName}.csv`, data: formatCsv(leads, samplingRate, rangeIntervals), type: 'text/csv' }];
+
+    case EXPORT_FORMATS.WFDB: {
+      // MIT-BIH leads keep their original calibration, so their samples are written back unchanged
+      const signals = leads.map((lead, i) => ({
+        ...DEFAULT_SIGNAL_SPEC,
+        ...(source.header?.signals[i] || {}),
+        description: lead.name,
+        units: lead.units
+      }));
+      const channels = leads.map((lead, i) => toAdcUnits(lead.signal, signals[i]));
+      return [
+        {
+          fileName: `${recordName}.hea`,
+          data: formatHeader({ recordName, samplingRate, signals, channels, comments: [`Exported from ${description}`] }),
+          type: 'text/plain'
+        },
+        { fileName: `${recordName}.dat`, data: encodeFormat212(channels), type: 'application/octet-stream' },
+        { fileName: `${recordName}.atr`, data: encodeAnnotations(annotations), type: 'application/octet-stream' }
+      ];
+    }
+
+    case EXPORT_FORMATS.EDF:
+      return [{
+        fileName: `${recordName}.edf`,
+        data: encodeEdf({
+          leads,
+          samplingRate,
+          annotations: annotations.map(annotation => ({ time: annotation.time, text: annotationText(annotation) })),
+          recordingId: recordName
+        }),
+        type: 'application/octet-stream'
+      }];
+
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+/**
+ * Saves files through the browser's download mechanism
+ * @param {Array<{fileName: string, data: (string|ArrayBuffer|Uint8Array), type: string}>} files - Files to save
+ */
+export function downloadFiles(files) {
+  files.forEach(({ fileName, data, type }) => {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { EXPORT_FORMATS, exportRecording, sanitizeRecordName } from './ecgExport';
+import { decodeFormat212, decodeRecord, parseHeader } from './wfdb';
+import { parseAnnotations } from './wfdbAnnotations';
+import { parseEdf } from './edf';
+
+const DATASET_DIR = path.join(__dirname, '../../datasets/mit-bih-arrhythmia-database-1.0.0');
+
+const readBuffer = (fileName) => {
+  const data = fs.readFileSync(path.join(DATASET_DIR, fileName));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+};
+
+// Record 203 as the app loads it: the rhythm changes to (VT at sample 16689
+const header = parseHeader(fs.readFileSync(path.join(DATASET_DIR, '203.hea'), 'utf8'));
+const leads = decodeRecord(header, readBuffer('203.dat'));
+const source = {
+  name: '203',
+  label: 'MIT-BIH 203',
+  samplingRate: 360,
+  signal: leads[0].signal,
+  leads,
+  header,
+  annotations: parseAnnotations(readBuffer('203.atr'), 360)
+};
+const byName = (files) => Object.fromEntries(files.map(file => [file.fileName.split('.').pop(), file.data]));
+
+describe('exportRecording', () => {
+  test('writes MIT-BIH samples back unchanged as WFDB', () => {
+    const files = byName(exportRecording({ source, intervals: [], format: EXPORT_FORMATS.WFDB, start: 40, end: 50 }));
+    const written = parseHeader(files.hea);
+    expect(written).toMatchObject({ recordName: '203', nSignals: 2, samplingRate: 360, nSamples: 3600 });
+
+    const original = decodeFormat212(readBuffer('203.dat'), 2, 18000);
+    decodeFormat212(files.dat.buffer, 2).forEach((channel, i) => {
+      expect(channel).toEqual(original[i].subarray(14400, 18000));
+    });
+
+    // The rhythm in effect at the cut opens the record; the (VT change follows
+    const rhythms = parseAnnotations(files.atr, 360).filter(annotation => annotation.symbol === '+');
+    expect(rhythms.slice(0, 2).map(({ sample, aux }) => [sample, aux])).toEqual([[0, '(AFIB'], [16689 - 14400, '(VT']]);
+  });
+
+  test('writes EDF+ with the rhythm labels as text', () => {
+    const files = byName(exportRecording({ source, intervals: [], format: EXPORT_FORMATS.EDF, start: 40, end: 50, name: 'strip 1' }));
+    const edf = parseEdf(files.edf);
+    expect(edf.leads[0].signal).toHaveLength(3600);
+    expect(edf.annotations.map(annotation => annotation.text)).toEqual(
+      expect.arrayContaining(['Atrial fibrillation', 'Ventricular tachycardia'])
+    );
+  });
+
+  test('writes CSV with a time column', () => {
+    const [file] = exportRecording({ source, intervals: [], format: EXPORT_FORMATS.CSV, start: 0, end: 1 });
+    const lines = file.data.trim().split('\n');
+    expect(file.fileName).toBe('203.csv');
+    expect(lines).toHaveLength(361);
+    expect(lines[0].split(',').slice(0, 3)).toEqual(['time (s)', 'MLII (mV)', 'V1 (mV)']);
+  });
+
+  test('rejects an empty range, a source without signal and an unknown format', () => {
+    expect(() => exportRecording({ source, intervals: [], format: EXPORT_FORMATS.CSV, start: 5, end: 5 })).toThrow('range is empty');
+    expect(() => exportRecording({ source: { ...source, signal: null }, intervals: [], format: EXPORT_FORMATS.CSV })).toThrow('no signal');
+    expect(() => exportRecording({ source, intervals: [], format: 'xls', end: 1 })).toThrow('Unknown export format "xls"');
+  });
+});
+
+test('sanitizeRecordName keeps WFDB-safe characters', () => {
+  expect(sanitizeRecordName(' my strip (1) ')).toBe('my_strip_1_');
+  expect(sanitizeRecordName('  ')).toBe('ecg');
+});
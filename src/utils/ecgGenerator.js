@@ -1,3 +1,284 @@
+/**
+ * Synthetic ECG generator based on the ECGSYN dynamical model
+ * (McSharry et al., "A dynamical model for generating synthetic electrocardiogram
+ * signals", IEEE Trans. Biomed. Eng. 50(3), 2003).
+ *
+ * A trajectory circles a unit limit cycle in the (x, y) plane once per RR interval.
+ * Its angle drives z, the ECG, through five Gaussian kernels (P, Q, R, S, T).
+ * Beat-to-beat variability comes from an RR tachogram with a bimodal LF/HF
+ * spectrum, and the wave angles and widths scale with the instantaneous heart rate,
+ * so QRS narrows and QT shortens as the rate rises.
+ */
+import { buildPqrstIntervals } from './ecgPipeline';
+
+/**
+ * ECGSYN wave parameters
+ * - angle: position on the limit cycle (degrees, R at 0)
+ * - amplitude: kernel strength
+ * - width: kernel width (radians)
+ * - rateExponent: angle scales with (HR/60)^rateExponent (0 = fixed angle)
+ */
+export const ECGSYN_WAVES = [
+  { name: 'P', angle: -70, amplitude: 1.2, width: 0.25, rateExponent: 0.25 },
+  { name: 'Q', angle: -15, amplitude: -5.0, width: 0.1, rateExponent: 0.5 },
+  { name: 'R', angle: 0, amplitude: 30.0, width: 0.1, rateExponent: 0 },
+  { name: 'S', angle: 15, amplitude: -7.5, width: 0.1, rateExponent: 0.5 },
+  { name: 'T', angle: 100, amplitude: 0.75, width: 0.4, rateExponent: 0.5 } // Bazett-like QT
+];
+
+const INTERNAL_RATE = 512;           // Minimum integration rate (Hz), as in ECGSYN
+const MAX_T_ANGLE = 0.8 * Math.PI;   // Keeps the T wave clear of the next P wave at high rates
+const BASELINE_WANDER = 0.005;       // Respiratory baseline amplitude (model units)
+const RR_LIMITS = [0.25, 2.5];       // Physiological bounds for tachogram RR intervals (s)
+
+const degreesToRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Wraps an angle into [-PI, PI)
+const wrapAngle = (angle) => angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+
+// A beat is usable once all five wave peaks were crossed
+const isCompleteBeat = (beat) => ['P', 'Q', 'R', 'S', 'T'].every(name => beat[name] !== undefined);
+
+const gaussian = (f, centre, width) =>
+  Math.exp(-((f - centre) ** 2) / (2 * width * width)) / Math.sqrt(2 * Math.PI * width * width);
+
+/**
+ * Generates an RR tachogram with a bimodal (Mayer wave / respiratory) power spectrum
+ * @param {Object} options - Tachogram options
+ * @param {number} options.duration - Time the RR intervals must cover (seconds)
+ * @param {number} [options.heartRate=60] - Mean heart rate (BPM)
+ * @param {number} [options.heartRateStd=1] - Heart rate standard deviation (BPM)
+ * @param {number} [options.lfHfRatio=0.5] - LF/HF power ratio
+ * @param {number} [options.lfFrequency=0.1] - LF peak frequency (Hz)
+ * @param {number} [options.hfFrequency=0.25] - HF (respiratory) peak frequency (Hz)
+ * @param {number} [options.lfWidth=0.01] - LF peak standard deviation (Hz)
+ * @param {number} [options.hfWidth=0.01] - HF peak standard deviation (Hz)
+ * @param {function} [options.random=Math.random] - Uniform random source in [0, 1)
+ * @returns {Array<number>} Successive RR intervals (seconds)
+ */
+export function generateRrTachogram({
+  duration,
+  heartRate = 60,
+  heartRateStd = 1,
+  lfHfRatio = 0.5,
+  lfFrequency = 0.1,
+  hfFrequency = 0.25,
+  lfWidth = 0.01,
+  hfWidth = 0.01,
+  random = Math.random
+}) {
+  const rrMean = 60 / heartRate;
+  const rrStd = (60 * heartRateStd) / (heartRate * heartRate);
+
+  // 1. Spectrum sampled on a grid fine enough to resolve the LF/HF peaks (RR sampled once per second, so up to 0.5 Hz)
+  const df = 1 / Math.max(duration, 256);
+  const components = [];
+  let variance = 0;
+  for (let f = df; f <= 0.5; f += df) {
+    const power = lfHfRatio * gaussian(f, lfFrequency, lfWidth) + gaussian(f, hfFrequency, hfWidth);
+    components.push({ f, amplitude: Math.sqrt(power), phase: 2 * Math.PI * random() });
+    variance += power / 2;
+  }
+  const scale = variance > 0 ? rrStd / Math.sqrt(variance) : 0;
+
+  // 2. Evaluate the RR process at each beat time
+  const rrIntervals = [];
+  for (let time = 0; time < duration + rrMean; ) {
+    const deviation = components.reduce(
+      (acc, { f, amplitude, phase }) => acc + amplitude * Math.cos(2 * Math.PI * f * time + phase), 0
+    );
+    const rr = Math.min(RR_LIMITS[1], Math.max(RR_LIMITS[0], rrMean + scale * deviation));
+    rrIntervals.push(rr);
+    time += rr;
+  }
+
+  return rrIntervals;
+}
+
+/**
+ * Scales the wave parameters to a beat's RR interval
+ * @param {Array<Object>} waves - Wave parameters (see ECGSYN_WAVES)
+ * @param {number} rr - RR interval (seconds)
+ * @returns {Array<{name: string, angle: number, amplitude: number, width: number}>} Angles and widths in radians
+ */
+const scaleWaves = (waves, rr) => {
+  const rateFactor = 1 / rr; // HR / 60
+  return waves.map(wave => {
+    let angle = degreesToRadians(wave.angle) * rateFactor ** wave.rateExponent;
+    if (wave.name === 'T') angle = Math.min(angle, MAX_T_ANGLE);
+    return {
+      name: wave.name,
+      angle,
+      amplitude: wave.amplitude,
+      width: wave.width * Math.sqrt(rateFactor)
+    };
+  });
+};
+
+/**
+ * Derivatives of the three-dimensional ECGSYN model
+ * @param {Array<number>} state - [x, y, z]
+ * @param {number} omega - Angular velocity (2π / RR)
+ * @param {Array<Object>} waves - Scaled wave parameters
+ * @param {number} baseline - Baseline z0(t)
+ * @returns {Array<number>} [dx/dt, dy/dt, dz/dt]
+ */
+const derivatives = ([x, y, z], omega, waves, baseline) => {
+  const alpha = 1 - Math.sqrt(x * x + y * y);
+  const theta = Math.atan2(y, x);
+
+  let dz = -(z - baseline);
+  waves.forEach(({ angle, amplitude, width }) => {
+    const delta = wrapAngle(theta - angle);
+    dz -= amplitude * delta * Math.exp(-(delta * delta) / (2 * width * width));
+  });
+
+  return [alpha * x - omega * y, alpha * y + omega * x, dz];
+};
+
+/**
+ * Builds the RR intervals and initial limit-cycle angle for the requested beat timing
+ * @param {Object} options - synthesizeEcg options
+ * @returns {{rrIntervals: Array<number>, initialAngle: number}}
+ */
+const planBeats = (options) => {
+  const { beatTimes, duration } = options;
+
+  if (beatTimes && beatTimes.length >= 2) {
+    // Follow the given R-peak times, preceded by whole cycles at the first RR interval
+    const givenRr = beatTimes.slice(1).map((time, i) => time - beatTimes[i]);
+    const firstRr = givenRr[0];
+    const leadingCycles = Math.floor(beatTimes[0] / firstRr);
+    const lead = beatTimes[0] - leadingCycles * firstRr; // Time of the first R-peak
+    return {
+      rrIntervals: [...Array(leadingCycles + 1).fill(firstRr), ...givenRr],
+      initialAngle: wrapAngle(-2 * Math.PI * (lead / firstRr))
+    };
+  }
+
+  // Random tachogram, starting halfway through a cycle
+  return { rrIntervals: generateRrTachogram({ ...options, duration }), initialAngle: -Math.PI };
+};
+
+/**
+ * Synthesizes an ECG with the ECGSYN dynamical model
+ * @param {Object} [options] - Synthesis options
+ * @param {number} [options.duration=10] - Length of the signal (seconds)
+ * @param {number} [options.samplingRate=360] - Output samples per second (Hz)
+ * @param {number} [options.heartRate=60] - Mean heart rate of the random tachogram (BPM)
+ * @param {number} [options.heartRateStd=1] - Heart rate standard deviation (BPM)
+ * @param {number} [options.lfHfRatio=0.5] - LF/HF power ratio of the tachogram
+ * @param {number} [options.lfFrequency=0.1] - LF peak frequency (Hz)
+ * @param {number} [options.hfFrequency=0.25] - HF peak frequency (Hz); also the respiratory baseline rate
+ * @param {Array<number>} [options.beatTimes] - R-peak times (seconds) to follow instead of a random tachogram
+ * @param {Array<Object>} [options.waves=ECGSYN_WAVES] - Wave parameters
+ * @param {Array<number>} [options.amplitudeRange=[-0.4, 1.2]] - Output range of the noiseless signal (mV)
+ * @param {number} [options.noise=0.025] - Uniform measurement noise amplitude (mV)
+ * @param {function} [options.random=Math.random] - Uniform random source in [0, 1)
+ * @returns {Object} Synthesized ECG containing:
+ *   - samples: Array<{time, value}> ECG in mV
+ *   - intervals: Array<{entry, duration, phase}> matching the beats (same format as processEcg)
+ *   - beats: Array<{P, Q, R, S, T}> wave peak sample indices
+ *   - rrIntervals: Array<number> RR intervals used for the beats (seconds)
+ */
+export function synthesizeEcg(options = {}) {
+  const {
+    duration = 10,
+    samplingRate = 360,
+    hfFrequency = 0.25,
+    waves = ECGSYN_WAVES,
+    amplitudeRange = [-0.4, 1.2],
+    noise = 0.025,
+    random = Math.random
+  } = options;
+
+  const { rrIntervals, initialAngle } = planBeats({ ...options, duration, hfFrequency, random });
+  const scaledWaves = rrIntervals.map(rr => scaleWaves(waves, rr));
+
+  // 1. Integrate with fourth-order Runge-Kutta at a multiple of the output rate
+  const substeps = Math.max(1, Math.ceil(INTERNAL_RATE / samplingRate));
+  const dt = 1 / (samplingRate * substeps);
+  const length = Math.round(duration * samplingRate);
+  const z = new Float64Array(length);
+
+  const baselineAt = (time) => BASELINE_WANDER * Math.sin(2 * Math.PI * hfFrequency * time);
+  let state = [Math.cos(initialAngle), Math.sin(initialAngle), 0];
+  let beatIndex = 0; // Index of the RR interval in progress (R-peaks passed so far)
+  let theta = initialAngle;
+  let current = {};  // Wave times of the beat being assembled
+  const beats = [];
+
+  for (let n = 0, step = 0; n < length; step++) {
+    const t = step * dt;
+    const omega = (2 * Math.PI) / rrIntervals[beatIndex];
+    const beatWaves = scaledWaves[beatIndex];
+
+    if (step % substeps === 0) z[n++] = state[2];
+
+    const k1 = derivatives(state, omega, beatWaves, baselineAt(t));
+    const k2 = derivatives(state.map((v, i) => v + (dt / 2) * k1[i]), omega, beatWaves, baselineAt(t + dt / 2));
+    const k3 = derivatives(state.map((v, i) => v + (dt / 2) * k2[i]), omega, beatWaves, baselineAt(t + dt / 2));
+    const k4 = derivatives(state.map((v, i) => v + dt * k3[i]), omega, beatWaves, baselineAt(t + dt));
+    state = state.map((v, i) => v + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+
+    // 2. Record the time each wave angle is crossed during this step
+    const nextTheta = Math.atan2(state[1], state[0]);
+    const advance = wrapAngle(nextTheta - theta);
+    let passedR = false;
+    for (const { name, angle } of beatWaves) {
+      const distance = wrapAngle(angle - theta);
+      if (distance < 0 || distance >= advance) continue;
+
+      const time = t + dt * (distance / advance);
+      current[name] = Math.round(time * samplingRate);
+      if (name === 'R') passedR = true;
+      if (name === 'T') {
+        if (isCompleteBeat(current)) beats.push(current);
+        current = {};
+      }
+    }
+
+    // 3. A new RR interval starts at each R-peak
+    if (passedR && beatIndex < rrIntervals.length - 1) beatIndex++;
+
+    theta = nextTheta;
+  }
+
+  // 4. Scale to millivolts and add measurement noise
+  let zMin = Infinity;
+  let zMax = -Infinity;
+  z.forEach(value => {
+    if (value < zMin) zMin = value;
+    if (value > zMax) zMax = value;
+  });
+  const [low, high] = amplitudeRange;
+  const gain = zMax > zMin ? (high - low) / (zMax - zMin) : 0;
+
+  const samples = Array.from(z, (value, i) => ({
+    time: i / samplingRate,
+    value: low + (value - zMin) * gain + (random() * 2 - 1) * noise
+  }));
+
+  const completeBeats = beats.filter(beat => beat.T < length);
+  return {
+    samples,
+    intervals: buildPqrstIntervals(completeBeats, samplingRate),
+    beats: completeBeats,
+    rrIntervals
+  };
+}
+
+/**
+ * Estimates R-peak times from {entry, duration, phase} intervals (middle of each QRS)
+ * @param {Array<Object>} intervals - Phase intervals
+ * @returns {Array<number>} R-peak times (seconds)
+ */
+export function beatTimesFromIntervals(intervals) {
+  return intervals
+    .filter(interval => interval.phase === 'QRS')
+    .map(interval => interval.entry + interval.duration / 2);
+}
+
 /**
  * Generates synthetic ECG data with realistic PQRST waveform characteristics
  * @param {number} length - Number of data points to generate
@@ -8,45 +289,5 @@
  *   - value: ECG voltage measurement at that time
  */
 export function generateRealisticECG(length, samplingRate, heartRate = 72) {
-  const data = [];
-  // Calculate how many samples make up one cardiac cycle
-  const samplesPerBeat = (60 / heartRate) * samplingRate;
-  
-  // Generate each sample point
-  for (let i = 0; i < length; i++) {
-    // Calculate position within current cardiac cycle (0-1)
-    const posInBeat = (i % samplesPerBeat) / samplesPerBeat;
-    let value = 0; // Baseline value
-    
-    // P Wave (Atrial Depolarization)
-    if (posInBeat >= 0.1 && posInBeat < 0.2) {
-      // Smooth sinusoidal P wave with amplitude 0.25
-      value = 0.25 * Math.sin((posInBeat - 0.1) * Math.PI * 10);
-    }
-    // QRS Complex (Ventricular Depolarization)
-    else if (posInBeat >= 0.2 && posInBeat < 0.3) {
-      // Initial Q wave (negative deflection)
-      value = -0.2 * Math.sin((posInBeat - 0.2) * Math.PI * 20);
-      
-      // Main R wave (large positive spike)
-      if (posInBeat >= 0.22 && posInBeat < 0.28) {
-        value = 1.5 * Math.sin((posInBeat - 0.22) * Math.PI * 16.67);
-      }
-    }
-    // T Wave (Ventricular Repolarization)
-    else if (posInBeat >= 0.4 && posInBeat < 0.6) {
-      // Broad, low-amplitude T wave
-      value = 0.3 * Math.sin((posInBeat - 0.4) * Math.PI * 5);
-    }
-    
-    // Add realistic noise to the signal
-    value += (Math.random() - 0.5) * 0.05; // ±0.025 noise
-    
-    data.push({
-      time: i / samplingRate, // Convert sample index to seconds
-      value: value
-    });
-  }
-  
-  return data;
-}
\ No newline at end of file
+  return synthesizeEcg({ duration: length / samplingRate, samplingRate, heartRate }).samples;
+}
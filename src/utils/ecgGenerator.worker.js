@@ -0,0 +1,15 @@
+import { synthesizeEcg } from './ecgGenerator';
+
+/**
+ * Web Worker entry for the ECG synthesizer
+ * Receives synthesizeEcg options (without `random`) and replies with
+ * { samples, intervals } or { error: string }.
+ */
+globalThis.onmessage = (e) => {
+  try {
+    const { samples, intervals } = synthesizeEcg(e.data);
+    globalThis.postMessage({ samples, intervals });
+  } catch (error) {
+    globalThis.postMessage({ error: error.message });
+  }
+};
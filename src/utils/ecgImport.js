@@ -0,0 +1,284 @@
+/**
+ * Client-side import of user ECG files: CSV, EDF/EDF+ and WFDB record sets
+ *
+ * Every importer produces a recording {name, samplingRate, leads, annotations, header}
+ * with leads in mV and annotations in the shape of parseAnnotations, which
+ * loadImportedSource turns into a signal source. Errors name the exact problem so
+ * students can fix their files.
+ */
+import { decodeRecord, parseHeader } from './wfdb';
+import {
+  BEAT_DESCRIPTIONS,
+  BEAT_SYMBOLS,
+  createAnnotation,
+  parseAnnotations,
+  RHYTHM_LABELS
+} from './wfdbAnnotations';
+import { parseEdf } from './edf';
+
+export const TIME_UNITS = {
+  SECONDS: 's',
+  MILLISECONDS: 'ms'
+};
+
+export const SIGNAL_UNITS = ['mV', 'µV', 'V'];
+
+const CHECKED_ROWS = 100;     // Rows inspected to tell numeric columns from labels
+const MAX_TIME_JITTER = 0.1;  // Fraction of the sampling interval a CSV time step may deviate
+const UNIT_SCALES = { mv: 1, uv: 1e-3, 'µv': 1e-3, v: 1e3 };  // To mV
+
+/**
+ * File name without its extension
+ * @param {string} fileName - File name
+ * @returns {string} Base name
+ */
+const baseName = (fileName) => fileName.replace(/\.[^.]*$/, '');
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} Extension without the dot, e.g. "hea"
+ */
+const extension = (fileName) => (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+/**
+ * Converts a lead to mV where its units are known
+ * @param {{name: string, units: string, signal: Float32Array}} lead - Lead in its own units
+ * @returns {{name: string, units: string, signal: Float32Array}} Lead in mV (unknown units are kept)
+ */
+const toMillivolts = (lead) => {
+  const scale = UNIT_SCALES[(lead.units || 'mV').toLowerCase()];
+  if (scale === undefined) return lead;
+  const signal = scale === 1 ? lead.signal : lead.signal.map(value => value * scale);
+  return { ...lead, units: 'mV', signal };
+};
+
+// EDF+ annotation text -> WFDB symbol and aux, so exported EDF files import with their labels
+const EDF_TEXT_ANNOTATIONS = new Map([
+  ...Object.entries(BEAT_DESCRIPTIONS).map(([symbol, text]) => [text, { symbol, aux: '' }]),
+  ...[...BEAT_SYMBOLS].map(symbol => [symbol, { symbol, aux: '' }]),
+  ...Object.entries(RHYTHM_LABELS).flatMap(([aux, text]) => [[text, { symbol: '+', aux }], [aux, { symbol: '+', aux }]])
+]);
+
+/**
+ * Splits CSV text into a table, detecting the delimiter and a header row
+ * @param {string} text - File contents
+ * @returns {{columns: Array<string>, rows: Array<Array<string>>, lineNumbers: Array<number>}} Table;
+ *   `lineNumbers` holds the file line of each row, for error messages
+ * @throws {Error} When the file has no data rows or a row has the wrong number of columns
+ */
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const sample = lines.find(line => line.trim() && !line.startsWith('#')) || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    sample.split(candidate).length > sample.split(best).length ? candidate : best, ',');
+
+  const table = [];
+  lines.forEach((line, index) => {
+    if (line.trim() && !line.startsWith('#')) table.push({ line: index + 1, cells: line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')) });
+  });
+  if (!table.length) throw new Error('CSV file is empty');
+
+  // A first row with a non-numeric cell is the header
+  const hasHeader = table[0].cells.some(cell => cell === '' || !Number.isFinite(Number(cell)));
+  const columns = hasHeader ? table[0].cells : table[0].cells.map((_, i) => `Column ${i + 1}`);
+  const data = hasHeader ? table.slice(1) : table;
+  if (!data.length) throw new Error('CSV file has a header but no data rows');
+
+  const mismatched = data.find(row => row.cells.length !== columns.length);
+  if (mismatched) {
+    throw new Error(`CSV line ${mismatched.line} has ${mismatched.cells.length} columns, the ${hasHeader ? 'header' : 'first row'} has ${columns.length}`);
+  }
+
+  return { columns, rows: data.map(row => row.cells), lineNumbers: data.map(row => row.line) };
+}
+
+/**
+ * Proposes a column mapping for a CSV table
+ * A column named like "time" or "t" becomes the time axis; the other numeric columns are leads.
+ * @param {Object} table - Result of parseCsv
+ * @returns {{timeColumn: number, timeUnit: string, samplingRate: number|null, leadColumns: Array<number>, units: string}}
+ *   Mapping; timeColumn is -1 without a time axis
+ */
+export function guessCsvMapping(table) {
+  const timeColumn = table.columns.findIndex(column => /^(t|time|sec|seconds|ms|timestamp|elapsed)\b/i.test(column.trim()));
+  const timeUnit = timeColumn >= 0 && /ms|milli/i.test(table.columns[timeColumn]) ? TIME_UNITS.MILLISECONDS : TIME_UNITS.SECONDS;
+  const numeric = (column) => table.rows.slice(0, CHECKED_ROWS).every(row => row[column] !== '' && Number.isFinite(Number(row[column])));
+  const leadColumns = table.columns.map((_, i) => i).filter(i => i !== timeColumn && numeric(i));
+  const unitColumn = table.columns.find(column => /\((µ|u)v\)|_(µ|u)v\b/i.test(column));
+
+  let samplingRate = null;
+  if (timeColumn >= 0 && table.rows.length > 1) {
+    const first = Number(table.rows[0][timeColumn]);
+    const last = Number(table.rows[table.rows.length - 1][timeColumn]);
+    const step = ((last - first) / (table.rows.length - 1)) * (timeUnit === TIME_UNITS.MILLISECONDS ? 1e-3 : 1);
+    if (step > 0) samplingRate = Math.round((1 / step) * 100) / 100;
+  }
+
+  return { timeColumn, timeUnit, samplingRate, leadColumns, units: unitColumn ? 'µV' : 'mV' };
+}
+
+/**
+ * Builds a recording from a CSV table and a column mapping
+ * @param {Object} table - Result of parseCsv
+ * @param {Object} mapping - Column mapping (see guessCsvMapping)
+ * @param {string} name - Recording name
+ * @returns {Object} Recording {name, samplingRate, leads, annotations, header}
+ * @throws {Error} Naming the line and column of a non-numeric value, an unevenly sampled
+ *   time column, or a missing sampling rate or lead
+ */
+export function csvRecording(table, { timeColumn, timeUnit, samplingRate, leadColumns, units }, name) {
+  if (!leadColumns.length) throw new Error('Choose at least one signal column');
+  if (leadColumns.includes(timeColumn)) throw new Error(`Column "${table.columns[timeColumn]}" cannot be both time and signal`);
+
+  const numbers = (column) => {
+    const values = new Float64Array(table.rows.length);
+    table.rows.forEach((row, i) => {
+      const value = Number(row[column]);
+      if (row[column] === '' || !Number.isFinite(value)) {
+        throw new Error(`CSV line ${table.lineNumbers[i]}, column "${table.columns[column]}": "${row[column]}" is not a number`);
+      }
+      values[i] = value;
+    });
+    return values;
+  };
+
+  // 1. Sampling rate from the time column, which must be evenly spaced
+  let rate = samplingRate;
+  if (timeColumn >= 0) {
+    const times = numbers(timeColumn);
+    const scale = timeUnit === TIME_UNITS.MILLISECONDS ? 1e-3 : 1;
+    const step = ((times[times.length - 1] - times[0]) / (times.length - 1)) * scale;
+    if (!(step > 0)) throw new Error(`Time column "${table.columns[timeColumn]}" does not increase`);
+    // Steps are compared with the median step, so the error names the line that is off
+    const steps = times.slice(1).map((time, i) => (time - times[i]) * scale);
+    const typical = steps.slice().sort()[steps.length >> 1];
+    for (let i = 0; i < steps.length; i++) {
+      if (Math.abs(steps[i] - typical) > typical * MAX_TIME_JITTER) {
+        throw new Error(`Time column "${table.columns[timeColumn]}" is not evenly sampled at CSV line ${table.lineNumbers[i + 1]}`);
+      }
+    }
+    rate = rate || 1 / step;
+  }
+  if (!(rate > 0)) throw new Error('Enter the sampling rate: the CSV has no time column');
+
+  // 2. Leads
+  const leads = leadColumns.map(column => toMillivolts({
+    name: table.columns[column].replace(/\s*\([^)]*\)$/, '') || `Column ${column + 1}`,  // "II (mV)" -> "II"
+    units,
+    signal: Float32Array.from(numbers(column))
+  }));
+
+  return { name, samplingRate: rate, leads, annotations: [], header: null };
+}
+
+/**
+ * Reads a WFDB record set: a .hea header, its .dat signal file and optionally an .atr
+ * @param {Array<File>} files - Dropped or picked files
+ * @returns {Promise<Object>} Recording {name, samplingRate, leads, annotations, header}
+ * @throws {Error} When the header is missing or malformed, its signal file is missing or
+ *   uses an unsupported format, or the lengths do not match
+ */
+export async function importWfdb(files) {
+  const headers = files.filter(file => extension(file.name) === 'hea');
+  if (headers.length !== 1) {
+    throw new Error(headers.length
+      ? `Drop one WFDB record at a time (got ${headers.map(file => file.name).join(', ')})`
+      : 'A WFDB record needs its .hea header file');
+  }
+
+  // 1. Header
+  let header;
+  try {
+    header = parseHeader(await headers[0].text());
+  } catch (error) {
+    throw new Error(`Bad header ${headers[0].name}: ${error.message}`);
+  }
+  if (!(header.samplingRate > 0)) throw new Error(`Bad header ${headers[0].name}: sampling rate is not a positive number`);
+
+  // 2. Signal file named by the header
+  const { fileName } = header.signals[0];
+  const datFile = files.find(file => file.name === fileName);
+  if (!datFile) throw new Error(`Header ${headers[0].name} names signal file ${fileName}, which was not included`);
+  const leads = decodeRecord(header, await datFile.arrayBuffer()).map(toMillivolts);
+
+  // 3. Reference annotations, when present
+  const atrFile = files.find(file => file.name === `${header.recordName}.atr`) || files.find(file => extension(file.name) === 'atr');
+  let annotations = [];
+  if (atrFile) {
+    try {
+      annotations = parseAnnotations(await atrFile.arrayBuffer(), header.samplingRate);
+    } catch (error) {
+      throw new Error(`Bad annotation file ${atrFile.name}: ${error.message}`);
+    }
+  }
+
+  return { name: header.recordName, samplingRate: header.samplingRate, leads, annotations, header };
+}
+
+/**
+ * Reads an EDF or EDF+ file; EDF+ annotations naming a beat type or rhythm become WFDB annotations
+ * @param {File} file - .edf file
+ * @returns {Promise<Object>} Recording {name, samplingRate, leads, annotations, header, skipped}
+ * @throws {Error} When the file is not valid EDF (see parseEdf)
+ */
+export async function importEdf(file) {
+  let edf;
+  try {
+    edf = parseEdf(await file.arrayBuffer());
+  } catch (error) {
+    throw new Error(`${file.name}: ${error.message}`);
+  }
+
+  const { samplingRate } = edf;
+  const annotations = edf.annotations
+    .map(({ time, text }) => ({ time, mapped: EDF_TEXT_ANNOTATIONS.get(text.trim()) }))
+    .filter(({ time, mapped }) => mapped && time >= 0)
+    .map(({ time, mapped }) => createAnnotation(mapped.symbol, Math.round(time * samplingRate), samplingRate, mapped.aux));
+
+  return {
+    name: baseName(file.name),
+    samplingRate,
+    leads: edf.leads.map(toMillivolts),
+    annotations,
+    header: null,
+    skipped: edf.skipped
+  };
+}
+
+/**
+ * Sorts dropped or picked files into one import
+ * @param {FileList|Array<File>} fileList - Files
+ * @returns {Promise<Object>} Either {kind: 'csv', name, table, mapping} awaiting a column
+ *   mapping, or {kind: 'recording', recording}
+ * @throws {Error} When the files are not a single CSV, a single EDF or one WFDB record set
+ */
+export async function readImportFiles(fileList) {
+  const files = Array.from(fileList);
+  if (!files.length) throw new Error('No files to import');
+  const kinds = new Set(files.map(file => extension(file.name)));
+
+  if (kinds.has('hea') || kinds.has('dat') || kinds.has('atr')) {
+    const others = files.filter(file => !['hea', 'dat', 'atr'].includes(extension(file.name)));
+    if (others.length) throw new Error(`WFDB records are imported on their own (also got ${others.map(file => file.name).join(', ')})`);
+    return { kind: 'recording', recording: await importWfdb(files) };
+  }
+
+  if (files.length > 1) throw new Error('Drop one CSV or EDF file, or the .hea/.dat/.atr files of one WFDB record');
+  const [file] = files;
+
+  switch (extension(file.name)) {
+    case 'csv':
+    case 'txt':
+    case 'tsv': {
+      const table = parseCsv(await file.text());
+      return { kind: 'csv', name: baseName(file.name), table, mapping: guessCsvMapping(table) };
+    }
+    case 'edf':
+      return { kind: 'recording', recording: await importEdf(file) };
+    case 'bdf':
+      throw new Error(`${file.name}: BDF (24-bit) files are not supported, only EDF`);
+    default:
+      throw new Error(`${file.name}: unsupported file type; expected .csv, .edf or a .hea/.dat/.atr set`);
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { csvRecording, guessCsvMapping, importEdf, importWfdb, parseCsv, readImportFiles, TIME_UNITS } from './ecgImport';
+import { encodeEdf } from './edf';
+
+const DATASET_DIR = path.join(__dirname, '../../datasets/mit-bih-arrhythmia-database-1.0.0');
+
+// Minimal stand-in for a dropped File
+const file = (name, contents) => {
+  const bytes = typeof contents === 'string' ? Buffer.from(contents, 'utf8') : Buffer.from(contents);
+  return {
+    name,
+    text: async () => bytes.toString('utf8'),
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+  };
+};
+const datasetFile = (fileName) => file(fileName, fs.readFileSync(path.join(DATASET_DIR, fileName)));
+
+describe('CSV import', () => {
+  test('reads a table with a time column in ms and µV leads', () => {
+    const table = parseCsv('# exported strip\ntime (ms);II (µV);V1 (µV)\n0;100;-50\n4;200;-60\n8;300;-70\n');
+    const mapping = guessCsvMapping(table);
+    expect(mapping).toEqual({ timeColumn: 0, timeUnit: TIME_UNITS.MILLISECONDS, samplingRate: 250, leadColumns: [1, 2], units: 'µV' });
+
+    const recording = csvRecording(table, mapping, 'strip');
+    expect(recording.samplingRate).toBe(250);
+    expect(recording.leads.map(lead => [lead.name, lead.units])).toEqual([['II', 'mV'], ['V1', 'mV']]);
+    expect(Array.from(recording.leads[0].signal)).toEqual([0.1, 0.2, 0.3].map(Math.fround));
+  });
+
+  test('rejects an empty file and a header without rows', () => {
+    expect(() => parseCsv('\n# only a comment\n')).toThrow('CSV file is empty');
+    expect(() => parseCsv('time,II\n')).toThrow('CSV file has a header but no data rows');
+  });
+
+  test('rejects a row with a mismatched number of columns', () => {
+    expect(() => parseCsv('time,II\n0,1\n0.004,2,3\n')).toThrow('CSV line 3 has 3 columns, the header has 2');
+    expect(() => parseCsv('0,1\n0.004\n')).toThrow('CSV line 2 has 1 columns, the first row has 2');
+  });
+
+  test('names the line and column of a bad value', () => {
+    const table = parseCsv('time,II\n0,1\n0.004,n/a\n');
+    expect(() => csvRecording(table, { ...guessCsvMapping(table), leadColumns: [1] }, 'x'))
+      .toThrow('CSV line 3, column "II": "n/a" is not a number');
+  });
+
+  test('rejects an unevenly sampled or decreasing time column', () => {
+    const uneven = parseCsv('time,II\n0,1\n0.004,2\n0.012,3\n0.016,4\n');
+    expect(() => csvRecording(uneven, guessCsvMapping(uneven), 'x')).toThrow('is not evenly sampled at CSV line 4');
+    const decreasing = parseCsv('time,II\n0.008,1\n0.004,2\n0,3\n');
+    expect(() => csvRecording(decreasing, guessCsvMapping(decreasing), 'x')).toThrow('Time column "time" does not increase');
+  });
+
+  test('needs a sampling rate and a signal column', () => {
+    const table = parseCsv('II\n1\n2\n');
+    const mapping = guessCsvMapping(table);
+    expect(mapping.timeColumn).toBe(-1);
+    expect(() => csvRecording(table, mapping, 'x')).toThrow('Enter the sampling rate');
+    expect(csvRecording(table, { ...mapping, samplingRate: 500 }, 'x').samplingRate).toBe(500);
+    expect(() => csvRecording(table, { ...mapping, leadColumns: [] }, 'x')).toThrow('Choose at least one signal column');
+  });
+});
+
+describe('WFDB import', () => {
+  test('reads record 100 with its annotations', async () => {
+    const recording = await importWfdb(['100.hea', '100.dat', '100.atr'].map(datasetFile));
+    expect(recording.name).toBe('100');
+    expect(recording.samplingRate).toBe(360);
+    expect(recording.leads.map(lead => lead.signal.length)).toEqual([650000, 650000]);
+    expect(recording.annotations).toHaveLength(2274);
+  });
+
+  test('needs exactly one header and the signal file it names', async () => {
+    await expect(importWfdb([datasetFile('100.dat')])).rejects.toThrow('A WFDB record needs its .hea header file');
+    await expect(importWfdb([datasetFile('100.hea'), datasetFile('101.hea')])).rejects.toThrow('Drop one WFDB record at a time');
+    await expect(importWfdb([datasetFile('100.hea'), datasetFile('101.dat')]))
+      .rejects.toThrow('Header 100.hea names signal file 100.dat, which was not included');
+  });
+
+  test('rejects a malformed header or unsupported format', async () => {
+    await expect(importWfdb([file('x.hea', 'x two 250\n')])).rejects.toThrow('Bad header x.hea: Malformed record line');
+    await expect(importWfdb([file('x.hea', 'x 0 250\n')])).rejects.toThrow('Bad header x.hea: Record x has no signals');
+    const format80 = file('x.hea', 'x 1 250 4\nx.dat 80 100/mV 8 0 0 0 0 I\n');
+    await expect(importWfdb([format80, file('x.dat', new Uint8Array(4))])).rejects.toThrow('Unsupported WFDB format 80');
+  });
+
+  test('rejects a signal file shorter than the header declares', async () => {
+    const header = file('x.hea', 'x 2 250 1000\nx.dat 212 200 11 1024 0 0 0 I\nx.dat 212 200 11 1024 0 0 0 II\n');
+    await expect(importWfdb([header, file('x.dat', new Uint8Array(300))]))
+      .rejects.toThrow('Signal file x.dat holds 100 samples per signal, the header declares 1000');
+  });
+
+  test('rejects a truncated annotation file', async () => {
+    const atr = fs.readFileSync(path.join(DATASET_DIR, '100.atr')).subarray(0, 6);
+    await expect(importWfdb([datasetFile('100.hea'), datasetFile('100.dat'), file('100.atr', atr)]))
+      .rejects.toThrow('Bad annotation file 100.atr: Truncated AUX field');
+  });
+});
+
+describe('EDF import', () => {
+  const leads = [{ name: 'II', units: 'uV', signal: Float32Array.from({ length: 500 }, (_, i) => 1000 * Math.sin(i / 20)) }];
+  const annotations = [{ time: 0.5, text: 'Normal beat' }, { time: 1, text: 'Atrial fibrillation' }, { time: 1.5, text: 'Lights off' }];
+  const edf = encodeEdf({ leads, samplingRate: 250, annotations });
+
+  test('maps beat and rhythm annotations and converts to mV', async () => {
+    const recording = await importEdf(file('strip.edf', new Uint8Array(edf)));
+    expect(recording.name).toBe('strip');
+    expect(recording.leads[0].units).toBe('mV');
+    expect(recording.leads[0].signal[100]).toBeCloseTo(Math.sin(5), 3);
+    expect(recording.annotations.map(({ sample, symbol, aux }) => [sample, symbol, aux])).toEqual([[125, 'N', ''], [250, '+', '(AFIB']]);
+  });
+
+  test('names the file in truncation errors', async () => {
+    await expect(importEdf(file('strip.edf', new Uint8Array(edf.slice(0, 200))))).rejects.toThrow('strip.edf: EDF header is truncated');
+    await expect(importEdf(file('strip.edf', new Uint8Array(edf.slice(0, edf.byteLength - 1)))))
+      .rejects.toThrow('strip.edf: EDF data is truncated: the header declares 2 data records, the file holds 1');
+  });
+});
+
+describe('readImportFiles', () => {
+  test('sorts files by type', async () => {
+    await expect(readImportFiles([file('a.csv', 't,II\n0,1\n1,2\n')])).resolves.toMatchObject({ kind: 'csv', name: 'a' });
+  });
+
+  test('rejects unsupported and mixed files', async () => {
+    await expect(readImportFiles([])).rejects.toThrow('No files to import');
+    await expect(readImportFiles([file('scan.png', '')])).rejects.toThrow('scan.png: unsupported file type');
+    await expect(readImportFiles([file('night.bdf', '')])).rejects.toThrow('night.bdf: BDF (24-bit) files are not supported');
+    await expect(readImportFiles([file('a.csv', ''), file('b.csv', '')])).rejects.toThrow('Drop one CSV or EDF file');
+    await expect(readImportFiles([datasetFile('100.hea'), file('a.csv', '')])).rejects.toThrow('WFDB records are imported on their own (also got a.csv)');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * ECG paper geometry: standard sweep speeds and gains, and their scale on screen
+ *
+ * Screens are measured in CSS pixels, nominally 96 per inch. The true size depends on the
+ * display, so the scale comes from the screen's physical DPI and the device pixel ratio.
+ */
+
+export const PAPER_SPEEDS = [12.5, 25, 50]; // mm/s
+export const PAPER_GAINS = [5, 10, 20];     // mm/mV
+
+export const DEFAULT_PAPER = {
+  enabled: false,
+  speed: 25,
+  gain: 10,
+  dpi: null // Physical screen DPI; null assumes the nominal 96 CSS pixels per inch
+};
+
+export const CALIBRATION_PULSE = {
+  MILLIVOLTS: 1,
+  SECONDS: 0.2,
+  LEAD_MM: 2 // Flat baseline either side of the pulse
+};
+
+const MM_PER_INCH = 25.4;
+const CSS_PIXELS_PER_INCH = 96;
+const BASELINE_FRACTION = 0.65; // Isoelectric line, from the top of the strip
+
+export const PAPER_COLORS = {
+  BACKGROUND: '#fff8f8',
+  MINOR: 'rgba(240, 150, 150, 0.25)',
+  MAJOR: 'rgba(220, 80, 80, 0.45)',
+  TRACE: '#111111'
+};
+
+/**
+ * Nominal physical DPI of this screen (96 CSS pixels per inch)
+ * @returns {number} Device pixels per inch
+ */
+export function nominalDpi() {
+  return CSS_PIXELS_PER_INCH * (window.devicePixelRatio || 1);
+}
+
+/**
+ * CSS pixels per millimetre
+ * @param {number|null} dpi - Physical screen DPI (device pixels per inch); null for the nominal scale
+ * @returns {number} CSS pixels per mm
+ * @throws {Error} If the DPI is not a positive number
+ */
+export function pixelsPerMm(dpi) {
+  if (dpi === null || dpi === undefined) return CSS_PIXELS_PER_INCH / MM_PER_INCH;
+  if (!(dpi > 0)) throw new Error(`Invalid screen DPI: ${dpi}`);
+  return dpi / (window.devicePixelRatio || 1) / MM_PER_INCH;
+}
+
+/**
+ * Time and voltage span of a strip drawn on calibrated paper
+ * @param {Object} params - Strip parameters
+ * @param {number} params.width - Strip width (CSS px)
+ * @param {number} params.height - Strip height (CSS px)
+ * @param {number} params.speed - Sweep speed (mm/s)
+ * @param {number} params.gain - Gain (mm/mV)
+ * @param {number|null} params.dpi - Physical screen DPI
+ * @returns {{mm: number, seconds: number, yMin: number, yMax: number}} Pixels per mm, seconds
+ *   across the strip and the voltage range (mV) that fills its height
+ */
+export function paperGeometry({ width, height, speed, gain, dpi }) {
+  const mm = pixelsPerMm(dpi);
+  const millivolts = height / (mm * gain);
+  return {
+    mm,
+    seconds: width / (mm * speed),
+    yMin: -millivolts * (1 - BASELINE_FRACTION),
+    yMax: millivolts * BASELINE_FRACTION
+  };
+}
+
+/**
+ * Lays out a strip of samples on the screen
+ * On paper the strip spans as many samples as fit at the sweep speed, and the voltage range
+ * follows the gain; otherwise the strip keeps its monitor defaults.
+ * @param {Object} params - Strip parameters
+ * @param {Object} params.paper - Paper settings {enabled, speed, gain, dpi}
+ * @param {number} params.width - Strip width (CSS px)
+ * @param {number} params.height - Strip height (CSS px)
+ * @param {number} params.samplingRate - Samples per second
+ * @param {{points: number, yMin: number, yMax: number}} params.monitor - Layout without paper
+ * @returns {{points: number, yMin: number, yMax: number, mm: number|null, calibrationPoints: number}}
+ *   Samples across the strip, voltage range (mV), pixels per mm and samples hidden by the
+ *   calibration pulse
+ */
+export function stripLayout({ paper, width, height, samplingRate, monitor }) {
+  if (!paper.enabled || !(width > 0) || !(height > 0)) {
+    return { ...monitor, mm: null, calibrationPoints: 0 };
+  }
+  const { mm, seconds, yMin, yMax } = paperGeometry({ width, height, ...paper });
+  const points = Math.max(2, Math.round(seconds * samplingRate));
+  return {
+    points,
+    yMin,
+    yMax,
+    mm,
+    calibrationPoints: Math.ceil((calibrationPulseWidth(paper, mm) / width) * points)
+  };
+}
+
+/**
+ * Width of the calibration pulse with its flat lead-in and lead-out
+ * @param {Object} paper - Paper settings {speed}
+ * @param {number} mm - Pixels per mm
+ * @returns {number} Width (px)
+ */
+export function calibrationPulseWidth({ speed }, mm) {
+  return (CALIBRATION_PULSE.SECONDS * speed + 2 * CALIBRATION_PULSE.LEAD_MM) * mm;
+}
+
+/**
+ * Fills an area with paper: 1 mm minor and 5 mm major lines, aligned to its top-left corner
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{left: number, top: number, right: number, bottom: number}} area - Area to fill (px)
+ * @param {number} mm - Pixels per mm
+ */
+export function drawPaperGrid(ctx, area, mm) {
+  const { left, top, right, bottom } = area;
+  ctx.save();
+  ctx.fillStyle = PAPER_COLORS.BACKGROUND;
+  ctx.fillRect(left, top, right - left, bottom - top);
+  ctx.lineWidth = 1;
+
+  [[mm, PAPER_COLORS.MINOR], [5 * mm, PAPER_COLORS.MAJOR]].forEach(([step, color]) => {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    for (let x = left; x <= right; x += step) {
+      ctx.moveTo(Math.round(x) + 0.5, top);
+      ctx.lineTo(Math.round(x) + 0.5, bottom);
+    }
+    for (let y = top; y <= bottom; y += step) {
+      ctx.moveTo(left, Math.round(y) + 0.5);
+      ctx.lineTo(right, Math.round(y) + 0.5);
+    }
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+/**
+ * Draws the 1 mV, 200 ms calibration pulse
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left end of the pulse (px)
+ * @param {number} baseline - Pixel row of 0 mV
+ * @param {Object} paper - Paper settings {speed, gain}
+ * @param {number} mm - Pixels per mm
+ * @returns {number} Right end of the pulse (px)
+ */
+export function drawCalibrationPulse(ctx, x, baseline, { speed, gain }, mm) {
+  const width = CALIBRATION_PULSE.SECONDS * speed * mm;
+  const height = CALIBRATION_PULSE.MILLIVOLTS * gain * mm;
+  const lead = CALIBRATION_PULSE.LEAD_MM * mm;
+
+  ctx.save();
+  ctx.strokeStyle = PAPER_COLORS.TRACE;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(x, baseline);
+  ctx.lineTo(x + lead, baseline);
+  ctx.lineTo(x + lead, baseline - height);
+  ctx.lineTo(x + lead + width, baseline - height);
+  ctx.lineTo(x + lead + width, baseline);
+  ctx.lineTo(x + 2 * lead + width, baseline);
+  ctx.stroke();
+  ctx.restore();
+  return x + 2 * lead + width;
+}
+
+/**
+ * Chart.js plugin that draws paper and the calibration pulse behind the trace
+ * @param {Object} paperRef - Ref holding { paper, mm } for the current layout
+ * @returns {Object} Chart.js plugin
+ */
+export const createPaperPlugin = (paperRef) => ({
+  id: 'ecgPaper',
+  beforeDatasetsDraw(chart) {
+    const { paper, mm } = paperRef.current;
+    if (!paper.enabled || !mm) return;
+
+    const { ctx, chartArea, scales: { y } } = chart;
+    drawPaperGrid(ctx, chartArea, mm);
+    drawCalibrationPulse(ctx, chartArea.left, y.getPixelForValue(0), paper, mm);
+  }
+});
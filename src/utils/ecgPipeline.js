@@ -0,0 +1,355 @@
+/**
+ * ECG signal processing pipeline, ported from notebooks/heart_analysis_colab.ipynb
+ *
+ * 1. FIR bandpass filter (3-45 Hz, 101 taps, Hamming window)
+ * 2. Hamilton-style R-peak detection
+ * 3. P/Q/R/S/T point delineation relative to each R-peak
+ * 4. Conversion to the {entry, duration, phase} interval format (save_pqrst_intervals)
+ * 5. Wave boundaries (P onset, QRS onset/offset, T end) for interval measurement
+ * 6. Online detection over the newest seconds of a signal that is still streaming in
+ *
+ * Everything here is plain computation so it can run in a Web Worker or in Node.
+ */
+
+import { delineateBoundaries } from './intervalMeasurement';
+
+// Delineation windows (seconds), same as detect_pqrst_points in the notebook
+const Q_WINDOW = 0.08;
+const S_WINDOW = 0.08;
+const P_WINDOW = 0.2;
+const T_WINDOW = 0.4;
+
+// Hamilton detector parameters
+const MOVING_AVERAGE_WINDOW = 0.08; // 80 ms integration window
+const REFRACTORY_PERIOD = 0.2;      // No two QRS complexes within 200 ms
+const THRESHOLD_COEFFICIENT = 0.3125;
+const SEARCH_BACK_FACTOR = 1.5;     // Search back after 1.5 average RR without a beat
+const HISTORY_LENGTH = 8;           // Peaks/RR intervals kept for the adaptive threshold
+
+// Online detection over a sliding window
+const ONLINE_WINDOW = 8;            // Seconds analysed per update, enough for the threshold to settle
+const ONLINE_EDGE = 0.5;            // Beats this close to the window start are left to earlier updates
+const ONLINE_CONFIRM_DELAY = 0.6;   // Seconds after an R-peak before its T search window is complete
+
+/**
+ * Designs a linear-phase bandpass FIR filter (equivalent to scipy.signal.firwin with pass_zero=False)
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @param {number} [lowcut=3] - Lower cutoff frequency (Hz)
+ * @param {number} [highcut=45] - Upper cutoff frequency (Hz)
+ * @param {number} [numtaps=101] - Filter length (odd)
+ * @returns {Float64Array} Filter coefficients, scaled to unity gain at the passband centre
+ */
+export function designBandpassFir(samplingRate, lowcut = 3, highcut = 45, numtaps = 101) {
+  const nyquist = samplingRate / 2;
+  const low = lowcut / nyquist;
+  const high = Math.min(highcut, nyquist * 0.99) / nyquist;
+  const middle = (numtaps - 1) / 2;
+  const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+  const taps = new Float64Array(numtaps);
+
+  for (let n = 0; n < numtaps; n++) {
+    const m = n - middle;
+    const ideal = high * sinc(high * m) - low * sinc(low * m);
+    const hamming = 0.54 - 0.46 * Math.cos((2 * Math.PI * n) / (numtaps - 1));
+    taps[n] = ideal * hamming;
+  }
+
+  // Scale so the gain at the centre of the passband is exactly 1
+  const centre = (low + high) / 2;
+  let gain = 0;
+  for (let n = 0; n < numtaps; n++) {
+    gain += taps[n] * Math.cos(Math.PI * (n - middle) * centre);
+  }
+  for (let n = 0; n < numtaps; n++) taps[n] /= gain;
+
+  return taps;
+}
+
+/**
+ * Applies an FIR filter without phase shift: the (numtaps - 1) / 2 sample group
+ * delay that scipy.signal.lfilter introduces is compensated, so detected points
+ * line up with the raw signal and the annotation files.
+ * @param {ArrayLike<number>} signal - Input samples
+ * @param {Float64Array} taps - FIR coefficients
+ * @returns {Float32Array} Filtered signal
+ */
+export function applyFir(signal, taps) {
+  const length = signal.length;
+  const delay = (taps.length - 1) >> 1;
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    let acc = 0;
+    for (let k = 0; k < taps.length; k++) {
+      const index = i + delay - k;
+      if (index >= 0 && index < length) acc += taps[k] * signal[index];
+    }
+    output[i] = acc;
+  }
+
+  return output;
+}
+
+/**
+ * Builds the Hamilton detection signal: |derivative| smoothed by an 80 ms moving average
+ * @param {Float32Array} filtered - Bandpass-filtered ECG
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Float32Array} Detection signal
+ */
+const buildDetectionSignal = (filtered, samplingRate) => {
+  const length = filtered.length;
+  const derivative = new Float32Array(length);
+  for (let i = 1; i < length - 1; i++) {
+    derivative[i] = Math.abs(filtered[i + 1] - filtered[i - 1]);
+  }
+
+  // Centred moving average via a running sum
+  const half = Math.max(1, Math.round((MOVING_AVERAGE_WINDOW * samplingRate) / 2));
+  const averaged = new Float32Array(length);
+  let sum = 0;
+  for (let i = 0; i < Math.min(half, length); i++) sum += derivative[i];
+  for (let i = 0; i < length; i++) {
+    if (i + half < length) sum += derivative[i + half];
+    if (i - half - 1 >= 0) sum -= derivative[i - half - 1];
+    averaged[i] = sum / (2 * half + 1);
+  }
+
+  return averaged;
+};
+
+const mean = (values) => values.reduce((acc, value) => acc + value, 0) / values.length;
+
+/**
+ * Locates the R-peak (largest deflection) near a detection-signal peak
+ * @param {Float32Array} filtered - Bandpass-filtered ECG
+ * @param {number} index - Sample index of the detection peak
+ * @param {number} radius - Search radius in samples
+ * @returns {number} Sample index of the R-peak
+ */
+const locateRPeak = (filtered, index, radius) => {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(filtered.length - 1, index + radius);
+  let maxIndex = start;
+  let minIndex = start;
+
+  for (let i = start; i <= end; i++) {
+    if (filtered[i] > filtered[maxIndex]) maxIndex = i;
+    if (filtered[i] < filtered[minIndex]) minIndex = i;
+  }
+
+  // Predominantly negative complexes (e.g. some PVCs) peak downwards
+  return -filtered[minIndex] > 2 * filtered[maxIndex] ? minIndex : maxIndex;
+};
+
+/**
+ * Detects R-peaks with an adaptive-threshold Hamilton segmenter
+ * @param {Float32Array} filtered - Bandpass-filtered ECG
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Array<number>} Sample indices of detected R-peaks, ascending
+ */
+export function detectRPeaks(filtered, samplingRate) {
+  const detection = buildDetectionSignal(filtered, samplingRate);
+  const refractory = Math.round(REFRACTORY_PERIOD * samplingRate);
+  const peakRadius = Math.round(0.1 * samplingRate);
+  const length = detection.length;
+  if (length < samplingRate) return [];
+
+  // 1. Initialise the QRS level from the largest peak in each of the first seconds
+  const initSeconds = Math.max(1, Math.min(8, Math.floor(length / samplingRate)));
+  const qrsPeaks = [];
+  for (let s = 0; s < initSeconds; s++) {
+    let max = 0;
+    for (let i = s * samplingRate; i < (s + 1) * samplingRate; i++) max = Math.max(max, detection[i]);
+    qrsPeaks.push(max);
+  }
+  const noisePeaks = [0];
+  const rrIntervals = [];
+  const rPeaks = [];
+  let threshold = THRESHOLD_COEFFICIENT * mean(qrsPeaks);
+  let lastBeat = -refractory;
+
+  const remember = (list, value) => {
+    list.push(value);
+    if (list.length > HISTORY_LENGTH) list.shift();
+  };
+
+  const updateThreshold = () => {
+    const noise = mean(noisePeaks);
+    threshold = noise + THRESHOLD_COEFFICIENT * (mean(qrsPeaks) - noise);
+  };
+
+  const acceptBeat = (index) => {
+    if (lastBeat >= 0 && rPeaks.length) remember(rrIntervals, index - lastBeat);
+    remember(qrsPeaks, detection[index]);
+    lastBeat = index;
+    rPeaks.push(locateRPeak(filtered, index, peakRadius));
+    updateThreshold();
+  };
+
+  // 2. Scan local maxima of the detection signal
+  let candidateSinceBeat = []; // Sub-threshold peaks since the last beat (for search back)
+  for (let i = 1; i < length - 1; i++) {
+    if (!(detection[i] > detection[i - 1] && detection[i] >= detection[i + 1])) continue;
+
+    // Local maximum must also dominate its own refractory neighbourhood
+    const start = Math.max(0, i - refractory);
+    const end = Math.min(length - 1, i + refractory);
+    let dominant = true;
+    for (let k = start; k <= end; k++) {
+      if (detection[k] > detection[i]) {
+        dominant = false;
+        break;
+      }
+    }
+    if (!dominant) continue;
+
+    // 3. Search back for a missed beat if the gap is too long
+    if (rrIntervals.length) {
+      const searchBackLimit = SEARCH_BACK_FACTOR * mean(rrIntervals);
+      if (i - lastBeat > searchBackLimit && candidateSinceBeat.length) {
+        const best = candidateSinceBeat.reduce((a, b) => (detection[b] > detection[a] ? b : a));
+        if (detection[best] > threshold / 2 && best - lastBeat > refractory) {
+          acceptBeat(best);
+        }
+        const keepAfter = lastBeat + refractory;
+        candidateSinceBeat = candidateSinceBeat.filter(index => index > keepAfter);
+      }
+    }
+
+    if (i - lastBeat <= refractory) continue;
+
+    // 4. Classify the peak as QRS or noise
+    if (detection[i] > threshold) {
+      acceptBeat(i);
+      candidateSinceBeat = [];
+    } else {
+      remember(noisePeaks, detection[i]);
+      updateThreshold();
+      candidateSinceBeat.push(i);
+    }
+  }
+
+  // R-peaks may shift slightly when located on the raw waveform; keep them ordered and unique
+  return rPeaks
+    .sort((a, b) => a - b)
+    .filter((peak, index, peaks) => index === 0 || peak - peaks[index - 1] > refractory / 2);
+}
+
+/**
+ * Finds Q, S, P and T points relative to each R-peak (detect_pqrst_points in the notebook)
+ * @param {Float32Array} filtered - Bandpass-filtered ECG
+ * @param {Array<number>} rPeaks - R-peak sample indices
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Array<{P: number, Q: number, R: number, S: number, T: number}>} Sample indices per beat
+ */
+export function delineateBeats(filtered, rPeaks, samplingRate) {
+  const argExtreme = (start, end, compare) => {
+    let best = start;
+    for (let i = start + 1; i < end; i++) {
+      if (compare(filtered[i], filtered[best])) best = i;
+    }
+    return best;
+  };
+  const argMin = (start, end) => argExtreme(start, end, (a, b) => a < b);
+  const argMax = (start, end) => argExtreme(start, end, (a, b) => a > b);
+  const length = filtered.length;
+
+  return rPeaks
+    .map(R => {
+      const qStart = Math.max(0, R - Math.round(Q_WINDOW * samplingRate));
+      const sEnd = Math.min(length, R + Math.round(S_WINDOW * samplingRate));
+      if (qStart >= R || sEnd <= R) return null;
+
+      const Q = argMin(qStart, R);
+      const S = argMin(R, sEnd);
+
+      const pStart = Math.max(0, Q - Math.round(P_WINDOW * samplingRate));
+      const tEnd = Math.min(length, S + Math.round(T_WINDOW * samplingRate));
+      if (pStart >= Q || tEnd <= S) return null;
+
+      return { P: argMax(pStart, Q), Q, R, S, T: argMax(S, tEnd) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Converts delineated beats into PQ/QRS/ST intervals (save_pqrst_intervals in the notebook)
+ * @param {Array<Object>} beats - Result of delineateBeats
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Array<{entry: number, duration: number, phase: string}>} Intervals sorted by entry
+ */
+export function buildPqrstIntervals(beats, samplingRate) {
+  const intervals = [];
+
+  beats.forEach(({ P, Q, S, T }) => {
+    intervals.push({ entry: P / samplingRate, duration: (Q - P) / samplingRate, phase: 'PQ' });
+    intervals.push({ entry: Q / samplingRate, duration: (S - Q) / samplingRate, phase: 'QRS' });
+    intervals.push({ entry: S / samplingRate, duration: (T - S) / samplingRate, phase: 'ST' });
+  });
+
+  return intervals.sort((a, b) => a.entry - b.entry);
+}
+
+/**
+ * Runs the full pipeline on a raw single-lead signal
+ * @param {ArrayLike<number>} signal - Raw ECG samples (mV)
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Object} Pipeline output containing:
+ *   - intervals: Array<{entry, duration, phase}> for HeartModel/AnimationManager/App
+ *   - rPeaks: Array<number> R-peak sample indices
+ *   - beats: Array<{P, Q, R, S, T}> delineated sample indices
+ *   - boundaries: Array<{R, pOnset, qrsOnset, qrsOffset, tEnd}> wave boundaries (see delineateBoundaries)
+ *   - filtered: Float32Array bandpass-filtered signal
+ * @throws {Error} When the signal is too short to analyse
+ */
+export function processEcg(signal, samplingRate) {
+  if (!signal || signal.length < samplingRate * 2) {
+    throw new Error('Signal must contain at least 2 seconds of samples');
+  }
+
+  const filtered = applyFir(signal, designBandpassFir(samplingRate));
+  const rPeaks = detectRPeaks(filtered, samplingRate);
+  const beats = delineateBeats(filtered, rPeaks, samplingRate);
+
+  return {
+    intervals: buildPqrstIntervals(beats, samplingRate),
+    rPeaks,
+    beats,
+    boundaries: delineateBoundaries(signal, filtered, beats, samplingRate),
+    filtered
+  };
+}
+
+/**
+ * Creates a QRS detector for a signal that grows as samples stream in
+ * Each update filters, detects and delineates the newest seconds of the signal and
+ * confirms the beats that lie clear of both window edges; every beat is reported once.
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Object} Detector with update(signal, length): returns the newly confirmed beats
+ *   [{P, Q, R, S, T}] as sample indices of `signal`, whose first `length` samples are valid
+ */
+export function createOnlineDetector(samplingRate) {
+  const taps = designBandpassFir(samplingRate);
+  const windowLength = Math.round(ONLINE_WINDOW * samplingRate);
+  const edge = Math.round(ONLINE_EDGE * samplingRate);
+  const confirmDelay = Math.round(ONLINE_CONFIRM_DELAY * samplingRate);
+  const refractory = Math.round(REFRACTORY_PERIOD * samplingRate);
+  let lastR = -Infinity;
+
+  return {
+    update(signal, length = signal.length) {
+      const start = Math.max(0, length - windowLength);
+      if (length - start < 2 * samplingRate) return [];
+
+      const filtered = applyFir(signal.subarray(start, length), taps);
+      const beats = delineateBeats(filtered, detectRPeaks(filtered, samplingRate), samplingRate)
+        .map(({ P, Q, R, S, T }) => ({ P: P + start, Q: Q + start, R: R + start, S: S + start, T: T + start }))
+        .filter(beat => (start === 0 || beat.R - start >= edge) &&
+          beat.R <= length - confirmDelay &&
+          beat.R > lastR + refractory);
+
+      if (beats.length) lastR = beats[beats.length - 1].R;
+      return beats;
+    }
+  };
+}
@@ -0,0 +1,17 @@
+import { processEcg } from './ecgPipeline';
+
+/**
+ * Web Worker entry for the ECG pipeline
+ * Receives { signal: Float32Array, samplingRate: number } and replies with
+ * { intervals, rPeaks, beats, boundaries } or { error: string }.
+ */
+globalThis.onmessage = (e) => {
+  const { signal, samplingRate } = e.data;
+
+  try {
+    const { intervals, rPeaks, beats, boundaries } = processEcg(signal, samplingRate);
+    globalThis.postMessage({ intervals, rPeaks, beats, boundaries });
+  } catch (error) {
+    globalThis.postMessage({ error: error.message });
+  }
+};
@@ -0,0 +1,361 @@
+/**
+ * Printable rhythm strip report, drawn on a canvas at print resolution
+ *
+ * One A4 landscape page: record and patient header, a 10-second strip at 25 mm/s and
+ * 10 mm/mV on ECG paper with the calibration pulse and annotated beats, the strip's median
+ * intervals, the recording's HRV, annotated beat counts and a snapshot of the heart model.
+ * The page is saved as a high-DPI PNG or as a PDF holding the page image.
+ */
+import { drawCalibrationPulse, drawPaperGrid, PAPER_COLORS, calibrationPulseWidth } from './ecgPaper';
+import { runEcgPipeline } from './runEcgPipeline';
+import {
+  INTERVAL_LIMITS,
+  intervalFlags,
+  measureBeatIntervals,
+  QTC_FORMULA_LABELS,
+  summarizeIntervals
+} from './intervalMeasurement';
+import { analyzeHrv } from './hrv';
+import { BEAT_DESCRIPTIONS, BEAT_SYMBOLS, annotationsInRange, describeRhythm, rhythmAt } from './wfdbAnnotations';
+import { parseRecordComments } from './recordCatalog';
+import { percentile } from './signalUtils';
+import { createImagePdf } from './pdf';
+
+export const REPORT_FORMATS = {
+  PDF: 'pdf',
+  PNG: 'png'
+};
+
+export const REPORT_DPIS = [150, 300];
+
+export const REPORT_PHASES = {
+  PQ: 'P–Q: atrial depolarization',
+  QRS: 'QRS: ventricular depolarization',
+  ST: 'S–T: ventricular repolarization'
+};
+
+export const REPORT_STRIP = {
+  seconds: 10,
+  speed: 25,   // mm/s
+  gain: 10     // mm/mV
+};
+
+// Page layout (mm), A4 landscape
+const PAGE = { width: 297, height: 210, margin: 10 };
+const STRIP_TOP = 37;
+const STRIP_HEIGHT = 50;
+const BASELINE_FRACTION = 0.6;  // Isoelectric line, from the top of the strip
+const SECTION_TOP = 97;
+const SNAPSHOT_SIZE = 55;
+const ANALYSIS_PADDING = 2;     // s analysed either side of the strip, so its edge beats are delineated
+const MAX_BEAT_ROWS = 10;
+const TRACE_WIDTH = 0.3;        // mm
+const RATE_FLAGS = { short: 'fast', long: 'slow' }; // Heart rate wording of the RR flags
+
+/**
+ * Delineates the strip and measures its beats
+ * @param {Float32Array} signal - Signal of the source (mV)
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @param {number} start - Strip start (s)
+ * @param {number} [seconds=REPORT_STRIP.seconds] - Strip length (s)
+ * @returns {Promise<Array<Object>>} Measurements of the beats in the strip (see
+ *   measureBeatIntervals), times in record seconds
+ */
+export async function measureStrip(signal, samplingRate, start, seconds = REPORT_STRIP.seconds) {
+  const first = Math.max(0, Math.floor((start - ANALYSIS_PADDING) * samplingRate));
+  const last = Math.min(signal.length, Math.ceil((start + seconds + ANALYSIS_PADDING) * samplingRate));
+  const { boundaries } = await runEcgPipeline(signal.subarray(first, last), samplingRate);
+  const offset = first / samplingRate;
+
+  return measureBeatIntervals(boundaries, samplingRate)
+    .map(measurement => ({ ...measurement, time: measurement.time + offset }))
+    .filter(measurement => measurement.time >= start && measurement.time < start + seconds);
+}
+
+/**
+ * Counts beats by annotation symbol
+ * @param {Array<Object>} annotations - Decoded annotations
+ * @returns {Object<string, number>} Count per beat symbol
+ */
+const countBeats = (annotations) => annotations.reduce((counts, { symbol }) => {
+  if (BEAT_SYMBOLS.has(symbol)) counts[symbol] = (counts[symbol] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Gathers everything the report page shows
+ * @param {Object} params - Report inputs
+ * @param {Object} params.source - Signal source (see loadRecord); it needs a signal
+ * @param {Array} params.intervals - Cardiac phase intervals of the source
+ * @param {number} params.start - Strip start (s)
+ * @param {Array<Object>} params.measurements - Result of measureStrip
+ * @param {string} params.formula - QTc formula
+ * @param {string} params.phase - Phase of the heart snapshot (key of REPORT_PHASES)
+ * @param {HTMLCanvasElement|null} params.heartSnapshot - Heart model snapshot
+ * @returns {Object} Report data for drawReport
+ * @throws {Error} When the source has no signal
+ */
+export function buildReport({ source, intervals, start, measurements, formula, phase, heartSnapshot }) {
+  if (!source?.signal || !source.samplingRate) throw new Error('The loaded source has no signal to report');
+
+  const { samplingRate } = source;
+  const end = start + REPORT_STRIP.seconds;
+  const first = Math.max(0, Math.round(start * samplingRate));
+  const strip = source.signal.subarray(first, Math.min(source.signal.length, Math.round(end * samplingRate)));
+  const stripAnnotations = annotationsInRange(source.annotations, start, end);
+  const summary = measurements.length ? summarizeIntervals(measurements) : null;
+  const rhythm = rhythmAt(source.annotations, start + REPORT_STRIP.seconds / 2);
+
+  return {
+    title: 'Rhythm strip report',
+    label: source.label,
+    leadName: source.leadName || 'ECG',
+    samplingRate,
+    start,
+    end,
+    strip,
+    // Centre the trace on its median so baseline offset and wander stay on the paper
+    stripOffset: strip.length ? percentile(strip, 50) : 0,
+    patient: source.header ? parseRecordComments(source.header.comments) : null,
+    rhythm: rhythm ? describeRhythm(rhythm) : null,
+    beatMarks: stripAnnotations.filter(annotation => BEAT_SYMBOLS.has(annotation.symbol)),
+    beatCounts: { strip: countBeats(stripAnnotations), record: countBeats(source.annotations) },
+    summary,
+    beatsMeasured: measurements.length,
+    formula,
+    hrv: analyzeHrv(intervals),
+    phase,
+    heartSnapshot,
+    generated: new Date()
+  };
+}
+
+/**
+ * Draws the report page
+ * @param {Object} report - Result of buildReport
+ * @param {number} dpi - Print resolution (pixels per inch)
+ * @returns {HTMLCanvasElement} Page canvas
+ */
+export function drawReport(report, dpi) {
+  const mm = dpi / 25.4;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(PAGE.width * mm);
+  canvas.height = Math.round(PAGE.height * mm);
+  const ctx = canvas.getContext('2d');
+  const format = (value, digits = 0) => (value === null || value === undefined || !Number.isFinite(value) ? '–' : value.toFixed(digits));
+
+  /**
+   * Writes text at a position in mm
+   * @param {string} value - Text
+   * @param {number} x - Left (or right, with align 'right') edge (mm)
+   * @param {number} y - Baseline (mm)
+   * @param {Object} [style] - {size (pt), weight, color, align}
+   */
+  const text = (value, x, y, { size = 9, weight = 'normal', color = '#111', align = 'left' } = {}) => {
+    ctx.font = `${weight} ${(size * dpi) / 72}px Helvetica, Arial, sans-serif`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(value, x * mm, y * mm);
+  };
+  const rule = (y) => {
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 0.2 * mm;
+    ctx.beginPath();
+    ctx.moveTo(PAGE.margin * mm, y * mm);
+    ctx.lineTo((PAGE.width - PAGE.margin) * mm, y * mm);
+    ctx.stroke();
+  };
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // 1. Header: record, strip window and patient
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+  text(report.title, left, 16, { size: 15, weight: 'bold' });
+  text(`Generated ${report.generated.toLocaleString()}`, right, 16, { size: 8, color: '#555', align: 'right' });
+  text(
+    `${report.label} · Lead ${report.leadName} · ${report.samplingRate} Hz · Strip ${report.start.toFixed(1)}–${report.end.toFixed(1)} s` +
+      (report.rhythm ? ` · ${report.rhythm}` : ''),
+    left, 22.5, { size: 9.5 }
+  );
+  const { patient } = report;
+  text(
+    patient
+      ? [
+        patient.age !== null ? `Age ${patient.age}` : 'Age unknown',
+        patient.sex === 'M' ? 'Male' : patient.sex === 'F' ? 'Female' : 'Sex unknown',
+        `Medications: ${patient.medications.length ? patient.medications.join(', ') : 'none recorded'}`
+      ].join(' · ')
+      : 'No patient details (simulated or imported signal)',
+    left, 27.5, { size: 9 }
+  );
+  if (patient?.notes) text(patient.notes.slice(0, 180), left, 32, { size: 7.5, color: '#555' });
+  rule(34);
+
+  // 2. Strip on ECG paper, calibration pulse first
+  const paper = { speed: REPORT_STRIP.speed, gain: REPORT_STRIP.gain };
+  const pulseWidth = calibrationPulseWidth(paper, mm);
+  const area = {
+    left: left * mm,
+    top: STRIP_TOP * mm,
+    right: left * mm + pulseWidth + REPORT_STRIP.seconds * REPORT_STRIP.speed * mm,
+    bottom: (STRIP_TOP + STRIP_HEIGHT) * mm
+  };
+  const baseline = area.top + STRIP_HEIGHT * BASELINE_FRACTION * mm;
+  const traceLeft = area.left + pulseWidth;
+  drawPaperGrid(ctx, area, mm);
+  drawCalibrationPulse(ctx, area.left, baseline, paper, mm);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+  ctx.clip();
+  ctx.strokeStyle = PAPER_COLORS.TRACE;
+  ctx.lineWidth = TRACE_WIDTH * mm;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  const pxPerSample = (REPORT_STRIP.speed * mm) / report.samplingRate;
+  const pxPerMv = REPORT_STRIP.gain * mm;
+  report.strip.forEach((value, i) => {
+    const x = traceLeft + i * pxPerSample;
+    const y = baseline - (value - report.stripOffset) * pxPerMv;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  ctx.restore();
+
+  text(report.leadName, (traceLeft / mm) + 1.5, STRIP_TOP + 4.5, { size: 9, weight: 'bold' });
+  report.beatMarks.forEach(({ time, symbol }) => {
+    const x = (traceLeft / mm) + (time - report.start) * REPORT_STRIP.speed;
+    text(symbol, x, STRIP_TOP + 4.5, { size: 8, weight: 'bold', color: symbol === 'N' ? '#1f5f8b' : '#b3261e', align: 'center' });
+  });
+  for (let second = 0; second <= REPORT_STRIP.seconds; second++) {
+    text(`${(report.start + second).toFixed(1)} s`, (traceLeft / mm) + second * REPORT_STRIP.speed, STRIP_TOP + STRIP_HEIGHT + 4, {
+      size: 7, color: '#555', align: 'center'
+    });
+  }
+  text(`${REPORT_STRIP.speed} mm/s · ${REPORT_STRIP.gain} mm/mV`, area.right / mm, STRIP_TOP + STRIP_HEIGHT + 8.5, {
+    size: 7.5, color: '#555', align: 'right'
+  });
+  rule(SECTION_TOP - 4);
+
+  // 3. Measurements: strip medians with normal limits
+  const row = (y, cells, style) => cells.forEach(([value, x, align]) => text(value, x, y, { size: 8.5, align, ...style }));
+  const { summary } = report;
+  const flags = summary ? intervalFlags(summary, report.formula) : {};
+  text(`Intervals (median of ${report.beatsMeasured} beats)`, left, SECTION_TOP, { size: 10, weight: 'bold' });
+  row(SECTION_TOP + 6, [['', left], ['Value', left + 40, 'right'], ['Normal', left + 60, 'right']], { color: '#555' });
+  const limit = ({ low, high }) => (low !== undefined ? `${low}–${high}` : `≤ ${high}`);
+  [
+    ['Heart rate', summary?.rr ? `${format(60000 / summary.rr)} bpm` : '–', '50–100', RATE_FLAGS[flags.RR]],
+    ['RR', `${format(summary?.rr)} ms`, limit(INTERVAL_LIMITS.RR), flags.RR],
+    ['PR', `${format(summary?.pr)} ms`, limit(INTERVAL_LIMITS.PR), flags.PR],
+    ['QRS', `${format(summary?.qrs)} ms`, limit(INTERVAL_LIMITS.QRS), flags.QRS],
+    ['QT', `${format(summary?.qt)} ms`, '', null],
+    [`QTc (${QTC_FORMULA_LABELS[report.formula]})`, `${format(summary?.qtc[report.formula])} ms`, limit(INTERVAL_LIMITS.QTC), flags.QTC]
+  ].forEach(([name, value, normal, flag], i) => {
+    const y = SECTION_TOP + 11.5 + i * 5.5;
+    row(y, [[name, left], [value, left + 40, 'right'], [normal, left + 60, 'right']]);
+    if (flag) text(flag, left + 62, y, { size: 8.5, weight: 'bold', color: '#b3261e' });
+  });
+
+  // 4. HRV of the whole recording
+  const hrvLeft = left + 82;
+  const { hrv } = report;
+  text('Heart rate variability (recording)', hrvLeft, SECTION_TOP, { size: 10, weight: 'bold' });
+  if (hrv) {
+    [
+      ['NN intervals', `${hrv.nnCount} of ${hrv.totalRr}`],
+      ['Mean HR', `${format(hrv.timeDomain.meanHR)} bpm`],
+      ['SDNN', `${format(hrv.timeDomain.sdnn)} ms`],
+      ['RMSSD', `${format(hrv.timeDomain.rmssd)} ms`],
+      ['pNN50', `${format(hrv.timeDomain.pnn50, 1)} %`],
+      ['SD1 / SD2', `${format(hrv.poincare.sd1)} / ${format(hrv.poincare.sd2)} ms`],
+      ['LF / HF', format(hrv.frequencyDomain.lfHfRatio, 2)]
+    ].forEach(([name, value], i) => row(SECTION_TOP + 6 + i * 5.5, [[name, hrvLeft], [value, hrvLeft + 62, 'right']]));
+  } else {
+    text('Too few beats for HRV', hrvLeft, SECTION_TOP + 6, { size: 8.5, color: '#555' });
+  }
+
+  // 5. Annotated beat counts, strip and recording
+  const beatsLeft = hrvLeft + 72;
+  const symbols = Object.keys(report.beatCounts.record).sort((a, b) => report.beatCounts.record[b] - report.beatCounts.record[a]);
+  text('Annotated beats', beatsLeft, SECTION_TOP, { size: 10, weight: 'bold' });
+  if (symbols.length) {
+    row(SECTION_TOP + 6, [['', beatsLeft], ['Strip', beatsLeft + 58, 'right'], ['Record', beatsLeft + 72, 'right']], { color: '#555' });
+    symbols.slice(0, MAX_BEAT_ROWS).forEach((symbol, i) => row(SECTION_TOP + 11.5 + i * 5, [
+      [`${symbol}  ${BEAT_DESCRIPTIONS[symbol] || ''}`.slice(0, 34), beatsLeft],
+      [String(report.beatCounts.strip[symbol] || 0), beatsLeft + 58, 'right'],
+      [String(report.beatCounts.record[symbol]), beatsLeft + 72, 'right']
+    ], { size: 8 }));
+  } else {
+    text('No reference annotations', beatsLeft, SECTION_TOP + 6, { size: 8.5, color: '#555' });
+  }
+
+  // 6. Heart model at the chosen phase
+  const snapshotLeft = right - SNAPSHOT_SIZE;
+  if (report.heartSnapshot) {
+    ctx.drawImage(report.heartSnapshot, snapshotLeft * mm, (SECTION_TOP - 2) * mm, SNAPSHOT_SIZE * mm, SNAPSHOT_SIZE * mm);
+  } else {
+    text('Heart model not loaded', snapshotLeft + SNAPSHOT_SIZE / 2, SECTION_TOP + SNAPSHOT_SIZE / 2, { size: 8.5, color: '#555', align: 'center' });
+  }
+  text(`Heart at ${REPORT_PHASES[report.phase]}`, snapshotLeft + SNAPSHOT_SIZE / 2, SECTION_TOP + SNAPSHOT_SIZE + 2, {
+    size: 8, color: '#333', align: 'center'
+  });
+
+  // 7. Footer
+  rule(PAGE.height - PAGE.margin - 4);
+  text('Teaching material. Intervals are measured automatically and must be checked by hand.', left, PAGE.height - PAGE.margin, {
+    size: 7.5, color: '#555'
+  });
+
+  return canvas;
+}
+
+/**
+ * Encodes a canvas as image file bytes
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @param {string} type - MIME type, e.g. "image/png"
+ * @param {number} [quality] - JPEG quality, 0 to 1
+ * @returns {Promise<Uint8Array>} File bytes
+ * @throws {Error} When the browser cannot encode the canvas
+ */
+const canvasBytes = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => {
+    if (!blob) reject(new Error(`Could not encode the report as ${type}`));
+    else blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+  }, type, quality);
+});
+
+/**
+ * Renders the report page as a downloadable file
+ * @param {Object} report - Result of buildReport
+ * @param {Object} options - Output options
+ * @param {string} options.format - One of REPORT_FORMATS
+ * @param {number} options.dpi - Resolution (pixels per inch)
+ * @param {string} options.name - Base file name
+ * @returns {Promise<{fileName: string, data: Uint8Array, type: string}>} File to save
+ */
+export async function renderReportFile(report, { format, dpi, name }) {
+  const canvas = drawReport(report, dpi);
+
+  if (format === REPORT_FORMATS.PNG) {
+    return { fileName: `${name}.png`, data: await canvasBytes(canvas, 'image/png'), type: 'image/png' };
+  }
+
+  const jpeg = await canvasBytes(canvas, 'image/jpeg', 0.92);
+  return {
+    fileName: `${name}.pdf`,
+    data: createImagePdf({
+      jpeg,
+      imageWidth: canvas.width,
+      imageHeight: canvas.height,
+      pageWidth: PAGE.width,
+      pageHeight: PAGE.height,
+      title: `${report.title}: ${report.label}`
+    }),
+    type: 'application/pdf'
+  };
+}
@@ -0,0 +1,421 @@
+/**
+ * Live ECG input over a WebSocket
+ *
+ * Protocol: the server sends a JSON start message, then sample frames, as JSON text or
+ * binary. `seq` counts samples per lead from the start of the server's stream, so a missing
+ * or late frame shows up as a hole in the sequence.
+ *
+ *   {"type": "start", "samplingRate": 360, "leads": ["MLII", "V5"], "gain": 200, "seq": 0, "name": "100"}
+ *     samplingRate (Hz) and leads are required; gain is ADC units per mV for binary frames
+ *     (default 1000, i.e. µV); seq is the first sample to come (default 0); name is optional
+ *   {"type": "samples", "seq": 720, "data": [[0.12, 0.15, ...], [-0.05, ...]]}
+ *     one array per lead, in mV
+ *   {"type": "end"}
+ *     the stream is over; the client stops reconnecting
+ *
+ *   Binary frame, little-endian:
+ *     byte 0: version (1), byte 1: lead count, bytes 2-3: uint16 samples per lead,
+ *     bytes 4-7: uint32 seq, then int16 samples interleaved by sample (s0 lead 0, s0 lead 1, s1 ...)
+ *
+ * A jitter buffer holds samples for a fixed delay and releases them on a steady clock,
+ * so bursty frames play smoothly; samples still missing when due are released as a gap.
+ * Dropped connections are retried with a growing delay. A start message that continues
+ * the sequence with the same rate and leads resumes the session; anything else starts a
+ * new one.
+ */
+
+export const STREAM_PROTOCOL_VERSION = 1;
+const BINARY_HEADER_BYTES = 8;
+const DEFAULT_GAIN = 1000; // ADC units per mV, i.e. µV
+
+export const STREAM_STATUS = {
+  IDLE: 'idle',                 // Not connected
+  CONNECTING: 'connecting',     // Opening the socket or waiting for the start message
+  LIVE: 'live',                 // Receiving samples
+  RECONNECTING: 'reconnecting', // Connection lost, retrying
+  ENDED: 'ended',               // The server ended the stream
+  ERROR: 'error'                // Protocol error; not retried
+};
+
+export const STREAM_EVENTS = {
+  STATUS: 'status',   // Status changed: {status, message}
+  START: 'start',     // A new session began: {samplingRate, leads, name}
+  SAMPLES: 'samples', // Samples released: {start, data: Float32Array per lead, gap}
+  GAP: 'gap'          // A hole in the sequence was played out: {start, length}
+};
+
+export const DEFAULT_STREAM_URL = 'ws://localhost:8765';
+const JITTER_DELAY = 0.5;           // Seconds of buffering before a sample plays
+const MAX_EXTRA_DELAY = 1;          // Buffered seconds beyond the delay before skipping ahead
+const PUMP_INTERVAL = 40;           // ms between jitter buffer releases
+const RECONNECT_DELAYS = [0.5, 1, 2, 4, 8]; // Seconds; the last one repeats
+
+/**
+ * Decodes a frame received from the server
+ * @param {string|ArrayBuffer} data - WebSocket message data
+ * @param {Object|null} format - Active start message (leads, gain); needed for sample frames
+ * @returns {Object} {type: 'start', samplingRate, leads, gain, seq, name},
+ *   {type: 'samples', seq, data: Array<Float32Array>} (mV) or {type: 'end'}
+ * @throws {Error} When the frame breaks the protocol
+ */
+export function parseStreamMessage(data, format) {
+  // 1. Binary sample frame
+  if (typeof data !== 'string') {
+    if (!format) throw new Error('Binary samples arrived before the start message');
+    if (data.byteLength < BINARY_HEADER_BYTES) throw new Error(`Binary frame of ${data.byteLength} bytes is shorter than its header`);
+    const view = new DataView(data);
+    const version = view.getUint8(0);
+    if (version !== STREAM_PROTOCOL_VERSION) throw new Error(`Unsupported binary frame version ${version}`);
+    const leadCount = view.getUint8(1);
+    const length = view.getUint16(2, true);
+    if (leadCount !== format.leads.length) {
+      throw new Error(`Binary frame has ${leadCount} leads, the stream has ${format.leads.length}`);
+    }
+    const expected = BINARY_HEADER_BYTES + 2 * length * leadCount;
+    if (data.byteLength !== expected) {
+      throw new Error(`Binary frame holds ${data.byteLength} bytes, its header declares ${expected}`);
+    }
+
+    const leads = Array.from({ length: leadCount }, () => new Float32Array(length));
+    for (let i = 0; i < length; i++) {
+      for (let lead = 0; lead < leadCount; lead++) {
+        leads[lead][i] = view.getInt16(BINARY_HEADER_BYTES + 2 * (i * leadCount + lead), true) / format.gain;
+      }
+    }
+    return { type: 'samples', seq: view.getUint32(4, true), data: leads };
+  }
+
+  // 2. JSON message
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    throw new Error('Stream message is not valid JSON');
+  }
+  const isSeq = (value) => Number.isInteger(value) && value >= 0;
+
+  switch (message?.type) {
+    case 'start': {
+      const { samplingRate, leads, gain = DEFAULT_GAIN, seq = 0, name = '' } = message;
+      if (!(samplingRate > 0)) throw new Error('Start message needs a positive samplingRate');
+      if (!Array.isArray(leads) || !leads.length || !leads.every(lead => typeof lead === 'string')) {
+        throw new Error('Start message needs a non-empty array of lead names');
+      }
+      if (!(gain > 0)) throw new Error('Start message gain must be positive');
+      if (!isSeq(seq)) throw new Error('Start message seq must be a non-negative integer');
+      return { type: 'start', samplingRate, leads, gain, seq, name: String(name) };
+    }
+
+    case 'samples': {
+      if (!format) throw new Error('Samples arrived before the start message');
+      if (!isSeq(message.seq)) throw new Error('Samples message needs a non-negative integer seq');
+      const { data: leads } = message;
+      if (!Array.isArray(leads) || leads.length !== format.leads.length) {
+        throw new Error(`Samples message needs one array per lead (${format.leads.length})`);
+      }
+      if (leads.some(values => !Array.isArray(values) || values.length !== leads[0].length)) {
+        throw new Error('Samples message lead arrays differ in length');
+      }
+      if (leads.some(values => values.some(value => typeof value !== 'number'))) {
+        throw new Error('Samples message holds a non-numeric value');
+      }
+      return { type: 'samples', seq: message.seq, data: leads.map(values => Float32Array.from(values)) };
+    }
+
+    case 'end':
+      return { type: 'end' };
+
+    default:
+      throw new Error(`Unknown stream message type "${message?.type}"`);
+  }
+}
+
+/**
+ * Encodes a binary sample frame (used by the mock server)
+ * @param {number} seq - Index of the frame's first sample
+ * @param {Array<ArrayLike<number>>} leads - Samples per lead (mV), all the same length
+ * @param {number} [gain=DEFAULT_GAIN] - ADC units per mV, as announced in the start message
+ * @returns {ArrayBuffer} Frame
+ */
+export function encodeBinaryFrame(seq, leads, gain = DEFAULT_GAIN) {
+  const length = leads[0].length;
+  const buffer = new ArrayBuffer(BINARY_HEADER_BYTES + 2 * length * leads.length);
+  const view = new DataView(buffer);
+  view.setUint8(0, STREAM_PROTOCOL_VERSION);
+  view.setUint8(1, leads.length);
+  view.setUint16(2, length, true);
+  view.setUint32(4, seq, true);
+  for (let i = 0; i < length; i++) {
+    leads.forEach((values, lead) => {
+      const value = Math.round(values[i] * gain);
+      view.setInt16(BINARY_HEADER_BYTES + 2 * (i * leads.length + lead), Math.max(-32768, Math.min(32767, value)), true);
+    });
+  }
+  return buffer;
+}
+
+/**
+ * Creates a jitter buffer that turns frames arriving at uneven times into a steady sample clock
+ * The first frame plays `delay` seconds after it arrives and later samples follow at the
+ * sampling rate. Frames may arrive out of order; a hole still open when its samples are due
+ * is released as a gap once later samples exist. When the data runs out the clock waits and
+ * restarts with a fresh delay; when too much is buffered it skips ahead to the delay.
+ * @param {Object} options - Buffer options
+ * @param {number} options.samplingRate - Samples per second (Hz)
+ * @param {number} [options.delay=JITTER_DELAY] - Playout delay (s)
+ * @param {number} [options.start] - First sample expected; samples before it are late, and a
+ *   first frame after it leaves a gap. Defaults to the first frame's seq
+ * @returns {Object} Buffer with push(seq, data, now), pull(now) and getState()
+ */
+export function createJitterBuffer({ samplingRate, delay = JITTER_DELAY, start = null }) {
+  const delaySamples = Math.round(delay * samplingRate);
+  const maxBuffered = Math.round((delay + MAX_EXTRA_DELAY) * samplingRate);
+  let pending = [];    // Frames not yet fully released, sorted by seq: {seq, data, length}
+  let next = start;    // Next sample to release
+  let anchor = null;   // {seq, time}: sample `seq` plays at `time` (ms), set by the first frame
+  let starved = false;
+  let gapStart = null; // First sample of the gap being released
+  let late = 0;        // Frames dropped because their samples had already played
+
+  const newest = () => {
+    const last = pending[pending.length - 1];
+    return last ? last.seq + last.length : next;
+  };
+
+  return {
+    /**
+     * Adds a frame
+     * @param {number} seq - Index of its first sample
+     * @param {Array<Float32Array>} data - Samples per lead
+     * @param {number} now - Arrival time (ms)
+     */
+    push(seq, data, now) {
+      const length = data[0].length;
+      if (!length) return;
+      if (anchor === null) {
+        if (next === null) next = seq;
+        anchor = { seq: next, time: now + delay * 1000 };
+      }
+      if (seq + length <= next) {
+        late++;
+        return;
+      }
+      if (starved) {
+        // Restart the clock so the newly arrived data gets its full delay
+        starved = false;
+        anchor = { seq: Math.max(next, seq), time: now + delay * 1000 };
+      }
+
+      let index = pending.length;
+      while (index > 0 && pending[index - 1].seq > seq) index--;
+      if (pending[index - 1]?.seq === seq) return; // Duplicate
+      pending.splice(index, 0, { seq, data, length });
+    },
+
+    /**
+     * Releases the samples due by a time
+     * @param {number} now - Current time (ms)
+     * @returns {{blocks: Array<Object>, gaps: Array<Object>}} Blocks {start, length, data, gap}
+     *   in sample order (gap blocks carry no data) and the gaps completed by them {start, length}
+     */
+    pull(now) {
+      const blocks = [];
+      const gaps = [];
+      if (anchor === null) return { blocks, gaps };
+
+      // 1. Skip ahead when the buffer has grown beyond the delay
+      if (newest() - (anchor.seq + ((now - anchor.time) * samplingRate) / 1000) > maxBuffered) {
+        anchor = { seq: newest() - delaySamples, time: now };
+      }
+      const due = anchor.seq + Math.floor(((now - anchor.time) * samplingRate) / 1000);
+
+      // 2. Release frames, or the holes between them, up to the due sample
+      const closeGap = () => {
+        if (gapStart === null) return;
+        gaps.push({ start: gapStart, length: next - gapStart });
+        gapStart = null;
+      };
+      while (next < due) {
+        while (pending.length && pending[0].seq + pending[0].length <= next) pending.shift();
+        const frame = pending[0];
+        if (!frame) {
+          starved = true;
+          break;
+        }
+        if (frame.seq > next) {
+          const end = Math.min(frame.seq, due);
+          if (gapStart === null) gapStart = next;
+          blocks.push({ start: next, length: end - next, data: null, gap: true });
+          next = end;
+          continue;
+        }
+        closeGap();
+        const from = next - frame.seq;
+        const to = Math.min(frame.length, due - frame.seq);
+        blocks.push({ start: next, length: to - from, data: frame.data.map(values => values.subarray(from, to)), gap: false });
+        next = frame.seq + to;
+      }
+      return { blocks, gaps };
+    },
+
+    /**
+     * @returns {{next: (number|null), buffered: number, late: number}} Next sample to play,
+     *   samples waiting and frames dropped as late
+     */
+    getState: () => ({ next, buffered: next === null ? 0 : newest() - next, late })
+  };
+}
+
+/**
+ * Creates a live ECG stream client
+ * @param {Object} options - Stream options
+ * @param {string} options.url - WebSocket URL (ws:// or wss://)
+ * @param {number} [options.delay=JITTER_DELAY] - Jitter buffer delay (s)
+ * @returns {Object} Stream with:
+ *   - connect(): opens the connection (again after close())
+ *   - close(): disconnects and stops reconnecting
+ *   - subscribe(event, listener): returns an unsubscribe function (see STREAM_EVENTS)
+ *   - getStatus(): {status, message}
+ *   - getStats(): {frames, samples, gaps, gapSamples, late, buffered, reconnects} (buffered in samples)
+ * Released sample indices count from the start of the session, not the server's seq.
+ */
+export function createEcgStream({ url, delay = JITTER_DELAY }) {
+  const listeners = Object.fromEntries(Object.values(STREAM_EVENTS).map(event => [event, new Set()]));
+  let socket = null;
+  let format = null;      // Start message of the session
+  let started = false;    // Whether this connection has sent its start message
+  let sessionStart = 0;   // Server seq of the session's first sample
+  let buffer = null;
+  let pumpId = null;
+  let retryId = null;
+  let attempt = 0;
+  let closing = false;
+  let draining = false;   // The server ended the stream; the pump stops once the buffer is empty
+  let status = { status: STREAM_STATUS.IDLE, message: '' };
+  let stats = { frames: 0, samples: 0, gaps: 0, gapSamples: 0, reconnects: 0 };
+
+  const emit = (event, payload) => listeners[event].forEach(listener => listener(payload));
+
+  const setStatus = (value, message = '') => {
+    status = { status: value, message };
+    emit(STREAM_EVENTS.STATUS, status);
+  };
+
+  const stopPump = () => {
+    clearInterval(pumpId);
+    pumpId = null;
+  };
+
+  const pump = () => {
+    const { blocks, gaps } = buffer.pull(performance.now());
+    blocks.forEach(({ start, length, data, gap }) => {
+      emit(STREAM_EVENTS.SAMPLES, { start: start - sessionStart, length, data, gap });
+    });
+    gaps.forEach(({ start, length }) => {
+      stats = { ...stats, gaps: stats.gaps + 1, gapSamples: stats.gapSamples + length };
+      emit(STREAM_EVENTS.GAP, { start: start - sessionStart, length });
+    });
+    if (draining && !buffer.getState().buffered) stopPump();
+  };
+
+  /**
+   * Begins a session or resumes the current one after a reconnect
+   * @param {Object} start - Parsed start message
+   */
+  const handleStart = (start) => {
+    const resumes = format &&
+      start.samplingRate === format.samplingRate &&
+      start.leads.join() === format.leads.join() &&
+      start.seq >= buffer.getState().next;
+    format = start;
+    started = true;
+    attempt = 0;
+    if (!resumes) {
+      sessionStart = start.seq;
+      buffer = createJitterBuffer({ samplingRate: start.samplingRate, delay, start: start.seq });
+      stats = { ...stats, frames: 0, samples: 0, gaps: 0, gapSamples: 0 };
+      emit(STREAM_EVENTS.START, { samplingRate: start.samplingRate, leads: start.leads, name: start.name });
+    }
+    if (pumpId === null) pumpId = setInterval(pump, PUMP_INTERVAL);
+    setStatus(STREAM_STATUS.LIVE, resumes ? 'Resumed' : '');
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = parseStreamMessage(event.data, started ? format : null);
+    } catch (error) {
+      closing = true;
+      stopPump();
+      socket.close();
+      setStatus(STREAM_STATUS.ERROR, error.message);
+      return;
+    }
+
+    if (message.type === 'start') {
+      handleStart(message);
+    } else if (message.type === 'samples') {
+      stats = { ...stats, frames: stats.frames + 1, samples: stats.samples + message.data[0].length };
+      buffer.push(message.seq, message.data, performance.now());
+    } else {
+      // Play out the samples still buffered before the pump stops
+      closing = true;
+      draining = true;
+      socket.close();
+      setStatus(STREAM_STATUS.ENDED, 'The server ended the stream');
+    }
+  };
+
+  const open = () => {
+    retryId = null;
+    setStatus(attempt ? STREAM_STATUS.RECONNECTING : STREAM_STATUS.CONNECTING, attempt ? `Attempt ${attempt + 1}` : '');
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      setStatus(STREAM_STATUS.ERROR, `Cannot open ${url}: ${error.message}`);
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    started = false; // Every connection opens with a start message
+    if (attempt) stats = { ...stats, reconnects: stats.reconnects + 1 };
+    socket.onmessage = handleMessage;
+    socket.onclose = (event) => {
+      socket = null;
+      if (closing) return;
+      const wait = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+      attempt++;
+      setStatus(STREAM_STATUS.RECONNECTING, `Connection lost${event.reason ? ` (${event.reason})` : ''}, retrying in ${wait} s`);
+      retryId = setTimeout(open, wait * 1000);
+    };
+  };
+
+  return {
+    connect() {
+      if (socket || retryId !== null) return;
+      closing = false;
+      draining = false;
+      attempt = 0;
+      format = null;
+      open();
+    },
+
+    close() {
+      closing = true;
+      clearTimeout(retryId);
+      retryId = null;
+      stopPump();
+      socket?.close();
+      socket = null;
+      if (status.status !== STREAM_STATUS.ERROR && status.status !== STREAM_STATUS.ENDED) setStatus(STREAM_STATUS.IDLE);
+    },
+
+    subscribe(event, listener) {
+      if (!listeners[event]) throw new Error(`Unknown stream event "${event}"`);
+      listeners[event].add(listener);
+      return () => listeners[event].delete(listener);
+    },
+
+    getStatus: () => status,
+    getStats: () => ({ ...stats, late: buffer?.getState().late || 0, buffered: buffer?.getState().buffered || 0 })
+  };
+}
@@ -0,0 +1,209 @@
+import {
+  createEcgStream,
+  createJitterBuffer,
+  encodeBinaryFrame,
+  parseStreamMessage,
+  STREAM_EVENTS,
+  STREAM_STATUS
+} from './ecgStream';
+
+const FORMAT = { type: 'start', samplingRate: 100, leads: ['MLII', 'V5'], gain: 200, seq: 0, name: '' };
+
+// Two leads of `length` samples whose values encode their seq, so released data shows its origin
+const frame = (seq, length) => [0, 1].map(lead => Float32Array.from({ length }, (_, i) => seq + i + lead / 10));
+
+/**
+ * Concatenates the released samples of lead 0, with null for gap samples
+ * @param {Array<Object>} blocks - Blocks returned by pull
+ * @returns {Array<number|null>} Samples in release order
+ */
+const played = (blocks) => blocks.flatMap(block => (block.gap
+  ? Array(block.length).fill(null)
+  : Array.from(block.data[0], value => Math.round(value))));
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+describe('parseStreamMessage', () => {
+  test('round-trips a binary frame at the announced gain', () => {
+    const leads = [[0.12, -0.5, 1.005], [0, 2.4, -163.84]];
+    const message = parseStreamMessage(encodeBinaryFrame(720, leads, FORMAT.gain), FORMAT);
+    expect(message.type).toBe('samples');
+    expect(message.seq).toBe(720);
+    message.data.forEach((values, lead) => {
+      values.forEach((value, i) => expect(Math.abs(value - leads[lead][i])).toBeLessThanOrEqual(0.5 / FORMAT.gain));
+    });
+  });
+
+  test('parses JSON start, samples and end messages', () => {
+    expect(parseStreamMessage('{"type":"start","samplingRate":360,"leads":["MLII"]}', null))
+      .toEqual({ type: 'start', samplingRate: 360, leads: ['MLII'], gain: 1000, seq: 0, name: '' });
+    const samples = parseStreamMessage('{"type":"samples","seq":5,"data":[[0.1,0.2],[0.3,0.4]]}', FORMAT);
+    expect(samples.seq).toBe(5);
+    expect(Array.from(samples.data[1])).toEqual([0.3, 0.4].map(Math.fround));
+    expect(parseStreamMessage('{"type":"end"}', null)).toEqual({ type: 'end' });
+  });
+
+  test('rejects malformed binary frames and frames that do not match the stream', () => {
+    const valid = encodeBinaryFrame(0, frame(0, 4), FORMAT.gain);
+    const withByte = (offset, value) => {
+      const copy = valid.slice(0);
+      new DataView(copy).setUint8(offset, value);
+      return copy;
+    };
+    expect(() => parseStreamMessage(valid, null)).toThrow('Binary samples arrived before the start message');
+    expect(() => parseStreamMessage(new ArrayBuffer(6), FORMAT)).toThrow('Binary frame of 6 bytes is shorter than its header');
+    expect(() => parseStreamMessage(withByte(0, 2), FORMAT)).toThrow('Unsupported binary frame version 2');
+    expect(() => parseStreamMessage(withByte(1, 3), FORMAT)).toThrow('Binary frame has 3 leads, the stream has 2');
+    expect(() => parseStreamMessage(valid.slice(0, valid.byteLength - 2), FORMAT))
+      .toThrow(`Binary frame holds ${valid.byteLength - 2} bytes, its header declares ${valid.byteLength}`);
+  });
+
+  test('rejects malformed JSON messages', () => {
+    expect(() => parseStreamMessage('{"type":', null)).toThrow('Stream message is not valid JSON');
+    expect(() => parseStreamMessage('{"type":"pause"}', null)).toThrow('Unknown stream message type "pause"');
+    expect(() => parseStreamMessage('{"type":"start","samplingRate":0,"leads":["I"]}', null)).toThrow('positive samplingRate');
+    expect(() => parseStreamMessage('{"type":"start","samplingRate":250,"leads":[]}', null)).toThrow('non-empty array of lead names');
+    expect(() => parseStreamMessage('{"type":"start","samplingRate":250,"leads":["I"],"seq":-1}', null)).toThrow('seq must be a non-negative integer');
+    expect(() => parseStreamMessage('{"type":"samples","seq":0,"data":[[1]]}', null)).toThrow('Samples arrived before the start message');
+    expect(() => parseStreamMessage('{"type":"samples","seq":0,"data":[[1]]}', FORMAT)).toThrow('one array per lead (2)');
+    expect(() => parseStreamMessage('{"type":"samples","seq":0,"data":[[1],[1,2]]}', FORMAT)).toThrow('lead arrays differ in length');
+    expect(() => parseStreamMessage('{"type":"samples","seq":0,"data":[[1],["x"]]}', FORMAT)).toThrow('non-numeric value');
+  });
+});
+
+describe('createJitterBuffer', () => {
+  // 100 Hz with a 0.5 s delay: a frame arriving at 0 ms plays sample 0 at 500 ms, sample 10 at 600 ms
+  const buffer = () => createJitterBuffer({ samplingRate: 100, delay: 0.5, start: 0 });
+
+  test('holds samples for the delay, then releases them on the sample clock', () => {
+    const jitter = buffer();
+    jitter.push(0, frame(0, 30), 0);
+    expect(jitter.pull(499).blocks).toEqual([]);
+    expect(played(jitter.pull(600).blocks)).toEqual(range(0, 10));
+    expect(played(jitter.pull(750).blocks)).toEqual(range(10, 25));
+    expect(jitter.getState()).toEqual({ next: 25, buffered: 5, late: 0 });
+  });
+
+  test('puts reordered frames back in order and drops duplicates', () => {
+    const jitter = buffer();
+    jitter.push(20, frame(20, 10), 0);
+    jitter.push(0, frame(0, 10), 0);
+    jitter.push(10, frame(10, 10), 10);
+    jitter.push(10, frame(10, 10), 20);
+    expect(jitter.getState().buffered).toBe(30);
+    const { blocks, gaps } = jitter.pull(800);
+    expect(played(blocks)).toEqual(range(0, 30));
+    expect(blocks[1].data[1][0]).toBeCloseTo(10.1, 5);
+    expect(gaps).toEqual([]);
+  });
+
+  test('drops frames whose samples have already played', () => {
+    const jitter = buffer();
+    jitter.push(0, frame(0, 20), 0);
+    jitter.pull(650);
+    jitter.push(5, frame(5, 5), 660);
+    expect(jitter.getState().late).toBe(1);
+    expect(played(jitter.pull(700).blocks)).toEqual(range(15, 20));
+  });
+
+  test('plays a hole as a gap and reports it once later samples close it', () => {
+    const jitter = buffer();
+    jitter.push(0, frame(0, 10), 0);
+    jitter.push(20, frame(20, 10), 0);
+
+    const first = jitter.pull(650);
+    expect(played(first.blocks)).toEqual([...range(0, 10), null, null, null, null, null]);
+    expect(first.gaps).toEqual([]);
+
+    const second = jitter.pull(800);
+    expect(played(second.blocks)).toEqual([null, null, null, null, null, ...range(20, 30)]);
+    expect(second.gaps).toEqual([{ start: 10, length: 10 }]);
+  });
+
+  test('leaves a gap before a first frame that starts after the expected sample', () => {
+    const jitter = buffer();
+    jitter.push(5, frame(5, 10), 0);
+    const { blocks, gaps } = jitter.pull(650);
+    expect(played(blocks)).toEqual([null, null, null, null, null, ...range(5, 15)]);
+    expect(gaps).toEqual([{ start: 0, length: 5 }]);
+  });
+
+  test('waits when the data runs out and restarts with a fresh delay', () => {
+    const jitter = buffer();
+    jitter.push(0, frame(0, 10), 0);
+    expect(played(jitter.pull(700).blocks)).toEqual(range(0, 10));
+
+    // Starved: the next frame arrives late but continues the sequence, so no gap is played
+    jitter.push(10, frame(10, 10), 1000);
+    expect(jitter.pull(1400).blocks).toEqual([]);
+    const { blocks, gaps } = jitter.pull(1600);
+    expect(played(blocks)).toEqual(range(10, 20));
+    expect(gaps).toEqual([]);
+  });
+
+  test('catches up to the delay when too much is buffered', () => {
+    // 210 samples exceed the 0.5 s delay plus 1 s of slack: all but the delay's 50 play at once
+    const jitter = buffer();
+    jitter.push(0, frame(0, 10), 0);
+    jitter.push(10, frame(10, 200), 0);
+    expect(played(jitter.pull(500).blocks)).toEqual(range(0, 160));
+    expect(jitter.getState()).toEqual({ next: 160, buffered: 50, late: 0 });
+  });
+});
+
+describe('createEcgStream', () => {
+  let sockets;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sockets = [];
+    global.WebSocket = class {
+      constructor(url) {
+        this.url = url;
+        sockets.push(this);
+      }
+
+      close() {
+        this.onclose?.({ reason: '' });
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.WebSocket;
+  });
+
+  const send = (data) => sockets[sockets.length - 1].onmessage({ data });
+  const START = JSON.stringify({ ...FORMAT, leads: ['MLII'] });
+
+  test('stops releasing samples after a protocol error', () => {
+    const stream = createEcgStream({ url: 'ws://test', delay: 0.1 });
+    const samples = jest.fn();
+    stream.subscribe(STREAM_EVENTS.SAMPLES, samples);
+    stream.connect();
+    send(START);
+    send(JSON.stringify({ type: 'samples', seq: 0, data: [[0.1, 0.2]] }));
+    send('not json');
+
+    expect(stream.getStatus()).toEqual({ status: STREAM_STATUS.ERROR, message: 'Stream message is not valid JSON' });
+    expect(jest.getTimerCount()).toBe(0);
+    jest.advanceTimersByTime(1000);
+    expect(samples).not.toHaveBeenCalled();
+  });
+
+  test('plays out the buffered samples after the end message, then stops', () => {
+    const stream = createEcgStream({ url: 'ws://test', delay: 0.1 });
+    const released = [];
+    stream.subscribe(STREAM_EVENTS.SAMPLES, ({ length }) => released.push(length));
+    stream.connect();
+    send(START);
+    send(JSON.stringify({ type: 'samples', seq: 0, data: [range(0, 20)] }));
+    send('{"type":"end"}');
+    expect(stream.getStatus().status).toBe(STREAM_STATUS.ENDED);
+
+    jest.advanceTimersByTime(1000);
+    expect(released.reduce((acc, length) => acc + length, 0)).toBe(20);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
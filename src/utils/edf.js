@@ -0,0 +1,298 @@
+/**
+ * Reader and writer for EDF and EDF+ files (European Data Format)
+ *
+ * The file is an ASCII header followed by data records of fixed duration. Each record holds
+ * the samples of every signal as little-endian 16-bit integers, scaled linearly between the
+ * signal's digital and physical limits. Annotations travel in an extra "EDF Annotations"
+ * signal as time-stamped annotation lists (TALs). Files are written as EDF+C (continuous);
+ * plain EDF and EDF+C files are read.
+ */
+
+const DIGITAL_MIN = -32768;
+const DIGITAL_MAX = 32767;
+const RECORD_DURATION = 1;  // s
+const ANNOTATION_LABEL = 'EDF Annotations';
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Left-aligned, space-padded ASCII header field
+ * @param {string|number} value - Field value
+ * @param {number} length - Field length in bytes
+ * @returns {string} Field of exactly `length` characters
+ */
+const field = (value, length) => String(value).replace(/[^\x20-\x7e]/g, '_').slice(0, length).padEnd(length, ' ');
+
+/**
+ * Physical limit that fits the 8-character header field, rounded outwards
+ * @param {number} value - Limit
+ * @param {number} direction - -1 for a minimum, 1 for a maximum
+ * @returns {number} Limit as written to the header
+ */
+const physicalLimit = (value, direction) => {
+  for (let decimals = 3; decimals >= 0; decimals--) {
+    const scale = 10 ** decimals;
+    const rounded = (direction < 0 ? Math.floor(value * scale) : Math.ceil(value * scale)) / scale;
+    if (String(rounded).length <= 8) return rounded;
+  }
+  throw new Error(`Physical limit ${value} does not fit an EDF header field`);
+};
+
+/**
+ * Onset of an annotation in TAL notation: a sign, then seconds without trailing zeros
+ * @param {number} seconds - Time from the start of the file
+ * @returns {string} Onset, e.g. "+12.3456"
+ */
+const formatOnset = (seconds) => `+${parseFloat(seconds.toFixed(4))}`;
+
+/**
+ * Encodes signals and annotations as an EDF+C file
+ * @param {Object} recording - Recording to encode
+ * @param {Array<{name: string, units: string, signal: ArrayLike<number>}>} recording.leads -
+ *   Signals in physical units, all sampled at `samplingRate` and the same length
+ * @param {number} recording.samplingRate - Samples per second (Hz), an integer
+ * @param {Array<{time: number, text: string}>} [recording.annotations=[]] - Annotations,
+ *   time in seconds from the start of the recording
+ * @param {Date} [recording.startDate=new Date()] - Start of the recording
+ * @param {string} [recording.recordingId='X'] - Free text identifying the recording
+ * @returns {ArrayBuffer} Contents of the .edf file
+ * @throws {Error} When there are no leads or the sampling rate is not a whole number
+ */
+export function encodeEdf({ leads, samplingRate, annotations = [], startDate = new Date(), recordingId = 'X' }) {
+  if (!leads.length) throw new Error('EDF export needs at least one signal');
+  if (!Number.isInteger(samplingRate * RECORD_DURATION)) {
+    throw new Error(`EDF export needs a whole number of samples per record (${samplingRate} Hz)`);
+  }
+
+  const nSamples = leads[0].signal.length;
+  const samplesPerRecord = samplingRate * RECORD_DURATION;
+  const nRecords = Math.max(1, Math.ceil(nSamples / samplesPerRecord));
+
+  // 1. Annotation lists per data record; each starts with the record's time-keeping TAL
+  const tals = Array.from({ length: nRecords }, (_, record) => `${formatOnset(record * RECORD_DURATION)}\x14\x14\0`);
+  annotations.forEach(({ time, text }) => {
+    const record = Math.min(nRecords - 1, Math.max(0, Math.floor(time / RECORD_DURATION)));
+    tals[record] += `${formatOnset(time)}\x14${text.replace(/[^\x20-\x7e]/g, '_')}\x14\0`;
+  });
+  const annotationBytes = Math.max(...tals.map(tal => tal.length));
+  const annotationSamples = Math.ceil(annotationBytes / 2);
+
+  // 2. Physical limits of each signal (they must differ for the scaling)
+  const scaled = leads.map(({ signal }) => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < signal.length; i++) {
+      if (!Number.isFinite(signal[i])) continue;
+      if (signal[i] < min) min = signal[i];
+      if (signal[i] > max) max = signal[i];
+    }
+    if (min === Infinity) { min = -1; max = 1; }
+    if (max - min < 1e-3) { min -= 0.5; max += 0.5; }
+    const physicalMin = physicalLimit(min, -1);
+    const physicalMax = physicalLimit(max, 1);
+    return { physicalMin, physicalMax, scale: (DIGITAL_MAX - DIGITAL_MIN) / (physicalMax - physicalMin) };
+  });
+
+  // 3. Header: fixed part, then each signal field for all signals in turn
+  const signals = [
+    ...leads.map((lead, i) => ({
+      label: `ECG ${lead.name}`,
+      transducer: 'ECG electrode',
+      prefiltering: 'None',
+      units: lead.units || 'mV',
+      physicalMin: scaled[i].physicalMin,
+      physicalMax: scaled[i].physicalMax,
+      samples: samplesPerRecord
+    })),
+    { label: ANNOTATION_LABEL, transducer: '', prefiltering: '', units: '', physicalMin: -1, physicalMax: 1, samples: annotationSamples }
+  ];
+  const headerBytes = 256 * (signals.length + 1);
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${pad(startDate.getDate())}-${MONTHS[startDate.getMonth()]}-${startDate.getFullYear()}`;
+
+  const header = [
+    field('0', 8),
+    field('X X X X', 80),
+    field(`Startdate ${date} X X ${recordingId.replace(/\s+/g, '_')}`, 80),
+    field(`${pad(startDate.getDate())}.${pad(startDate.getMonth() + 1)}.${pad(startDate.getFullYear() % 100)}`, 8),
+    field(`${pad(startDate.getHours())}.${pad(startDate.getMinutes())}.${pad(startDate.getSeconds())}`, 8),
+    field(headerBytes, 8),
+    field('EDF+C', 44),
+    field(nRecords, 8),
+    field(RECORD_DURATION, 8),
+    field(signals.length, 4),
+    ...signals.map(s => field(s.label, 16)),
+    ...signals.map(s => field(s.transducer, 80)),
+    ...signals.map(s => field(s.units, 8)),
+    ...signals.map(s => field(s.physicalMin, 8)),
+    ...signals.map(s => field(s.physicalMax, 8)),
+    ...signals.map(() => field(DIGITAL_MIN, 8)),
+    ...signals.map(() => field(DIGITAL_MAX, 8)),
+    ...signals.map(s => field(s.prefiltering, 80)),
+    ...signals.map(s => field(s.samples, 8)),
+    ...signals.map(() => field('', 32))
+  ].join('');
+
+  // 4. Data records; the last one is padded with the final sample
+  const recordSamples = leads.length * samplesPerRecord + annotationSamples;
+  const buffer = new ArrayBuffer(headerBytes + nRecords * recordSamples * 2);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+  let offset = headerBytes;
+  for (let record = 0; record < nRecords; record++) {
+    for (let i = 0; i < leads.length; i++) {
+      const { signal } = leads[i];
+      const { physicalMin, scale } = scaled[i];
+      for (let s = 0; s < samplesPerRecord; s++) {
+        const value = signal[Math.min(record * samplesPerRecord + s, nSamples - 1)];
+        const digital = Number.isFinite(value) ? Math.round((value - physicalMin) * scale + DIGITAL_MIN) : DIGITAL_MIN;
+        view.setInt16(offset, Math.min(DIGITAL_MAX, Math.max(DIGITAL_MIN, digital)), true);
+        offset += 2;
+      }
+    }
+    const tal = tals[record];
+    for (let i = 0; i < tal.length; i++) bytes[offset + i] = tal.charCodeAt(i);
+    offset += annotationSamples * 2;  // Unused bytes stay zero
+  }
+
+  return buffer;
+}
+
+// Per-signal header fields in file order: [key, width in bytes, name of a numeric field]
+const SIGNAL_FIELDS = [
+  ['label', 16, null],
+  ['transducer', 80, null],
+  ['units', 8, null],
+  ['physicalMin', 8, 'physical minimum'],
+  ['physicalMax', 8, 'physical maximum'],
+  ['digitalMin', 8, 'digital minimum'],
+  ['digitalMax', 8, 'digital maximum'],
+  ['prefiltering', 80, null],
+  ['samples', 8, 'number of samples per record'],
+  ['reserved', 32, null]
+];
+
+/**
+ * Parses the time-stamped annotation lists of one data record
+ * TAL: "+onset[\x15duration]\x14text\x14[text\x14...]\0"; a TAL without text only keeps time.
+ * @param {string} text - Bytes of the record's annotation signal as characters
+ * @returns {Array<{time: number, duration: number, text: string}>} Annotations
+ */
+const parseTals = (text) => text.split('\0').flatMap(tal => {
+  const [timing, ...texts] = tal.split('\x14');
+  const [onset, length = '0'] = timing.split('\x15');
+  if (!/^[+-]\d+(\.\d*)?$/.test(onset) || !/^\d+(\.\d*)?$/.test(length)) return [];
+  const time = parseFloat(onset);
+  const duration = parseFloat(length);
+  return texts.filter(Boolean).map(entry => ({ time, duration, text: entry }));
+});
+
+/**
+ * Decodes an EDF or EDF+C file
+ * Signals are converted to physical units; signals sampled at another rate than the
+ * first one are left out and reported in `skipped`.
+ * @param {ArrayBuffer} buffer - Contents of the .edf file
+ * @returns {Object} Recording containing:
+ *   - samplingRate: number (Hz)
+ *   - leads: Array<{name, units, signal: Float32Array}>
+ *   - annotations: Array<{time, duration, text}> from EDF+ annotation signals
+ *   - skipped: Array<string> labels of the signals left out
+ *   - patient, recording: string header identification fields
+ * @throws {Error} Naming the problem when the header is malformed, the file is discontinuous
+ *   (EDF+D) or BDF, or the data is shorter than the header declares
+ */
+export function parseEdf(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const text = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+  if (bytes.length < 256) throw new Error(`EDF header is truncated: ${bytes.length} bytes, at least 256 needed`);
+
+  // 1. Fixed header
+  const version = text(0, 8);
+  if (bytes[0] === 0xff) throw new Error('BDF (24-bit) files are not supported, only EDF');
+  if (version.trim() !== '0') throw new Error(`Bad EDF header: version is "${version.trim()}", expected "0"`);
+
+  const number = (start, length, name) => {
+    const raw = text(start, length).trim();
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value)) throw new Error(`Bad EDF header: ${name} is "${raw}"`);
+    return value;
+  };
+  const headerBytes = number(184, 8, 'number of header bytes');
+  const reserved = text(192, 44).trim();
+  let nRecords = number(236, 8, 'number of data records');
+  const recordDuration = number(244, 8, 'data record duration');
+  const nSignals = number(252, 4, 'number of signals');
+
+  if (reserved.startsWith('EDF+D')) throw new Error('EDF+D (discontinuous) recordings are not supported');
+  if (!Number.isInteger(nSignals) || nSignals < 1) throw new Error(`Bad EDF header: ${nSignals} signals`);
+  if (headerBytes !== 256 * (nSignals + 1)) {
+    throw new Error(`Bad EDF header: ${headerBytes} header bytes declared, ${256 * (nSignals + 1)} expected for ${nSignals} signals`);
+  }
+  if (bytes.length < headerBytes) throw new Error(`EDF header is truncated: ${bytes.length} of ${headerBytes} bytes`);
+  if (recordDuration <= 0) throw new Error(`Bad EDF header: data record duration is ${recordDuration} s`);
+
+  // 2. Signal headers: each field for all signals in turn
+  const signals = Array.from({ length: nSignals }, () => ({}));
+  let offset = 256;
+  SIGNAL_FIELDS.forEach(([key, width, numeric]) => {
+    signals.forEach((signal, i) => {
+      signal[key] = numeric ? number(offset, width, `${numeric} of signal ${i + 1}`) : text(offset, width).trim();
+      offset += width;
+    });
+  });
+  signals.forEach((signal, i) => {
+    const label = `signal ${i + 1} ("${signal.label}")`;
+    if (!Number.isInteger(signal.samples) || signal.samples < 1) throw new Error(`Bad EDF header: ${label} has ${signal.samples} samples per record`);
+    if (signal.digitalMax <= signal.digitalMin) throw new Error(`Bad EDF header: ${label} has digital maximum ≤ minimum`);
+    if (signal.physicalMax === signal.physicalMin) throw new Error(`Bad EDF header: ${label} has equal physical minimum and maximum`);
+  });
+
+  // 3. Data records must all be present
+  const recordBytes = signals.reduce((sum, signal) => sum + signal.samples * 2, 0);
+  const completeRecords = Math.floor((bytes.length - headerBytes) / recordBytes);
+  if (nRecords === -1) nRecords = completeRecords; // Unknown while recording
+  if (completeRecords < nRecords) {
+    throw new Error(`EDF data is truncated: the header declares ${nRecords} data records, the file holds ${completeRecords}`);
+  }
+
+  // 4. Signals at the first ordinary signal's rate; the annotation signal carries TALs
+  const ordinary = signals.filter(signal => signal.label !== ANNOTATION_LABEL);
+  if (!ordinary.length) throw new Error('EDF file has no signals, only annotations');
+  const samples = ordinary[0].samples;
+  const kept = ordinary.filter(signal => signal.samples === samples);
+  const leads = kept.map(signal => ({
+    name: signal.label.replace(/^ECG\s+/i, '') || 'ECG',
+    units: signal.units,
+    signal: new Float32Array(nRecords * signal.samples)
+  }));
+  const annotations = [];
+  const view = new DataView(buffer);
+
+  for (let record = 0; record < nRecords; record++) {
+    let position = headerBytes + record * recordBytes;
+    signals.forEach(signal => {
+      const length = signal.samples * 2;
+      const lead = leads[kept.indexOf(signal)];
+      if (signal.label === ANNOTATION_LABEL) {
+        annotations.push(...parseTals(text(position, length)));
+      } else if (lead) {
+        const scale = (signal.physicalMax - signal.physicalMin) / (signal.digitalMax - signal.digitalMin);
+        const base = record * signal.samples;
+        for (let i = 0; i < signal.samples; i++) {
+          lead.signal[base + i] = (view.getInt16(position + i * 2, true) - signal.digitalMin) * scale + signal.physicalMin;
+        }
+      }
+      position += length;
+    });
+  }
+
+  return {
+    samplingRate: samples / recordDuration,
+    leads,
+    annotations: annotations.sort((a, b) => a.time - b.time),
+    skipped: ordinary.filter(signal => signal.samples !== samples).map(signal => signal.label),
+    patient: text(8, 80).trim(),
+    recording: text(88, 80).trim()
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { encodeEdf, parseEdf } from './edf';
+import { decodeRecord, parseHeader } from './wfdb';
+
+const DATASET_DIR = path.join(__dirname, '../../datasets/mit-bih-arrhythmia-database-1.0.0');
+
+const loadRecord = (recordName, seconds) => {
+  const header = parseHeader(fs.readFileSync(path.join(DATASET_DIR, `${recordName}.hea`), 'utf8'));
+  const data = fs.readFileSync(path.join(DATASET_DIR, header.signals[0].fileName));
+  const leads = decodeRecord(header, data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  const length = Math.round(seconds * header.samplingRate);
+  return { samplingRate: header.samplingRate, leads: leads.map(lead => ({ ...lead, signal: lead.signal.slice(0, length) })) };
+};
+
+// One digital step of a signal written between its rounded-out physical limits
+const leastSignificantBit = (signal) => {
+  const min = Math.floor(Math.min(...signal) * 1000) / 1000;
+  const max = Math.ceil(Math.max(...signal) * 1000) / 1000;
+  return (max - min) / 65535;
+};
+
+// Writes a header field over an encoded file
+const patch = (buffer, offset, text) => {
+  const bytes = new Uint8Array(buffer.slice(0));
+  Array.from(text).forEach((char, i) => { bytes[offset + i] = char.charCodeAt(0); });
+  return bytes.buffer;
+};
+
+describe('EDF+C round trip', () => {
+  // 10.5 s: the last data record is padded
+  const { samplingRate, leads } = loadRecord('100', 10.5);
+  const annotations = [
+    { time: 0.05, text: 'Normal sinus rhythm' },
+    { time: 0.2139, text: 'Normal beat' },
+    { time: 9.999, text: 'Premature ventricular contraction' }
+  ];
+  const startDate = new Date(2026, 0, 2, 3, 4, 5);
+  const edf = parseEdf(encodeEdf({ leads, samplingRate, annotations, startDate, recordingId: 'rec 100' }));
+
+  test('keeps the sampling rate and leads', () => {
+    expect(edf.samplingRate).toBe(360);
+    expect(edf.leads.map(lead => [lead.name, lead.units])).toEqual([['MLII', 'mV'], ['V5', 'mV']]);
+    expect(edf.leads[0].signal).toHaveLength(11 * 360);
+    expect(edf.skipped).toEqual([]);
+    expect(edf.recording).toContain('Startdate 02-JAN-2026');
+  });
+
+  test('reads every sample back within 1 LSB', () => {
+    leads.forEach((lead, i) => {
+      const tolerance = leastSignificantBit(lead.signal);
+      let error = 0;
+      lead.signal.forEach((value, j) => { error = Math.max(error, Math.abs(edf.leads[i].signal[j] - value)); });
+      expect(error).toBeLessThanOrEqual(tolerance);
+    });
+  });
+
+  test('reads the annotations back without the time-keeping TALs', () => {
+    expect(edf.annotations.map(({ time, text }) => ({ time, text }))).toEqual(annotations);
+  });
+});
+
+describe('encodeEdf', () => {
+  test('rejects a recording without leads', () => {
+    expect(() => encodeEdf({ leads: [], samplingRate: 250 })).toThrow('at least one signal');
+  });
+
+  test('rejects a fractional number of samples per record', () => {
+    const leads = [{ name: 'I', units: 'mV', signal: new Float32Array(10) }];
+    expect(() => encodeEdf({ leads, samplingRate: 128.5 })).toThrow('whole number of samples per record');
+  });
+
+  test('writes a flat signal with distinct physical limits', () => {
+    const leads = [{ name: 'I', units: 'mV', signal: new Float32Array(250).fill(0.2) }];
+    const edf = parseEdf(encodeEdf({ leads, samplingRate: 250 }));
+    edf.leads[0].signal.forEach(value => expect(value).toBeCloseTo(0.2, 4));
+  });
+});
+
+describe('parseEdf', () => {
+  const leads = [{ name: 'I', units: 'mV', signal: Float32Array.from({ length: 500 }, (_, i) => Math.sin(i / 10)) }];
+  const encoded = encodeEdf({ leads, samplingRate: 250 });
+
+  test('rejects a truncated header', () => {
+    expect(() => parseEdf(encoded.slice(0, 100))).toThrow('EDF header is truncated: 100 bytes');
+    expect(() => parseEdf(encoded.slice(0, 600))).toThrow('EDF header is truncated: 600 of 768 bytes');
+  });
+
+  test('rejects truncated data', () => {
+    expect(() => parseEdf(encoded.slice(0, encoded.byteLength - 10))).toThrow('declares 2 data records, the file holds 1');
+  });
+
+  test('rejects BDF, EDF+D and bad header fields', () => {
+    const bdf = new Uint8Array(encoded.slice(0));
+    bdf[0] = 0xff;
+    expect(() => parseEdf(bdf.buffer)).toThrow('BDF (24-bit) files are not supported');
+    expect(() => parseEdf(patch(encoded, 192, 'EDF+D'))).toThrow('EDF+D (discontinuous)');
+    expect(() => parseEdf(patch(encoded, 0, '1'))).toThrow('version is "1"');
+    expect(() => parseEdf(patch(encoded, 236, 'many    '))).toThrow('number of data records is "many"');
+  });
+});
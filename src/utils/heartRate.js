@@ -0,0 +1,136 @@
+/**
+ * Heart rate calculations shared by the loaders, the animation and the detector benchmark
+ */
+
+// Accepted RR intervals (seconds) and resulting rates (BPM)
+export const RR_RANGE = [0.2, 3.0];
+const BPM_RANGE = [20, 300];
+
+/**
+ * Calculates stable heart rate (BPM) from cardiac phase interval data
+ * @param {Array} intervals - Array of cardiac phase objects containing:
+ *   - phase: string (e.g., "QRS")
+ *   - entry: number (time in seconds when phase starts)
+ *   - duration: number (how long phase lasts)
+ * @returns {number} Calculated beats per minute (BPM)
+ * @throws {Error} When insufficient data or physiologically impossible values are detected
+ */
+export const calculateStableBPM = (intervals) => {
+  // 1. Filter only QRS events with valid timing data
+  const qrsEvents = intervals
+    .filter(event => 
+      event.phase === "QRS" && 
+      typeof event.entry === 'number' && 
+      typeof event.duration === 'number'
+    );
+
+  if (qrsEvents.length < 2) {
+    throw new Error('Need at least 2 QRS complexes for accurate calculation');
+  }
+
+  // 2. Calculate average RR interval (time between QRS complexes)
+  let totalRR = 0;
+  let validRRCount = 0;
+
+  for (let i = 1; i < qrsEvents.length; i++) {
+    const rrInterval = qrsEvents[i].entry - qrsEvents[i-1].entry;
+    // Validate RR interval is within physiologically possible range (0.2-3.0 seconds),
+    // wide enough for escape rhythms in complete heart block and for VT
+    if (rrInterval > RR_RANGE[0] && rrInterval < RR_RANGE[1]) {
+      totalRR += rrInterval;
+      validRRCount++;
+    }
+  }
+
+  if (validRRCount === 0) {
+    throw new Error('No valid RR intervals found');
+  }
+
+  // 3. Convert average RR interval to BPM (beats per minute)
+  const avgRR = totalRR / validRRCount;
+  const bpm = Math.round(60 / avgRR); // 60 seconds / RR interval in seconds
+
+  // 4. Final validation - ensure BPM is within normal physiological range
+  if (bpm < BPM_RANGE[0] || bpm > BPM_RANGE[1]) {
+    throw new Error(`Calculated BPM ${bpm} outside valid range`);
+  }
+
+  return bpm;
+};
+
+/**
+ * Beat times (QRS entries) of a set of cardiac phase intervals
+ * @param {Array} intervals - Cardiac phase objects ({phase, entry, duration})
+ * @returns {Array<number>} Ascending beat times in seconds
+ */
+export const extractBeatTimes = (intervals) => intervals
+  .filter(event => event.phase === "QRS" && typeof event.entry === 'number')
+  .map(event => event.entry)
+  .sort((a, b) => a - b);
+
+/**
+ * Finds the most recent beat at or before a time using binary search
+ * @param {Array<number>} beatTimes - Ascending beat times in seconds
+ * @param {number} time - Simulation time in seconds
+ * @returns {number} Index of the beat, or -1 before the first beat
+ */
+export const lastBeatIndex = (beatTimes, time) => {
+  let low = 0;
+  let high = beatTimes.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (beatTimes[mid] <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low - 1;
+};
+
+const isValidRR = (rr) => rr > RR_RANGE[0] && rr < RR_RANGE[1];
+
+/**
+ * Instantaneous heart rate from the R-R interval ending at the most recent beat
+ * @param {Array<number>} beatTimes - Ascending beat times in seconds
+ * @param {number} time - Simulation time in seconds
+ * @returns {number|null} BPM, or null before the second beat or after an invalid RR interval
+ */
+export const instantaneousHeartRate = (beatTimes, time) => {
+  const index = lastBeatIndex(beatTimes, time);
+  if (index < 1) return null;
+
+  const rr = beatTimes[index] - beatTimes[index - 1];
+  return isValidRR(rr) ? 60 / rr : null;
+};
+
+/**
+ * Smoothed heart rate: mean of the last few valid R-R intervals ending at the most recent beat
+ * Being a function of simulation time only, it follows pause, speed changes and seeking.
+ * @param {Array<number>} beatTimes - Ascending beat times in seconds
+ * @param {number} time - Simulation time in seconds
+ * @param {number} [beats=4] - Number of R-R intervals averaged
+ * @returns {number|null} BPM, or null when no valid R-R interval precedes the time
+ */
+export const smoothedHeartRate = (beatTimes, time, beats = 4) => {
+  const index = lastBeatIndex(beatTimes, time);
+  let total = 0;
+  let count = 0;
+
+  for (let i = index; i >= 1 && count < beats; i--) {
+    const rr = beatTimes[i] - beatTimes[i - 1];
+    if (isValidRR(rr)) {
+      total += rr;
+      count++;
+    }
+  }
+
+  return count ? (60 * count) / total : null;
+};
+
+/**
+ * Beat-to-beat heart rate series (tachogram)
+ * @param {Array<number>} beatTimes - Ascending beat times in seconds
+ * @returns {Array<{time: number, bpm: number}>} Heart rate at each beat with a valid preceding R-R interval
+ */
+export const heartRateSeries = (beatTimes) => beatTimes
+  .map((time, i) => ({ time, rr: i > 0 ? time - beatTimes[i - 1] : 0 }))
+  .filter(({ rr }) => isValidRR(rr))
+  .map(({ time, rr }) => ({ time, bpm: 60 / rr }));
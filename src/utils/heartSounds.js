@@ -0,0 +1,273 @@
+/**
+ * Monitor QRS beep and synthesized heart sounds, played with the Web Audio API
+ *
+ * Sound events sit on the record's time axis: the beep at each R wave, S1 as the QRS ends
+ * (mitral and tricuspid closure), S2 just after the T wave ends (aortic and pulmonary closure),
+ * S3 in early diastole and S4 with the atrial kick before S1. Murmurs fill systole or
+ * diastole. The caller plays each event when the simulation clock reaches it.
+ */
+
+export const SOUND_EVENTS = {
+  BEEP: 'beep',
+  S1: 's1',
+  S2: 's2',
+  S3: 's3',
+  S4: 's4',
+  SYSTOLE: 'systole',   // S1 to S2, for systolic murmurs
+  DIASTOLE: 'diastole'  // S2 to the next S1, for diastolic murmurs
+};
+
+export const MURMURS = {
+  NONE: 'none',
+  EJECTION: 'ejection',
+  HOLOSYSTOLIC: 'holosystolic',
+  EARLY_DIASTOLIC: 'early-diastolic'
+};
+
+export const MURMUR_LABELS = {
+  [MURMURS.NONE]: 'None',
+  [MURMURS.EJECTION]: 'Systolic ejection (aortic stenosis)',
+  [MURMURS.HOLOSYSTOLIC]: 'Holosystolic (mitral regurgitation)',
+  [MURMURS.EARLY_DIASTOLIC]: 'Early diastolic (aortic regurgitation)'
+};
+
+export const DEFAULT_SOUND_SETTINGS = {
+  volume: 0.5,
+  muted: true,          // Silent until the user turns sound on
+  beep: true,
+  spo2Pitch: false,     // Beep pitch falls with saturation, like a pulse oximeter
+  spo2: 98,             // %
+  heartSounds: false,
+  s3: false,
+  s4: false,
+  murmur: MURMURS.NONE
+};
+
+// Timing on the record's time axis (s)
+const S2_AFTER_T_PEAK = 0.11;    // The ST interval ends at the T peak, which the T wave outlasts by 60-100 ms
+const S3_AFTER_S2 = 0.15;
+const S4_BEFORE_S1 = 0.1;
+const S4_P_WINDOW = 0.4;         // S4 needs atrial contraction: a P wave this close before the QRS
+const MAX_DIASTOLE = 1.5;        // Longer gaps (pauses, end of record) get no diastole event
+
+// Sound design
+const BEEP_FREQUENCY = 880;      // Hz at 100% saturation
+const BEEP_LENGTH = 0.07;        // s
+const SEMITONES_PER_PERCENT = 1; // Pulse-oximeter pitch step per % of saturation
+const HEART_SOUNDS = {
+  [SOUND_EVENTS.S1]: { frequencies: [55, 90, 140], length: 0.12, level: 0.9 },
+  [SOUND_EVENTS.S2]: { frequencies: [80, 130, 200], length: 0.09, level: 0.7 },
+  [SOUND_EVENTS.S3]: { frequencies: [40, 60], length: 0.08, level: 0.45 },
+  [SOUND_EVENTS.S4]: { frequencies: [35, 55], length: 0.07, level: 0.4 }
+};
+// Band-passed noise per murmur: centre (Hz), Q and envelope breakpoints [fraction of the phase, level]
+const MURMUR_SOUNDS = {
+  [MURMURS.EJECTION]: { phase: SOUND_EVENTS.SYSTOLE, frequency: 300, q: 1.2, envelope: [[0.05, 0], [0.4, 1], [0.9, 0]] },
+  [MURMURS.HOLOSYSTOLIC]: { phase: SOUND_EVENTS.SYSTOLE, frequency: 420, q: 1.5, envelope: [[0, 0], [0.08, 0.7], [0.92, 0.7], [1, 0]] },
+  // Decrescendo over the first 40% of diastole
+  [MURMURS.EARLY_DIASTOLIC]: { phase: SOUND_EVENTS.DIASTOLE, frequency: 650, q: 1.5, envelope: [[0, 0], [0.02, 0.8], [0.4, 0]] }
+};
+const MURMUR_LEVEL = 0.25;
+
+/**
+ * Sound events of a set of cardiac phase intervals
+ * @param {Array} intervals - Cardiac phase intervals ({entry, duration, phase})
+ * @returns {Array<{time: number, type: string, duration?: number}>} Events sorted by record time (s);
+ *   SYSTOLE and DIASTOLE carry their duration
+ */
+export function cardiacSoundEvents(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.entry - b.entry);
+  const events = [];
+  const beats = [];
+
+  // 1. Beep and S1 per QRS; S2 after the T wave that follows it
+  sorted.forEach((interval, i) => {
+    if (interval.phase !== 'QRS') return;
+    const s1 = interval.entry + interval.duration;
+    const previous = sorted[i - 1];
+    const next = sorted[i + 1];
+    const atrialKick = previous && previous.phase === 'PQ' && interval.entry - previous.entry <= S4_P_WINDOW;
+    const s2 = next && next.phase === 'ST' ? next.entry + next.duration + S2_AFTER_T_PEAK : null;
+
+    events.push({ time: interval.entry + interval.duration / 2, type: SOUND_EVENTS.BEEP });
+    events.push({ time: s1, type: SOUND_EVENTS.S1 });
+    if (atrialKick) events.push({ time: s1 - S4_BEFORE_S1, type: SOUND_EVENTS.S4 });
+    if (s2 !== null) {
+      events.push({ time: s2, type: SOUND_EVENTS.S2 });
+      events.push({ time: s1, type: SOUND_EVENTS.SYSTOLE, duration: s2 - s1 });
+    }
+    beats.push({ s1, s2 });
+  });
+
+  // 2. Diastole up to the next S1, with S3 early in it
+  beats.forEach(({ s2 }, i) => {
+    const next = beats[i + 1];
+    if (s2 === null || !next || next.s1 - s2 > MAX_DIASTOLE || next.s1 <= s2) return;
+    events.push({ time: s2, type: SOUND_EVENTS.DIASTOLE, duration: next.s1 - s2 });
+    if (s2 + S3_AFTER_S2 < next.s1 - S4_BEFORE_S1) events.push({ time: s2 + S3_AFTER_S2, type: SOUND_EVENTS.S3 });
+  });
+
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Index of the first event after a time, by binary search
+ * @param {Array<{time: number}>} events - Events sorted by time
+ * @param {number} time - Time (s)
+ * @returns {number} Index, events.length when none follows
+ */
+export function firstEventAfter(events, time) {
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (events[mid].time <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Pitch of the QRS beep
+ * @param {Object} settings - Sound settings {spo2Pitch, spo2}
+ * @returns {number} Frequency (Hz)
+ */
+export function beepFrequency({ spo2Pitch, spo2 }) {
+  if (!spo2Pitch) return BEEP_FREQUENCY;
+  return BEEP_FREQUENCY * 2 ** ((SEMITONES_PER_PERCENT * (spo2 - 100)) / 12);
+}
+
+/**
+ * Creates the heart sound player
+ * Browsers only start audio after a user gesture, so the audio context is created and
+ * resumed lazily; call resume() from an input handler.
+ * @returns {Object} Player with:
+ *   - play(event, settings, speed): plays a sound event if the settings include it;
+ *     murmurs last their phase's duration at the simulation speed
+ *   - setVolume(volume, muted): master volume 0 to 1
+ *   - resume(): starts the audio context
+ *   - dispose(): releases the audio context
+ */
+export function createHeartAudio() {
+  let context = null;
+  let master = null;
+  let noise = null;
+  let level = 0;
+
+  /**
+   * Audio context with its master gain, created on first use
+   * @returns {AudioContext|null} Context, or null where Web Audio is unavailable
+   */
+  const getContext = () => {
+    if (!context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      context = new AudioContextClass();
+      master = context.createGain();
+      master.gain.value = level;
+      master.connect(context.destination);
+    }
+    if (context.state === 'suspended') context.resume().catch(() => {});
+    return context;
+  };
+
+  /**
+   * One second of white noise, looped for murmurs
+   * @param {AudioContext} audio - Audio context
+   * @returns {AudioBuffer} Noise buffer
+   */
+  const getNoise = (audio) => {
+    if (!noise) {
+      noise = audio.createBuffer(1, audio.sampleRate, audio.sampleRate);
+      const data = noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    return noise;
+  };
+
+  const playBeep = (audio, at, frequency) => {
+    const oscillator = audio.createOscillator();
+    const envelope = audio.createGain();
+    oscillator.frequency.value = frequency;
+    envelope.gain.setValueAtTime(0, at);
+    envelope.gain.linearRampToValueAtTime(0.5, at + 0.005);
+    envelope.gain.setValueAtTime(0.5, at + BEEP_LENGTH - 0.01);
+    envelope.gain.linearRampToValueAtTime(0, at + BEEP_LENGTH);
+    oscillator.connect(envelope).connect(master);
+    oscillator.start(at);
+    oscillator.stop(at + BEEP_LENGTH);
+  };
+
+  // Low-frequency thump: damped sinusoids, the lowest gliding down a little
+  const playHeartSound = (audio, at, { frequencies, length, level: soundLevel }) => {
+    frequencies.forEach((frequency, i) => {
+      const oscillator = audio.createOscillator();
+      const envelope = audio.createGain();
+      oscillator.frequency.setValueAtTime(frequency, at);
+      if (i === 0) oscillator.frequency.linearRampToValueAtTime(frequency * 0.8, at + length);
+      envelope.gain.setValueAtTime(0.0001, at);
+      envelope.gain.exponentialRampToValueAtTime(soundLevel / (i + 1), at + 0.012);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, at + length);
+      oscillator.connect(envelope).connect(master);
+      oscillator.start(at);
+      oscillator.stop(at + length);
+    });
+  };
+
+  const playMurmur = (audio, at, { frequency, q, envelope: breakpoints }, length) => {
+    const source = audio.createBufferSource();
+    const filter = audio.createBiquadFilter();
+    const envelope = audio.createGain();
+    source.buffer = getNoise(audio);
+    source.loop = true;
+    filter.type = 'bandpass';
+    filter.frequency.value = frequency;
+    filter.Q.value = q;
+    envelope.gain.setValueAtTime(0, at);
+    breakpoints.forEach(([fraction, value]) =>
+      envelope.gain.linearRampToValueAtTime(MURMUR_LEVEL * value, at + fraction * length));
+    source.connect(filter).connect(envelope).connect(master);
+    source.start(at);
+    source.stop(at + length);
+  };
+
+  return {
+    play(event, settings, speed) {
+      if (settings.muted || settings.volume <= 0) return;
+      const { type } = event;
+      const heard = type === SOUND_EVENTS.BEEP
+        ? settings.beep
+        : settings.heartSounds && (
+          type === SOUND_EVENTS.S1 || type === SOUND_EVENTS.S2 ||
+          (type === SOUND_EVENTS.S3 && settings.s3) ||
+          (type === SOUND_EVENTS.S4 && settings.s4) ||
+          MURMUR_SOUNDS[settings.murmur]?.phase === type
+        );
+      if (!heard) return;
+
+      const audio = getContext();
+      if (!audio) return;
+      const at = audio.currentTime + 0.01;
+
+      if (type === SOUND_EVENTS.BEEP) playBeep(audio, at, beepFrequency(settings));
+      else if (HEART_SOUNDS[type]) playHeartSound(audio, at, HEART_SOUNDS[type]);
+      else playMurmur(audio, at, MURMUR_SOUNDS[settings.murmur], event.duration / speed);
+    },
+
+    setVolume(volume, muted) {
+      level = muted ? 0 : Math.min(1, Math.max(0, volume));
+      if (master) master.gain.setTargetAtTime(level, context.currentTime, 0.02);
+    },
+
+    resume() {
+      getContext();
+    },
+
+    dispose() {
+      context?.close();
+      context = null;
+      master = null;
+      noise = null;
+    }
+  };
+}
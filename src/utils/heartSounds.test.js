@@ -0,0 +1,98 @@
+import { processEcg } from './ecgPipeline';
+import { beepFrequency, cardiacSoundEvents, firstEventAfter, SOUND_EVENTS } from './heartSounds';
+import { generateScenario } from './rhythmScenarios';
+
+// Two sinus beats, then a wide beat without a P wave or ST phase after a long pause
+const INTERVALS = [
+  { entry: 0.2, duration: 0.12, phase: 'PQ' },
+  { entry: 0.32, duration: 0.08, phase: 'QRS' },
+  { entry: 0.4, duration: 0.22, phase: 'ST' },
+  { entry: 1.0, duration: 0.12, phase: 'PQ' },
+  { entry: 1.12, duration: 0.08, phase: 'QRS' },
+  { entry: 1.2, duration: 0.22, phase: 'ST' },
+  { entry: 4.0, duration: 0.14, phase: 'QRS' }
+];
+
+const ofType = (events, type) => events.filter(event => event.type === type);
+
+describe('cardiacSoundEvents', () => {
+  const events = cardiacSoundEvents(INTERVALS);
+
+  test('places S1 as the QRS ends and S2 after the T wave', () => {
+    expect(ofType(events, SOUND_EVENTS.BEEP).map(event => event.time)).toEqual([0.36, 1.16, 4.07].map(time => expect.closeTo(time)));
+    expect(ofType(events, SOUND_EVENTS.S1).map(event => event.time)).toEqual([0.4, 1.2, 4.14].map(time => expect.closeTo(time)));
+    expect(ofType(events, SOUND_EVENTS.S2).map(event => event.time)).toEqual([0.73, 1.53].map(time => expect.closeTo(time)));
+    expect(ofType(events, SOUND_EVENTS.SYSTOLE)).toEqual([
+      { time: expect.closeTo(0.4), type: SOUND_EVENTS.SYSTOLE, duration: expect.closeTo(0.33) },
+      { time: expect.closeTo(1.2), type: SOUND_EVENTS.SYSTOLE, duration: expect.closeTo(0.33) }
+    ]);
+  });
+
+  test('adds S4 only after a P wave and S3 and diastole only before a following beat', () => {
+    expect(ofType(events, SOUND_EVENTS.S4).map(event => event.time)).toEqual([0.3, 1.1].map(time => expect.closeTo(time)));
+    expect(ofType(events, SOUND_EVENTS.S3).map(event => event.time)).toEqual([expect.closeTo(0.88)]);
+    expect(ofType(events, SOUND_EVENTS.DIASTOLE)).toEqual([
+      { time: expect.closeTo(0.73), type: SOUND_EVENTS.DIASTOLE, duration: expect.closeTo(0.47) }
+    ]);
+  });
+
+  test('leaves out S3 when diastole is too short for it', () => {
+    const fast = cardiacSoundEvents([
+      { entry: 0.32, duration: 0.08, phase: 'QRS' },
+      { entry: 0.4, duration: 0.12, phase: 'ST' },
+      { entry: 0.8, duration: 0.08, phase: 'QRS' }
+    ]);
+    expect(ofType(fast, SOUND_EVENTS.DIASTOLE)).toHaveLength(1);
+    expect(ofType(fast, SOUND_EVENTS.S3)).toEqual([]);
+  });
+
+  test('returns the events in time order', () => {
+    events.slice(1).forEach((event, i) => expect(event.time).toBeGreaterThanOrEqual(events[i].time));
+  });
+
+  // At faster rates the T wave runs into the next P wave and its delineated end is less stable
+  test.each(['sinus', 'sinus-brady'])(
+    'puts S1 after the QRS onset and S2 after the T end that %s delineates',
+    (id) => {
+      let seed = 7;
+      const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+      };
+      const { signal, samplingRate } = generateScenario(id, { duration: 30, random });
+      const { intervals, boundaries } = processEcg(signal, samplingRate);
+      const sounds = cardiacSoundEvents(intervals);
+      const s1 = ofType(sounds, SOUND_EVENTS.S1);
+      const s2 = ofType(sounds, SOUND_EVENTS.S2);
+
+      const measured = boundaries.filter(beat => beat.tEnd !== null);
+      expect(measured.length).toBeGreaterThan(10);
+      measured.forEach(({ qrsOnset, tEnd }) => {
+        const onset = qrsOnset / samplingRate;
+        const end = tEnd / samplingRate;
+        const first = s1[firstEventAfter(s1, onset)];
+        const second = s2[firstEventAfter(s2, first.time)];
+        expect(first.time - onset).toBeLessThan(0.1);
+        expect(second.time).toBeGreaterThan(end);
+        expect(second.time - end).toBeLessThan(0.06);
+      });
+    }
+  );
+});
+
+describe('firstEventAfter', () => {
+  test('finds the first event strictly after a time', () => {
+    const events = [{ time: 1 }, { time: 2 }, { time: 2 }, { time: 3 }];
+    expect(firstEventAfter(events, 0)).toBe(0);
+    expect(firstEventAfter(events, 2)).toBe(3);
+    expect(firstEventAfter(events, 3)).toBe(4);
+  });
+});
+
+describe('beepFrequency', () => {
+  test('lowers the beep a semitone per percent of desaturation', () => {
+    expect(beepFrequency({ spo2Pitch: false, spo2: 80 })).toBe(880);
+    expect(beepFrequency({ spo2Pitch: true, spo2: 100 })).toBe(880);
+    expect(beepFrequency({ spo2Pitch: true, spo2: 88 })).toBeCloseTo(440, 9);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Heart rate variability (HRV) analysis of the beat times in the loaded intervals
+ *
+ * - Time domain: mean NN, SDNN, RMSSD, pNN50
+ * - Poincaré plot: SD1 (short-term) and SD2 (long-term) variability
+ * - Frequency domain: Lomb-Scargle periodogram of the unevenly sampled RR series,
+ *   integrated over the VLF, LF and HF bands
+ */
+import { extractBeatTimes, RR_RANGE } from './heartRate';
+
+const ECTOPIC_TOLERANCE = 0.2; // An RR differing >20% from its predecessor is treated as ectopic
+
+export const HRV_BANDS = {
+  VLF: [0.0033, 0.04],
+  LF: [0.04, 0.15],
+  HF: [0.15, 0.4]
+};
+
+const FREQUENCY_STEP = 0.001; // Hz
+
+const mean = (values) => values.reduce((acc, value) => acc + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((acc, value) => acc + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Extracts the NN interval series from phase intervals
+ * @param {Array<Object>} intervals - {entry, duration, phase} intervals
+ * @param {boolean} [excludeEctopic=true] - Drop RR intervals that differ >20% from the previous one
+ * @returns {Object} Series containing:
+ *   - times: Array<number> time of the beat ending each NN interval (s)
+ *   - nn: Array<number> NN intervals (ms)
+ *   - totalRr: number of RR intervals before filtering
+ */
+export function extractNnSeries(intervals, excludeEctopic = true) {
+  const beats = extractBeatTimes(intervals);
+
+  const times = [];
+  const nn = [];
+  let previousRr = null;
+
+  for (let i = 1; i < beats.length; i++) {
+    const rr = beats[i] - beats[i - 1];
+    const inRange = rr > RR_RANGE[0] && rr < RR_RANGE[1];
+    const ectopic = previousRr !== null && Math.abs(rr - previousRr) > ECTOPIC_TOLERANCE * previousRr;
+
+    if (inRange && !(excludeEctopic && ectopic)) {
+      times.push(beats[i]);
+      nn.push(rr * 1000);
+    }
+    if (inRange) previousRr = rr;
+  }
+
+  return { times, nn, totalRr: Math.max(0, beats.length - 1) };
+}
+
+/**
+ * Time-domain HRV metrics
+ * @param {Array<number>} nn - NN intervals (ms)
+ * @returns {{meanNN: number, sdnn: number, rmssd: number, pnn50: number, meanHR: number}}
+ *   Intervals in ms, pNN50 in percent, heart rate in BPM
+ */
+export function timeDomainMetrics(nn) {
+  const differences = nn.slice(1).map((value, i) => value - nn[i]);
+  const meanNN = mean(nn);
+
+  return {
+    meanNN,
+    sdnn: standardDeviation(nn),
+    rmssd: differences.length ? Math.sqrt(mean(differences.map(d => d * d))) : 0,
+    pnn50: differences.length ? (100 * differences.filter(d => Math.abs(d) > 50).length) / differences.length : 0,
+    meanHR: 60000 / meanNN
+  };
+}
+
+/**
+ * Poincaré plot descriptors
+ * @param {Array<number>} nn - NN intervals (ms)
+ * @returns {{points: Array<{x: number, y: number}>, sd1: number, sd2: number}}
+ *   Points (NN[n], NN[n+1]) and the ellipse axes in ms
+ */
+export function poincare(nn) {
+  const points = nn.slice(1).map((value, i) => ({ x: nn[i], y: value }));
+  const sdnn = standardDeviation(nn);
+  const sd1 = standardDeviation(nn.slice(1).map((value, i) => value - nn[i])) / Math.SQRT2;
+  const sd2 = Math.sqrt(Math.max(0, 2 * sdnn * sdnn - sd1 * sd1));
+
+  return { points, sd1, sd2 };
+}
+
+/**
+ * Lomb-Scargle periodogram of an unevenly sampled series
+ * The classical periodogram P(f) = ½·(Σy·cos² / Σcos² + Σy·sin² / Σsin²), in value units², is
+ * reported as a one-sided density 2·P(f)·Δt, with Δt the mean sampling interval. No
+ * data-dependent rescaling is applied: for an evenly sampled series the density integrates
+ * to the variance over 0 to the Nyquist frequency, and a band only holds its own share of it.
+ * @param {Array<number>} times - Sample times (s)
+ * @param {Array<number>} values - Sample values
+ * @param {Array<number>} frequencies - Frequencies to evaluate (Hz)
+ * @returns {Float64Array} Power spectral density (value units² / Hz)
+ */
+export function lombScargle(times, values, frequencies) {
+  const average = mean(values);
+  const centred = values.map(value => value - average);
+  const power = new Float64Array(frequencies.length);
+
+  frequencies.forEach((frequency, k) => {
+    const w = 2 * Math.PI * frequency;
+
+    // 1. Time offset that makes the sine and cosine terms orthogonal
+    let sin2 = 0;
+    let cos2 = 0;
+    times.forEach(t => {
+      sin2 += Math.sin(2 * w * t);
+      cos2 += Math.cos(2 * w * t);
+    });
+    const tau = Math.atan2(sin2, cos2) / (2 * w);
+
+    // 2. Least-squares fit of a sinusoid at this frequency
+    let yCos = 0;
+    let ySin = 0;
+    let cosSquared = 0;
+    let sinSquared = 0;
+    times.forEach((t, i) => {
+      const c = Math.cos(w * (t - tau));
+      const s = Math.sin(w * (t - tau));
+      yCos += centred[i] * c;
+      ySin += centred[i] * s;
+      cosSquared += c * c;
+      sinSquared += s * s;
+    });
+
+    power[k] = 0.5 * ((yCos * yCos) / cosSquared + (ySin * ySin) / sinSquared);
+  });
+
+  // 3. Convert to a one-sided density (value units² / Hz)
+  const interval = times.length > 1 ? (times[times.length - 1] - times[0]) / (times.length - 1) : 0;
+  for (let k = 0; k < power.length; k++) power[k] *= 2 * interval;
+
+  return power;
+}
+
+/**
+ * Frequency-domain HRV metrics from the Lomb-Scargle spectrum of the NN series
+ * @param {Array<number>} times - Beat times (s)
+ * @param {Array<number>} nn - NN intervals (ms)
+ * @returns {Object} Spectrum and band powers containing:
+ *   - frequencies: Array<number> (Hz), psd: Float64Array (ms²/Hz)
+ *   - vlf, lf, hf: band powers, the psd integrated over each band (ms²)
+ *   - lfHfRatio: number, lfNu / hfNu: normalised units (%)
+ */
+export function frequencyDomainMetrics(times, nn) {
+  const frequencies = [];
+  for (let f = HRV_BANDS.VLF[0]; f <= HRV_BANDS.HF[1] + 1e-9; f += FREQUENCY_STEP) frequencies.push(f);
+
+  const psd = lombScargle(times, nn, frequencies);
+  const bandPower = ([low, high]) => frequencies.reduce(
+    (acc, f, k) => (f >= low && f < high ? acc + psd[k] * FREQUENCY_STEP : acc), 0
+  );
+
+  const vlf = bandPower(HRV_BANDS.VLF);
+  const lf = bandPower(HRV_BANDS.LF);
+  const hf = bandPower(HRV_BANDS.HF);
+
+  return {
+    frequencies,
+    psd,
+    vlf,
+    lf,
+    hf,
+    lfHfRatio: hf > 0 ? lf / hf : 0,
+    lfNu: lf + hf > 0 ? (100 * lf) / (lf + hf) : 0,
+    hfNu: lf + hf > 0 ? (100 * hf) / (lf + hf) : 0
+  };
+}
+
+/**
+ * Full HRV analysis of a set of phase intervals
+ * @param {Array<Object>} intervals - {entry, duration, phase} intervals
+ * @param {Object} [options] - Analysis options
+ * @param {boolean} [options.excludeEctopic=true] - Drop ectopic RR intervals (see extractNnSeries)
+ * @returns {Object|null} { nnCount, totalRr, duration, timeDomain, poincare, frequencyDomain },
+ *   or null when fewer than 3 NN intervals are available
+ */
+export function analyzeHrv(intervals, { excludeEctopic = true } = {}) {
+  const { times, nn, totalRr } = extractNnSeries(intervals, excludeEctopic);
+  if (nn.length < 3) return null;
+
+  return {
+    nnCount: nn.length,
+    totalRr,
+    duration: times[times.length - 1] - times[0],
+    timeDomain: timeDomainMetrics(nn),
+    poincare: poincare(nn),
+    frequencyDomain: frequencyDomainMetrics(times, nn)
+  };
+}
@@ -0,0 +1,59 @@
+import { frequencyDomainMetrics, lombScargle } from './hrv';
+
+/**
+ * Beat times and NN intervals of a rhythm modulated by a sinusoid
+ * @param {number} frequency - Modulation frequency (Hz)
+ * @param {number} amplitude - Modulation amplitude (ms)
+ * @param {number} seconds - Series length (s)
+ * @returns {{times: Array<number>, nn: Array<number>}} NN series, one interval per beat
+ */
+const modulatedRhythm = (frequency, amplitude, seconds) => {
+  const times = [];
+  const nn = [];
+  for (let t = 0; t < seconds;) {
+    const interval = 800 + amplitude * Math.sin(2 * Math.PI * frequency * t);
+    t += interval / 1000;
+    times.push(t);
+    nn.push(interval);
+  }
+  return { times, nn };
+};
+
+describe('lombScargle', () => {
+  test('integrates to the variance of evenly sampled white noise up to the Nyquist frequency', () => {
+    // Deterministic pseudo-random values in [-0.5, 0.5)
+    let seed = 1;
+    const values = Array.from({ length: 512 }, () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 - 0.5;
+    });
+    const times = values.map((_, i) => i * 0.5);
+    const average = values.reduce((acc, value) => acc + value, 0) / values.length;
+    const variance = values.reduce((acc, value) => acc + (value - average) ** 2, 0) / values.length;
+
+    const step = 1 / (times.length * 0.5);
+    const frequencies = Array.from({ length: 256 }, (_, k) => (k + 1) * step);
+    const total = lombScargle(times, values, frequencies).reduce((acc, value) => acc + value * step, 0);
+    expect(total / variance).toBeCloseTo(1, 1);
+  });
+});
+
+describe('frequencyDomainMetrics', () => {
+  test('puts the variance of a sinusoidal modulation in its band', () => {
+    // Variance of a 40 ms sinusoid: 40² / 2 = 800 ms²
+    const { times, nn } = modulatedRhythm(0.1, 40, 300);
+    const metrics = frequencyDomainMetrics(times, nn);
+    expect(metrics.lf / 800).toBeCloseTo(1, 1);
+    expect(metrics.hf).toBeLessThan(0.05 * metrics.lf);
+    expect(metrics.lfNu).toBeGreaterThan(95);
+  });
+
+  test('leaves variance above the HF band out of the band powers', () => {
+    // A 0.5 Hz component adds 800 ms² of variance outside the analysed 0.0033-0.4 Hz range
+    const { times, nn } = modulatedRhythm(0.1, 40, 300);
+    const withFastComponent = nn.map((interval, i) => interval + 40 * Math.sin(2 * Math.PI * 0.5 * times[i]));
+    const metrics = frequencyDomainMetrics(times, withFastComponent);
+    expect(metrics.lf / 800).toBeCloseTo(1, 1);
+    expect((metrics.vlf + metrics.lf + metrics.hf) / 800).toBeCloseTo(1, 1);
+  });
+});
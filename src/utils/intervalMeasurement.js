@@ -0,0 +1,267 @@
+/**
+ * Clinical interval measurement from delineated beats
+ *
+ * The pipeline's delineation finds the P, Q, R, S and T points; the intervals need the wave
+ * boundaries around them: P onset, QRS onset and offset (J point) and T end. The QRS
+ * boundaries come from slope thresholds on the filtered signal. P and T are slow waves that the
+ * bandpass filter distorts, so they are measured on the smoothed raw signal and independently of
+ * the level before the QRS, which baseline wander shifts: the P onset is where the P upslope
+ * flattens out, and the T end uses the tangent method (the steepest T downslope extended to the
+ * level the T wave settles to).
+ */
+
+import { percentile } from './signalUtils';
+
+// Search windows (seconds)
+const QRS_BOUNDARY_WINDOW = 0.06;
+const ISOELECTRIC_WINDOW = 0.01;  // Level taken just before the QRS onset
+const P_SEARCH_WINDOW = 0.4;      // Up to this far before the QRS onset (long PR intervals)
+const P_QRS_GAP = 0.02;
+const T_SEARCH_START = 0.04;      // After the J point
+const T_SEARCH_WINDOW = 0.5;
+const T_SETTLE_WINDOW = 0.06;     // The T downslope has settled once it sets no new low for this long
+const SLOPE_SPAN = 0.01;          // Half-width of the raw-signal smoothing and slope estimate
+
+const QRS_SLOPE_FRACTION = 0.1;   // QRS boundary where the slope falls below 10% of the QRS maximum
+const WAVE_EDGE_FRACTION = 0.2;   // P onset where its upslope flattens to 20% of the steepest
+const MIN_WAVE_FRACTION = 0.06;   // T smaller than 6% of the R wave is treated as absent
+const MIN_P_FRACTION = 0.04;      // Same for P, whose height is taken from its onset
+
+export const QTC_FORMULAS = {
+  BAZETT: 'bazett',
+  FRIDERICIA: 'fridericia',
+  FRAMINGHAM: 'framingham'
+};
+
+export const QTC_FORMULA_LABELS = {
+  [QTC_FORMULAS.BAZETT]: 'Bazett',
+  [QTC_FORMULAS.FRIDERICIA]: 'Fridericia',
+  [QTC_FORMULAS.FRAMINGHAM]: 'Framingham'
+};
+
+// Adult normal limits (ms)
+export const INTERVAL_LIMITS = {
+  RR: { low: 600, high: 1200 },  // 50-100 bpm
+  PR: { low: 120, high: 200 },
+  QRS: { high: 120 },
+  QTC: { low: 350, high: 450 }
+};
+
+/**
+ * Finds P onset, QRS onset/offset and T end for every delineated beat
+ * @param {ArrayLike<number>} signal - Raw ECG samples (mV)
+ * @param {Float32Array} filtered - Bandpass-filtered ECG
+ * @param {Array<{P: number, Q: number, R: number, S: number, T: number}>} beats - Result of delineateBeats
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Array<{R: number, pOnset: number|null, qrsOnset: number, qrsOffset: number, tEnd: number|null}>}
+ *   Sample indices per beat; null where the wave was not found, or the P wave is still rising at
+ *   the start of its search window
+ */
+export function delineateBoundaries(signal, filtered, beats, samplingRate) {
+  const samples = (seconds) => Math.round(seconds * samplingRate);
+  const last = filtered.length - 2;
+  const span = Math.max(1, samples(SLOPE_SPAN));
+  const filteredSlope = (k) => filtered[k + 1] - filtered[k];
+  const smoothed = (k) => {
+    const start = Math.max(0, k - span);
+    const end = Math.min(last, k + span);
+    let sum = 0;
+    for (let j = start; j <= end; j++) sum += signal[j];
+    return sum / (end - start + 1);
+  };
+  const smoothedSlope = (k) =>
+    (smoothed(Math.min(last, k + span)) - smoothed(Math.max(0, k - span))) / (2 * span);
+
+  /**
+   * Walks from a point while the slope is steep, stopping where it flattens
+   * @param {number} from - Start index
+   * @param {number} direction - -1 backwards, 1 forwards
+   * @param {number} limit - Last index to visit
+   * @param {number} threshold - Slope below which the wave has ended
+   * @returns {number} Boundary index
+   */
+  const walkToFlat = (from, direction, limit, threshold) => {
+    let k = from;
+    let steep = false;
+    while (direction * (limit - k) > 0) {
+      const next = k + direction;
+      const flat = Math.abs(filteredSlope(Math.min(next, last))) < threshold;
+      if (flat && steep) return k;
+      if (!flat) steep = true;
+      k = next;
+    }
+    return steep ? k : from;
+  };
+
+  /**
+   * Sample of the largest deflection from a level
+   * @param {number} start - First index
+   * @param {number} end - Index after the last
+   * @param {number} level - Reference level
+   * @param {boolean} signed - Whether negative deflections count
+   * @returns {number} Index, or -1 for an empty range
+   */
+  const largestDeflection = (start, end, level, signed) => {
+    let best = -1;
+    for (let k = start; k < end; k++) {
+      const deflection = signed ? Math.abs(signal[k] - level) : signal[k] - level;
+      if (best < 0 || deflection > (signed ? Math.abs(signal[best] - level) : signal[best] - level)) best = k;
+    }
+    return best;
+  };
+
+  let previousEnd = 0;
+  return beats.map(({ Q, R, S }, i) => {
+    // 1. QRS boundaries from the steepest QRS slope
+    let maxSlope = 0;
+    for (let k = Q; k < S && k <= last; k++) maxSlope = Math.max(maxSlope, Math.abs(filteredSlope(k)));
+    const threshold = QRS_SLOPE_FRACTION * maxSlope;
+    const qrsOnset = walkToFlat(Q, -1, Math.max(0, Q - samples(QRS_BOUNDARY_WINDOW)), threshold);
+    const qrsOffset = walkToFlat(S, 1, Math.min(last, S + samples(QRS_BOUNDARY_WINDOW)), threshold);
+
+    // 2. Isoelectric level just before the QRS
+    const levelStart = Math.max(0, qrsOnset - samples(ISOELECTRIC_WINDOW));
+    let level = 0;
+    for (let k = levelStart; k <= qrsOnset; k++) level += signal[k];
+    level /= qrsOnset - levelStart + 1;
+    const rAmplitude = Math.abs(signal[R] - level);
+    const minWave = MIN_WAVE_FRACTION * rAmplitude;
+
+    // 3. P onset: the largest upright wave before the QRS, back from its steepest upslope to where
+    //    the rise flattens to 20% of that slope; a wave still rising at the window start has no onset
+    let pOnset = null;
+    const pStart = Math.max(previousEnd, qrsOnset - samples(P_SEARCH_WINDOW));
+    const P = largestDeflection(pStart, qrsOnset - samples(P_QRS_GAP), level, false);
+    if (P > pStart) {
+      let steepest = P;
+      for (let k = P - 1; k >= pStart; k--) {
+        if (smoothedSlope(k) > smoothedSlope(steepest)) steepest = k;
+      }
+      let k = steepest;
+      while (k > pStart && smoothedSlope(k) > WAVE_EDGE_FRACTION * smoothedSlope(steepest)) k--;
+      if (k > pStart && signal[P] - smoothed(k) > MIN_P_FRACTION * rAmplitude) pOnset = k;
+    }
+
+    // 4. T end by the tangent method, before the next beat starts (either T polarity)
+    let tEnd = null;
+    const tStart = qrsOffset + samples(T_SEARCH_START);
+    const tLimit = Math.min(last, qrsOffset + samples(T_SEARCH_WINDOW), i + 1 < beats.length ? beats[i + 1].Q : last);
+    const T = largestDeflection(tStart, tLimit, level, true);
+    if (T >= 0 && Math.abs(signal[T] - level) > minWave) {
+      const polarity = Math.sign(signal[T] - level);
+      // Only the T downslope: follow it to the trough where it settles, where a fused P wave would begin
+      let tail = T;
+      for (let k = T + 1; k < tLimit && k - tail <= samples(T_SETTLE_WINDOW); k++) {
+        if (polarity * smoothed(k) < polarity * smoothed(tail)) tail = k;
+      }
+      const baseline = smoothed(tail);
+      let steepest = T;
+      for (let k = T; k < tail; k++) {
+        if (polarity * smoothedSlope(k) < polarity * smoothedSlope(steepest)) steepest = k;
+      }
+      const slope = smoothedSlope(steepest);
+      if (polarity * slope < 0) {
+        const crossing = steepest + (baseline - smoothed(steepest)) / slope;
+        tEnd = Math.round(Math.min(Math.max(crossing, T), tail));
+      }
+    }
+
+    previousEnd = tEnd ?? qrsOffset;
+    return { R, pOnset, qrsOnset, qrsOffset, tEnd };
+  });
+}
+
+/**
+ * Heart-rate corrected QT
+ * @param {number} qt - QT interval (ms)
+ * @param {number} rr - Preceding RR interval (ms)
+ * @param {string} formula - One of QTC_FORMULAS
+ * @returns {number} QTc (ms)
+ * @throws {Error} If the formula is unknown
+ */
+export function correctQt(qt, rr, formula) {
+  const rrSeconds = rr / 1000;
+  switch (formula) {
+    case QTC_FORMULAS.BAZETT:
+      return qt / Math.sqrt(rrSeconds);
+    case QTC_FORMULAS.FRIDERICIA:
+      return qt / Math.cbrt(rrSeconds);
+    case QTC_FORMULAS.FRAMINGHAM:
+      return qt + 154 * (1 - rrSeconds);
+    default:
+      throw new Error(`Unknown QTc formula: ${formula}`);
+  }
+}
+
+/**
+ * Interval measurements of every beat
+ * @param {Array<Object>} boundaries - Result of delineateBoundaries
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Array<{time: number, rr: number|null, pr: number|null, qrs: number, qt: number|null,
+ *   qtc: Object<string, number>|null}>} Per beat: R time (s), RR/PR/QRS/QT (ms) and QTc per formula
+ */
+export function measureBeatIntervals(boundaries, samplingRate) {
+  const ms = (samples) => (1000 * samples) / samplingRate;
+
+  return boundaries.map((beat, i) => {
+    const previous = boundaries[i - 1];
+    const rr = previous ? ms(beat.R - previous.R) : null;
+    const qt = beat.tEnd === null ? null : ms(beat.tEnd - beat.qrsOnset);
+
+    return {
+      time: beat.R / samplingRate,
+      rr,
+      pr: beat.pOnset === null ? null : ms(beat.qrsOnset - beat.pOnset),
+      qrs: ms(beat.qrsOffset - beat.qrsOnset),
+      qt,
+      qtc: qt === null || rr === null
+        ? null
+        : Object.fromEntries(Object.values(QTC_FORMULAS).map(formula => [formula, correctQt(qt, rr, formula)]))
+    };
+  });
+}
+
+/**
+ * Interval values of a beat that are outside normal limits
+ * @param {Object} measurement - One entry of measureBeatIntervals
+ * @param {string} formula - QTc formula to judge
+ * @returns {Object<string, string>} Flag per interval (RR, PR, QRS, QTC), e.g. { PR: 'long' }
+ */
+export function intervalFlags(measurement, formula) {
+  const values = {
+    RR: measurement.rr,
+    PR: measurement.pr,
+    QRS: measurement.qrs,
+    QTC: measurement.qtc?.[formula] ?? null
+  };
+  const flags = {};
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null) return;
+    const { low, high } = INTERVAL_LIMITS[key];
+    if (high !== undefined && value > high) flags[key] = key === 'QRS' ? 'wide' : 'long';
+    else if (low !== undefined && value < low) flags[key] = 'short';
+  });
+  return flags;
+}
+
+/**
+ * Median of each interval across beats, skipping beats where it could not be measured
+ * @param {Array<Object>} measurements - Result of measureBeatIntervals
+ * @returns {{rr: number|null, pr: number|null, qrs: number|null, qt: number|null,
+ *   qtc: Object<string, number|null>}} Median intervals (ms)
+ */
+export function summarizeIntervals(measurements) {
+  const median = (values) => {
+    const measured = values.filter(value => value !== null && value !== undefined);
+    return measured.length ? percentile(measured, 50) : null;
+  };
+
+  return {
+    rr: median(measurements.map(m => m.rr)),
+    pr: median(measurements.map(m => m.pr)),
+    qrs: median(measurements.map(m => m.qrs)),
+    qt: median(measurements.map(m => m.qt)),
+    qtc: Object.fromEntries(Object.values(QTC_FORMULAS).map(formula =>
+      [formula, median(measurements.map(m => m.qtc?.[formula]))]))
+  };
+}
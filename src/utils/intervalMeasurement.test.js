@@ -0,0 +1,120 @@
+import { processEcg } from './ecgPipeline';
+import {
+  correctQt,
+  delineateBoundaries,
+  intervalFlags,
+  measureBeatIntervals,
+  QTC_FORMULAS,
+  summarizeIntervals
+} from './intervalMeasurement';
+
+const SAMPLING_RATE = 500;
+
+// Half-sine-squared bump: zero outside [start, start + width], peak at the middle
+const bump = (t, start, width, amplitude) =>
+  (t < start || t > start + width ? 0 : amplitude * Math.sin((Math.PI * (t - start)) / width) ** 2);
+
+// Triangle from start to end with its apex at the middle
+const triangle = (t, start, end, amplitude) => {
+  if (t < start || t > end) return 0;
+  const middle = (start + end) / 2;
+  return amplitude * (1 - Math.abs(t - middle) / (middle - start));
+};
+
+/**
+ * Synthetic ECG of identical beats with known wave boundaries
+ * The QRS is a Q, R and S triangle; P and T are smooth bumps, so the tangent to the steepest
+ * point of the T downslope (at 3/4 of its width) meets the baseline at width · (3/4 + 1/2π).
+ * @param {Object} [options] - Beat shape
+ * @param {number} [options.pr=0.16] - P onset to QRS onset (s)
+ * @param {number} [options.qrs=0.09] - QRS duration (s)
+ * @param {number} [options.st=0.1] - QRS offset to T onset (s)
+ * @param {number} [options.tWidth=0.2] - T wave duration (s)
+ * @param {number} [options.rr=1] - Beat spacing (s)
+ * @param {(t: number) => number} [options.wander] - Baseline wander added to the signal (mV)
+ * @returns {{signal: Float32Array, qt: number}} Ten seconds of signal and the tangent QT (s)
+ */
+const syntheticEcg = ({ pr = 0.16, qrs = 0.09, st = 0.1, tWidth = 0.2, rr = 1, wander = () => 0 } = {}) => {
+  const signal = Float32Array.from({ length: 10 * SAMPLING_RATE }, (_, i) => {
+    const time = i / SAMPLING_RATE;
+    const onset = 0.5 + Math.floor((time - 0.5 + pr + 0.05) / rr) * rr;
+    const t = time - onset;
+    return wander(time) +
+      bump(t, -pr, 0.1, 0.15) +
+      triangle(t, 0, qrs / 4, -0.1) +
+      triangle(t, qrs / 4, (3 * qrs) / 4, 1.2) +
+      triangle(t, (3 * qrs) / 4, qrs, -0.25) +
+      bump(t, qrs + st, tWidth, 0.35);
+  });
+  return { signal, qt: qrs + st + tWidth * (0.75 + 1 / (2 * Math.PI)) };
+};
+
+/**
+ * Median intervals the pipeline measures on a signal
+ * @param {Float32Array} signal - ECG samples (mV)
+ * @returns {Object} Result of summarizeIntervals, with the per-beat measurements
+ */
+const measure = (signal) => {
+  const { boundaries } = processEcg(signal, SAMPLING_RATE);
+  const measurements = measureBeatIntervals(boundaries, SAMPLING_RATE);
+  return { ...summarizeIntervals(measurements), measurements };
+};
+
+describe('delineateBoundaries', () => {
+  test('measures the PR, QRS and QT of synthetic beats', () => {
+    const { signal, qt } = syntheticEcg();
+    const intervals = measure(signal);
+    expect(intervals.rr).toBeCloseTo(1000, 0);
+    expect(Math.abs(intervals.pr - 160)).toBeLessThanOrEqual(10);
+    expect(Math.abs(intervals.qrs - 90)).toBeLessThanOrEqual(10);
+    expect(Math.abs(intervals.qt - 1000 * qt)).toBeLessThanOrEqual(10);
+  });
+
+  test('follows a long PR and a long QT', () => {
+    const { signal, qt } = syntheticEcg({ pr: 0.28, st: 0.2, tWidth: 0.26 });
+    const intervals = measure(signal);
+    expect(Math.abs(intervals.pr - 280)).toBeLessThanOrEqual(10);
+    expect(Math.abs(intervals.qt - 1000 * qt)).toBeLessThanOrEqual(10);
+  });
+
+  test('measures P and T against their own baseline under baseline wander', () => {
+    const { signal, qt } = syntheticEcg({ wander: t => 0.3 * Math.sin(2 * Math.PI * 0.15 * t) });
+    const intervals = measure(signal);
+    intervals.measurements.forEach(({ pr }) => expect(pr).not.toBeNull());
+    expect(Math.abs(intervals.pr - 160)).toBeLessThanOrEqual(10);
+    expect(Math.abs(intervals.qt - 1000 * qt)).toBeLessThanOrEqual(15);
+  });
+
+  test('reports no P onset for a wave still rising at the start of the search window', () => {
+    // A ramp from 0.6 s up to a QRS at 1 s: there is no baseline before the "P wave"
+    const signal = Float32Array.from({ length: 2 * SAMPLING_RATE }, (_, i) => {
+      const t = i / SAMPLING_RATE;
+      return Math.max(0, t - 0.5) * 0.6 * (t < 0.97) + triangle(t, 0.97, 1.03, 1.2);
+    });
+    const [beat] = delineateBoundaries(signal, signal, [{ P: 450, Q: 485, R: 500, S: 515, T: 600 }], SAMPLING_RATE);
+    expect(beat.pOnset).toBeNull();
+  });
+});
+
+describe('QTc and flags', () => {
+  test('corrects QT for the heart rate', () => {
+    expect(correctQt(400, 1000, QTC_FORMULAS.BAZETT)).toBe(400);
+    expect(correctQt(400, 640, QTC_FORMULAS.BAZETT)).toBeCloseTo(500, 9);
+    expect(correctQt(400, 512, QTC_FORMULAS.FRIDERICIA)).toBeCloseTo(500, 9);
+    expect(correctQt(400, 500, QTC_FORMULAS.FRAMINGHAM)).toBeCloseTo(477, 9);
+    expect(() => correctQt(400, 1000, 'hodges')).toThrow('Unknown QTc formula: hodges');
+  });
+
+  test('flags intervals outside normal limits and skips unmeasured ones', () => {
+    const measurement = { rr: 1000, pr: 240, qrs: 130, qt: 420, qtc: { [QTC_FORMULAS.BAZETT]: 470 } };
+    expect(intervalFlags(measurement, QTC_FORMULAS.BAZETT)).toEqual({ PR: 'long', QRS: 'wide', QTC: 'long' });
+    expect(intervalFlags({ rr: 500, pr: null, qrs: 80, qt: null, qtc: null }, QTC_FORMULAS.BAZETT)).toEqual({ RR: 'short' });
+  });
+
+  test('does not flag normal synthetic beats', () => {
+    const { measurements } = measure(syntheticEcg().signal);
+    measurements.slice(1).forEach(measurement => {
+      expect(intervalFlags(measurement, QTC_FORMULAS.BAZETT)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Signal source filled by a live stream
+ *
+ * Samples are appended as the jitter buffer releases them, beats are detected online and
+ * turned into cardiac phase intervals, and snapshot() returns a source in the same shape as
+ * loadRecord's, so every view plays the live data like a record that keeps growing.
+ */
+import { buildPqrstIntervals, createOnlineDetector } from './ecgPipeline';
+import { RR_RANGE } from './heartRate';
+import { percentile } from './signalUtils';
+
+const INITIAL_SECONDS = 60;       // Buffer capacity at first; it doubles as needed
+const DETECT_STEP = 0.25;         // Seconds of new samples between detector updates
+const BPM_BEATS = 8;              // Recent RR intervals the displayed rate is the median of
+const DEFAULT_BPM = 72;
+
+/**
+ * Creates a live signal source
+ * @param {Object} options - Source options
+ * @param {string} options.url - Stream URL, for the label
+ * @param {string} [options.name] - Stream name from the server's start message
+ * @param {number} options.samplingRate - Samples per second (Hz)
+ * @param {Array<string>} options.leadNames - Lead names; the first one is analysed and displayed
+ * @param {number} options.maxSeconds - Capacity; append() refuses samples beyond it
+ * @returns {Object} Source with:
+ *   - append(block): adds a released block {start, length, data, gap}; gap blocks hold the
+ *     last value of each lead. Returns false when the block does not fit
+ *   - detect(): runs the online detector if enough new samples arrived; returns the number of new beats
+ *   - snapshot(): signal source (see loadRecord) over the samples so far, with `live: true` and
+ *     `gaps` [{start, duration}] in seconds; `intervals` stays the same array until beats are added
+ *   - getDuration(): seconds of signal so far
+ */
+export function createLiveSource({ url, name, samplingRate, leadNames, maxSeconds }) {
+  const capacityLimit = Math.round(maxSeconds * samplingRate);
+  let capacity = Math.min(capacityLimit, Math.round(INITIAL_SECONDS * samplingRate));
+  let buffers = leadNames.map(() => new Float32Array(capacity));
+  let length = 0;
+  let detectedUpTo = 0;
+  const detector = createOnlineDetector(samplingRate);
+  const intervals = [];
+  let publishedIntervals = []; // Copy handed out by snapshot(), replaced when beats are added
+  const beatTimes = [];
+  const gaps = [];
+
+  /**
+   * Grows the buffers to hold at least `needed` samples
+   * @param {number} needed - Samples required
+   */
+  const reserve = (needed) => {
+    if (needed <= capacity) return;
+    capacity = Math.min(capacityLimit, Math.max(needed, capacity * 2));
+    buffers = buffers.map(buffer => {
+      const grown = new Float32Array(capacity);
+      grown.set(buffer.subarray(0, length));
+      return grown;
+    });
+  };
+
+  /**
+   * Median heart rate of the latest beats
+   * @returns {number} BPM
+   */
+  const currentBpm = () => {
+    const rr = beatTimes.slice(-BPM_BEATS - 1)
+      .map((time, i, times) => (i ? time - times[i - 1] : null))
+      .filter(value => value !== null && value > RR_RANGE[0] && value < RR_RANGE[1]);
+    return rr.length ? Math.round(60 / percentile(rr, 50)) : DEFAULT_BPM;
+  };
+
+  return {
+    append({ start, length: blockLength, data, gap }) {
+      if (start !== length) throw new Error(`Live samples out of order: expected ${length}, got ${start}`);
+      if (length + blockLength > capacityLimit) return false;
+      reserve(length + blockLength);
+
+      buffers.forEach((buffer, lead) => {
+        if (gap) buffer.fill(length ? buffer[length - 1] : 0, length, length + blockLength);
+        else buffer.set(data[lead], length);
+      });
+      if (gap) {
+        const previous = gaps[gaps.length - 1];
+        if (previous && Math.round((previous.start + previous.duration) * samplingRate) === length) {
+          previous.duration += blockLength / samplingRate;
+        } else {
+          gaps.push({ start: length / samplingRate, duration: blockLength / samplingRate });
+        }
+      }
+      length += blockLength;
+      return true;
+    },
+
+    detect() {
+      if (length - detectedUpTo < DETECT_STEP * samplingRate) return 0;
+      detectedUpTo = length;
+      const beats = detector.update(buffers[0], length);
+      if (!beats.length) return 0;
+
+      intervals.push(...buildPqrstIntervals(beats, samplingRate));
+      intervals.sort((a, b) => a.entry - b.entry);
+      publishedIntervals = intervals.slice();
+      beatTimes.push(...beats.map(beat => beat.R / samplingRate));
+      return beats.length;
+    },
+
+    snapshot() {
+      const leads = leadNames.map((leadName, i) => ({ name: leadName, units: 'mV', signal: buffers[i].subarray(0, length) }));
+      return {
+        name: 'live',
+        label: `Live: ${name || url}`,
+        samplingRate,
+        signal: leads[0].signal,
+        leadName: leadNames[0],
+        leads,
+        header: null,
+        intervals: publishedIntervals,
+        annotations: [],
+        bpm: currentBpm(),
+        live: true,
+        gaps: gaps.map(gapEntry => ({ ...gapEntry }))
+      };
+    },
+
+    getDuration: () => length / samplingRate
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Minimal PDF writer for single-page documents holding one full-page image
+ *
+ * The page is an image XObject in JPEG (DCTDecode) form drawn over the whole MediaBox,
+ * enough for reports rendered to a canvas. Offsets in the cross-reference table are byte
+ * offsets, so the file is assembled from byte chunks rather than one string.
+ */
+
+const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Encodes an ASCII string as bytes
+ * @param {string} text - ASCII text
+ * @returns {Uint8Array} Bytes
+ */
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+
+/**
+ * Escapes a string for a PDF literal string
+ * @param {string} text - Text
+ * @returns {string} Escaped text, non-ASCII characters replaced
+ */
+const pdfString = (text) => text.replace(/[^\x20-\x7e]/g, '?').replace(/([\\()])/g, '\\$1');
+
+/**
+ * Writes a one-page PDF showing a JPEG image across the page
+ * @param {Object} document - Document description
+ * @param {Uint8Array} document.jpeg - JPEG file bytes (RGB)
+ * @param {number} document.imageWidth - Image width (px)
+ * @param {number} document.imageHeight - Image height (px)
+ * @param {number} document.pageWidth - Page width (mm)
+ * @param {number} document.pageHeight - Page height (mm)
+ * @param {string} [document.title=''] - Document title
+ * @returns {Uint8Array} Contents of the .pdf file
+ */
+export function createImagePdf({ jpeg, imageWidth, imageHeight, pageWidth, pageHeight, title = '' }) {
+  const width = (pageWidth * POINTS_PER_MM).toFixed(2);
+  const height = (pageHeight * POINTS_PER_MM).toFixed(2);
+  const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q\n`;
+
+  // Objects 1..6; the image object carries binary data between its dictionary and "endstream"
+  const objects = [
+    [ascii('<< /Type /Catalog /Pages 2 0 R >>')],
+    [ascii('<< /Type /Pages /Kids [3 0 R] /Count 1 >>')],
+    [ascii(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`)],
+    [
+      ascii(`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`),
+      jpeg,
+      ascii('\nendstream')
+    ],
+    [ascii(`<< /Length ${content.length} >>\nstream\n${content}endstream`)],
+    [ascii(`<< /Title (${pdfString(title)}) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`)]
+  ];
+
+  // Header with a comment of high bytes, marking the file as binary
+  const chunks = [ascii('%PDF-1.4\n'), Uint8Array.of(0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a)];
+  let length = chunks[0].length + chunks[1].length;
+  const offsets = [];
+  const push = (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+  };
+
+  objects.forEach((parts, i) => {
+    offsets.push(length);
+    push(ascii(`${i + 1} 0 obj\n`));
+    parts.forEach(push);
+    push(ascii('\nendobj\n'));
+  });
+
+  // Cross-reference table: fixed 20-byte entries
+  const xrefOffset = length;
+  push(ascii([
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f \n' + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>`,
+    'startxref',
+    String(xrefOffset),
+    '%%EOF\n'
+  ].join('\n')));
+
+  const file = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    file.set(chunk, position);
+    position += chunk.length;
+  });
+  return file;
+}
@@ -0,0 +1,103 @@
+/**
+ * Catalog of the bundled MIT-BIH records for the record browser
+ * Metadata comes from each record's .hea comments and rhythm/beat content
+ * from its .atr reference annotations.
+ */
+import { MITDB_BASE_URL, parseHeader } from './wfdb';
+import { BEAT_SYMBOLS, parseAnnotations } from './wfdbAnnotations';
+
+/**
+ * Extracts patient details from MIT-BIH header comments
+ * Line 1: "<age> <sex> <recording ids> x<tape>", line 2: medications, then free-text notes.
+ * @param {Array<string>} comments - Header comment lines
+ * @returns {{age: (number|null), sex: (string|null), medications: Array<string>, notes: string}}
+ */
+export function parseRecordComments(comments = []) {
+  const [demographics = '', medications = '', ...notes] = comments;
+  const [ageField, sexField] = demographics.trim().split(/\s+/);
+  const age = parseInt(ageField, 10);
+
+  return {
+    age: Number.isNaN(age) || age < 0 ? null : age, // -1 marks an unknown age
+    sex: sexField === 'M' || sexField === 'F' ? sexField : null,
+    medications: medications.trim() && medications.trim() !== 'None'
+      ? medications.split(',').map(name => name.trim()).filter(Boolean)
+      : [],
+    notes: notes.join(' ').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Summarises the annotations of a record
+ * @param {Array<Object>} annotations - Decoded annotations
+ * @returns {{rhythms: Array<string>, beatCounts: Object}} Distinct rhythm aux strings and beat counts per symbol
+ */
+export function summariseAnnotations(annotations) {
+  const rhythms = [];
+  const beatCounts = {};
+
+  annotations.forEach(annotation => {
+    if (annotation.symbol === '+' && annotation.aux && !rhythms.includes(annotation.aux)) {
+      rhythms.push(annotation.aux);
+    }
+    if (BEAT_SYMBOLS.has(annotation.symbol)) {
+      beatCounts[annotation.symbol] = (beatCounts[annotation.symbol] || 0) + 1;
+    }
+  });
+
+  return { rhythms, beatCounts };
+}
+
+/**
+ * Loads the catalog entry of a single record (header and annotations only, no signal)
+ * @param {string} recordName - Record name
+ * @param {string} baseUrl - URL of the directory holding the record files
+ * @returns {Promise<Object>} Catalog entry
+ */
+const loadCatalogEntry = async (recordName, baseUrl) => {
+  const headerResponse = await fetch(`${baseUrl}/${recordName}.hea`);
+  if (!headerResponse.ok) throw new Error(`Failed to load header for record ${recordName}`);
+  const header = parseHeader(await headerResponse.text());
+
+  let summary = { rhythms: [], beatCounts: {} };
+  try {
+    const atrResponse = await fetch(`${baseUrl}/${recordName}.atr`);
+    if (!atrResponse.ok) throw new Error('Missing annotation file');
+    summary = summariseAnnotations(parseAnnotations(await atrResponse.arrayBuffer(), header.samplingRate));
+  } catch (error) {
+    console.warn(`No annotations for record ${recordName}:`, error.message);
+  }
+
+  return {
+    name: recordName,
+    leads: header.signals.map(signal => signal.description),
+    samplingRate: header.samplingRate,
+    durationSeconds: header.nSamples / header.samplingRate,
+    ...parseRecordComments(header.comments),
+    ...summary
+  };
+};
+
+/**
+ * Loads the catalog of all records listed in the database's RECORDS file
+ * @param {string} [baseUrl=MITDB_BASE_URL] - URL of the database directory
+ * @returns {Promise<Array<Object>>} Catalog entries in RECORDS order, each containing:
+ *   - name, leads, samplingRate, durationSeconds
+ *   - age, sex, medications, notes (from header comments)
+ *   - rhythms: Array<string> rhythm aux strings, beatCounts: {symbol: count}
+ * @throws {Error} When the RECORDS file cannot be loaded
+ */
+export async function loadRecordCatalog(baseUrl = MITDB_BASE_URL) {
+  const response = await fetch(`${baseUrl}/RECORDS`);
+  if (!response.ok) throw new Error('Failed to load RECORDS list');
+  const names = (await response.text()).split(/\s+/).filter(Boolean);
+
+  const entries = await Promise.all(names.map(name =>
+    loadCatalogEntry(name, baseUrl).catch(error => {
+      console.error(error.message);
+      return null;
+    })
+  ));
+
+  return entries.filter(Boolean);
+}
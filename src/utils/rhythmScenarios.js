@@ -0,0 +1,469 @@
+/**
+ * Arrhythmia scenario library for the simulator
+ *
+ * Each scenario plans atrial and ventricular events, then renders them with the
+ * same Gaussian wave kernels, so every rhythm produces:
+ * - a single-lead waveform (mV)
+ * - {entry, duration, phase} intervals that drive HeartModel like a recording
+ * - beat and rhythm annotations in the parseAnnotations format
+ */
+import { generateRrTachogram } from './ecgGenerator';
+import { createAnnotation } from './wfdbAnnotations';
+
+const NORMAL_PR = 0.16;          // P-wave onset to QRS onset (s)
+const BLOCKED_P_DURATION = 0.12; // Atrial phase length of a P wave that is not conducted (s)
+const FLUTTER_CYCLE = 0.2;       // 300 atrial cycles per minute
+const FLUTTER_CONDUCTION = 0.26; // Flutter wave to QRS onset (s)
+
+// Time-domain wave kernels (offset from the R-peak and width in seconds, amplitude in mV)
+const P_WAVE = { amplitude: 0.15, width: 0.022 };
+const P_ONSET = 2 * P_WAVE.width; // P-wave onset before its peak (s)
+
+const MORPHOLOGIES = {
+  // Narrow supraventricular complex with an upright T wave
+  normal: {
+    waves: [
+      { offset: -0.03, amplitude: -0.12, width: 0.008 },
+      { offset: 0, amplitude: 1.2, width: 0.01 },
+      { offset: 0.03, amplitude: -0.25, width: 0.01 }
+    ],
+    qOffset: -0.03,
+    sOffset: 0.03,
+    t: { amplitude: 0.3, width: 0.045, scale: 0.28 }
+  },
+  // Wide ventricular complex with a discordant T wave
+  ventricular: {
+    waves: [
+      { offset: 0, amplitude: 1.3, width: 0.03 },
+      { offset: 0.07, amplitude: -0.5, width: 0.035 }
+    ],
+    qOffset: -0.06,
+    sOffset: 0.07,
+    t: { amplitude: -0.45, width: 0.07, scale: 0.34 }
+  },
+  // Left bundle branch block: broad notched R, slurred into a discordant T wave
+  lbbb: {
+    waves: [
+      { offset: -0.025, amplitude: 0.8, width: 0.018 },
+      { offset: 0.025, amplitude: 0.9, width: 0.02 }
+    ],
+    qOffset: -0.07,
+    sOffset: 0.07,
+    t: { amplitude: -0.3, width: 0.06, scale: 0.32 }
+  },
+  // Right bundle branch block: normal initial forces, then a wide terminal S
+  rbbb: {
+    waves: [
+      { offset: -0.03, amplitude: -0.1, width: 0.008 },
+      { offset: 0, amplitude: 1.1, width: 0.01 },
+      { offset: 0.05, amplitude: -0.35, width: 0.022 }
+    ],
+    qOffset: -0.035,
+    sOffset: 0.095,
+    t: { amplitude: 0.2, width: 0.05, scale: 0.3 }
+  }
+};
+
+/**
+ * Peak time of the T wave after the R-peak, shortening with the preceding RR interval (Bazett)
+ * @param {Object} morphology - Entry of MORPHOLOGIES
+ * @param {number} rr - Preceding RR interval (s)
+ * @returns {number} T-wave peak offset from the R-peak (s)
+ */
+const tWaveOffset = (morphology, rr) =>
+  Math.max(morphology.sOffset + 0.1, morphology.t.scale * Math.sqrt(rr));
+
+/**
+ * Sinus node discharge times with respiratory/Mayer-wave variability
+ * @param {number} duration - Length of the scenario (s)
+ * @param {number} heartRate - Mean sinus rate (BPM)
+ * @param {function} random - Uniform random source
+ * @returns {Array<number>} P-wave peak times (s)
+ */
+const sinusTimes = (duration, heartRate, random) => {
+  const rrIntervals = generateRrTachogram({ duration, heartRate, heartRateStd: heartRate * 0.03, random });
+  const times = [];
+  let time = 0.3;
+  for (let i = 0; time < duration; i++) {
+    times.push(time);
+    time += rrIntervals[Math.min(i, rrIntervals.length - 1)];
+  }
+  return times;
+};
+
+// R-peak of a beat whose P wave peaks at pTime and is conducted after the given PR interval
+const conductedR = (pTime, pr, morphology = 'normal') => pTime - P_ONSET + pr - MORPHOLOGIES[morphology].qOffset;
+
+/**
+ * Sinus rhythm with every P wave conducted
+ * @param {number} heartRate - Sinus rate (BPM)
+ * @param {number} [pr=NORMAL_PR] - PR interval (s)
+ * @param {string} [morphology='normal'] - QRS morphology (key of MORPHOLOGIES)
+ * @param {string} [symbol='N'] - Beat annotation symbol
+ * @returns {function} Scenario planner
+ */
+const sinusPlan = (heartRate, pr = NORMAL_PR, morphology = 'normal', symbol = 'N') => (duration, random) => {
+  const pTimes = sinusTimes(duration, heartRate, random);
+  return {
+    atrial: pTimes.map(time => ({ time })),
+    ventricular: pTimes.map(time => ({ time: conductedR(time, pr, morphology), morphology, symbol, pTime: time }))
+  };
+};
+
+/**
+ * Sinus rhythm with a PVC replacing every n-th beat, followed by a compensatory pause
+ * @param {number} every - 2 for bigeminy, 3 for trigeminy
+ * @returns {function} Scenario planner
+ */
+const pvcPlan = (every) => (duration, random) => {
+  const pTimes = sinusTimes(duration, 75, random);
+  const atrial = [];
+  const ventricular = [];
+
+  pTimes.forEach((pTime, i) => {
+    const r = conductedR(pTime, NORMAL_PR);
+    const previous = ventricular[ventricular.length - 1];
+    atrial.push({ time: pTime });
+
+    if (i % every === every - 1 && previous) {
+      // The PVC comes early; this sinus P wave falls inside it and is not conducted
+      const coupling = 0.6 * (r - previous.time);
+      ventricular.push({ time: previous.time + coupling, morphology: 'ventricular', symbol: 'V' });
+    } else {
+      ventricular.push({ time: r, morphology: 'normal', symbol: 'N', pTime });
+    }
+  });
+
+  return { atrial, ventricular };
+};
+
+/**
+ * Second-degree AV block: a repeating sequence of PR intervals, null marking a blocked P wave
+ * @param {Array<number|null>} sequence - PR intervals of one conduction cycle (s)
+ * @returns {function} Scenario planner
+ */
+const avBlockPlan = (sequence) => (duration, random) => {
+  const pTimes = sinusTimes(duration, 80, random);
+  const atrial = [];
+  const ventricular = [];
+
+  pTimes.forEach((pTime, i) => {
+    const pr = sequence[i % sequence.length];
+    if (pr === null) {
+      atrial.push({ time: pTime, blocked: true });
+    } else {
+      atrial.push({ time: pTime });
+      ventricular.push({ time: conductedR(pTime, pr), morphology: 'normal', symbol: 'N', pTime });
+    }
+  });
+
+  return { atrial, ventricular };
+};
+
+/**
+ * Regular ventricular rhythm independent of the atria (AV dissociation)
+ * @param {number} atrialRate - Sinus rate (BPM)
+ * @param {number} ventricularRate - Ventricular rate (BPM)
+ * @param {string} symbol - Beat annotation symbol
+ * @param {boolean} showAtria - Whether the P waves drive the atrial animation
+ * @returns {function} Scenario planner
+ */
+const dissociatedPlan = (atrialRate, ventricularRate, symbol, showAtria) => (duration, random) => {
+  const rr = 60 / ventricularRate;
+  const ventricular = [];
+  for (let time = 0.8; time < duration; time += rr * (0.98 + 0.04 * random())) {
+    ventricular.push({ time, morphology: 'ventricular', symbol });
+  }
+
+  return {
+    atrial: sinusTimes(duration, atrialRate, random).map(time => ({ time, blocked: showAtria })),
+    ventricular
+  };
+};
+
+/**
+ * Atrial fibrillation: fibrillatory baseline, no P waves, irregularly irregular RR
+ * @returns {function} Scenario planner
+ */
+const fibrillationPlan = () => (duration, random) => {
+  const ventricular = [];
+  for (let time = 0.4; time < duration; time += 0.36 + 0.6 * random()) {
+    ventricular.push({ time, morphology: 'normal', symbol: 'N' });
+  }
+  return { atrial: [], ventricular, baseline: 'fibrillation' };
+};
+
+/**
+ * Atrial flutter: sawtooth flutter waves with fixed-ratio AV conduction
+ * @param {number} ratio - Flutter waves per conducted beat (e.g. 4 for 4:1)
+ * @returns {function} Scenario planner
+ */
+const flutterPlan = (ratio) => (duration) => {
+  const atrial = [];
+  const ventricular = [];
+  for (let i = 0, time = 0.1; time < duration; i++, time += FLUTTER_CYCLE) {
+    if (i % ratio !== 0) continue;
+    atrial.push({ time, flutter: true });
+    ventricular.push({ time: conductedR(time, FLUTTER_CONDUCTION), morphology: 'normal', symbol: 'N', pTime: time });
+  }
+  return { atrial, ventricular, baseline: 'flutter' };
+};
+
+/**
+ * Selectable rhythm scenarios
+ * - id: scenario identifier
+ * - label: display name
+ * - rhythm: rhythm aux string for the annotation overlay
+ * - description: teaching note
+ * - plan: (duration, random) => { atrial, ventricular, baseline }
+ */
+export const RHYTHM_SCENARIOS = [
+  {
+    id: 'sinus',
+    label: 'Normal sinus rhythm',
+    rhythm: '(N',
+    description: '72 BPM with physiological rate variability',
+    plan: sinusPlan(72)
+  },
+  {
+    id: 'sinus-brady',
+    label: 'Sinus bradycardia',
+    rhythm: '(SBR',
+    description: 'Sinus rhythm at 45 BPM',
+    plan: sinusPlan(45)
+  },
+  {
+    id: 'sinus-tachy',
+    label: 'Sinus tachycardia',
+    rhythm: '(STACH',
+    description: 'Sinus rhythm at 125 BPM; QT shortens with the rate',
+    plan: sinusPlan(125)
+  },
+  {
+    id: 'afib',
+    label: 'Atrial fibrillation',
+    rhythm: '(AFIB',
+    description: 'No P waves, fibrillatory baseline, irregularly irregular RR',
+    plan: fibrillationPlan()
+  },
+  {
+    id: 'aflutter',
+    label: 'Atrial flutter (4:1)',
+    rhythm: '(AFL',
+    description: 'Sawtooth flutter waves at 300/min, every fourth conducted',
+    plan: flutterPlan(4)
+  },
+  {
+    id: 'pvc-bigeminy',
+    label: 'PVC bigeminy',
+    rhythm: '(B',
+    description: 'Every second beat is a premature ventricular contraction',
+    plan: pvcPlan(2)
+  },
+  {
+    id: 'pvc-trigeminy',
+    label: 'PVC trigeminy',
+    rhythm: '(T',
+    description: 'Every third beat is a premature ventricular contraction',
+    plan: pvcPlan(3)
+  },
+  {
+    id: 'lbbb',
+    label: 'Left bundle branch block',
+    rhythm: '(N',
+    description: 'Sinus rhythm at 70 BPM; the left ventricle is activated late through the septum (QRS 140 ms)',
+    plan: sinusPlan(70, NORMAL_PR, 'lbbb', 'L')
+  },
+  {
+    id: 'rbbb',
+    label: 'Right bundle branch block',
+    rhythm: '(N',
+    description: 'Sinus rhythm at 70 BPM; the right ventricle is activated late from the left (QRS 130 ms)',
+    plan: sinusPlan(70, NORMAL_PR, 'rbbb', 'R')
+  },
+  {
+    id: 'avb-1',
+    label: '1° AV block',
+    rhythm: '(BI',
+    description: 'Every P wave conducted with a prolonged PR interval (300 ms)',
+    plan: sinusPlan(70, 0.3)
+  },
+  {
+    id: 'avb-2-wenckebach',
+    label: '2° AV block, Mobitz I',
+    rhythm: '(BII',
+    description: 'PR lengthens until a P wave is blocked (4:3 Wenckebach)',
+    plan: avBlockPlan([0.16, 0.26, 0.32, null])
+  },
+  {
+    id: 'avb-2-mobitz',
+    label: '2° AV block, Mobitz II',
+    rhythm: '(BII',
+    description: 'Constant PR with every third P wave blocked (3:2)',
+    plan: avBlockPlan([0.18, 0.18, null])
+  },
+  {
+    id: 'avb-3',
+    label: '3° AV block',
+    rhythm: '(BIII',
+    description: 'Atria at 80 BPM, wide ventricular escape rhythm at 36 BPM',
+    plan: dissociatedPlan(80, 36, 'E', true)
+  },
+  {
+    id: 'vt',
+    label: 'Ventricular tachycardia',
+    rhythm: '(VT',
+    description: 'Monomorphic wide-complex tachycardia at 170 BPM with AV dissociation',
+    plan: dissociatedPlan(75, 170, 'V', false)
+  }
+];
+
+/**
+ * Adds a Gaussian wave to a signal, touching only the samples within ±4 widths
+ * @param {Float32Array} signal - Signal to modify
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @param {number} centre - Wave peak time (s)
+ * @param {number} amplitude - Peak amplitude (mV)
+ * @param {number} width - Standard deviation (s)
+ */
+const addGaussian = (signal, samplingRate, centre, amplitude, width) => {
+  const first = Math.max(0, Math.floor((centre - 4 * width) * samplingRate));
+  const last = Math.min(signal.length - 1, Math.ceil((centre + 4 * width) * samplingRate));
+  for (let i = first; i <= last; i++) {
+    const offset = i / samplingRate - centre;
+    signal[i] += amplitude * Math.exp(-(offset * offset) / (2 * width * width));
+  }
+};
+
+/**
+ * Renders a planned scenario to a waveform
+ * @param {Object} plan - Planned events
+ * @param {number} duration - Length (s)
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @param {function} random - Uniform random source
+ * @returns {Float32Array} Waveform (mV)
+ */
+const renderWaveform = (plan, duration, samplingRate, random) => {
+  const signal = new Float32Array(Math.round(duration * samplingRate));
+
+  // 1. Atrial activity: discrete P waves, or a continuous flutter/fibrillation baseline
+  plan.atrial
+    .filter(event => !event.flutter)
+    .forEach(event => addGaussian(signal, samplingRate, event.time, P_WAVE.amplitude, P_WAVE.width));
+
+  if (plan.baseline === 'flutter') {
+    // Negative sawtooth: slow descent over 80% of the cycle, fast return
+    for (let i = 0; i < signal.length; i++) {
+      const phase = ((i / samplingRate) % FLUTTER_CYCLE) / FLUTTER_CYCLE;
+      signal[i] += 0.2 * (phase < 0.8 ? 0.5 - phase / 0.8 : -0.5 + (phase - 0.8) / 0.2);
+    }
+  } else if (plan.baseline === 'fibrillation') {
+    const components = Array.from({ length: 3 }, () => ({
+      frequency: 4.5 + 3.5 * random(),
+      amplitude: 0.02 + 0.02 * random(),
+      phase: 2 * Math.PI * random()
+    }));
+    for (let i = 0; i < signal.length; i++) {
+      const t = i / samplingRate;
+      const envelope = 1 + 0.5 * Math.sin(2 * Math.PI * 0.15 * t); // Slowly varying f-wave amplitude
+      components.forEach(({ frequency, amplitude, phase }) => {
+        signal[i] += envelope * amplitude * Math.sin(2 * Math.PI * frequency * t + phase);
+      });
+    }
+  }
+
+  // 2. Ventricular complexes and T waves
+  plan.ventricular.forEach((beat, i) => {
+    const morphology = MORPHOLOGIES[beat.morphology];
+    const rr = i > 0 ? beat.time - plan.ventricular[i - 1].time : 0.8;
+    morphology.waves.forEach(wave =>
+      addGaussian(signal, samplingRate, beat.time + wave.offset, wave.amplitude, wave.width)
+    );
+    addGaussian(signal, samplingRate, beat.time + tWaveOffset(morphology, rr), morphology.t.amplitude, morphology.t.width);
+  });
+
+  // 3. Respiratory baseline wander and measurement noise
+  for (let i = 0; i < signal.length; i++) {
+    signal[i] += 0.03 * Math.sin(2 * Math.PI * 0.25 * (i / samplingRate)) + (random() * 2 - 1) * 0.015;
+  }
+
+  return signal;
+};
+
+/**
+ * Builds {entry, duration, phase} intervals from planned events
+ * Overlapping phases are resolved in time order: a P wave inside a QRS is dropped,
+ * otherwise the earlier phase ends where the next one starts.
+ * @param {Object} plan - Planned events
+ * @returns {Array<{entry: number, duration: number, phase: string}>} Sorted intervals
+ */
+const buildIntervals = (plan) => {
+  const intervals = [];
+
+  plan.ventricular.forEach((beat, i) => {
+    const morphology = MORPHOLOGIES[beat.morphology];
+    const rr = i > 0 ? beat.time - plan.ventricular[i - 1].time : 0.8;
+    const q = beat.time + morphology.qOffset;
+    const s = beat.time + morphology.sOffset;
+
+    if (beat.pTime !== undefined) intervals.push({ entry: beat.pTime, duration: q - beat.pTime, phase: 'PQ' });
+    intervals.push({ entry: q, duration: s - q, phase: 'QRS' });
+    intervals.push({ entry: s, duration: tWaveOffset(morphology, rr) - morphology.sOffset, phase: 'ST' });
+  });
+
+  plan.atrial
+    .filter(event => event.blocked)
+    .forEach(event => intervals.push({ entry: event.time, duration: BLOCKED_P_DURATION, phase: 'PQ' }));
+
+  intervals.sort((a, b) => a.entry - b.entry);
+
+  const resolved = [];
+  intervals.forEach(interval => {
+    const previous = resolved[resolved.length - 1];
+    if (previous && previous.entry + previous.duration > interval.entry) {
+      if (previous.phase === 'QRS' && interval.phase === 'PQ') return;
+      previous.duration = interval.entry - previous.entry;
+    }
+    resolved.push({ ...interval });
+  });
+
+  return resolved.filter(interval => interval.duration > 0);
+};
+
+/**
+ * Generates a rhythm scenario
+ * @param {string} scenarioId - Id from RHYTHM_SCENARIOS
+ * @param {Object} [options] - Generation options
+ * @param {number} [options.duration=300] - Length (s)
+ * @param {number} [options.samplingRate=360] - Samples per second (Hz)
+ * @param {function} [options.random=Math.random] - Uniform random source in [0, 1)
+ * @returns {Object} Scenario recording containing:
+ *   - scenario: RHYTHM_SCENARIOS entry
+ *   - samplingRate: number (Hz)
+ *   - signal: Float32Array waveform (mV)
+ *   - intervals: Array<{entry, duration, phase}>
+ *   - annotations: Array of beat annotations preceded by the rhythm label
+ * @throws {Error} When the scenario id is unknown
+ */
+export function generateScenario(scenarioId, { duration = 300, samplingRate = 360, random = Math.random } = {}) {
+  const scenario = RHYTHM_SCENARIOS.find(entry => entry.id === scenarioId);
+  if (!scenario) throw new Error(`Unknown rhythm scenario "${scenarioId}"`);
+
+  const plan = scenario.plan(duration, random);
+  const signal = renderWaveform(plan, duration, samplingRate, random);
+
+  const annotations = [
+    createAnnotation('+', 0, samplingRate, scenario.rhythm),
+    ...plan.ventricular
+      .map(beat => createAnnotation(beat.symbol, Math.round(beat.time * samplingRate), samplingRate))
+      .filter(annotation => annotation.sample < signal.length)
+  ];
+
+  return {
+    scenario,
+    samplingRate,
+    signal,
+    intervals: buildIntervals(plan).filter(interval => interval.entry + interval.duration <= duration),
+    annotations
+  };
+}
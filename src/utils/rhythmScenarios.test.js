@@ -0,0 +1,171 @@
+import { processEcg } from './ecgPipeline';
+import { measureBeatIntervals, summarizeIntervals } from './intervalMeasurement';
+import { generateScenario, RHYTHM_SCENARIOS } from './rhythmScenarios';
+
+const DURATION = 60;
+const P_ONSET = 0.044; // Generated P waves start this long before their peak, where the PQ phase starts (s)
+
+/**
+ * Generates a scenario from a fixed seed
+ * @param {string} id - Scenario id
+ * @returns {Object} Result of generateScenario
+ */
+const generate = (id) => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return generateScenario(id, { duration: DURATION, random });
+};
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+/**
+ * Beats and intervals of a scenario in seconds
+ * @param {string} id - Scenario id
+ * @returns {Object} Rhythm annotation, beat symbols, RR intervals, P peaks (blocked or not),
+ *   QRS onsets and durations, and the PR (P onset to QRS onset) of every conducted beat
+ */
+const describeScenario = (id) => {
+  const { annotations, intervals } = generate(id);
+  const [rhythm, ...beats] = annotations;
+  const qrs = intervals.filter(interval => interval.phase === 'QRS');
+  return {
+    rhythm,
+    symbols: beats.map(beat => beat.symbol),
+    rr: beats.slice(1).map((beat, i) => beat.time - beats[i].time),
+    pPeaks: intervals.filter(interval => interval.phase === 'PQ').map(interval => interval.entry),
+    qrsOnsets: qrs.map(interval => interval.entry),
+    qrsDurations: qrs.map(interval => interval.duration),
+    prs: intervals
+      .filter((interval, i) => interval.phase === 'PQ' && intervals[i + 1]?.phase === 'QRS')
+      .map(interval => interval.duration + P_ONSET)
+  };
+};
+
+const rate = (rr) => 60 / median(rr);
+
+describe('generateScenario', () => {
+  test.each(RHYTHM_SCENARIOS.map(scenario => [scenario.id, scenario.rhythm]))(
+    '%s opens with a %s rhythm annotation',
+    (id, aux) => {
+      const { rhythm } = describeScenario(id);
+      expect(rhythm).toMatchObject({ symbol: '+', sample: 0, aux });
+    }
+  );
+
+  test('rejects an unknown scenario', () => {
+    expect(() => generateScenario('torsades')).toThrow('Unknown rhythm scenario "torsades"');
+  });
+
+  test.each([
+    ['sinus', 66, 78],
+    ['sinus-brady', 40, 50],
+    ['sinus-tachy', 115, 135]
+  ])('%s conducts every P wave at a normal PR, between %i and %i BPM', (id, low, high) => {
+    const { symbols, rr, pPeaks, qrsOnsets, qrsDurations, prs } = describeScenario(id);
+    expect(rate(rr)).toBeGreaterThan(low);
+    expect(rate(rr)).toBeLessThan(high);
+    expect(new Set(symbols)).toEqual(new Set(['N']));
+    expect(prs).toHaveLength(qrsOnsets.length);
+    expect(pPeaks).toHaveLength(qrsOnsets.length);
+    prs.forEach(pr => expect(pr).toBeCloseTo(0.16, 9));
+    qrsDurations.forEach(duration => expect(duration).toBeLessThan(0.12));
+  });
+
+  test('atrial fibrillation has no P waves and an irregularly irregular RR', () => {
+    const { symbols, rr, pPeaks } = describeScenario('afib');
+    const average = rr.reduce((acc, value) => acc + value, 0) / rr.length;
+    const deviation = Math.sqrt(rr.reduce((acc, value) => acc + (value - average) ** 2, 0) / rr.length);
+    expect(pPeaks).toEqual([]);
+    expect(new Set(symbols)).toEqual(new Set(['N']));
+    expect(deviation / average).toBeGreaterThan(0.15);
+  });
+
+  test('atrial flutter conducts every fourth 200 ms flutter wave', () => {
+    const { rr, qrsOnsets, prs } = describeScenario('aflutter');
+    expect(prs).toHaveLength(qrsOnsets.length);
+    rr.forEach(interval => expect(interval).toBeCloseTo(0.8, 9));
+    prs.forEach(pr => expect(pr).toBeCloseTo(0.26, 9));
+  });
+
+  test.each([
+    ['pvc-bigeminy', ['N', 'V']],
+    ['pvc-trigeminy', ['N', 'N', 'V']]
+  ])('%s repeats %j with a short coupling interval and a compensatory pause', (id, pattern) => {
+    const { symbols, rr } = describeScenario(id);
+    symbols.forEach((symbol, i) => expect(symbol).toBe(pattern[i % pattern.length]));
+    symbols.forEach((symbol, i) => {
+      if (symbol !== 'V' || i + 1 >= symbols.length) return;
+      // The sinus beats either side of the PVC are two sinus cycles apart
+      expect(rr[i - 1]).toBeLessThan(0.7 * rr[i]);
+    });
+  });
+
+  test.each([
+    ['lbbb', 'L', 0.14],
+    ['rbbb', 'R', 0.13]
+  ])('%s annotates %s beats with a QRS of %f s after a normal PR', (id, symbol, width) => {
+    const { symbols, qrsOnsets, qrsDurations, prs } = describeScenario(id);
+    expect(new Set(symbols)).toEqual(new Set([symbol]));
+    expect(prs).toHaveLength(qrsOnsets.length);
+    qrsDurations.forEach(duration => expect(duration).toBeCloseTo(width, 9));
+    prs.forEach(pr => expect(pr).toBeCloseTo(0.16, 9));
+  });
+
+  test('1° AV block conducts every P wave with a PR above 200 ms', () => {
+    const { pPeaks, qrsOnsets, prs } = describeScenario('avb-1');
+    expect(prs).toHaveLength(qrsOnsets.length);
+    expect(pPeaks).toHaveLength(qrsOnsets.length);
+    prs.forEach(pr => expect(pr).toBeCloseTo(0.3, 9));
+  });
+
+  test('Mobitz I lengthens the PR until a P wave is blocked', () => {
+    const { pPeaks, qrsOnsets, prs } = describeScenario('avb-2-wenckebach');
+    expect(prs).toHaveLength(qrsOnsets.length);
+    prs.forEach((pr, i) => expect(pr).toBeCloseTo([0.16, 0.26, 0.32][i % 3], 9));
+    expect(qrsOnsets.length / pPeaks.length).toBeCloseTo(3 / 4, 1);
+  });
+
+  test('Mobitz II blocks every third P wave at a constant PR', () => {
+    const { pPeaks, qrsOnsets, prs } = describeScenario('avb-2-mobitz');
+    expect(prs).toHaveLength(qrsOnsets.length);
+    prs.forEach(pr => expect(pr).toBeCloseTo(0.18, 9));
+    expect(qrsOnsets.length / pPeaks.length).toBeCloseTo(2 / 3, 1);
+  });
+
+  test('3° AV block has a slow wide escape rhythm independent of the P waves', () => {
+    const { symbols, rr, pPeaks, qrsOnsets, qrsDurations } = describeScenario('avb-3');
+    expect(new Set(symbols)).toEqual(new Set(['E']));
+    expect(rate(rr)).toBeCloseTo(36, -1);
+    qrsDurations.forEach(duration => expect(duration).toBeGreaterThanOrEqual(0.12));
+
+    // Atria at 80 BPM: more P waves than QRS complexes, at no fixed distance from them
+    expect(pPeaks.length).toBeGreaterThan(2 * qrsOnsets.length);
+    const pToQrs = qrsOnsets
+      .map(onset => onset - Math.max(...pPeaks.filter(pPeak => pPeak < onset)))
+      .filter(Number.isFinite);
+    expect(Math.max(...pToQrs) - Math.min(...pToQrs)).toBeGreaterThan(0.4);
+  });
+
+  test('ventricular tachycardia is a regular wide rhythm near 170 BPM without P waves', () => {
+    const { symbols, rr, pPeaks, qrsDurations } = describeScenario('vt');
+    expect(new Set(symbols)).toEqual(new Set(['V']));
+    expect(rate(rr)).toBeGreaterThan(160);
+    expect(rate(rr)).toBeLessThan(180);
+    expect(pPeaks).toEqual([]);
+    qrsDurations.forEach(duration => expect(duration).toBeGreaterThanOrEqual(0.12));
+  });
+
+  test.each([
+    ['sinus', 160],
+    ['avb-1', 300],
+    ['avb-2-mobitz', 180]
+  ])('%s measures a PR of %i ms on its waveform', (id, pr) => {
+    const { signal, samplingRate } = generate(id);
+    const { boundaries } = processEcg(signal, samplingRate);
+    const intervals = summarizeIntervals(measureBeatIntervals(boundaries, samplingRate));
+    expect(Math.abs(intervals.pr - pr)).toBeLessThanOrEqual(10);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Runs the ECG pipeline (filtering, R-peak detection, delineation) in a Web Worker
+ * @param {Float32Array} signal - Raw single-lead ECG samples (mV)
+ * @param {number} samplingRate - Samples per second (Hz)
+ * @returns {Promise<Object>} Resolves with { intervals, rPeaks, beats, boundaries } (see processEcg)
+ * @throws {Error} When the worker reports a processing error
+ */
+export function runEcgPipeline(signal, samplingRate) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./ecgPipeline.worker.js', import.meta.url));
+
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data);
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'ECG pipeline worker failed'));
+    };
+
+    // Send a copy so the caller keeps its signal; the copy's buffer is transferred
+    const copy = Float32Array.from(signal);
+    worker.postMessage({ signal: copy, samplingRate }, [copy.buffer]);
+  });
+}
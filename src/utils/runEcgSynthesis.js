@@ -0,0 +1,24 @@
+/**
+ * Runs the ECG synthesizer in a Web Worker
+ * @param {Object} options - synthesizeEcg options (functions such as `random` cannot be sent)
+ * @returns {Promise<Object>} Resolves with { samples, intervals } (see synthesizeEcg)
+ * @throws {Error} When the worker reports a synthesis error
+ */
+export function runEcgSynthesis(options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./ecgGenerator.worker.js', import.meta.url));
+
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data);
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'ECG synthesis worker failed'));
+    };
+
+    worker.postMessage(options);
+  });
+}
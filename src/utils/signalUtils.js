@@ -0,0 +1,85 @@
+/**
+ * General-purpose helpers for preparing recorded signals for display
+ */
+
+/**
+ * Resamples a uniformly sampled signal by linear interpolation
+ * @param {ArrayLike<number>} values - Input samples
+ * @param {number} fromRate - Input sampling rate (Hz)
+ * @param {number} toRate - Output sampling rate (Hz)
+ * @param {number} [start=0] - First output sample to compute, so a growing signal only
+ *   resamples what was appended since the last call
+ * @returns {Float32Array} Resampled signal covering the same duration, from output sample `start`
+ */
+export function resampleLinear(values, fromRate, toRate, start = 0) {
+  if (fromRate === toRate) {
+    return start ? Float32Array.from({ length: Math.max(0, values.length - start) }, (_, i) => values[start + i]) : Float32Array.from(values);
+  }
+
+  const length = Math.floor(((values.length - 1) * toRate) / fromRate) + 1;
+  const output = new Float32Array(Math.max(0, length - start));
+  const step = fromRate / toRate;
+
+  for (let i = 0; i < output.length; i++) {
+    const position = (start + i) * step;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = Math.min(index + 1, values.length - 1);
+    output[i] = values[index] + (values[next] - values[index]) * fraction;
+  }
+
+  return output;
+}
+
+/**
+ * Returns the value at a given percentile (0-100) of a signal
+ * @param {ArrayLike<number>} values - Input samples
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} Percentile value
+ */
+export function percentile(values, percentile) {
+  if (!values.length) return 0;
+  const sorted = Float32Array.from(values).sort();
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round((percentile / 100) * (sorted.length - 1))));
+  return sorted[index];
+}
+
+/**
+ * Finds the offset and gain that centre a signal on its median and bring typical R-peaks
+ * to targetPeak. The 99.5th percentile is used instead of the maximum so artifact spikes
+ * don't shrink the whole trace.
+ * @param {ArrayLike<number>} values - Input samples
+ * @param {number} [targetPeak=1.5] - Desired amplitude of the R-peaks
+ * @returns {{baseline: number, scale: number}} Output is (value - baseline) * scale
+ */
+export function fitAmplitudeScale(values, targetPeak = 1.5) {
+  const baseline = percentile(values, 50);
+  const peak = percentile(values, 99.5) - baseline;
+  return { baseline, scale: peak > 0 ? targetPeak / peak : 1 };
+}
+
+/**
+ * Finds the offset and gain for showing a signal on the monitor. A trace on calibrated ECG paper
+ * must stay in mV to match the 1 mV calibration pulse, so it is only centred on its median;
+ * otherwise it is fitted to the screen as by fitAmplitudeScale.
+ * @param {ArrayLike<number>} values - Input samples (mV)
+ * @param {boolean} calibrated - Whether the trace is drawn at a calibrated gain (ECG paper)
+ * @returns {{baseline: number, scale: number}} Output is (value - baseline) * scale
+ */
+export function fitTraceScale(values, calibrated) {
+  return calibrated ? { baseline: percentile(values, 50), scale: 1 } : fitAmplitudeScale(values);
+}
+
+/**
+ * Applies an offset and gain to a signal
+ * @param {ArrayLike<number>} values - Input samples
+ * @param {{baseline: number, scale: number}} fit - Result of fitAmplitudeScale
+ * @returns {Float32Array} Scaled signal
+ */
+export function applyAmplitudeScale(values, { baseline, scale }) {
+  const output = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    output[i] = (values[i] - baseline) * scale;
+  }
+  return output;
+}
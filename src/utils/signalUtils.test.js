@@ -0,0 +1,28 @@
+import { applyAmplitudeScale, fitAmplitudeScale, fitTraceScale, percentile, resampleLinear } from './signalUtils';
+
+// One second at 250 Hz: a 0.3 mV offset with a 1.2 mV spike every 0.25 s
+const SPIKES = Float32Array.from({ length: 250 }, (_, i) => 0.3 + (i % 62 === 31 ? 1.2 : 0));
+
+describe('fitTraceScale', () => {
+  test('keeps a signal in mV on calibrated paper, only removing its baseline', () => {
+    const fit = fitTraceScale(SPIKES, true);
+    expect(fit.scale).toBe(1);
+    const trace = applyAmplitudeScale(SPIKES, fit);
+    expect(Math.max(...trace)).toBeCloseTo(1.2, 5);
+    expect(percentile(trace, 50)).toBeCloseTo(0, 5);
+  });
+
+  test('fits a signal to the screen otherwise', () => {
+    expect(fitTraceScale(SPIKES, false)).toEqual(fitAmplitudeScale(SPIKES));
+    expect(Math.max(...applyAmplitudeScale(SPIKES, fitTraceScale(SPIKES, false)))).toBeCloseTo(1.5, 5);
+  });
+});
+
+describe('resampleLinear', () => {
+  test('interpolates to the new rate and resumes from a given output sample', () => {
+    const values = [0, 1, 2, 3];
+    expect(Array.from(resampleLinear(values, 2, 4))).toEqual([0, 0.5, 1, 1.5, 2, 2.5, 3]);
+    expect(Array.from(resampleLinear(values, 2, 4, 5))).toEqual([2.5, 3]);
+    expect(Array.from(resampleLinear(values, 2, 2, 1))).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Simulation timeline shared by every view
+ *
+ * - Owns simulation time, playback speed and pause, advanced by a single requestAnimationFrame loop
+ * - Indexes the phase intervals and finds the phase at the reference time by binary search
+ * - Seeks, steps by beat, phase or frame, and repeats an A–B loop, all in record time
+ * - Keeps going past the end of the data by looping or extending the rhythm, or stops there
+ * - Publishes frame, phase, beat and state events to subscribers outside React, so views
+ *   can redraw imperatively and only re-render for the values they display
+ */
+import { extractBeatTimes, lastBeatIndex } from './heartRate';
+
+export const TIMELINE_EVENTS = {
+  FRAME: 'frame',   // Simulation time advanced (or was moved by seek)
+  PHASE: 'phase',   // Phase at the reference time changed
+  BEAT: 'beat',     // A new beat reached the reference time
+  STATE: 'state'    // Play/pause, speed, loop, end behaviour or source changed
+};
+
+// What happens once the reference time reaches the end of the intervals
+export const END_BEHAVIORS = {
+  LOOP: 'loop',     // Wrap from the last beat back to the first one
+  EXTEND: 'extend', // Keep repeating a representative beat at its measured RR
+  STOP: 'stop',     // Pause at the end of the record
+  FOLLOW: 'follow'  // Run on past the last beat without repeating, for a live source still growing
+};
+
+const DEFAULT_PHASE = 'ST';  // Phase reported outside every interval
+const MAX_FRAME_DELTA = 0.25; // Wall-clock seconds; longer gaps (background tab) are not replayed
+export const FRAME_STEP = 1 / 60; // Simulation seconds moved by one frame step
+const STEP_EPSILON = 1e-6;        // Keeps a step from landing on the point it started from
+const EXTEND_BEATS = 8;           // Recent RR intervals the extension's representative beat comes from
+const EXTEND_TOLERANCE = 0.2;     // Representative RR must lie within 20% of their median
+
+/**
+ * Finds the last interval starting at or before a time using binary search
+ * @param {Array<Object>} intervals - {entry, duration, phase} intervals sorted by entry
+ * @param {number} time - Time in seconds
+ * @returns {number} Index of the interval, or -1 before the first one
+ */
+const lastEntryIndex = (intervals, time) => {
+  let low = 0;
+  let high = intervals.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (intervals[mid].entry <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low - 1;
+};
+
+/**
+ * Finds the interval containing a time using binary search
+ * @param {Array<Object>} intervals - {entry, duration, phase} intervals sorted by entry
+ * @param {number} time - Time in seconds
+ * @returns {number} Index of the containing interval, or -1 when the time falls in none
+ */
+export function findIntervalIndex(intervals, time) {
+  const index = lastEntryIndex(intervals, time);
+  if (index < 0) return -1;
+  const interval = intervals[index];
+  return time < interval.entry + interval.duration ? index : -1;
+}
+
+/**
+ * Works out which stretch of the record repeats after the last beat
+ * Both repeats start and end on beats, so the waveform and phases continue without a seam.
+ * @param {Array<number>} beatTimes - Ascending beat times in seconds
+ * @param {string} endBehavior - One of END_BEHAVIORS
+ * @returns {{anchor: number, start: number, period: number}|null} From `anchor` (the last beat)
+ *   on, record time cycles through [start, start + period); null when nothing repeats
+ */
+const buildRepeat = (beatTimes, endBehavior) => {
+  if (endBehavior === END_BEHAVIORS.STOP || endBehavior === END_BEHAVIORS.FOLLOW || beatTimes.length < 2) return null;
+  const anchor = beatTimes[beatTimes.length - 1];
+
+  if (endBehavior === END_BEHAVIORS.LOOP) {
+    return { anchor, start: beatTimes[0], period: anchor - beatTimes[0] };
+  }
+
+  // Extend: the latest recent beat whose RR is close to the median, i.e. not ectopic
+  const first = Math.max(1, beatTimes.length - EXTEND_BEATS);
+  const recent = beatTimes.slice(first).map((time, i) => time - beatTimes[first + i - 1]);
+  const median = [...recent].sort((a, b) => a - b)[Math.floor(recent.length / 2)];
+  for (let i = beatTimes.length - 1; i >= first; i--) {
+    const rr = beatTimes[i] - beatTimes[i - 1];
+    if (Math.abs(rr - median) <= EXTEND_TOLERANCE * median) {
+      return { anchor, start: beatTimes[i - 1], period: rr };
+    }
+  }
+  return null;
+};
+
+/**
+ * Creates a simulation timeline
+ * @param {Object} [options] - Timeline options
+ * @param {Array<Object>} [options.intervals=[]] - Phase intervals of the loaded source
+ * @param {number} [options.speed=1] - Playback speed multiplier
+ * @param {boolean} [options.playing=true] - Whether time advances
+ * @param {number} [options.referenceDelay=0] - Lag (s) of the reference time behind the
+ *   simulation time; phase and beats are reported at the reference time
+ * @param {string} [options.endBehavior=END_BEHAVIORS.LOOP] - What happens at the end of the data
+ * @returns {Object} Timeline with:
+ *   - getState(): {time, referenceTime, recordTime, phase, intervalIndex, progress, beatIndex,
+ *     playing, speed, loop, endBehavior, repeating, cycle, ended}. `time` is the simulation clock,
+ *     `referenceTime` the same clock at the reference line and `recordTime` the position in the
+ *     record it shows, which differs once a loop or extension repeats part of the record
+ *     (`cycle` counts those repeats)
+ *   - getIntervals(), getBeatTimes(), getDuration()
+ *   - toRecordTime(time): maps a reference-clock time to the record time shown for it
+ *   - subscribe(event, listener): returns an unsubscribe function
+ *   - play(), pause(), setPlaying(playing), setSpeed(speed), seek(time), setIntervals(intervals)
+ *   - updateIntervals(intervals): swaps in a longer version of the same source's intervals,
+ *     keeping time and loop
+ *   - seekReference(time): moves so that record time `time` is at the reference line
+ *   - setEndBehavior(endBehavior): one of END_BEHAVIORS
+ *   - stepBeat(direction), stepPhase(direction), stepFrame(direction): direction is 1 or -1
+ *   - setLoop(loop): repeats {start, end} in record time, or null to stop looping
+ *   - tick(seconds): advances by wall-clock seconds (used by the animation loop)
+ *   - start(), stop(): run or halt the requestAnimationFrame loop
+ */
+export function createTimeline({
+  intervals = [],
+  speed = 1,
+  playing = true,
+  referenceDelay = 0,
+  endBehavior = END_BEHAVIORS.LOOP
+} = {}) {
+  const listeners = Object.fromEntries(Object.values(TIMELINE_EVENTS).map(event => [event, new Set()]));
+  let phaseIntervals = intervals;
+  let beatTimes = extractBeatTimes(intervals);
+  let repeat = buildRepeat(beatTimes, endBehavior);
+  let time = 0;
+  let loop = null;
+  let ended = false;
+  let state = null;
+  let frameId = null;
+  let lastTimestamp = null;
+
+  const emit = (event) => listeners[event].forEach(listener => listener(state));
+
+  const toRecordTime = (value) => (repeat && value >= repeat.anchor
+    ? repeat.start + ((value - repeat.anchor) % repeat.period)
+    : value);
+
+  /**
+   * Recomputes the state at the current time and notifies subscribers
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.frame=true] - Whether subscribers see this as a new frame
+   * @param {boolean} [options.seeked=false] - Time jumped, so crossing a beat is not a new beat
+   */
+  const update = ({ frame = true, seeked = false } = {}) => {
+    const referenceTime = time - referenceDelay;
+    const recordTime = toRecordTime(referenceTime);
+
+    // 1. The interval of the previous frame is the likely match; search only when it no longer holds
+    const previous = state;
+    let intervalIndex = previous ? previous.intervalIndex : -1;
+    const cached = phaseIntervals[intervalIndex];
+    if (!cached || recordTime < cached.entry || recordTime >= cached.entry + cached.duration) {
+      intervalIndex = findIntervalIndex(phaseIntervals, recordTime);
+    }
+    const interval = phaseIntervals[intervalIndex];
+
+    // 2. Publish the new state
+    state = {
+      time,
+      referenceTime,
+      recordTime,
+      phase: interval ? interval.phase : DEFAULT_PHASE,
+      intervalIndex,
+      progress: interval ? (recordTime - interval.entry) / interval.duration : 0,
+      beatIndex: lastBeatIndex(beatTimes, recordTime),
+      playing,
+      speed,
+      loop,
+      endBehavior,
+      repeating: Boolean(repeat) && referenceTime >= repeat.anchor,
+      cycle: repeat && referenceTime >= repeat.anchor
+        ? 1 + Math.floor((referenceTime - repeat.anchor) / repeat.period)
+        : 0,
+      ended
+    };
+
+    // 3. Events, most specific first; each repeat cycle starts on a beat, even when the index is unchanged
+    const newBeat = previous && (state.beatIndex !== previous.beatIndex || state.cycle !== previous.cycle);
+    if (!previous || previous.phase !== state.phase) emit(TIMELINE_EVENTS.PHASE);
+    if (newBeat && !seeked && state.beatIndex >= 0) {
+      emit(TIMELINE_EVENTS.BEAT);
+    }
+    if (frame) emit(TIMELINE_EVENTS.FRAME);
+  };
+
+  const setState = () => {
+    update({ frame: false, seeked: true });
+    emit(TIMELINE_EVENTS.STATE);
+  };
+
+  const getDuration = () => {
+    const last = phaseIntervals[phaseIntervals.length - 1];
+    return last ? last.entry + last.duration : 0;
+  };
+
+  const seek = (value) => {
+    const wasEnded = ended;
+    time = Math.max(0, value);
+    ended = false;
+    update({ seeked: true });
+    if (wasEnded) emit(TIMELINE_EVENTS.STATE);
+  };
+
+  const seekReference = (value) => seek(value + referenceDelay);
+
+  const tick = (seconds) => {
+    if (!playing || seconds <= 0) return;
+    time += Math.min(seconds, MAX_FRAME_DELTA) * speed;
+
+    // 1. Wrap back to A once the record time passes B, keeping the overshoot
+    const recordTime = toRecordTime(time - referenceDelay);
+    if (loop && recordTime >= loop.end) {
+      const span = loop.end - loop.start;
+      seekReference(loop.start + ((recordTime - loop.end) % span));
+      return;
+    }
+
+    // 2. Stop at the end of the record
+    const duration = getDuration();
+    if (endBehavior === END_BEHAVIORS.STOP && duration > 0 && time - referenceDelay >= duration) {
+      time = duration + referenceDelay;
+      playing = false;
+      ended = true;
+      update();
+      emit(TIMELINE_EVENTS.STATE);
+      return;
+    }
+
+    update();
+  };
+
+  const runFrame = (timestamp) => {
+    if (lastTimestamp !== null) tick((timestamp - lastTimestamp) / 1000);
+    lastTimestamp = timestamp;
+    frameId = requestAnimationFrame(runFrame);
+  };
+
+  const setPlaying = (value) => {
+    if (playing === Boolean(value)) return;
+    if (value && ended) seek(0); // Play after the end starts the record again
+    playing = Boolean(value);
+    setState();
+  };
+
+  update({ frame: false });
+
+  return {
+    getState: () => state,
+    getIntervals: () => phaseIntervals,
+    getBeatTimes: () => beatTimes,
+    getDuration,
+    toRecordTime,
+
+    subscribe(event, listener) {
+      if (!listeners[event]) throw new Error(`Unknown timeline event "${event}"`);
+      listeners[event].add(listener);
+      return () => listeners[event].delete(listener);
+    },
+
+    play: () => setPlaying(true),
+    pause: () => setPlaying(false),
+    setPlaying,
+
+    setSpeed(value) {
+      if (!(value > 0) || value === speed) return;
+      speed = value;
+      setState();
+    },
+
+    seek,
+    seekReference,
+
+    stepBeat(direction) {
+      const { recordTime } = state;
+      const index = direction > 0
+        ? lastBeatIndex(beatTimes, recordTime + STEP_EPSILON) + 1
+        : lastBeatIndex(beatTimes, recordTime - STEP_EPSILON);
+      if (index >= 0 && index < beatTimes.length) seekReference(beatTimes[index]);
+    },
+
+    stepPhase(direction) {
+      const { recordTime } = state;
+      const index = direction > 0
+        ? lastEntryIndex(phaseIntervals, recordTime + STEP_EPSILON) + 1
+        : lastEntryIndex(phaseIntervals, recordTime - STEP_EPSILON);
+      if (index >= 0 && index < phaseIntervals.length) seekReference(phaseIntervals[index].entry);
+    },
+
+    stepFrame(direction) {
+      seek(time + Math.sign(direction) * FRAME_STEP);
+    },
+
+    setLoop(value) {
+      loop = value && value.end > value.start ? { start: value.start, end: value.end } : null;
+      setState();
+    },
+
+    setEndBehavior(value) {
+      if (!Object.values(END_BEHAVIORS).includes(value)) {
+        throw new Error(`Unknown end behaviour "${value}"`);
+      }
+      if (value === endBehavior) return;
+      endBehavior = value;
+      repeat = buildRepeat(beatTimes, endBehavior);
+      ended = false;
+      setState();
+    },
+
+    setIntervals(value = []) {
+      phaseIntervals = value;
+      beatTimes = extractBeatTimes(value);
+      repeat = buildRepeat(beatTimes, endBehavior);
+      loop = null;
+      ended = false;
+      state = { ...state, intervalIndex: -1 };
+      setState();
+    },
+
+    updateIntervals(value) {
+      phaseIntervals = value;
+      beatTimes = extractBeatTimes(value);
+      repeat = buildRepeat(beatTimes, endBehavior);
+      state = { ...state, intervalIndex: -1 };
+      setState();
+    },
+
+    tick,
+
+    start() {
+      if (frameId !== null) return;
+      lastTimestamp = null;
+      frameId = requestAnimationFrame(runFrame);
+    },
+
+    stop() {
+      if (frameId === null) return;
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+}
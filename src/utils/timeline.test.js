@@ -0,0 +1,266 @@
+import { createTimeline, END_BEHAVIORS, findIntervalIndex, FRAME_STEP, TIMELINE_EVENTS } from './timeline';
+
+/**
+ * Phase intervals of regular beats: P at each beat's start, QRS 0.2 s later, then T
+ * @param {Array<number>} starts - Beat start times in seconds
+ * @returns {Array<Object>} {entry, duration, phase} intervals sorted by entry
+ */
+const beatIntervals = (starts) => starts.flatMap(start => [
+  { entry: start, duration: 0.1, phase: 'P' },
+  { entry: start + 0.2, duration: 0.1, phase: 'QRS' },
+  { entry: start + 0.4, duration: 0.2, phase: 'T' }
+]);
+
+// Five beats, QRS at 0.2, 1.2, ..., 4.2 s; the data ends at 4.6 s
+const INTERVALS = beatIntervals([0, 1, 2, 3, 4]);
+
+const paused = (options = {}) => createTimeline({ intervals: INTERVALS, playing: false, ...options });
+
+/**
+ * Records the events a timeline emits
+ * @param {Object} timeline - Result of createTimeline
+ * @returns {Array<string>} Event names, appended as they are emitted
+ */
+const recordEvents = (timeline) => {
+  const events = [];
+  Object.values(TIMELINE_EVENTS).forEach(event => timeline.subscribe(event, () => events.push(event)));
+  return events;
+};
+
+describe('findIntervalIndex', () => {
+  test('finds the containing interval by binary search', () => {
+    expect(findIntervalIndex(INTERVALS, 0)).toBe(0);
+    expect(findIntervalIndex(INTERVALS, 1.25)).toBe(4);
+    expect(findIntervalIndex(INTERVALS, 4.59)).toBe(14);
+  });
+
+  test('returns -1 between intervals and outside the data', () => {
+    expect(findIntervalIndex(INTERVALS, 0.15)).toBe(-1);
+    expect(findIntervalIndex(INTERVALS, -1)).toBe(-1);
+    expect(findIntervalIndex(INTERVALS, 4.7)).toBe(-1);
+    expect(findIntervalIndex([], 1)).toBe(-1);
+  });
+});
+
+describe('seek', () => {
+  test('reports the phase, progress and beat at the reference time', () => {
+    const timeline = paused({ referenceDelay: 0.5 });
+    timeline.seek(1.75);
+    expect(timeline.getState()).toMatchObject({ time: 1.75, referenceTime: 1.25, recordTime: 1.25, phase: 'QRS', intervalIndex: 4, beatIndex: 1 });
+    expect(timeline.getState().progress).toBeCloseTo(0.5, 9);
+
+    timeline.seek(0.65);
+    expect(timeline.getState()).toMatchObject({ phase: 'ST', intervalIndex: -1, progress: 0, beatIndex: -1 });
+  });
+
+  test('finds the interval again after jumping backwards and forwards', () => {
+    const timeline = paused();
+    [3.5, 0.05, 2.45, 2.5].forEach(time => {
+      timeline.seek(time);
+      expect(timeline.getState().intervalIndex).toBe(findIntervalIndex(INTERVALS, time));
+    });
+  });
+
+  test('clamps to zero and does not report crossed beats', () => {
+    const timeline = paused();
+    const events = recordEvents(timeline);
+    timeline.seek(-3);
+    expect(timeline.getState().time).toBe(0);
+    timeline.seek(3.5);
+    expect(timeline.getState().beatIndex).toBe(3);
+    expect(events).not.toContain(TIMELINE_EVENTS.BEAT);
+  });
+
+  test('seekReference puts a record time at the reference line', () => {
+    const timeline = paused({ referenceDelay: 0.5 });
+    timeline.seekReference(2.2);
+    expect(timeline.getState()).toMatchObject({ time: 2.7, recordTime: 2.2, beatIndex: 2 });
+  });
+});
+
+describe('tick', () => {
+  test('advances by wall-clock seconds times the speed, at most MAX_FRAME_DELTA at a time', () => {
+    const timeline = createTimeline({ intervals: INTERVALS, speed: 2 });
+    timeline.tick(0.1);
+    expect(timeline.getState().time).toBeCloseTo(0.2, 9);
+    timeline.tick(5);
+    expect(timeline.getState().time).toBeCloseTo(0.7, 9);
+  });
+
+  test('does nothing while paused', () => {
+    const timeline = paused();
+    timeline.tick(0.1);
+    expect(timeline.getState().time).toBe(0);
+  });
+
+  test('emits a beat when a QRS reaches the reference time', () => {
+    const timeline = createTimeline({ intervals: INTERVALS });
+    timeline.seek(1.1);
+    const events = recordEvents(timeline);
+    timeline.tick(0.05);
+    expect(events).toEqual([TIMELINE_EVENTS.FRAME]);
+    timeline.tick(0.1);
+    expect(events).toEqual([TIMELINE_EVENTS.FRAME, TIMELINE_EVENTS.PHASE, TIMELINE_EVENTS.BEAT, TIMELINE_EVENTS.FRAME]);
+    expect(timeline.getState()).toMatchObject({ phase: 'QRS', beatIndex: 1 });
+  });
+});
+
+describe('stepping', () => {
+  test('stepBeat moves to the next or previous QRS', () => {
+    const timeline = paused();
+    timeline.seek(0.5);
+    timeline.stepBeat(1);
+    expect(timeline.getState().recordTime).toBeCloseTo(1.2, 9);
+    timeline.stepBeat(1);
+    expect(timeline.getState().recordTime).toBeCloseTo(2.2, 9);
+    timeline.stepBeat(-1);
+    expect(timeline.getState().recordTime).toBeCloseTo(1.2, 9);
+
+    timeline.seek(1.5);
+    timeline.stepBeat(-1);
+    expect(timeline.getState().recordTime).toBeCloseTo(1.2, 9);
+  });
+
+  test('stepBeat stays put past the first or last beat', () => {
+    const timeline = paused({ endBehavior: END_BEHAVIORS.STOP });
+    timeline.seek(0.1);
+    timeline.stepBeat(-1);
+    expect(timeline.getState().time).toBe(0.1);
+    timeline.seek(4.3);
+    timeline.stepBeat(1);
+    expect(timeline.getState().time).toBe(4.3);
+  });
+
+  test('stepPhase moves between interval entries', () => {
+    const timeline = paused();
+    timeline.seek(1.25);
+    timeline.stepPhase(1);
+    expect(timeline.getState()).toMatchObject({ phase: 'T', intervalIndex: 5 });
+    timeline.stepPhase(-1);
+    expect(timeline.getState()).toMatchObject({ phase: 'QRS', intervalIndex: 4 });
+    timeline.stepPhase(-1);
+    expect(timeline.getState()).toMatchObject({ phase: 'P', intervalIndex: 3 });
+  });
+
+  test('stepFrame moves by one frame either way', () => {
+    const timeline = paused();
+    timeline.seek(1);
+    timeline.stepFrame(1);
+    expect(timeline.getState().time).toBeCloseTo(1 + FRAME_STEP, 9);
+    timeline.stepFrame(-1);
+    timeline.stepFrame(-1);
+    expect(timeline.getState().time).toBeCloseTo(1 - FRAME_STEP, 9);
+  });
+});
+
+describe('A–B loop', () => {
+  test('wraps back to A keeping the overshoot', () => {
+    const timeline = createTimeline({ intervals: INTERVALS });
+    timeline.setLoop({ start: 1, end: 2 });
+    timeline.seek(1.9);
+    timeline.tick(0.2);
+    expect(timeline.getState().recordTime).toBeCloseTo(1.1, 9);
+    expect(timeline.getState().loop).toEqual({ start: 1, end: 2 });
+  });
+
+  test('takes the overshoot modulo the loop span', () => {
+    const timeline = createTimeline({ intervals: INTERVALS, speed: 4 });
+    timeline.setLoop({ start: 1, end: 1.5 });
+    timeline.seek(1.4);
+    timeline.tick(0.25);  // Record time 2.4: 0.9 s past B is 0.4 s into the 0.5 s loop
+    expect(timeline.getState().recordTime).toBeCloseTo(1.4, 9);
+  });
+
+  test('ignores an empty loop and clears with null', () => {
+    const timeline = paused();
+    timeline.setLoop({ start: 2, end: 2 });
+    expect(timeline.getState().loop).toBeNull();
+    timeline.setLoop({ start: 1, end: 2 });
+    timeline.setLoop(null);
+    expect(timeline.getState().loop).toBeNull();
+  });
+});
+
+describe('end behaviour', () => {
+  test('STOP pauses at the end of the record, and play starts it again', () => {
+    const timeline = createTimeline({ intervals: INTERVALS, endBehavior: END_BEHAVIORS.STOP });
+    const events = recordEvents(timeline);
+    timeline.seek(4.5);
+    timeline.tick(0.2);
+    expect(timeline.getState()).toMatchObject({ playing: false, ended: true, repeating: false });
+    expect(timeline.getState().time).toBeCloseTo(4.6, 9);
+    expect(events).toContain(TIMELINE_EVENTS.STATE);
+
+    timeline.play();
+    expect(timeline.getState()).toMatchObject({ time: 0, playing: true, ended: false });
+  });
+
+  test('LOOP wraps from the last beat to the first, counting cycles and beats', () => {
+    const timeline = createTimeline({ intervals: INTERVALS, endBehavior: END_BEHAVIORS.LOOP });
+    timeline.seek(4.1);
+    const events = recordEvents(timeline);
+    timeline.tick(0.2);
+    expect(timeline.getState()).toMatchObject({ repeating: true, cycle: 1, beatIndex: 0 });
+    expect(timeline.getState().recordTime).toBeCloseTo(0.3, 9);
+    expect(events).toContain(TIMELINE_EVENTS.BEAT);
+
+    timeline.seek(8.3);  // 4.1 s past the last beat: one 4 s period and 0.1 s into the next
+    expect(timeline.getState()).toMatchObject({ cycle: 2, beatIndex: 0 });
+    expect(timeline.getState().recordTime).toBeCloseTo(0.3, 9);
+  });
+
+  test('EXTEND repeats the last beat with a representative RR', () => {
+    const timeline = paused({ endBehavior: END_BEHAVIORS.EXTEND });
+    timeline.seek(5.5);  // 1.3 s past the last beat: one 1 s RR and 0.3 s into the next
+    expect(timeline.getState()).toMatchObject({ repeating: true, cycle: 2, beatIndex: 3, phase: 'T' });
+    expect(timeline.getState().recordTime).toBeCloseTo(3.5, 9);
+  });
+
+  test('EXTEND skips a premature last beat', () => {
+    // The last RR is 0.5 s; the repeat is the 1 s RR before it, from the QRS at 2.2 s
+    const timeline = paused({ intervals: beatIntervals([0, 1, 2, 3, 3.5]), endBehavior: END_BEHAVIORS.EXTEND });
+    timeline.seek(4.2);
+    expect(timeline.getState().recordTime).toBeCloseTo(2.7, 9);
+  });
+
+  test('FOLLOW runs on past the data without repeating', () => {
+    const timeline = paused({ endBehavior: END_BEHAVIORS.FOLLOW });
+    timeline.seek(6);
+    expect(timeline.getState()).toMatchObject({ recordTime: 6, repeating: false, phase: 'ST', beatIndex: 4 });
+  });
+
+  test('setEndBehavior switches behaviour and rejects unknown values', () => {
+    const timeline = paused();
+    timeline.seek(5);
+    timeline.setEndBehavior(END_BEHAVIORS.FOLLOW);
+    expect(timeline.getState()).toMatchObject({ endBehavior: END_BEHAVIORS.FOLLOW, recordTime: 5, repeating: false });
+    expect(() => timeline.setEndBehavior('bounce')).toThrow('Unknown end behaviour "bounce"');
+  });
+});
+
+describe('intervals', () => {
+  test('updateIntervals keeps time and loop and moves the repeat to the new last beat', () => {
+    const timeline = paused();
+    timeline.setLoop({ start: 1, end: 2 });
+    timeline.seek(5);
+    expect(timeline.getState().repeating).toBe(true);
+
+    timeline.updateIntervals(beatIntervals([0, 1, 2, 3, 4, 5, 6]));
+    expect(timeline.getState()).toMatchObject({ time: 5, recordTime: 5, repeating: false, phase: 'P', beatIndex: 4 });
+    expect(timeline.getState().loop).toEqual({ start: 1, end: 2 });
+    expect(timeline.getDuration()).toBeCloseTo(6.6, 9);
+  });
+
+  test('setIntervals loads a new source and clears the loop', () => {
+    const timeline = paused();
+    timeline.setLoop({ start: 1, end: 2 });
+    timeline.seek(0.55);
+    timeline.setIntervals(beatIntervals([0.5]));
+    expect(timeline.getState()).toMatchObject({ loop: null, beatIndex: -1, phase: 'P' });
+    expect(timeline.getBeatTimes()).toEqual([0.7]);
+  });
+
+  test('subscribe rejects unknown events', () => {
+    expect(() => paused().subscribe('tock', () => {})).toThrow('Unknown timeline event "tock"');
+  });
+});
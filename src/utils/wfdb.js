@@ -0,0 +1,332 @@
+/**
+ * In-browser reader and writer for PhysioNet WFDB records (MIT-BIH Arrhythmia Database)
+ *
+ * Supports the subset of the WFDB specification used by the bundled records:
+ * - `.hea` header files (record line, one signal line per lead, `#` comments)
+ * - Format 212 signal files (two 12-bit samples packed into three bytes)
+ * - Format 16 signal files (16-bit little-endian samples), read only
+ */
+
+// Records are served from /public/mitdb, a link to /datasets/mit-bih-arrhythmia-database-1.0.0
+export const MITDB_BASE_URL = `${process.env.PUBLIC_URL || ''}/mitdb`;
+export const DEFAULT_RECORD = '105';
+
+/**
+ * Parses the gain field of a signal line, e.g. "200", "200(0)/mV" or "200/mV"
+ * @param {string} field - Raw gain field from the header
+ * @returns {{gain: number, baseline: (number|null), units: string}}
+ */
+const parseGainField = (field = '') => {
+  const match = field.match(/^([-+\d.eE]+)(?:\(([-+\d]+)\))?(?:\/(\S+))?$/);
+  if (!match) return { gain: 200, baseline: null, units: 'mV' };
+
+  const gain = parseFloat(match[1]);
+  return {
+    gain: gain === 0 ? 200 : gain, // WFDB: a gain of 0 means "uncalibrated", default 200
+    baseline: match[2] !== undefined ? parseInt(match[2], 10) : null,
+    units: match[3] || 'mV'
+  };
+};
+
+/**
+ * Parses a WFDB header (.hea) file
+ * @param {string} text - Header file contents
+ * @returns {Object} Parsed header containing:
+ *   - recordName: string
+ *   - nSignals: number
+ *   - samplingRate: number (Hz)
+ *   - nSamples: number (samples per signal)
+ *   - signals: Array of signal specifications (fileName, format, gain, baseline,
+ *     adcResolution, adcZero, initialValue, checksum, blockSize, units, description)
+ *   - comments: Array<string> of `#` comment lines (without the leading `#`)
+ * @throws {Error} When the record line or a signal line is malformed, or the record has no signals
+ */
+export function parseHeader(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const comments = lines
+    .filter(line => line.startsWith('#'))
+    .map(line => line.replace(/^#\s?/, ''));
+  const specLines = lines.filter(line => !line.startsWith('#'));
+
+  if (specLines.length === 0) {
+    throw new Error('Header has no record line');
+  }
+
+  // 1. Record line: "<name>[/<segments>] <nSignals> [<fs>[/<counter>]] [<nSamples>]"
+  const [recordField, nSignalsField, fsField, nSamplesField] = specLines[0].split(/\s+/);
+  const nSignals = parseInt(nSignalsField, 10);
+  if (!recordField || Number.isNaN(nSignals)) {
+    throw new Error(`Malformed record line: "${specLines[0]}"`);
+  }
+  if (nSignals < 1) {
+    throw new Error(`Record ${recordField} has no signals`);
+  }
+
+  const samplingRate = fsField ? parseFloat(fsField.split('/')[0]) : 250;
+  const nSamples = nSamplesField ? parseInt(nSamplesField, 10) : 0;
+
+  if (specLines.length - 1 < nSignals) {
+    throw new Error(`Header declares ${nSignals} signals but has ${specLines.length - 1} signal lines`);
+  }
+
+  // 2. Signal lines: "<file> <format> <gain> <adcRes> <adcZero> <init> <checksum> <blockSize> <description>"
+  const signals = specLines.slice(1, nSignals + 1).map((line, index) => {
+    const fields = line.split(/\s+/);
+    if (fields.length < 2) {
+      throw new Error(`Malformed signal line ${index + 1}: "${line}"`);
+    }
+
+    const format = parseInt(fields[1].split(/[x:+]/)[0], 10);
+    const { gain, baseline, units } = parseGainField(fields[2]);
+    const adcZero = fields[4] !== undefined ? parseInt(fields[4], 10) : 0;
+
+    return {
+      fileName: fields[0],
+      format,
+      gain,
+      baseline: baseline !== null ? baseline : adcZero, // Baseline defaults to ADC zero
+      units,
+      adcResolution: fields[3] !== undefined ? parseInt(fields[3], 10) : 12,
+      adcZero,
+      initialValue: fields[5] !== undefined ? parseInt(fields[5], 10) : 0,
+      checksum: fields[6] !== undefined ? parseInt(fields[6], 10) : 0,
+      blockSize: fields[7] !== undefined ? parseInt(fields[7], 10) : 0,
+      description: fields.slice(8).join(' ') || `Signal ${index + 1}`
+    };
+  });
+
+  return {
+    recordName: recordField.split('/')[0],
+    nSignals,
+    samplingRate,
+    nSamples,
+    signals,
+    comments
+  };
+}
+
+/**
+ * Decodes format 212 packed samples into raw ADC units
+ * Each pair of consecutive 12-bit samples is stored in three bytes:
+ *   sample0 = byte0 | (low nibble of byte1 << 8)
+ *   sample1 = byte2 | (high nibble of byte1 << 4)
+ * Samples of all signals in the file are interleaved frame by frame.
+ * @param {ArrayBuffer} buffer - Contents of the .dat file
+ * @param {number} nSignals - Number of interleaved signals in the file
+ * @param {number} [nSamples] - Samples per signal to decode (defaults to all available)
+ * @returns {Array<Int16Array>} One array of raw ADC values per signal
+ * @throws {Error} When nSignals is not a positive number
+ */
+export function decodeFormat212(buffer, nSignals, nSamples) {
+  if (!(nSignals >= 1)) throw new Error(`Cannot decode ${nSignals} interleaved signals`);
+  const bytes = new Uint8Array(buffer);
+  const availableValues = Math.floor((bytes.length * 2) / 3);
+  const availableSamples = Math.floor(availableValues / nSignals);
+  const samplesPerSignal = nSamples ? Math.min(nSamples, availableSamples) : availableSamples;
+  const totalValues = samplesPerSignal * nSignals;
+
+  const channels = Array.from({ length: nSignals }, () => new Int16Array(samplesPerSignal));
+
+  for (let v = 0, b = 0; v < totalValues; v += 2, b += 3) {
+    // Sign-extend each 12-bit value
+    let first = bytes[b] | ((bytes[b + 1] & 0x0f) << 8);
+    if (first > 2047) first -= 4096;
+    channels[v % nSignals][Math.floor(v / nSignals)] = first;
+
+    if (v + 1 < totalValues) {
+      let second = bytes[b + 2] | ((bytes[b + 1] & 0xf0) << 4);
+      if (second > 2047) second -= 4096;
+      channels[(v + 1) % nSignals][Math.floor((v + 1) / nSignals)] = second;
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Decodes format 16 samples (16-bit two's complement, little-endian) into raw ADC units
+ * Samples of all signals in the file are interleaved frame by frame.
+ * @param {ArrayBuffer} buffer - Contents of the .dat file
+ * @param {number} nSignals - Number of interleaved signals in the file
+ * @param {number} [nSamples] - Samples per signal to decode (defaults to all available)
+ * @returns {Array<Int16Array>} One array of raw ADC values per signal
+ * @throws {Error} When nSignals is not a positive number
+ */
+export function decodeFormat16(buffer, nSignals, nSamples) {
+  if (!(nSignals >= 1)) throw new Error(`Cannot decode ${nSignals} interleaved signals`);
+  const view = new DataView(buffer);
+  const availableSamples = Math.floor(view.byteLength / (2 * nSignals));
+  const samplesPerSignal = nSamples ? Math.min(nSamples, availableSamples) : availableSamples;
+
+  const channels = Array.from({ length: nSignals }, () => new Int16Array(samplesPerSignal));
+  for (let i = 0, offset = 0; i < samplesPerSignal; i++) {
+    for (let s = 0; s < nSignals; s++, offset += 2) {
+      channels[s][i] = view.getInt16(offset, true);
+    }
+  }
+  return channels;
+}
+
+// Bytes per sample of each readable format, and its decoder
+const SIGNAL_FORMATS = {
+  16: { bytesPerSample: 2, decode: decodeFormat16 },
+  212: { bytesPerSample: 1.5, decode: decodeFormat212 }
+};
+
+/**
+ * Converts raw ADC values to physical units: (raw - baseline) / gain
+ * @param {Int16Array} raw - Raw ADC values for one signal
+ * @param {Object} signal - Signal specification from parseHeader
+ * @returns {Float32Array} Signal in physical units (mV for MIT-BIH)
+ */
+export function toPhysicalUnits(raw, signal) {
+  const physical = new Float32Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    physical[i] = (raw[i] - signal.baseline) / signal.gain;
+  }
+  return physical;
+}
+
+/**
+ * Encodes raw ADC values as format 212, interleaving the signals frame by frame
+ * An odd number of values ends with a two-byte group, as the WFDB library writes it.
+ * @param {Array<Int16Array>} channels - Raw ADC values per signal, all the same length
+ * @returns {Uint8Array} Contents of the .dat file
+ */
+export function encodeFormat212(channels) {
+  const nSignals = channels.length;
+  const totalValues = nSignals * (channels[0]?.length || 0);
+  const bytes = new Uint8Array(Math.ceil((totalValues * 3) / 2));
+  const valueAt = (v) => channels[v % nSignals][Math.floor(v / nSignals)] & 0xfff;
+
+  for (let v = 0, b = 0; v < totalValues; v += 2, b += 3) {
+    const first = valueAt(v);
+    bytes[b] = first & 0xff;
+    bytes[b + 1] = first >> 8;
+    if (v + 1 < totalValues) {
+      const second = valueAt(v + 1);
+      bytes[b + 1] |= (second >> 4) & 0xf0;
+      bytes[b + 2] = second & 0xff;
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Converts a signal in physical units to raw ADC values: round(value * gain + baseline)
+ * Values beyond the 12-bit range are clipped; -2048 is left free, as WFDB reserves it for
+ * missing samples.
+ * @param {ArrayLike<number>} physical - Signal in physical units
+ * @param {{gain: number, baseline: number}} signal - Signal specification
+ * @returns {Int16Array} Raw ADC values
+ */
+export function toAdcUnits(physical, signal) {
+  const raw = new Int16Array(physical.length);
+  for (let i = 0; i < physical.length; i++) {
+    raw[i] = Number.isFinite(physical[i])
+      ? Math.min(2047, Math.max(-2047, Math.round(physical[i] * signal.gain + signal.baseline)))
+      : -2048;
+  }
+  return raw;
+}
+
+/**
+ * Writes a WFDB header (.hea) for a single-file format 212 record
+ * @param {Object} record - Record description
+ * @param {string} record.recordName - Record name (the .dat file is <recordName>.dat)
+ * @param {number} record.samplingRate - Samples per second (Hz)
+ * @param {Array<{description: string, units: string, gain: number, baseline: number,
+ *   adcResolution: number, adcZero: number}>} record.signals - Signal specifications
+ * @param {Array<Int16Array>} record.channels - Raw ADC values per signal (for the initial value and checksum)
+ * @param {Array<string>} [record.comments=[]] - Comment lines, without the leading `#`
+ * @returns {string} Header file contents
+ */
+export function formatHeader({ recordName, samplingRate, signals, channels, comments = [] }) {
+  const nSamples = channels[0]?.length || 0;
+  const lines = [`${recordName} ${signals.length} ${samplingRate} ${nSamples}`];
+
+  signals.forEach((signal, index) => {
+    const raw = channels[index];
+    // Checksum: 16-bit signed sum of the samples
+    let checksum = 0;
+    for (let i = 0; i < raw.length; i++) checksum = (checksum + raw[i]) & 0xffff;
+    if (checksum > 32767) checksum -= 65536;
+
+    lines.push([
+      `${recordName}.dat`,
+      212,
+      `${signal.gain}(${signal.baseline})/${signal.units}`,
+      signal.adcResolution,
+      signal.adcZero,
+      raw.length ? raw[0] : 0,
+      checksum,
+      0,
+      signal.description
+    ].join(' '));
+  });
+
+  return [...lines, ...comments.map(comment => `# ${comment}`)].join('\n') + '\n';
+}
+
+/**
+ * Decodes a parsed header and its signal file into physical leads
+ * @param {Object} header - Result of parseHeader
+ * @param {ArrayBuffer} buffer - Contents of the record's .dat file
+ * @returns {Array<{name: string, units: string, signal: Float32Array}>} Decoded leads
+ * @throws {Error} When the record uses a format other than 212 or 16, mixes formats or
+ *   signal files, or the signal file is shorter than the header declares
+ */
+export function decodeRecord(header, buffer) {
+  const unsupported = header.signals.find(signal => !SIGNAL_FORMATS[signal.format]);
+  if (unsupported) {
+    throw new Error(`Unsupported WFDB format ${unsupported.format} (only formats 212 and 16 are supported)`);
+  }
+  const { format, fileName } = header.signals[0];
+  if (header.signals.some(signal => signal.format !== format || signal.fileName !== fileName)) {
+    throw new Error('Records whose signals use several formats or signal files are not supported');
+  }
+
+  const { bytesPerSample, decode } = SIGNAL_FORMATS[format];
+  const available = Math.floor(buffer.byteLength / (bytesPerSample * header.nSignals));
+  if (header.nSamples && available < header.nSamples) {
+    throw new Error(`Signal file ${fileName} holds ${available} samples per signal, the header declares ${header.nSamples}`);
+  }
+
+  const raw = decode(buffer, header.nSignals, header.nSamples);
+  return header.signals.map((signal, index) => ({
+    name: signal.description,
+    units: signal.units,
+    signal: toPhysicalUnits(raw[index], signal)
+  }));
+}
+
+/**
+ * Fetches and decodes a WFDB record
+ * @param {string} [recordName=DEFAULT_RECORD] - Record name, e.g. "105"
+ * @param {string} [baseUrl=MITDB_BASE_URL] - URL of the directory holding the record files
+ * @returns {Promise<Object>} Record containing:
+ *   - name: string
+ *   - header: parsed header
+ *   - samplingRate: number (Hz)
+ *   - leads: Array<{name, units, signal: Float32Array}>
+ * @throws {Error} When either file cannot be fetched or decoded
+ */
+export async function loadWfdbRecord(recordName = DEFAULT_RECORD, baseUrl = MITDB_BASE_URL) {
+  // 1. Header first: it names the signal file
+  const headerResponse = await fetch(`${baseUrl}/${recordName}.hea`);
+  if (!headerResponse.ok) throw new Error(`Failed to load header for record ${recordName}`);
+  const header = parseHeader(await headerResponse.text());
+
+  // 2. Signal file (all MIT-BIH leads share a single .dat file)
+  const datResponse = await fetch(`${baseUrl}/${header.signals[0].fileName}`);
+  if (!datResponse.ok) throw new Error(`Failed to load signal file for record ${recordName}`);
+  const leads = decodeRecord(header, await datResponse.arrayBuffer());
+
+  return {
+    name: recordName,
+    header,
+    samplingRate: header.samplingRate,
+    leads
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+  decodeFormat16,
+  decodeFormat212,
+  decodeRecord,
+  encodeFormat212,
+  formatHeader,
+  parseHeader
+} from './wfdb';
+
+const DATASET_DIR = path.join(__dirname, '../../datasets/mit-bih-arrhythmia-database-1.0.0');
+
+const readBuffer = (fileName) => {
+  const data = fs.readFileSync(path.join(DATASET_DIR, fileName));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+};
+
+// 16-bit signed sum, as in the header checksum field
+const checksum = (raw) => {
+  let sum = 0;
+  for (let i = 0; i < raw.length; i++) sum = (sum + raw[i]) & 0xffff;
+  return sum > 32767 ? sum - 65536 : sum;
+};
+
+describe('WFDB record 100', () => {
+  const header = parseHeader(fs.readFileSync(path.join(DATASET_DIR, '100.hea'), 'utf8'));
+  const buffer = readBuffer('100.dat');
+  const raw = decodeFormat212(buffer, header.nSignals, header.nSamples);
+
+  test('parses the header', () => {
+    expect(header).toMatchObject({ recordName: '100', nSignals: 2, samplingRate: 360, nSamples: 650000 });
+    expect(header.signals[0]).toMatchObject({
+      fileName: '100.dat',
+      format: 212,
+      gain: 200,
+      baseline: 1024,
+      adcResolution: 11,
+      initialValue: 995,
+      checksum: -22131,
+      description: 'MLII'
+    });
+    expect(header.signals[1].description).toBe('V5');
+  });
+
+  test('decodes format 212 to the header initial values and checksums', () => {
+    expect(raw.map(channel => channel.length)).toEqual([650000, 650000]);
+    header.signals.forEach((signal, i) => {
+      expect(raw[i][0]).toBe(signal.initialValue);
+      expect(checksum(raw[i])).toBe(signal.checksum);
+    });
+  });
+
+  test('re-encodes format 212 byte for byte', () => {
+    const encoded = encodeFormat212(raw);
+    expect(Buffer.from(encoded).equals(Buffer.from(buffer))).toBe(true);
+  });
+
+  test('round-trips the samples through format 16', () => {
+    const interleaved = new Int16Array(raw[0].length * 2);
+    raw[0].forEach((value, i) => {
+      interleaved[i * 2] = value;
+      interleaved[i * 2 + 1] = raw[1][i];
+    });
+    const decoded = decodeFormat16(interleaved.buffer, 2);
+    expect(decoded[0]).toEqual(raw[0]);
+    expect(decoded[1]).toEqual(raw[1]);
+  });
+
+  test('writes a header that parses back with the same checksums', () => {
+    const written = parseHeader(formatHeader({
+      recordName: '100',
+      samplingRate: header.samplingRate,
+      signals: header.signals,
+      channels: raw,
+      comments: ['round trip']
+    }));
+    expect(written.nSamples).toBe(650000);
+    expect(written.comments).toEqual(['round trip']);
+    written.signals.forEach((signal, i) => {
+      expect(signal).toMatchObject({
+        gain: header.signals[i].gain,
+        baseline: header.signals[i].baseline,
+        initialValue: header.signals[i].initialValue,
+        checksum: header.signals[i].checksum
+      });
+    });
+  });
+
+  test('decodes the record to millivolts', () => {
+    const leads = decodeRecord(header, buffer);
+    expect(leads.map(lead => lead.name)).toEqual(['MLII', 'V5']);
+    expect(leads[0].units).toBe('mV');
+    expect(leads[0].signal[0]).toBeCloseTo((995 - 1024) / 200, 6);
+  });
+});
+
+describe('decodeFormat212', () => {
+  test('decodes an odd number of values ending in a two-byte group', () => {
+    const values = Int16Array.from([-2047, 2047, -1]);
+    const decoded = decodeFormat212(encodeFormat212([values]).buffer, 1);
+    expect(decoded[0]).toEqual(values);
+  });
+});
+
+describe('decodeRecord', () => {
+  const header = parseHeader('rec 1 250 4\nrec.dat 16 100/mV 16 0 0 0 0 Lead I\n');
+
+  test('rejects a signal file shorter than the header declares', () => {
+    expect(() => decodeRecord(header, new ArrayBuffer(6))).toThrow('holds 3 samples per signal, the header declares 4');
+  });
+
+  test('the decoders reject a signal count below one', () => {
+    expect(() => decodeFormat212(new ArrayBuffer(6), 0)).toThrow('Cannot decode 0 interleaved signals');
+    expect(() => decodeFormat16(new ArrayBuffer(6), 0)).toThrow('Cannot decode 0 interleaved signals');
+  });
+
+  test('rejects unsupported formats', () => {
+    const format80 = parseHeader('rec 1 250 4\nrec.dat 80 100/mV 8 0 0 0 0 Lead I\n');
+    expect(() => decodeRecord(format80, new ArrayBuffer(4))).toThrow('Unsupported WFDB format 80');
+  });
+});
+
+describe('parseHeader', () => {
+  test('rejects a malformed record line', () => {
+    expect(() => parseHeader('rec x 250')).toThrow('Malformed record line');
+  });
+
+  test('rejects a header with fewer signal lines than declared', () => {
+    expect(() => parseHeader('rec 2 250 4\nrec.dat 16 100/mV\n')).toThrow('declares 2 signals but has 1 signal lines');
+  });
+
+  test('rejects a record without signals', () => {
+    expect(() => parseHeader('rec 0 250 4\n')).toThrow('Record rec has no signals');
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Decoder and encoder for MIT-format WFDB annotation files (.atr)
+ *
+ * The file is a sequence of little-endian 16-bit words. The top 6 bits hold the
+ * annotation code (A) and the low 10 bits a time difference or field value (I).
+ * Codes above ACMAX are pseudo-annotations that modify the preceding annotation
+ * or the time base (SKIP, NUM, SUB, CHN, AUX).
+ */
+import { DEFAULT_RECORD, MITDB_BASE_URL } from './wfdb';
+
+const ACMAX = 49;
+const SKIP = 59;
+const NUM = 60;
+const SUB = 61;
+const CHN = 62;
+const AUX = 63;
+
+// Annotation code -> symbol, as defined in the WFDB library (ecgcodes.h)
+const ANNOTATION_SYMBOLS = [
+  ' ', 'N', 'L', 'R', 'a', 'V', 'F', 'J', 'A', 'S',
+  'E', 'j', '/', 'Q', '~', '', '|', '', 's', 'T',
+  '*', 'D', '"', '=', 'p', 'B', '^', 't', '+', 'u',
+  '?', '!', '[', ']', 'e', 'n', '@', 'x', 'f', '(',
+  ')', 'r'
+];
+
+// Symbols that mark a QRS complex (same set the notebook uses as ground truth)
+export const BEAT_SYMBOLS = new Set([
+  'N', 'L', 'R', 'B', 'A', 'a', 'J', 'S', 'V', 'r',
+  'F', 'e', 'j', 'n', 'E', '/', 'f', 'Q', '?'
+]);
+
+export const BEAT_DESCRIPTIONS = {
+  N: 'Normal beat',
+  L: 'Left bundle branch block beat',
+  R: 'Right bundle branch block beat',
+  B: 'Bundle branch block beat',
+  A: 'Atrial premature beat',
+  a: 'Aberrated atrial premature beat',
+  J: 'Nodal (junctional) premature beat',
+  S: 'Supraventricular premature beat',
+  V: 'Premature ventricular contraction',
+  r: 'R-on-T premature ventricular contraction',
+  F: 'Fusion of ventricular and normal beat',
+  e: 'Atrial escape beat',
+  j: 'Nodal (junctional) escape beat',
+  n: 'Supraventricular escape beat',
+  E: 'Ventricular escape beat',
+  '/': 'Paced beat',
+  f: 'Fusion of paced and normal beat',
+  Q: 'Unclassifiable beat',
+  '?': 'Beat not classified during learning'
+};
+
+// Rhythm labels carried in the aux string of '+' annotations
+// ((BI, (BIII and (STACH do not occur in MIT-BIH; the rhythm scenarios use them)
+export const RHYTHM_LABELS = {
+  '(AB': 'Atrial bigeminy',
+  '(AFIB': 'Atrial fibrillation',
+  '(AFL': 'Atrial flutter',
+  '(B': 'Ventricular bigeminy',
+  '(BI': '1° heart block',
+  '(BII': '2° heart block',
+  '(BIII': '3° heart block',
+  '(IVR': 'Idioventricular rhythm',
+  '(N': 'Normal sinus rhythm',
+  '(NOD': 'Nodal (A-V junctional) rhythm',
+  '(P': 'Paced rhythm',
+  '(PREX': 'Pre-excitation (WPW)',
+  '(SBR': 'Sinus bradycardia',
+  '(STACH': 'Sinus tachycardia',
+  '(SVTA': 'Supraventricular tachyarrhythmia',
+  '(T': 'Ventricular trigeminy',
+  '(VFL': 'Ventricular flutter',
+  '(VT': 'Ventricular tachycardia'
+};
+
+/**
+ * Decodes an MIT-format annotation file
+ * @param {ArrayBuffer} buffer - Contents of the .atr file
+ * @param {number} samplingRate - Sampling rate of the annotated record (Hz)
+ * @returns {Array<Object>} Annotations sorted by sample, each containing:
+ *   - sample: number (sample index)
+ *   - time: number (seconds)
+ *   - code: number (WFDB annotation code)
+ *   - symbol: string (e.g. "N", "V", "+")
+ *   - subtype, chan, num: number
+ *   - aux: string (e.g. "(AFIB" for rhythm changes, empty otherwise)
+ * @throws {Error} When the file ends in the middle of a field
+ */
+export function parseAnnotations(buffer, samplingRate) {
+  const view = new DataView(buffer);
+  const annotations = [];
+  let sample = 0;
+  let chan = 0;  // CHN and NUM persist until changed
+  let num = 0;
+  let offset = 0;
+
+  while (offset + 2 <= view.byteLength) {
+    const word = view.getUint16(offset, true);
+    offset += 2;
+    const code = word >> 10;
+    const value = word & 0x3ff;
+
+    // A zero word marks the end of the file
+    if (code === 0 && value === 0) break;
+
+    const current = annotations[annotations.length - 1];
+
+    switch (code) {
+      case SKIP: {
+        if (offset + 4 > view.byteLength) throw new Error('Truncated SKIP field in annotation file');
+        // 32-bit interval stored as PDP-11 long: high word first
+        const high = view.getInt16(offset, true);
+        const low = view.getUint16(offset + 2, true);
+        sample += high * 65536 + low;
+        offset += 4;
+        break;
+      }
+      case NUM:
+        num = value;
+        if (current) current.num = num;
+        break;
+      case SUB:
+        if (current) current.subtype = value;
+        break;
+      case CHN:
+        chan = value;
+        if (current) current.chan = chan;
+        break;
+      case AUX: {
+        if (offset + value > view.byteLength) throw new Error('Truncated AUX field in annotation file');
+        const bytes = new Uint8Array(buffer, offset, value);
+        if (current) {
+          current.aux = String.fromCharCode(...bytes).replace(/\0+$/, '');
+        }
+        offset += value + (value & 1); // Pad to an even byte count
+        break;
+      }
+      default:
+        if (code > ACMAX) break; // Unknown pseudo-annotation, ignore
+        sample += value;
+        annotations.push({
+          sample,
+          time: sample / samplingRate,
+          code,
+          symbol: ANNOTATION_SYMBOLS[code] || '',
+          subtype: 0,
+          chan,
+          num,
+          aux: ''
+        });
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Creates an annotation in the same shape as parseAnnotations output
+ * @param {string} symbol - Annotation symbol, e.g. "N", "V" or "+"
+ * @param {number} sample - Sample index
+ * @param {number} samplingRate - Sampling rate of the annotated signal (Hz)
+ * @param {string} [aux=''] - Aux string, e.g. "(AFIB" for a rhythm change
+ * @returns {Object} Annotation (see parseAnnotations)
+ * @throws {Error} When the symbol has no WFDB annotation code
+ */
+export function createAnnotation(symbol, sample, samplingRate, aux = '') {
+  const code = ANNOTATION_SYMBOLS.indexOf(symbol);
+  if (code <= 0) throw new Error(`Unknown annotation symbol "${symbol}"`);
+
+  return { sample, time: sample / samplingRate, code, symbol, subtype: 0, chan: 0, num: 0, aux };
+}
+
+/**
+ * Encodes annotations as an MIT-format annotation file, the inverse of parseAnnotations
+ * @param {Array<Object>} annotations - Annotations sorted by sample ({sample, code, subtype, chan, num, aux})
+ * @returns {ArrayBuffer} Contents of the .atr file
+ * @throws {Error} When the annotations are not sorted by sample
+ */
+export function encodeAnnotations(annotations) {
+  const bytes = [];
+  const pushWord = (word) => bytes.push(word & 0xff, (word >> 8) & 0xff);
+  let sample = 0;
+  let chan = 0;
+  let num = 0;
+
+  annotations.forEach(annotation => {
+    // 1. Time difference: 10 bits in the annotation word, larger ones in a SKIP first
+    let interval = annotation.sample - sample;
+    if (interval < 0) throw new Error('Annotations must be sorted by sample');
+    if (interval > 0x3ff) {
+      pushWord(SKIP << 10);
+      // 32-bit interval stored as PDP-11 long: high word first
+      pushWord(Math.floor(interval / 65536));
+      pushWord(interval % 65536);
+      interval = 0;
+    }
+    pushWord((annotation.code << 10) | interval);
+    sample = annotation.sample;
+
+    // 2. Fields that differ from the defaults or from the previous annotation
+    if (annotation.subtype) pushWord((SUB << 10) | annotation.subtype);
+    if ((annotation.chan || 0) !== chan) {
+      chan = annotation.chan;
+      pushWord((CHN << 10) | chan);
+    }
+    if ((annotation.num || 0) !== num) {
+      num = annotation.num;
+      pushWord((NUM << 10) | num);
+    }
+    if (annotation.aux) {
+      const aux = Array.from(annotation.aux, char => char.charCodeAt(0) & 0xff);
+      pushWord((AUX << 10) | aux.length);
+      bytes.push(...aux);
+      if (aux.length & 1) bytes.push(0); // Pad to an even byte count
+    }
+  });
+
+  pushWord(0); // End of file
+  return Uint8Array.from(bytes).buffer;
+}
+
+/**
+ * Fetches and decodes the reference (.atr) annotations of a record
+ * @param {string} [recordName=DEFAULT_RECORD] - Record name, e.g. "105"
+ * @param {number} [samplingRate=360] - Sampling rate of the record (Hz)
+ * @param {string} [baseUrl=MITDB_BASE_URL] - URL of the directory holding the record files
+ * @returns {Promise<Array<Object>>} Decoded annotations (see parseAnnotations)
+ */
+export async function loadAnnotations(recordName = DEFAULT_RECORD, samplingRate = 360, baseUrl = MITDB_BASE_URL) {
+  const response = await fetch(`${baseUrl}/${recordName}.atr`);
+  if (!response.ok) throw new Error(`Failed to load annotations for record ${recordName}`);
+  return parseAnnotations(await response.arrayBuffer(), samplingRate);
+}
+
+/**
+ * Human-readable label for a rhythm annotation's aux string
+ * @param {string} aux - Aux string, e.g. "(AFIB"
+ * @returns {string} Rhythm description (the raw string if unknown)
+ */
+export const describeRhythm = (aux) => RHYTHM_LABELS[aux] || aux.replace(/^\(/, '');
+
+/**
+ * Index of the first annotation at or after a time using binary search
+ * @param {Array<Object>} annotations - Annotations sorted by time
+ * @param {number} time - Time in seconds
+ * @param {boolean} [after=false] - Skip annotations exactly at `time` too
+ * @returns {number} Index, annotations.length when every annotation is earlier
+ */
+const searchTime = (annotations, time, after = false) => {
+  let low = 0;
+  let high = annotations.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (annotations[mid].time < time || (after && annotations[mid].time === time)) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Returns the annotations within a time range using binary search
+ * @param {Array<Object>} annotations - Decoded annotations sorted by time
+ * @param {number} start - Range start in seconds (inclusive)
+ * @param {number} end - Range end in seconds (exclusive)
+ * @returns {Array<Object>} Annotations with start <= time < end
+ */
+export function annotationsInRange(annotations, start, end) {
+  const result = [];
+  for (let i = searchTime(annotations, start); i < annotations.length && annotations[i].time < end; i++) {
+    result.push(annotations[i]);
+  }
+  return result;
+}
+
+// Rhythm changes of each annotation list, kept while the list is in use
+const rhythmChanges = new WeakMap();
+
+/**
+ * Finds the rhythm in effect at a given time
+ * The rhythm changes of a list are collected on the first call and then searched by
+ * binary search, so annotation lists must not be modified after they are first passed.
+ * @param {Array<Object>} annotations - Decoded annotations sorted by time
+ * @param {number} time - Time in seconds
+ * @returns {string|null} Rhythm aux string (e.g. "(N") or null before the first rhythm label
+ */
+export function rhythmAt(annotations, time) {
+  let changes = rhythmChanges.get(annotations);
+  if (!changes) {
+    changes = annotations.filter(annotation => annotation.symbol === '+' && annotation.aux);
+    rhythmChanges.set(annotations, changes);
+  }
+  const index = searchTime(changes, time, true) - 1;
+  return index >= 0 ? changes[index].aux : null;
+}
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+  annotationsInRange,
+  BEAT_SYMBOLS,
+  createAnnotation,
+  encodeAnnotations,
+  parseAnnotations,
+  rhythmAt
+} from './wfdbAnnotations';
+
+const DATASET_DIR = path.join(__dirname, '../../datasets/mit-bih-arrhythmia-database-1.0.0');
+
+const readAnnotations = (recordName) => {
+  const data = fs.readFileSync(path.join(DATASET_DIR, `${recordName}.atr`));
+  return parseAnnotations(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), 360);
+};
+
+describe('parseAnnotations', () => {
+  test('decodes the 2273 beats of record 100', () => {
+    const annotations = readAnnotations('100');
+    const beats = annotations.filter(annotation => BEAT_SYMBOLS.has(annotation.symbol));
+    expect(beats).toHaveLength(2273);
+    expect(beats.filter(beat => beat.symbol === 'A')).toHaveLength(33);
+    expect(beats.filter(beat => beat.symbol === 'V')).toHaveLength(1);
+    expect(annotations[0]).toMatchObject({ sample: 18, symbol: '+', aux: '(N' });
+    expect(beats[0]).toMatchObject({ sample: 77, symbol: 'N' });
+    expect(beats[0].time).toBeCloseTo(77 / 360, 9);
+  });
+
+  test('rejects a truncated AUX field', () => {
+    // N at sample 1, then an AUX field announcing 4 bytes with only 2 present
+    const bytes = Uint8Array.from([0x01, 0x04, 0x04, 0xfc, 0x28, 0x4e]);
+    expect(() => parseAnnotations(bytes.buffer, 360)).toThrow('Truncated AUX field');
+  });
+
+  test('rejects a truncated SKIP field', () => {
+    const bytes = Uint8Array.from([0x00, 0xec, 0x00, 0x00]);
+    expect(() => parseAnnotations(bytes.buffer, 360)).toThrow('Truncated SKIP field');
+  });
+});
+
+describe('encodeAnnotations', () => {
+  test.each(['100', '203', '232'])('round-trips record %s', (recordName) => {
+    const annotations = readAnnotations(recordName);
+    expect(parseAnnotations(encodeAnnotations(annotations), 360)).toEqual(annotations);
+  });
+
+  test('round-trips long intervals and the SUB, CHN and NUM fields', () => {
+    const annotations = [
+      createAnnotation('+', 0, 250, '(AFIB'),
+      { ...createAnnotation('N', 5000, 250), chan: 1, num: 3 },
+      { ...createAnnotation('V', 200000, 250), subtype: 2, chan: 1, num: 3 },
+      createAnnotation('N', 200100, 250)
+    ];
+    expect(parseAnnotations(encodeAnnotations(annotations), 250)).toEqual(annotations);
+  });
+
+  test('rejects unsorted annotations', () => {
+    const annotations = [createAnnotation('N', 10, 250), createAnnotation('N', 5, 250)];
+    expect(() => encodeAnnotations(annotations)).toThrow('sorted by sample');
+  });
+});
+
+describe('annotationsInRange and rhythmAt', () => {
+  const annotations = readAnnotations('203');
+
+  test('returns the annotations in a time range', () => {
+    const inRange = annotationsInRange(annotations, 10, 20);
+    expect(inRange).toEqual(annotations.filter(annotation => annotation.time >= 10 && annotation.time < 20));
+  });
+
+  test('finds the rhythm in effect', () => {
+    expect(rhythmAt(annotations, 0)).toBeNull();
+    expect(rhythmAt(annotations, 14 / 360)).toBe('(AFIB');
+    expect(rhythmAt(annotations, 16689 / 360 - 0.01)).toBe('(AFIB');
+    expect(rhythmAt(annotations, 16689 / 360)).toBe('(VT');
+    expect(rhythmAt(annotations, 17156 / 360 + 1)).toBe('(AFIB');
+  });
+
+  test('agrees with the last rhythm label at or before the time', () => {
+    const labels = annotations.filter(annotation => annotation.symbol === '+' && annotation.aux);
+    for (let time = 0; time < 1810; time += 7.3) {
+      const expected = labels.filter(label => label.time <= time).pop();
+      expect(rhythmAt(annotations, time)).toBe(expected ? expected.aux : null);
+    }
+    expect(rhythmAt([], 10)).toBeNull();
+  });
+});